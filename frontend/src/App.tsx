@@ -10,7 +10,11 @@ import Customers from './pages/Customers';
 import Analysis from './pages/Analysis';
 import Configuration from './pages/Configuration';
 import Debug from './pages/Debug';
+import Audit from './pages/Audit';
+import Trash from './pages/Trash';
+import Login from './pages/Login';
 import ErrorBoundary from './components/common/ErrorBoundary';
+import { AuthProvider, useAuth } from './components/auth/AuthProvider';
 
 import './App.css';
 
@@ -55,9 +59,39 @@ const DebugConfig = () => {
   return null;
 };
 
-function App() {
+// Signed-out users only see the login screen; role-restricted pages are not routed
+const AppLayout = () => {
+  const { user, hasRole } = useAuth();
   const isDebugEnabled = config.DEBUG_MODE;
-  
+
+  if (!user) {
+    return <Login />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 rtl-layout">
+      <DebugConfig />
+      <Header />
+      <div className="flex flex-row-reverse">
+        <Sidebar />
+        <main className="flex-1 p-6 rtl-main">
+          <Routes>
+            <Route path="/" element={<Dashboard />} />
+            <Route path="/upload" element={<Upload />} />
+            <Route path="/customers" element={<Customers />} />
+            <Route path="/analysis" element={<Analysis />} />
+            <Route path="/trash" element={<Trash />} />
+            {hasRole('admin') && <Route path="/configuration" element={<Configuration />} />}
+            {hasRole('admin') && <Route path="/audit" element={<Audit />} />}
+            {isDebugEnabled && hasRole('admin') && <Route path="/debug" element={<Debug />} />}
+          </Routes>
+        </main>
+      </div>
+    </div>
+  );
+};
+
+function App() {  
   console.log('🚀 App Component: Initializing Hebrew Sales Call Analysis System');
   console.log('🌐 Environment:', config.ENVIRONMENT);
   console.log('🔗 API Base URL:', config.API_BASE_URL);
@@ -68,25 +102,11 @@ function App() {
   return (
     <ErrorBoundary>
       <QueryClientProvider client={queryClient}>
-        <Router>
-          <div className="min-h-screen bg-gray-50 rtl-layout">
-            <DebugConfig />
-            <Header />
-            <div className="flex flex-row-reverse">
-              <Sidebar />
-              <main className="flex-1 p-6 rtl-main">
-                <Routes>
-                  <Route path="/" element={<Dashboard />} />
-                  <Route path="/upload" element={<Upload />} />
-                  <Route path="/customers" element={<Customers />} />
-                  <Route path="/analysis" element={<Analysis />} />
-                  <Route path="/configuration" element={<Configuration />} />
-                  {isDebugEnabled && <Route path="/debug" element={<Debug />} />}
-                </Routes>
-              </main>
-            </div>
-          </div>
-        </Router>
+        <AuthProvider>
+          <Router>
+            <AppLayout />
+          </Router>
+        </AuthProvider>
       </QueryClientProvider>
     </ErrorBoundary>
   );
@@ -1,19 +1,35 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { apiService } from '../../services/api';
-import ScoreBreakdown from './ScoreBreakdown';
+import { apiService, SalesCall } from '../../services/api';
+import ScoreBreakdown, { BreakdownCategory } from './ScoreBreakdown';
 import HebrewInsights from './HebrewInsights';
 import EnhancedAnalysisView from './EnhancedAnalysisView';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ErrorMessage from '../common/ErrorMessage';
-import AudioPlayer from '../common/AudioPlayer';
+import AudioPlayer, { SeekRequest } from '../common/AudioPlayer';
 import { getUIText } from '../../utils/hebrewUtils';
 
 interface AnalysisDetailsProps {
   analysisId: number;
 }
 
+// Calls scored before categories were configurable only have the four fixed scores and default weights
+const getBreakdownCategories = (analysis: SalesCall): BreakdownCategory[] => {
+  if (analysis.categoryScores) {
+    return Object.entries(analysis.categoryScores).map(([key, category]) => ({ key, ...category }));
+  }
+
+  return [
+    { key: 'urgency', weight: 0.30, score: analysis.urgencyScore || 0 },
+    { key: 'budget', weight: 0.25, score: analysis.budgetScore || 0 },
+    { key: 'interest', weight: 0.25, score: analysis.interestScore || 0 },
+    { key: 'engagement', weight: 0.20, score: analysis.engagementScore || 0 },
+  ];
+};
+
 const AnalysisDetails: React.FC<AnalysisDetailsProps> = ({ analysisId }) => {
+  const [seekRequest, setSeekRequest] = useState<SeekRequest | null>(null);
+
   const {
     data: analysisData,
     isLoading,
@@ -52,6 +68,7 @@ const AnalysisDetails: React.FC<AnalysisDetailsProps> = ({ analysisId }) => {
       {analysis.audioFilePath && (
         <AudioPlayer 
           salesCallId={analysis.id}
+          seekRequest={seekRequest}
           onPlaybackStart={() => console.log('Audio playback started for analysis:', analysis.id)}
           onPlaybackEnd={() => console.log('Audio playback ended for analysis:', analysis.id)}
           onError={(error) => console.error('Audio error for analysis:', analysis.id, error)}
@@ -60,13 +77,10 @@ const AnalysisDetails: React.FC<AnalysisDetailsProps> = ({ analysisId }) => {
 
       {analysis.overallScore && (
         <ScoreBreakdown
-          scores={{
-            urgency: analysis.urgencyScore || 0,
-            budget: analysis.budgetScore || 0,
-            interest: analysis.interestScore || 0,
-            engagement: analysis.engagementScore || 0,
-            overall: analysis.overallScore,
-          }}
+          overall={analysis.overallScore}
+          categories={getBreakdownCategories(analysis)}
+          evidence={analysis.scoreEvidence}
+          onSeek={(time) => setSeekRequest({ time, requestId: Date.now() })}
         />
       )}
 
@@ -101,7 +115,8 @@ const AnalysisDetails: React.FC<AnalysisDetailsProps> = ({ analysisId }) => {
               recommendations: [],
               riskFactors: [],
               opportunities: []
-            }
+            },
+            talkTime: analysis.diarization?.stats
           }}
         />
       )}
@@ -4,6 +4,7 @@ import ConversationFlowTimeline from './ConversationFlowTimeline';
 import SpeakerAnalysisBreakdown from './SpeakerAnalysisBreakdown';
 import ConfidenceIndicator from './ConfidenceIndicator';
 import { getUIText } from '../../utils/hebrewUtils';
+import { TalkTimeStats } from '../../services/api';
 
 interface SentimentAnalysis {
   overall: 'positive' | 'negative' | 'neutral';
@@ -64,6 +65,7 @@ interface EnhancedAnalysisData {
   speakerAnalysis: SpeakerAnalysis;
   objectionAnalysis: ObjectionAnalysis;
   contextInsights: ContextInsights;
+  talkTime?: TalkTimeStats;
 }
 
 interface EnhancedAnalysisViewProps {
@@ -141,7 +143,10 @@ const EnhancedAnalysisView: React.FC<EnhancedAnalysisViewProps> = ({
           <h4 className="text-md font-medium text-gray-900 mb-4">
             {getUIText('speakerAnalysis')}
           </h4>
-          <SpeakerAnalysisBreakdown analysis={enhancedAnalysis.speakerAnalysis} />
+          <SpeakerAnalysisBreakdown
+            analysis={enhancedAnalysis.speakerAnalysis}
+            talkTime={enhancedAnalysis.talkTime}
+          />
         </div>
       )}
 
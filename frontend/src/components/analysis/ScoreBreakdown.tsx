@@ -1,25 +1,80 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { getScoreColor, getScoreLabel, getCategoryName, getUIText } from '../../utils/hebrewUtils';
+import { ScoreEvidence } from '../../services/api';
 
-interface Scores {
-  urgency: number;
-  budget: number;
-  interest: number;
-  engagement: number;
-  overall: number;
+export interface BreakdownCategory {
+  key: string;
+  label?: string;
+  weight: number | null;
+  score: number;
 }
 
 interface ScoreBreakdownProps {
-  scores: Scores;
+  overall: number;
+  categories: BreakdownCategory[];
+  evidence?: ScoreEvidence[];
+  onSeek?: (time: number) => void;
 }
 
-const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores }) => {
-  const categories = [
-    { name: 'urgency', score: scores.urgency, weight: 0.30 },
-    { name: 'budget', score: scores.budget, weight: 0.25 },
-    { name: 'interest', score: scores.interest, weight: 0.25 },
-    { name: 'engagement', score: scores.engagement, weight: 0.20 },
-  ];
+const formatTimestamp = (time: number): string => {
+  const minutes = Math.floor(time / 60);
+  const seconds = Math.floor(time % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const EvidenceList: React.FC<{ items: ScoreEvidence[]; onSeek?: (time: number) => void }> = ({ items, onSeek }) => {
+  if (items.length === 0) {
+    return <div className="text-xs text-gray-500 hebrew-content">{getUIText('noEvidence')}</div>;
+  }
+
+  return (
+    <ul className="space-y-1">
+      {items.map((item, index) => {
+        const canSeek = item.start !== null && !!onSeek;
+        return (
+          <li key={`${item.category}-${item.tier}-${item.phrase}-${item.offset ?? index}`}>
+            <button
+              type="button"
+              disabled={!canSeek}
+              onClick={() => canSeek && onSeek!(item.start as number)}
+              title={canSeek ? getUIText('jumpToMoment') : undefined}
+              className={`w-full flex items-center justify-between text-xs px-2 py-1 rounded rtl-flex-row-reverse ${
+                canSeek ? 'hover:bg-blue-50 cursor-pointer' : 'cursor-default'
+              }`}
+            >
+              <span className="hebrew-content text-gray-700">
+                {item.kind === 'bonus' || item.kind === 'cap' ? (
+                  <span>{getUIText(item.kind === 'cap' ? 'evidence_cap' : `evidence_${item.reason}`)}</span>
+                ) : (
+                  <span className={item.polarity === 'negated' ? 'line-through' : ''}>"{item.phrase}"</span>
+                )}{' '}
+                {item.tier && <span className="text-gray-500">({getUIText(item.tier)})</span>}
+                {item.polarity && item.polarity !== 'affirmed' && item.cue && (
+                  <span className={`mr-1 ${item.polarity === 'negated' ? 'text-red-600' : 'text-yellow-600'}`}>
+                    {getUIText(item.polarity)}: "{item.cue}"
+                  </span>
+                )}
+              </span>
+              <span className="flex items-center space-x-2 rtl-space-x-reverse">
+                {item.tier !== 'objection' && (
+                  <span className={item.points < 0 ? 'text-red-600' : 'text-gray-600'}>
+                    {item.points > 0 ? '+' : ''}{item.points} {getUIText('points')}
+                  </span>
+                )}
+                {item.start !== null && (
+                  <span className="text-blue-600 font-mono">{formatTimestamp(item.start)}</span>
+                )}
+              </span>
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ overall, categories, evidence = [], onSeek }) => {
+  const [expandedCategory, setExpandedCategory] = useState<string | null>(null);
 
   return (
     <div className="space-y-4 rtl-layout">
@@ -27,33 +82,59 @@ const ScoreBreakdown: React.FC<ScoreBreakdownProps> = ({ scores }) => {
       
       <div className="bg-gray-50 p-4 rounded-lg rtl-card">
         <div className="text-center mb-4">
-          <div className={`text-3xl font-bold ${getScoreColor(scores.overall)}`}>
-            {scores.overall}/100
+          <div className={`text-3xl font-bold ${getScoreColor(overall)}`}>
+            {overall}/100
           </div>
-          <div className="text-sm text-gray-600 hebrew-content">{getScoreLabel(scores.overall)}</div>
+          <div className="text-sm text-gray-600 hebrew-content">{getScoreLabel(overall)}</div>
         </div>
 
         <div className="space-y-3">
           {categories.map((category) => (
-            <div key={category.name} className="flex items-center justify-between rtl-flex-row-reverse">
-              <div className="flex items-center space-x-2 rtl-space-x-reverse">
-                <span className="text-sm font-medium text-gray-700 hebrew-content">{getCategoryName(category.name)}</span>
-                <span className="text-xs text-gray-500">({(category.weight * 100).toFixed(0)}%)</span>
-              </div>
-              <div className="flex items-center space-x-2 rtl-space-x-reverse">
-                <div className="w-24 bg-gray-200 rounded-full h-2">
-                  <div
-                    className={`h-2 rounded-full ${getScoreColor(category.score).replace('text-', 'bg-').replace('bg-green-600', 'bg-green-500').replace('bg-blue-600', 'bg-blue-500').replace('bg-yellow-600', 'bg-yellow-500').replace('bg-red-600', 'bg-red-500')}`}
-                    style={{ width: `${category.score}%` }}
+            <div key={category.key}>
+              <button
+                type="button"
+                onClick={() => setExpandedCategory(expandedCategory === category.key ? null : category.key)}
+                className="w-full flex items-center justify-between rtl-flex-row-reverse"
+              >
+                <div className="flex items-center space-x-2 rtl-space-x-reverse">
+                  <span className="text-sm font-medium text-gray-700 hebrew-content">{getCategoryName(category.key, category.label)}</span>
+                  {category.weight !== null && (
+                    <span className="text-xs text-gray-500">({(category.weight * 100).toFixed(0)}%)</span>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2 rtl-space-x-reverse">
+                  <div className="w-24 bg-gray-200 rounded-full h-2">
+                    <div
+                      className={`h-2 rounded-full ${getScoreColor(category.score).replace('text-', 'bg-').replace('bg-green-600', 'bg-green-500').replace('bg-blue-600', 'bg-blue-500').replace('bg-yellow-600', 'bg-yellow-500').replace('bg-red-600', 'bg-red-500')}`}
+                      style={{ width: `${category.score}%` }}
+                    />
+                  </div>
+                  <span className={`text-sm font-medium ${getScoreColor(category.score)}`}>
+                    {category.score}
+                  </span>
+                </div>
+              </button>
+              {expandedCategory === category.key && (
+                <div className="mt-2 border-t border-gray-200 pt-2">
+                  <EvidenceList
+                    items={evidence.filter((item) => item.category === category.key)}
+                    onSeek={onSeek}
                   />
                 </div>
-                <span className={`text-sm font-medium ${getScoreColor(category.score)}`}>
-                  {category.score}
-                </span>
-              </div>
+              )}
             </div>
           ))}
         </div>
+
+        {evidence.some((item) => item.category === 'objection') && (
+          <div className="mt-4 border-t border-gray-200 pt-3">
+            <h5 className="text-xs font-medium text-gray-900 mb-2 hebrew-content">{getUIText('objectionsEvidence')}</h5>
+            <EvidenceList
+              items={evidence.filter((item) => item.category === 'objection')}
+              onSeek={onSeek}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,5 +1,6 @@
 import React from 'react';
 import { getUIText } from '../../utils/hebrewUtils';
+import { TalkTimeStats } from '../../services/api';
 
 interface SpeakerAnalysis {
   customer: {
@@ -16,9 +17,10 @@ interface SpeakerAnalysis {
 
 interface SpeakerAnalysisBreakdownProps {
   analysis: SpeakerAnalysis;
+  talkTime?: TalkTimeStats;
 }
 
-const SpeakerAnalysisBreakdown: React.FC<SpeakerAnalysisBreakdownProps> = ({ analysis }) => {
+const SpeakerAnalysisBreakdown: React.FC<SpeakerAnalysisBreakdownProps> = ({ analysis, talkTime }) => {
   const getEngagementLevel = (score: number) => {
     if (score >= 0.8) return { level: 'high', color: 'text-green-600', bgColor: 'bg-green-100' };
     if (score >= 0.6) return { level: 'medium', color: 'text-yellow-600', bgColor: 'bg-yellow-100' };
@@ -32,11 +34,63 @@ const SpeakerAnalysisBreakdown: React.FC<SpeakerAnalysisBreakdownProps> = ({ ana
     return { level: 'poor', color: 'text-red-600', bgColor: 'bg-red-100' };
   };
 
+  const formatTalkTime = (seconds: number) => {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.round(seconds % 60);
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+
   const customerEngagement = getEngagementLevel(analysis.customer.engagement);
   const agentEffectiveness = getEffectivenessLevel(analysis.agent.effectiveness);
 
   return (
     <div className="space-y-6">
+      {/* Talk Time (measured from diarized speaker turns) */}
+      {talkTime && (
+        <div className="bg-white border border-gray-200 rounded-lg p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h5 className="text-lg font-medium text-gray-900">{getUIText('talkTime')}</h5>
+            {talkTime.basis === 'words' && (
+              <span className="text-xs text-gray-500">{getUIText('talkTimeByWords')}</span>
+            )}
+          </div>
+          <div className="flex w-full h-3 rounded-full overflow-hidden bg-gray-200 mb-4">
+            <div
+              className="h-3 bg-blue-500 transition-all duration-300"
+              style={{ width: `${talkTime.customer.percentage}%` }}
+            />
+            <div
+              className="h-3 bg-green-500 transition-all duration-300"
+              style={{ width: `${talkTime.agent.percentage}%` }}
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+            <div>
+              <span className="inline-block w-2 h-2 bg-blue-500 rounded-full mr-2"></span>
+              <span className="text-gray-500">{getUIText('customerTalkTime')}:</span>
+              <span className="ml-1 font-medium">{talkTime.customer.percentage}%</span>
+              {talkTime.basis === 'time' && (
+                <span className="ml-1 text-gray-500">({formatTalkTime(talkTime.customer.talkTime)})</span>
+              )}
+              <div className="text-xs text-gray-500 mt-1">
+                {getUIText('speakerTurns')}: {talkTime.customer.turns}
+              </div>
+            </div>
+            <div>
+              <span className="inline-block w-2 h-2 bg-green-500 rounded-full mr-2"></span>
+              <span className="text-gray-500">{getUIText('agentTalkTime')}:</span>
+              <span className="ml-1 font-medium">{talkTime.agent.percentage}%</span>
+              {talkTime.basis === 'time' && (
+                <span className="ml-1 text-gray-500">({formatTalkTime(talkTime.agent.talkTime)})</span>
+              )}
+              <div className="text-xs text-gray-500 mt-1">
+                {getUIText('speakerTurns')}: {talkTime.agent.turns}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Customer Analysis */}
       <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
         <div className="flex items-center mb-4">
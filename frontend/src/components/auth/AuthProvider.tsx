@@ -0,0 +1,60 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { apiService, authStorage, AUTH_EXPIRED_EVENT, User, UserRole } from '../../services/api';
+
+interface AuthContextValue {
+  user: User | null;
+  login: (email: string, password: string) => Promise<void>;
+  logout: () => Promise<void>;
+  hasRole: (...roles: UserRole[]) => boolean;
+}
+
+const AuthContext = createContext<AuthContextValue | undefined>(undefined);
+
+export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const [user, setUser] = useState<User | null>(() => authStorage.getUser());
+
+  // Refresh the stored user; a rejected token clears it via AUTH_EXPIRED_EVENT
+  useEffect(() => {
+    if (!authStorage.getToken()) return;
+
+    apiService.getCurrentUser()
+      .then(response => setUser(response.data))
+      .catch(error => console.warn('⚠️ Could not refresh the current user:', error));
+  }, []);
+
+  useEffect(() => {
+    const handleExpired = () => setUser(null);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  const login = useCallback(async (email: string, password: string) => {
+    const response = await apiService.login(email, password);
+    setUser(response.data.user);
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await apiService.logout();
+    } catch (error) {
+      console.warn('⚠️ Logout request failed, clearing the session locally:', error);
+    }
+    setUser(null);
+  }, []);
+
+  const hasRole = useCallback((...roles: UserRole[]) => !!user && roles.includes(user.role), [user]);
+
+  return (
+    <AuthContext.Provider value={{ user, login, logout, hasRole }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = (): AuthContextValue => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
@@ -217,6 +217,19 @@ describe('AudioPlayer', () => {
     });
   });
 
+  describe('Seeking', () => {
+    it('jumps to the requested time and starts playback', () => {
+      const play = jest.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue(undefined);
+      const { container } = render(<AudioPlayer salesCallId={123} seekRequest={{ time: 42, requestId: 1 }} />);
+
+      const audio = container.querySelector('audio') as HTMLAudioElement;
+      expect(audio.currentTime).toBe(42);
+      expect(play).toHaveBeenCalled();
+
+      play.mockRestore();
+    });
+  });
+
   describe('Time Formatting', () => {
     it('formats time correctly', () => {
       render(<AudioPlayer salesCallId={123} />);
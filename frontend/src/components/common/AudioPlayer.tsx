@@ -1,7 +1,7 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import * as LucideIcons from 'lucide-react';
 import './AudioPlayer.css';
-import { config } from '../../config/environment';
+import { apiService } from '../../services/api';
 
 interface Track {
   id: string;
@@ -12,9 +12,15 @@ interface Track {
   duration?: string;
 }
 
+export interface SeekRequest {
+  time: number;
+  requestId: number;
+}
+
 interface AudioPlayerProps {
   salesCallId: number;
   className?: string;
+  seekRequest?: SeekRequest | null;
   onPlaybackStart?: () => void;
   onPlaybackEnd?: () => void;
   onError?: (error: string) => void;
@@ -23,6 +29,7 @@ interface AudioPlayerProps {
 const AudioPlayer: React.FC<AudioPlayerProps> = ({ 
   salesCallId,
   className = '',
+  seekRequest,
   onPlaybackStart,
   onPlaybackEnd,
   onError
@@ -38,6 +45,8 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
   const [playbackSpeed, setPlaybackSpeed] = useState(1);
   const [showSpeedMenu, setShowSpeedMenu] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
+  const [audioSrc, setAudioSrc] = useState('');
+  const [srcRequest, setSrcRequest] = useState(0);
 
   const audioRef = useRef<HTMLAudioElement>(null);
   const progressRef = useRef<HTMLDivElement>(null);
@@ -50,9 +59,30 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
     id: salesCallId.toString(),
     title: 'הקלטה מקורית',
     artist: `שיחה ${salesCallId}`,
-    src: `${config.API_BASE_URL}/audio/${salesCallId}`,
+    src: audioSrc,
   };
 
+  // The stream URL carries a media token, fetched for each sales call and again on retry once it may have expired
+  useEffect(() => {
+    let cancelled = false;
+    setAudioSrc('');
+
+    apiService.getAudioUrl(salesCallId)
+      .then(url => {
+        if (!cancelled) setAudioSrc(url);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('❌ Failed to get the audio URL:', error);
+        setHasError(true);
+        setErrorMessage(`שגיאה בטעינת הקלטה עבור שיחה ${salesCallId}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [salesCallId, srcRequest]);
+
   // Format time in mm:ss format
   const formatTime = (time: number): string => {
     if (isNaN(time)) return '0:00';
@@ -167,6 +197,16 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
     };
   }, [salesCallId, onPlaybackStart, onPlaybackEnd, onError]);
 
+  // Jump to a requested moment (e.g. the phrase behind a score) and play from there
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !seekRequest) return;
+
+    audio.currentTime = Math.max(0, seekRequest.time);
+    setCurrentTime(audio.currentTime);
+    audio.play().catch(console.error);
+  }, [seekRequest]);
+
   // Update playback speed when it changes
   useEffect(() => {
     if (audioRef.current) {
@@ -224,6 +264,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
               setHasError(false);
               setErrorMessage('');
               setIsLoading(true);
+              setSrcRequest(request => request + 1);
               if (audioRef.current) {
                 audioRef.current.load();
               }
@@ -243,7 +284,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
     <div className={`audio-player-container ${className}`}>
       <audio
         ref={audioRef}
-        src={currentTrack.src}
+        src={currentTrack.src || undefined}
         preload="metadata"
       />
 
@@ -1,7 +1,10 @@
 import React from 'react';
 import { getUIText } from '../../utils/hebrewUtils';
+import { useAuth } from '../auth/AuthProvider';
 
 const Header: React.FC = () => {
+  const { user, logout } = useAuth();
+
   return (
     <header className="bg-white shadow-sm border-b border-gray-200 rtl-header">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -18,6 +21,20 @@ const Header: React.FC = () => {
                 {getUIText('online')}
               </span>
             </div>
+            {user && (
+              <div className="flex items-center space-x-3 rtl-space-x-reverse text-sm hebrew-content">
+                <span className="font-medium text-gray-900">{user.name}</span>
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                  {getUIText(`role_${user.role}`)}
+                </span>
+                <button
+                  onClick={logout}
+                  className="text-gray-500 hover:text-gray-900 underline"
+                >
+                  {getUIText('logout')}
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
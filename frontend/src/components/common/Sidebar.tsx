@@ -6,22 +6,31 @@ import {
   UsersIcon, 
   ChartBarIcon,
   Cog6ToothIcon,
+  ClipboardDocumentListIcon,
+  TrashIcon,
   BugAntIcon
 } from '@heroicons/react/24/outline';
 import { getUIText } from '../../utils/hebrewUtils';
 import { config } from '../../config/environment';
+import { useAuth } from '../auth/AuthProvider';
 
 const Sidebar: React.FC = () => {
   const isDebugEnabled = config.DEBUG_MODE;
+  const { hasRole } = useAuth();
 
   const navigation = [
     { name: getUIText('dashboard_nav'), href: '/', icon: HomeIcon },
     { name: getUIText('upload_nav'), href: '/upload', icon: CloudArrowUpIcon },
     { name: getUIText('customers_nav'), href: '/customers', icon: UsersIcon },
     { name: getUIText('analysis_nav'), href: '/analysis', icon: ChartBarIcon },
-    { name: getUIText('configuration'), href: '/configuration', icon: Cog6ToothIcon },
+    { name: getUIText('trash'), href: '/trash', icon: TrashIcon },
+    // Configuration, the audit log and debug tools are for admins only
+    ...(hasRole('admin') ? [
+      { name: getUIText('configuration'), href: '/configuration', icon: Cog6ToothIcon },
+      { name: getUIText('audit_log'), href: '/audit', icon: ClipboardDocumentListIcon }
+    ] : []),
     // Only show debug navigation if debug mode is enabled
-    ...(isDebugEnabled ? [{ name: 'Debug', href: '/debug', icon: BugAntIcon }] : []),
+    ...(isDebugEnabled && hasRole('admin') ? [{ name: 'Debug', href: '/debug', icon: BugAntIcon }] : []),
   ];
 
   return (
@@ -0,0 +1,139 @@
+import React from 'react';
+import { ConfigurationSimulation } from '../../services/api';
+
+interface ConfigurationImpactPreviewProps {
+  simulation: ConfigurationSimulation;
+  busy: boolean;
+  onActivate: () => void;
+  onDiscard: () => void;
+}
+
+const formatChange = (value: number | null) => {
+  if (value === null) return '-';
+  return value > 0 ? `+${value}` : `${value}`;
+};
+
+const changeColor = (value: number | null) => {
+  if (!value) return 'text-gray-600';
+  return value > 0 ? 'text-green-600' : 'text-red-600';
+};
+
+const ConfigurationImpactPreview: React.FC<ConfigurationImpactPreviewProps> = ({
+  simulation,
+  busy,
+  onActivate,
+  onDiscard
+}) => {
+  const { distribution, priorities } = simulation;
+  // Overall first, then every category of either configuration
+  const categories = Object.keys(distribution);
+  const changedCalls = simulation.calls
+    .filter(call => call.delta.overall !== 0)
+    .sort((a, b) => Math.abs(b.delta.overall ?? 0) - Math.abs(a.delta.overall ?? 0))
+    .slice(0, 10);
+  const rankChanges = priorities.changes.filter(change => change.rankChange !== 0).slice(0, 10);
+
+  return (
+    <div className="mb-6 border border-blue-200 bg-blue-50 rounded-lg p-4">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Impact Preview</h3>
+          <p className="text-sm text-gray-600">
+            "{simulation.configuration.name}" compared with the active "{simulation.baseline.name}" on the
+            last {simulation.callsSimulated} calls. Nothing has been changed yet.
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={onDiscard}
+            disabled={busy}
+            className="px-4 py-2 text-sm bg-gray-600 text-white rounded hover:bg-gray-700 disabled:opacity-50"
+          >
+            Discard
+          </button>
+          <button
+            onClick={onActivate}
+            disabled={busy}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            {busy ? 'Activating...' : 'Activate Configuration'}
+          </button>
+        </div>
+      </div>
+
+      {/* Distribution shift */}
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">Category</th>
+            <th className="py-1">Current mean</th>
+            <th className="py-1">New mean</th>
+            <th className="py-1">Shift</th>
+            <th className="py-1">Current median</th>
+            <th className="py-1">New median</th>
+          </tr>
+        </thead>
+        <tbody>
+          {categories.map(category => (
+            <tr key={category} className="border-t border-blue-100">
+              <td className="py-1 capitalize font-medium">{category}</td>
+              <td className="py-1">{distribution[category].current.mean ?? '-'}</td>
+              <td className="py-1">{distribution[category].simulated.mean ?? '-'}</td>
+              <td className={`py-1 ${changeColor(distribution[category].meanShift)}`}>
+                {formatChange(distribution[category].meanShift)}
+              </td>
+              <td className="py-1">{distribution[category].current.median ?? '-'}</td>
+              <td className="py-1">{distribution[category].simulated.median ?? '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Customer priority rank changes */}
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">
+            Priority rank changes ({rankChanges.length} of {priorities.customersAffected} customers)
+          </h4>
+          {rankChanges.length === 0 ? (
+            <p className="text-sm text-gray-500">No customer would change rank</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {rankChanges.map(change => (
+                <li key={change.customerId} className="flex justify-between">
+                  <span dir="auto">{change.customerName || `Customer ${change.customerId}`}</span>
+                  <span className={changeColor(change.rankChange)}>
+                    #{change.currentRank} → #{change.simulatedRank}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Largest per-call changes */}
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Largest overall score changes</h4>
+          {changedCalls.length === 0 ? (
+            <p className="text-sm text-gray-500">No call's overall score would change</p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {changedCalls.map(call => (
+                <li key={call.salesCallId} className="flex justify-between">
+                  <span dir="auto">
+                    Call #{call.salesCallId} · {call.customerName || `Customer ${call.customerId}`}
+                  </span>
+                  <span className={changeColor(call.delta.overall)}>
+                    {call.current.overall} → {call.simulated.overall} ({formatChange(call.delta.overall)})
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfigurationImpactPreview;
@@ -1,25 +1,36 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { apiService } from '../../services/api';
-
-interface ScoringWeights {
-  urgency: number;
-  budget: number;
-  interest: number;
-  engagement: number;
+import { apiService, ConfigurationSimulation } from '../../services/api';
+import ConfigurationImpactPreview from './ConfigurationImpactPreview';
+
+// Weights and phrases are keyed by category; every weighted category is scored
+type ScoringWeights = Record<string, number>;
+
+// A phrase is a plain string (tier points, exact match) or an entry with its own settings
+interface PhraseEntry {
+  phrase: string;
+  points?: number;
+  match?: 'exact' | 'wildcard' | 'regex';
+  negatable?: boolean;
+  enabled?: boolean;
 }
 
-interface PhraseConfiguration {
-  urgency: { high: string[]; medium: string[] };
-  budget: { high: string[]; medium: string[] };
-  interest: { high: string[]; medium: string[] };
-  engagement: { high: string[]; medium: string[] };
+type PhraseConfiguration = Record<string, Record<string, Array<string | PhraseEntry>>>;
+
+interface CategoryDefinition {
+  label?: string;
+  tiers?: Record<string, number>;
+  multiMatchBonus?: Record<string, number>;
 }
 
+const toPhraseEntry = (phrase: string | PhraseEntry): PhraseEntry =>
+  typeof phrase === 'string' ? { phrase } : phrase;
+
 interface Configuration {
   id?: number;
   name: string;
   weights: ScoringWeights;
   phrases: PhraseConfiguration;
+  categories?: Record<string, CategoryDefinition> | null;
   isActive: boolean;
   createdAt?: string;
   updatedAt?: string;
@@ -35,6 +46,8 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
+  const [preview, setPreview] = useState<ConfigurationSimulation | null>(null);
+  const [newCategory, setNewCategory] = useState({ key: '', label: '' });
 
   const loadActiveConfiguration = useCallback(async () => {
     try {
@@ -56,7 +69,7 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
     loadActiveConfiguration();
   }, [loadActiveConfiguration]);
 
-  const handleWeightChange = (category: keyof ScoringWeights, value: number) => {
+  const handleWeightChange = (category: string, value: number) => {
     if (!configuration) return;
 
     const newWeights = { ...configuration.weights, [category]: value };
@@ -72,20 +85,23 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
   };
 
   const handlePhraseChange = (
-    category: keyof PhraseConfiguration,
-    level: 'high' | 'medium',
+    category: string,
+    level: string,
     index: number,
-    value: string
+    changes: Partial<PhraseEntry>
   ) => {
     if (!configuration) return;
 
     const newPhrases = { ...configuration.phrases };
-    newPhrases[category][level][index] = value;
+    const entry = { ...toPhraseEntry(newPhrases[category][level][index]), ...changes };
+    // Entries that only set the phrase stay plain strings
+    const isPlain = Object.entries(entry).every(([field, value]) => field === 'phrase' || value === undefined);
+    newPhrases[category][level][index] = isPlain ? entry.phrase : entry;
 
     setConfiguration({ ...configuration, phrases: newPhrases });
   };
 
-  const addPhrase = (category: keyof PhraseConfiguration, level: 'high' | 'medium') => {
+  const addPhrase = (category: string, level: string) => {
     if (!configuration) return;
 
     const newPhrases = { ...configuration.phrases };
@@ -94,7 +110,7 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
     setConfiguration({ ...configuration, phrases: newPhrases });
   };
 
-  const removePhrase = (category: keyof PhraseConfiguration, level: 'high' | 'medium', index: number) => {
+  const removePhrase = (category: string, level: string, index: number) => {
     if (!configuration) return;
 
     const newPhrases = { ...configuration.phrases };
@@ -103,6 +119,43 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
     setConfiguration({ ...configuration, phrases: newPhrases });
   };
 
+  // New categories start with no weight and empty high/medium phrase lists
+  const addCategory = () => {
+    if (!configuration) return;
+
+    const key = newCategory.key.trim();
+    if (!/^[a-z][a-z0-9_]*$/.test(key) || key === 'overall' || key === 'objection') {
+      setError('Category key must start with a letter and use lowercase letters, digits and underscores');
+      return;
+    }
+    if (configuration.weights[key] !== undefined) {
+      setError(`Category "${key}" already exists`);
+      return;
+    }
+
+    setConfiguration({
+      ...configuration,
+      weights: { ...configuration.weights, [key]: 0 },
+      phrases: { ...configuration.phrases, [key]: { high: [], medium: [] } },
+      categories: { ...configuration.categories, [key]: { label: newCategory.label.trim() || key } }
+    });
+    setNewCategory({ key: '', label: '' });
+    setError(null);
+  };
+
+  const removeCategory = (category: string) => {
+    if (!configuration) return;
+
+    const { [category]: removedWeight, ...weights } = configuration.weights;
+    const { [category]: removedPhrases, ...phrases } = configuration.phrases;
+    const { [category]: removedDefinition, ...categories } = configuration.categories || {};
+
+    setConfiguration({ ...configuration, weights, phrases, categories });
+  };
+
+  const getCategoryLabel = (category: string) => configuration?.categories?.[category]?.label || category;
+
+  // Saved as an inactive draft first so its impact can be previewed before it is activated
   const saveConfiguration = async () => {
     if (!configuration) return;
 
@@ -114,20 +167,60 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
         name: configuration.name,
         weights: configuration.weights,
         phrases: configuration.phrases,
-        isActive: true
+        categories: configuration.categories,
+        isActive: false
       });
 
       if (response.success) {
-        setSuccess('Configuration saved successfully');
+        const simulation = await apiService.simulateConfiguration(response.data.id);
+        if (simulation.success) {
+          setPreview(simulation.data);
+        }
+      }
+    } catch (err) {
+      setError('Failed to preview configuration');
+      console.error('Configuration preview error:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const activatePreview = async () => {
+    if (!preview) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await apiService.activateConfiguration(preview.configuration.id);
+
+      if (response.success) {
+        setSuccess('Configuration saved and activated successfully');
         setConfiguration(response.data);
         onConfigurationChange?.(response.data);
-        
+        setPreview(null);
+
         // Clear success message after 3 seconds
         setTimeout(() => setSuccess(null), 3000);
       }
     } catch (err) {
-      setError('Failed to save configuration');
-      console.error('Configuration save error:', err);
+      setError('Failed to activate configuration');
+      console.error('Configuration activation error:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const discardPreview = async () => {
+    if (!preview) return;
+
+    try {
+      setSaving(true);
+      await apiService.deleteConfiguration(preview.configuration.id);
+      setPreview(null);
+    } catch (err) {
+      setError('Failed to discard configuration');
+      console.error('Configuration discard error:', err);
     } finally {
       setSaving(false);
     }
@@ -198,10 +291,10 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
           </button>
           <button
             onClick={saveConfiguration}
-            disabled={saving || totalWeight !== 1.0}
+            disabled={saving || preview !== null || totalWeight !== 1.0}
             className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
           >
-            {saving ? 'Saving...' : 'Save Configuration'}
+            {saving && !preview ? 'Simulating...' : 'Preview & Save'}
           </button>
         </div>
       </div>
@@ -218,6 +311,15 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
         </div>
       )}
 
+      {preview && (
+        <ConfigurationImpactPreview
+          simulation={preview}
+          busy={saving}
+          onActivate={activatePreview}
+          onDiscard={discardPreview}
+        />
+      )}
+
       {/* Configuration Name */}
       <div className="mb-6">
         <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -238,9 +340,19 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
         <div className="grid grid-cols-2 gap-4">
           {Object.entries(configuration.weights).map(([category, weight]) => (
             <div key={category} className="space-y-2">
-              <label className="block text-sm font-medium text-gray-700 capitalize">
-                {category} Weight
-              </label>
+              <div className="flex justify-between items-center">
+                <label className="block text-sm font-medium text-gray-700 capitalize">
+                  {getCategoryLabel(category)} Weight
+                </label>
+                {Object.keys(configuration.weights).length > 1 && (
+                  <button
+                    onClick={() => removeCategory(category)}
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Remove Category
+                  </button>
+                )}
+              </div>
               <div className="flex items-center space-x-2">
                 <input
                   type="range"
@@ -248,7 +360,7 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
                   max="1"
                   step="0.05"
                   value={weight}
-                  onChange={(e) => handleWeightChange(category as keyof ScoringWeights, parseFloat(e.target.value))}
+                  onChange={(e) => handleWeightChange(category, parseFloat(e.target.value))}
                   className="flex-1"
                 />
                 <span className="text-sm text-gray-600 w-12">
@@ -258,6 +370,30 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
             </div>
           ))}
         </div>
+        <div className="mt-4 flex items-center space-x-2">
+          <input
+            type="text"
+            value={newCategory.key}
+            onChange={(e) => setNewCategory({ ...newCategory, key: e.target.value })}
+            className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+            placeholder="Category key, e.g. decision_maker"
+          />
+          <input
+            type="text"
+            value={newCategory.label}
+            onChange={(e) => setNewCategory({ ...newCategory, label: e.target.value })}
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+            placeholder="Label, e.g. Decision maker present"
+            dir="auto"
+          />
+          <button
+            onClick={addCategory}
+            disabled={!newCategory.key.trim()}
+            className="text-xs px-2 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            Add Category
+          </button>
+        </div>
         <div className="mt-4 p-3 bg-gray-50 rounded">
           <span className="text-sm font-medium">
             Total Weight: {Math.round(totalWeight * 100)}%
@@ -277,7 +413,7 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
           {Object.entries(configuration.phrases).map(([category, levels]) => (
             <div key={category} className="border border-gray-200 rounded-lg p-4">
               <h4 className="text-md font-medium text-gray-900 capitalize mb-3">
-                {category} Phrases
+                {getCategoryLabel(category)} Phrases
               </h4>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 {Object.entries(levels).map(([level, phrases]) => (
@@ -287,32 +423,76 @@ const ConfigurationPanel: React.FC<ConfigurationPanelProps> = ({ onConfiguration
                         {level} Priority
                       </label>
                       <button
-                        onClick={() => addPhrase(category as keyof PhraseConfiguration, level as 'high' | 'medium')}
+                        onClick={() => addPhrase(category, level)}
                         className="text-xs px-2 py-1 bg-green-600 text-white rounded hover:bg-green-700"
                       >
                         Add Phrase
                       </button>
                     </div>
                     <div className="space-y-2">
-                      {(phrases as string[]).map((phrase: string, index: number) => (
-                        <div key={index} className="flex items-center space-x-2">
+                      {phrases.map(toPhraseEntry).map((entry, index) => (
+                        <div
+                          key={index}
+                          className={`flex items-center space-x-2 ${entry.enabled === false ? 'opacity-50' : ''}`}
+                        >
                           <input
                             type="text"
-                            value={phrase}
-                            onChange={(e) => handlePhraseChange(
-                              category as keyof PhraseConfiguration,
-                              level as 'high' | 'medium',
-                              index,
-                              e.target.value
-                            )}
+                            value={entry.phrase}
+                            onChange={(e) => handlePhraseChange(category, level, index, { phrase: e.target.value })}
                             className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
-                            placeholder="Enter Hebrew phrase"
+                            placeholder={entry.match === 'regex' ? 'Regular expression' : 'Enter Hebrew phrase'}
                             dir="rtl"
                           />
+                          <select
+                            value={entry.match || 'exact'}
+                            onChange={(e) => handlePhraseChange(category, level, index, {
+                              match: e.target.value === 'exact' ? undefined : e.target.value as PhraseEntry['match']
+                            })}
+                            className="px-1 py-1 text-xs border border-gray-300 rounded"
+                            title="Exact words, * wildcards within words, or a regular expression"
+                          >
+                            <option value="exact">Exact</option>
+                            <option value="wildcard">Wildcard</option>
+                            <option value="regex">Regex</option>
+                          </select>
+                          <input
+                            type="number"
+                            min="-100"
+                            max="100"
+                            value={entry.points ?? ''}
+                            onChange={(e) => handlePhraseChange(category, level, index, {
+                              points: e.target.value === '' ? undefined : parseFloat(e.target.value)
+                            })}
+                            className="w-16 px-1 py-1 text-xs border border-gray-300 rounded"
+                            placeholder={String(configuration.categories?.[category]?.tiers?.[level] ?? 'pts')}
+                            title="Points (empty for the tier's points)"
+                          />
+                          <label className="flex items-center text-xs text-gray-600" title="Flip the points when negated">
+                            <input
+                              type="checkbox"
+                              checked={entry.negatable !== false}
+                              onChange={(e) => handlePhraseChange(category, level, index, {
+                                negatable: e.target.checked ? undefined : false
+                              })}
+                              className="mr-1"
+                            />
+                            Neg
+                          </label>
+                          <label className="flex items-center text-xs text-gray-600">
+                            <input
+                              type="checkbox"
+                              checked={entry.enabled !== false}
+                              onChange={(e) => handlePhraseChange(category, level, index, {
+                                enabled: e.target.checked ? undefined : false
+                              })}
+                              className="mr-1"
+                            />
+                            On
+                          </label>
                           <button
                             onClick={() => removePhrase(
-                              category as keyof PhraseConfiguration,
-                              level as 'high' | 'medium',
+                              category,
+                              level,
                               index
                             )}
                             className="text-xs px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700"
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { apiService, AgentSortKey } from '../../services/api';
+import { getUIText } from '../../utils/hebrewUtils';
+
+const sortOptions: Array<{ key: AgentSortKey; label: string }> = [
+  { key: 'overall', label: 'avg_score' },
+  { key: 'objectionHandling', label: 'objection_handling' },
+  { key: 'conversion', label: 'lead_conversion' },
+  { key: 'calls', label: 'calls' }
+];
+
+const formatPercent = (value: number | null) => (value === null ? '-' : `${value}%`);
+
+// The tab opens on the click, before the media token arrives, so popup blockers let it through
+const openCoachingReport = async (agentId: number, print = false) => {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) return;
+  reportWindow.opener = null;
+
+  try {
+    reportWindow.location.href = await apiService.getAgentCoachingReportUrl(agentId, { print });
+  } catch (error) {
+    console.error('❌ Failed to open the coaching report:', error);
+    reportWindow.close();
+  }
+};
+
+const AgentLeaderboard: React.FC = () => {
+  const [sortBy, setSortBy] = useState<AgentSortKey>('overall');
+
+  const { data: leaderboardData } = useQuery({
+    queryKey: ['agent-leaderboard', sortBy],
+    queryFn: () => apiService.getAgentLeaderboard(30, sortBy),
+  });
+
+  const entries = leaderboardData?.data.agents || [];
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow rtl-card">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-medium text-gray-900 hebrew-content">{getUIText('agent_leaderboard')}</h3>
+        <label className="text-sm text-gray-500 hebrew-content">
+          {getUIText('sort_by')}{' '}
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value as AgentSortKey)}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            {sortOptions.map(option => (
+              <option key={option.key} value={option.key}>{getUIText(option.label)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {entries.length > 0 ? (
+        <table className="w-full text-sm hebrew-content">
+          <thead>
+            <tr className="text-gray-500 text-right">
+              <th className="py-2">#</th>
+              <th className="py-2">{getUIText('agent')}</th>
+              <th className="py-2">{getUIText('calls')}</th>
+              <th className="py-2">{getUIText('avg_score')}</th>
+              <th className="py-2">{getUIText('objection_handling')}</th>
+              <th className="py-2">{getUIText('talk_ratio')}</th>
+              <th className="py-2">{getUIText('lead_conversion')}</th>
+              <th className="py-2">{getUIText('coaching_report')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(({ rank, agent, metrics }) => (
+              <tr key={agent.id} className="border-t border-gray-100">
+                <td className="py-2 font-medium text-gray-900">{rank}</td>
+                <td className="py-2 text-gray-900">
+                  {agent.name}
+                  {agent.team && <span className="text-xs text-gray-500"> · {agent.team}</span>}
+                </td>
+                <td className="py-2">{metrics.totalCalls}</td>
+                <td className="py-2">{metrics.averageScores.overall ?? '-'}</td>
+                <td className="py-2">{formatPercent(metrics.objectionHandling.rate)}</td>
+                <td className="py-2">{formatPercent(metrics.talkRatio.agent)}</td>
+                <td className="py-2">
+                  {formatPercent(metrics.highScoreLeads.conversionRate)}
+                  {metrics.highScoreLeads.total > 0 && (
+                    <span className="text-xs text-gray-500">
+                      {' '}({metrics.highScoreLeads.converted}/{metrics.highScoreLeads.total})
+                    </span>
+                  )}
+                </td>
+                <td className="py-2 space-x-2 rtl-space-x-reverse">
+                  <button
+                    onClick={() => openCoachingReport(agent.id)}
+                    className="text-blue-600 hover:underline"
+                  >
+                    HTML
+                  </button>
+                  <button
+                    onClick={() => openCoachingReport(agent.id, true)}
+                    className="text-blue-600 hover:underline"
+                  >
+                    PDF
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-sm text-gray-500 hebrew-content">{getUIText('no_agent_data')}</p>
+      )}
+    </div>
+  );
+};
+
+export default AgentLeaderboard;
@@ -8,28 +8,11 @@ interface ScoreChartProps {
 }
 
 const ScoreChart: React.FC<ScoreChartProps> = ({ data }) => {
-  const chartData = [
-    {
-      category: getCategoryName('urgency'),
-      score: Math.round(data.categoryAverages.urgency),
-      fullMark: 100,
-    },
-    {
-      category: getCategoryName('budget'),
-      score: Math.round(data.categoryAverages.budget),
-      fullMark: 100,
-    },
-    {
-      category: getCategoryName('interest'),
-      score: Math.round(data.categoryAverages.interest),
-      fullMark: 100,
-    },
-    {
-      category: getCategoryName('engagement'),
-      score: Math.round(data.categoryAverages.engagement),
-      fullMark: 100,
-    },
-  ];
+  const chartData = data.categories.map((category) => ({
+    category: getCategoryName(category.key, category.label),
+    score: Math.round(data.categoryAverages[category.key] ?? 0),
+    fullMark: 100,
+  }));
 
   return (
     <div className="bg-white p-6 rounded-lg shadow rtl-card">
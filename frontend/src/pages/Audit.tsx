@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { apiService, AuditEntry, AuditFilters } from '../services/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import { formatHebrewDate, getUIText } from '../utils/hebrewUtils';
+
+const targetTypes = ['customer', 'sales_call', 'configuration', 'prompt_version', 'user', 'agent', 'job', 'trash', 'debug'];
+
+const AuditChanges: React.FC<{ entry: AuditEntry }> = ({ entry }) => {
+  if (!entry.before && !entry.after) {
+    return <span className="text-gray-400">-</span>;
+  }
+
+  return (
+    <details>
+      <summary className="cursor-pointer text-blue-600">{getUIText('audit_changes')}</summary>
+      <div className="grid grid-cols-2 gap-2 mt-2" dir="ltr">
+        {(['before', 'after'] as const).map(side => (
+          <div key={side}>
+            <div className="text-xs text-gray-500 hebrew-content" dir="rtl">{getUIText(`audit_${side}`)}</div>
+            <pre className="text-xs bg-gray-50 p-2 rounded overflow-x-auto max-h-64">
+              {entry[side] ? JSON.stringify(entry[side], null, 2) : '-'}
+            </pre>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+const Audit: React.FC = () => {
+  const [filters, setFilters] = useState<AuditFilters>({ page: 1 });
+
+  // Any filter change starts again from the first page
+  const updateFilters = (changes: AuditFilters) => setFilters(current => ({ ...current, ...changes, page: changes.page ?? 1 }));
+
+  const { data: auditData, isLoading, error } = useQuery({
+    queryKey: ['audit', filters],
+    queryFn: () => apiService.getAuditLog(filters),
+    staleTime: 0,
+  });
+
+  const entries = auditData?.data.entries || [];
+  const pagination = auditData?.data.pagination;
+
+  return (
+    <div className="space-y-6 rtl-layout">
+      <h1 className="text-3xl font-bold text-gray-900 hebrew-content">{getUIText('audit_log')}</h1>
+
+      <div className="bg-white p-4 rounded-lg shadow rtl-card flex flex-wrap gap-4 items-end text-sm hebrew-content">
+        <select
+          value={filters.targetType || ''}
+          onChange={(e) => updateFilters({ targetType: e.target.value || undefined })}
+          className="border border-gray-300 rounded-md px-2 py-1"
+        >
+          <option value="">{getUIText('audit_all_targets')}</option>
+          {targetTypes.map(type => (
+            <option key={type} value={type}>{getUIText(`target_${type}`)}</option>
+          ))}
+        </select>
+        <label>
+          {getUIText('audit_target_id')}{' '}
+          <input
+            type="number"
+            min={1}
+            value={filters.targetId ?? ''}
+            onChange={(e) => updateFilters({ targetId: e.target.value ? parseInt(e.target.value) : undefined })}
+            className="border border-gray-300 rounded-md px-2 py-1 w-24"
+          />
+        </label>
+        <label>
+          {getUIText('audit_from')}{' '}
+          <input
+            type="date"
+            value={filters.from || ''}
+            onChange={(e) => updateFilters({ from: e.target.value || undefined })}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          />
+        </label>
+        <label>
+          {getUIText('audit_to')}{' '}
+          <input
+            type="date"
+            value={filters.to?.slice(0, 10) || ''}
+            // The whole end day is included
+            onChange={(e) => updateFilters({ to: e.target.value ? `${e.target.value}T23:59:59` : undefined })}
+            className="border border-gray-300 rounded-md px-2 py-1"
+          />
+        </label>
+        {filters.actorId && (
+          <button onClick={() => updateFilters({ actorId: undefined })} className="text-blue-600 hover:underline">
+            {getUIText('audit_clear_actor')}
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : error ? (
+        <ErrorMessage message="Failed to load the audit log" />
+      ) : entries.length > 0 ? (
+        <div className="bg-white p-6 rounded-lg shadow rtl-card">
+          <table className="w-full text-sm hebrew-content">
+            <thead>
+              <tr className="text-gray-500 text-right">
+                <th className="py-2">{getUIText('audit_time')}</th>
+                <th className="py-2">{getUIText('audit_actor')}</th>
+                <th className="py-2">{getUIText('audit_action')}</th>
+                <th className="py-2">{getUIText('audit_target')}</th>
+                <th className="py-2">{getUIText('audit_ip')}</th>
+                <th className="py-2">{getUIText('audit_changes')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id} className="border-t border-gray-100 align-top">
+                  <td className="py-2 whitespace-nowrap">{formatHebrewDate(entry.createdAt)}</td>
+                  <td className="py-2">
+                    {entry.actor ? (
+                      <button
+                        onClick={() => entry.actor?.id && updateFilters({ actorId: entry.actor.id })}
+                        className="text-blue-600 hover:underline"
+                      >
+                        {entry.actor.email}
+                      </button>
+                    ) : '-'}
+                    {entry.actor?.role && (
+                      <span className="text-xs text-gray-500"> · {getUIText(`role_${entry.actor.role}`)}</span>
+                    )}
+                  </td>
+                  <td className="py-2 font-mono text-xs" dir="ltr">{entry.action}</td>
+                  <td className="py-2">
+                    {entry.targetType ? getUIText(`target_${entry.targetType}`) : '-'}
+                    {entry.targetId !== null && ` #${entry.targetId}`}
+                  </td>
+                  <td className="py-2 font-mono text-xs" dir="ltr">{entry.ipAddress || '-'}</td>
+                  <td className="py-2 w-1/3"><AuditChanges entry={entry} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {pagination && pagination.pages > 1 && (
+            <div className="flex justify-between items-center mt-4 text-sm">
+              <button
+                disabled={pagination.page <= 1}
+                onClick={() => updateFilters({ page: pagination.page - 1 })}
+                className="text-blue-600 disabled:text-gray-400"
+              >
+                {getUIText('previous_page')}
+              </button>
+              <span className="text-gray-500">{pagination.page} / {pagination.pages}</span>
+              <button
+                disabled={pagination.page >= pagination.pages}
+                onClick={() => updateFilters({ page: pagination.page + 1 })}
+                className="text-blue-600 disabled:text-gray-400"
+              >
+                {getUIText('next_page')}
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 hebrew-content">{getUIText('audit_empty')}</p>
+      )}
+    </div>
+  );
+};
+
+export default Audit;
@@ -4,6 +4,7 @@ import { apiService } from '../services/api';
 import StatsCards from '../components/dashboard/StatsCards';
 import ScoreChart from '../components/dashboard/ScoreChart';
 import RecentActivity from '../components/dashboard/RecentActivity';
+import AgentLeaderboard from '../components/dashboard/AgentLeaderboard';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import ErrorMessage from '../components/common/ErrorMessage';
 import { getUIText } from '../utils/hebrewUtils';
@@ -66,6 +67,8 @@ const Dashboard: React.FC = () => {
         )}
         <RecentActivity />
       </div>
+
+      <AgentLeaderboard />
     </div>
   );
 };
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { useAuth } from '../components/auth/AuthProvider';
+import { getUIText } from '../utils/hebrewUtils';
+
+const Login: React.FC = () => {
+  const { login } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await login(email, password);
+    } catch (loginError) {
+      console.error('❌ Login failed:', loginError);
+      setError(getUIText('login_failed'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 rtl-layout">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white shadow rounded-lg p-8 space-y-4">
+        <h1 className="text-xl font-bold text-gray-900 hebrew-content text-center">
+          מערכת ניתוח שיחות מכירה בעברית
+        </h1>
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 hebrew-content">
+            {getUIText('email')}
+          </label>
+          <input
+            id="email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            dir="ltr"
+            autoComplete="username"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700 hebrew-content">
+            {getUIText('password')}
+          </label>
+          <input
+            id="password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            dir="ltr"
+            autoComplete="current-password"
+            required
+          />
+        </div>
+        {error && (
+          <p className="text-sm text-red-600 hebrew-content">{error}</p>
+        )}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 hebrew-content"
+        >
+          {submitting ? getUIText('loading') : getUIText('login')}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
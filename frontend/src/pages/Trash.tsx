@@ -0,0 +1,150 @@
+import React from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { apiService } from '../services/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import { formatHebrewDate, getUIText } from '../utils/hebrewUtils';
+import { useAuth } from '../components/auth/AuthProvider';
+
+const Trash: React.FC = () => {
+  const { hasRole } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data: trashData, isLoading, error } = useQuery({
+    queryKey: ['trash'],
+    queryFn: apiService.getTrash,
+    staleTime: 0,
+  });
+
+  // Restored items show up again in every list and statistic
+  const onRestored = () => {
+    ['trash', 'customers', 'analyses', 'dashboard-stats', 'agent-leaderboard'].forEach(key =>
+      queryClient.invalidateQueries({ queryKey: [key] })
+    );
+  };
+
+  const onRestoreFailed = (restoreError: unknown) => {
+    console.error('❌ Restore failed:', restoreError);
+    alert(getUIText('trash_restore_failed'));
+  };
+
+  const restoreCallMutation = useMutation({
+    mutationFn: apiService.restoreSalesCall,
+    onSuccess: onRestored,
+    onError: onRestoreFailed,
+  });
+
+  const restoreCustomerMutation = useMutation({
+    mutationFn: apiService.restoreCustomer,
+    onSuccess: onRestored,
+    onError: onRestoreFailed,
+  });
+
+  const trash = trashData?.data;
+  const salesCalls = trash?.salesCalls || [];
+  const customers = trash?.customers || [];
+  const restoring = restoreCallMutation.isPending || restoreCustomerMutation.isPending;
+
+  return (
+    <div className="space-y-6 rtl-layout">
+      <h1 className="text-3xl font-bold text-gray-900 hebrew-content">{getUIText('trash')}</h1>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : error ? (
+        <ErrorMessage message="Failed to load the trash" />
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 hebrew-content">
+            {getUIText('trash_retention')}: {trash?.retentionDays}
+          </p>
+
+          {hasRole('admin') && (
+            <div className="bg-white p-6 rounded-lg shadow rtl-card">
+              <h3 className="text-lg font-medium text-gray-900 mb-4 hebrew-content">{getUIText('trash_customers')}</h3>
+              {customers.length > 0 ? (
+                <table className="w-full text-sm hebrew-content">
+                  <thead>
+                    <tr className="text-gray-500 text-right">
+                      <th className="py-2">{getUIText('name')}</th>
+                      <th className="py-2">{getUIText('phone')}</th>
+                      <th className="py-2">{getUIText('calls')}</th>
+                      <th className="py-2">{getUIText('trash_deleted_at')}</th>
+                      <th className="py-2">{getUIText('trash_purge_at')}</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {customers.map(customer => (
+                      <tr key={customer.id} className="border-t border-gray-100">
+                        <td className="py-2 text-gray-900">{customer.name}</td>
+                        <td className="py-2" dir="ltr">{customer.phone}</td>
+                        <td className="py-2">{customer.totalCalls}</td>
+                        <td className="py-2 whitespace-nowrap">{formatHebrewDate(customer.deletedAt)}</td>
+                        <td className="py-2 whitespace-nowrap">{formatHebrewDate(customer.purgeAt)}</td>
+                        <td className="py-2">
+                          <button
+                            disabled={restoring}
+                            onClick={() => restoreCustomerMutation.mutate(customer.id)}
+                            className="text-blue-600 hover:underline disabled:text-gray-400"
+                          >
+                            {getUIText('trash_restore')}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500 hebrew-content">{getUIText('trash_empty')}</p>
+              )}
+            </div>
+          )}
+
+          <div className="bg-white p-6 rounded-lg shadow rtl-card">
+            <h3 className="text-lg font-medium text-gray-900 mb-4 hebrew-content">{getUIText('trash_calls')}</h3>
+            {salesCalls.length > 0 ? (
+              <table className="w-full text-sm hebrew-content">
+                <thead>
+                  <tr className="text-gray-500 text-right">
+                    <th className="py-2">{getUIText('name')}</th>
+                    <th className="py-2">{getUIText('overall_score')}</th>
+                    <th className="py-2">{getUIText('trash_deleted_at')}</th>
+                    <th className="py-2">{getUIText('trash_purge_at')}</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {salesCalls.map(salesCall => (
+                    <tr key={salesCall.id} className="border-t border-gray-100">
+                      <td className="py-2 text-gray-900">
+                        {salesCall.customer.name}
+                        <span className="text-xs text-gray-500"> · #{salesCall.id}</span>
+                      </td>
+                      <td className="py-2">{salesCall.overallScore ?? '-'}</td>
+                      <td className="py-2 whitespace-nowrap">{formatHebrewDate(salesCall.deletedAt)}</td>
+                      <td className="py-2 whitespace-nowrap">{formatHebrewDate(salesCall.purgeAt)}</td>
+                      <td className="py-2">
+                        <button
+                          disabled={restoring}
+                          onClick={() => restoreCallMutation.mutate(salesCall.id)}
+                          className="text-blue-600 hover:underline disabled:text-gray-400"
+                        >
+                          {getUIText('trash_restore')}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-sm text-gray-500 hebrew-content">{getUIText('trash_empty')}</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,11 +1,12 @@
-import React, { useState } from 'react';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { apiService } from '../services/api';
 import FileUpload from '../components/upload/FileUpload';
 import CustomerForm from '../components/upload/CustomerForm';
 import UploadProgress from '../components/upload/UploadProgress';
 import { CloudArrowUpIcon } from '@heroicons/react/24/outline';
 import { getUIText } from '../utils/hebrewUtils';
+import { useAuth } from '../components/auth/AuthProvider';
 
 const Upload: React.FC = () => {
   console.log('📤 Upload Component: Initializing file upload interface');
@@ -16,8 +17,57 @@ const Upload: React.FC = () => {
     phone: '',
     email: '',
   });
+  const [agentId, setAgentId] = useState('');
   const [uploading, setUploading] = useState(false);
+  const [jobId, setJobId] = useState<number | null>(null);
   const queryClient = useQueryClient();
+  const { hasRole } = useAuth();
+
+  // Agents always upload as themselves; admins and managers pick whose call it is
+  const canChooseAgent = hasRole('admin', 'manager');
+  const { data: agentsData } = useQuery({
+    queryKey: ['agents'],
+    queryFn: apiService.getAgents,
+    enabled: canChooseAgent,
+  });
+
+  // Poll the background analysis job until it finishes
+  const { data: jobData } = useQuery({
+    queryKey: ['job', jobId],
+    queryFn: () => apiService.getJob(jobId as number),
+    enabled: jobId !== null,
+    refetchInterval: (query) => {
+      const status = query.state.data?.data.status;
+      return status === 'done' || status === 'failed' ? false : 3000;
+    },
+  });
+  const job = jobData?.data;
+
+  useEffect(() => {
+    if (!job || (job.status !== 'done' && job.status !== 'failed')) {
+      return;
+    }
+
+    console.log('📋 Analysis Job Finished:', job);
+
+    if (job.status === 'done') {
+      alert(`✅ Analysis completed successfully!\n\nOverall Score: ${job.result?.scoring.scores.overall}/100\n\nYou can view the detailed analysis in the Analysis section.`);
+    } else {
+      alert(`⚠️ File uploaded successfully, but analysis failed.\n\nError: ${job.lastError}\n\nYou can retry the analysis later.`);
+    }
+
+    try {
+      queryClient.invalidateQueries({ queryKey: ['dashboard-stats'] });
+      queryClient.invalidateQueries({ queryKey: ['analyses'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+      queryClient.invalidateQueries({ queryKey: ['agent-leaderboard'] });
+    } catch (error) {
+      console.warn('⚠️ Query invalidation failed:', error);
+    }
+    setJobId(null);
+  }, [job, queryClient]);
+
+  const analyzing = jobId !== null;
 
   console.log('📁 Upload State:', { file: file?.name, customerData, uploading });
 
@@ -26,22 +76,13 @@ const Upload: React.FC = () => {
     onSuccess: (data) => {
       console.log('✅ Upload Mutation Success:', data);
       
-      // Show success message with analysis status
-      if (data.data.analysisStatus === 'completed') {
-        alert(`✅ Upload and analysis completed successfully!\n\nCustomer: ${data.data.customer.name}\nOverall Score: ${data.data.scoring?.scores.overall}/100\n\nYou can view the detailed analysis in the Analysis section.`);
-      } else if (data.data.analysisStatus === 'failed') {
-        alert(`⚠️ File uploaded successfully, but analysis failed.\n\nError: ${data.data.analysisError}\n\nYou can retry the analysis later.`);
+      // Analysis runs in the background, track the queued job
+      if (data.data.jobId) {
+        setJobId(data.data.jobId);
       } else {
         alert('✅ File uploaded successfully!');
       }
       
-      try {
-        queryClient.invalidateQueries({ queryKey: ['dashboard-stats'] });
-        queryClient.invalidateQueries({ queryKey: ['analyses'] });
-        queryClient.invalidateQueries({ queryKey: ['customers'] });
-      } catch (error) {
-        console.warn('⚠️ Query invalidation failed:', error);
-      }
       setFile(null);
       setCustomerData({ name: '', phone: '', email: '' });
       setUploading(false);
@@ -76,6 +117,9 @@ const Upload: React.FC = () => {
     if (customerData.email) {
       formData.append('customerEmail', customerData.email);
     }
+    if (agentId) {
+      formData.append('agentId', agentId);
+    }
 
     console.log('📦 FormData Prepared:', Array.from(formData.entries()).map(([key, value]) => `${key}: ${value instanceof File ? value.name : value}`));
 
@@ -96,16 +140,35 @@ const Upload: React.FC = () => {
       <div className="bg-white shadow rounded-lg p-6 space-y-6 rtl-card">
         <FileUpload onFileSelect={setFile} selectedFile={file} />
         <CustomerForm data={customerData} onChange={setCustomerData} />
+
+        {canChooseAgent && (agentsData?.data.length ?? 0) > 0 && (
+          <div>
+            <label htmlFor="agent" className="block text-sm font-medium text-gray-700 hebrew-content">
+              {getUIText('agent')}
+            </label>
+            <select
+              id="agent"
+              value={agentId}
+              onChange={(e) => setAgentId(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm rtl-input"
+            >
+              <option value="">{getUIText('agent_default')}</option>
+              {agentsData?.data.map(agent => (
+                <option key={agent.id} value={agent.id}>{agent.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
         
-        {uploading && <UploadProgress />}
+        {(uploading || analyzing) && <UploadProgress jobStatus={job?.status ?? (analyzing ? 'queued' : undefined)} />}
         
         <div className="flex justify-end rtl-justify-start">
           <button
             onClick={handleUpload}
-            disabled={!file || !customerData.name || !customerData.phone || uploading}
+            disabled={!file || !customerData.name || !customerData.phone || uploading || analyzing}
             className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rtl-button"
           >
-            {uploading ? 'מעלה ומנתח...' : 'העלאה וניתוח'}
+            {uploading || analyzing ? 'מעלה ומנתח...' : 'העלאה וניתוח'}
           </button>
         </div>
       </div>
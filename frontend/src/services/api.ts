@@ -2,14 +2,164 @@ import { config } from '../config/environment';
 
 const API_BASE = config.API_BASE_URL;
 
+export type UserRole = 'admin' | 'manager' | 'agent';
+
+export interface User {
+  id: number;
+  email: string;
+  name: string;
+  role: UserRole;
+  team: string | null;
+  isActive: boolean;
+  lastLoginAt: string | null;
+  createdAt: string;
+}
+
+const TOKEN_KEY = 'talk2close_token';
+const USER_KEY = 'talk2close_user';
+
+// Fired when the server rejects the stored token, so the app can return to the login screen
+export const AUTH_EXPIRED_EVENT = 'talk2close:auth-expired';
+
+export const authStorage = {
+  getToken: (): string | null => localStorage.getItem(TOKEN_KEY),
+  getUser: (): User | null => {
+    const stored = localStorage.getItem(USER_KEY);
+    return stored ? JSON.parse(stored) : null;
+  },
+  save: (token: string, user: User) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+  },
+  clear: () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+  },
+};
+
+const authHeaders = (): Record<string, string> => {
+  const token = authStorage.getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Audio elements and report links cannot send headers, so their URLs carry a short-lived
+// media token issued for that one path instead of the session token
+export const withMediaToken = async (url: string): Promise<string> => {
+  const path = new URL(url, window.location.origin).pathname;
+  const response = await fetch(`${API_BASE}/auth/media-token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ path }),
+  });
+
+  if (!response.ok) {
+    handleUnauthorized(response);
+    throw new Error(`Media token request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const { data } = await response.json();
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(data.token)}`;
+};
+
+const handleUnauthorized = (response: Response) => {
+  if (response.status === 401) {
+    authStorage.clear();
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+};
+
+export type CustomerStatus = 'lead' | 'converted' | 'lost';
+
 export interface Customer {
   id: number;
   name: string;
   phone: string;
   email?: string;
+  status?: CustomerStatus;
+  createdAt: string;
+}
+
+export interface Agent {
+  id: number;
+  name: string;
+  email?: string | null;
+  team?: string | null;
+  userId?: number | null;
+  isActive: boolean;
+  totalCalls?: number;
   createdAt: string;
 }
 
+export interface AgentMetrics {
+  totalCalls: number;
+  scoredCalls: number;
+  averageScores: Record<string, number | null>;
+  objectionHandling: { callsWithObjections: number; handled: number; rate: number | null };
+  talkRatio: { agent: number | null; customer: number | null; callsMeasured: number };
+  highScoreLeads: { threshold: number; total: number; converted: number; conversionRate: number | null };
+}
+
+export type AgentSortKey = 'overall' | 'objectionHandling' | 'conversion' | 'calls';
+
+export interface AgentLeaderboard {
+  period: number;
+  sortBy: AgentSortKey;
+  agents: Array<{
+    rank: number;
+    agent: Pick<Agent, 'id' | 'name' | 'team'>;
+    metrics: AgentMetrics;
+  }>;
+}
+
+export interface AuditEntry {
+  id: number;
+  action: string;
+  targetType: string | null;
+  targetId: number | null;
+  actor: { id: number | null; email: string | null; role: UserRole | null } | null;
+  before: Record<string, any> | null;
+  after: Record<string, any> | null;
+  ipAddress: string | null;
+  createdAt: string;
+}
+
+export interface AuditFilters {
+  actorId?: number;
+  targetType?: string;
+  targetId?: number;
+  from?: string;
+  to?: string;
+  page?: number;
+}
+
+export interface TrashedSalesCall {
+  id: number;
+  audioFilePath: string;
+  overallScore: number | null;
+  createdAt: string;
+  deletedAt: string;
+  purgeAt: string;
+  customer: { id: number; name: string; phone: string };
+}
+
+export interface TrashedCustomer {
+  id: number;
+  name: string;
+  phone: string;
+  email: string | null;
+  status: string;
+  createdAt: string;
+  deletedAt: string;
+  purgeAt: string;
+  totalCalls: number;
+}
+
+export interface TrashContents {
+  retentionDays: number;
+  salesCalls: TrashedSalesCall[];
+  customers: TrashedCustomer[];
+}
+
 export interface SalesCall {
   id: number;
   customerId: number;
@@ -20,6 +170,7 @@ export interface SalesCall {
   interestScore?: number;
   engagementScore?: number;
   overallScore?: number;
+  categoryScores?: Record<string, CategoryScore>;
   analysisNotes?: string;
   // Enhanced analysis fields
   sentimentScore?: number;
@@ -31,10 +182,104 @@ export interface SalesCall {
   enhancedNotes?: string;
   analysisVersion?: string;
   gpt4AnalysisUsed?: boolean;
+  scoringConfigurationId?: number;
+  diarization?: Diarization;
+  scoreEvidence?: ScoreEvidence[];
+  agentId?: number | null;
+  agent?: Pick<Agent, 'id' | 'name'> | null;
   createdAt: string;
   customer: Customer;
 }
 
+export interface CategoryScore {
+  label: string;
+  weight: number | null;
+  score: number;
+}
+
+export type Speaker = 'agent' | 'customer';
+
+export interface SpeakerTurn {
+  speaker: Speaker;
+  start: number | null;
+  end: number | null;
+  text: string;
+}
+
+export interface SpeakerTalkTime {
+  turns: number;
+  talkTime: number;
+  wordCount: number;
+  percentage: number;
+}
+
+export interface TalkTimeStats {
+  basis: 'time' | 'words';
+  agent: SpeakerTalkTime;
+  customer: SpeakerTalkTime;
+}
+
+export interface ScoreEvidence {
+  // A scored category key, or 'objection'
+  category: string;
+  // 'phrase' for a matched phrase, 'bonus' and 'cap' for the rest of the category score
+  kind?: 'phrase' | 'bonus' | 'cap';
+  // Why a bonus was given: several affirmed phrases of a tier, or a long call
+  reason?: 'multi_match' | 'call_length' | null;
+  phrase: string | null;
+  // 'high', 'medium', a tier of a custom category, or 'objection'
+  tier: string | null;
+  // Character offset in the transcript
+  offset: number | null;
+  start: number | null;
+  end: number | null;
+  polarity: 'affirmed' | 'negated' | 'hedged' | null;
+  cue: string | null;
+  // Whether this occurrence is the one its phrase was scored by
+  counted?: boolean;
+  points: number;
+}
+
+export interface TranscriptWord {
+  word: string;
+  start: number;
+  end: number;
+}
+
+export interface TranscriptSegment {
+  id: number;
+  segmentIndex: number;
+  start: number;
+  end: number;
+  text: string;
+  speaker: Speaker | null;
+  confidence: number | null;
+  words: TranscriptWord[];
+}
+
+export interface AnalysisRun {
+  id: number;
+  isCurrent: boolean;
+  source: 'legacy' | 'upload' | 'analyze' | 'retry' | 'score' | 'rescore';
+  scores: CategoryScores;
+  categoryScores: Record<string, CategoryScore> | null;
+  analysisNotes: string | null;
+  enhancedNotes: string | null;
+  analysisVersion: string | null;
+  gpt4AnalysisUsed: boolean;
+  analysisConfidence: number | null;
+  scoringConfigurationId: number | null;
+  promptVersions: Record<string, number> | null;
+  jobId: number | null;
+  createdAt: string;
+}
+
+export interface Diarization {
+  backend: string;
+  turns: SpeakerTurn[];
+  stats: TalkTimeStats;
+}
+
 export interface DashboardStats {
   overview: {
     totalCustomers: number;
@@ -65,12 +310,8 @@ export interface ScoringAnalytics {
     medium: number;
     low: number;
   };
-  categoryAverages: {
-    urgency: number;
-    budget: number;
-    interest: number;
-    engagement: number;
-  };
+  categoryAverages: Record<string, number | null>;
+  categories: Array<{ key: string; label: string }>;
   topPerformers: Array<{
     customerId: number;
     customerName: string;
@@ -79,16 +320,104 @@ export interface ScoringAnalytics {
   }>;
   improvementAreas: Array<{
     category: string;
+    label: string;
     averageScore: number;
     recommendation: string;
   }>;
 }
 
+export type JobStatus = 'queued' | 'transcribing' | 'scoring' | 'failed' | 'done';
+
+export interface Job {
+  id: number;
+  type: string;
+  status: JobStatus;
+  salesCallId?: number;
+  attempts: number;
+  maxAttempts: number;
+  lastError?: string;
+  progress?: {
+    total: number;
+    processed: number;
+    succeeded: number;
+    failed: number;
+  };
+  result?: {
+    salesCallId: number;
+    transcription: {
+      text: string;
+      duration: number;
+      wordCount: number;
+    };
+    scoring: {
+      scores: {
+        urgency: number;
+        budget: number;
+        interest: number;
+        engagement: number;
+        overall: number;
+      };
+      analysis: {
+        keyPhrases: Record<string, string[]>;
+        objections: string[];
+        notes: string;
+        confidence: number;
+      };
+    };
+  };
+  runAt: string;
+  startedAt?: string;
+  completedAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Scores by category key: the built-in four, any configured custom categories, and overall
+export type CategoryScores = Record<string, number>;
+
+export interface ScoreDistribution {
+  mean: number | null;
+  median: number | null;
+  buckets: { min: number; max: number; count: number }[];
+}
+
+export interface ConfigurationSimulation {
+  configuration: { id: number; name: string; isActive: boolean };
+  baseline: { id: number | null; name: string };
+  callsSimulated: number;
+  calls: {
+    salesCallId: number;
+    customerId: number;
+    customerName: string | null;
+    current: CategoryScores;
+    simulated: CategoryScores;
+    delta: Record<string, number | null>;
+  }[];
+  priorities: {
+    customersAffected: number;
+    changes: {
+      customerId: number;
+      customerName: string | null;
+      currentRank: number;
+      simulatedRank: number;
+      rankChange: number;
+      currentAvgScore: number;
+      simulatedAvgScore: number;
+    }[];
+  };
+  distribution: Record<string, {
+    current: ScoreDistribution;
+    simulated: ScoreDistribution;
+    meanShift: number | null;
+  }>;
+}
+
 export interface UploadResponse {
   success: boolean;
   message: string;
   data: {
     salesCallId: number;
+    jobId?: number;
     customer: Customer;
     file?: {
       originalName: string;
@@ -170,16 +499,18 @@ class ApiService {
       console.log(`🌐 API Request: ${API_BASE}${endpoint}`);
       
       const response = await fetch(`${API_BASE}${endpoint}`, {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
           ...options?.headers,
         },
-        ...options,
       });
 
       console.log(`📡 API Response: ${response.status} ${response.statusText}`);
 
       if (!response.ok) {
+        handleUnauthorized(response);
         const errorText = await response.text();
         console.error(`❌ API Error: ${response.status} ${response.statusText}`, errorText);
         throw new Error(`API request failed: ${response.status} ${response.statusText}`);
@@ -194,6 +525,28 @@ class ApiService {
     }
   }
 
+  // Auth
+  login = async (email: string, password: string): Promise<{ success: boolean; data: { token: string; expiresAt: string; user: User } }> => {
+    const result = await this.request<{ success: boolean; data: { token: string; expiresAt: string; user: User } }>('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+    authStorage.save(result.data.token, result.data.user);
+    return result;
+  }
+
+  logout = async (): Promise<void> => {
+    try {
+      await this.request('/auth/logout', { method: 'POST' });
+    } finally {
+      authStorage.clear();
+    }
+  }
+
+  getCurrentUser = async (): Promise<{ success: boolean; data: User }> => {
+    return this.request('/auth/me');
+  }
+
   // Dashboard
   getDashboardStats = async (): Promise<{ success: boolean; data: DashboardStats }> => {
     return this.request('/dashboard/stats');
@@ -210,12 +563,14 @@ class ApiService {
       
       const response = await fetch(`${API_BASE}/upload`, {
         method: 'POST',
+        headers: authHeaders(),
         body: formData,
       });
 
       console.log(`📡 Upload Response: ${response.status} ${response.statusText}`);
 
       if (!response.ok) {
+        handleUnauthorized(response);
         const errorText = await response.text();
         console.error(`❌ Upload Error: ${response.status} ${response.statusText}`, errorText);
         throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
@@ -230,6 +585,11 @@ class ApiService {
     }
   }
 
+  // Jobs
+  getJob = async (jobId: number): Promise<{ success: boolean; data: Job }> => {
+    return this.request(`/jobs/${jobId}`);
+  }
+
   // Analysis
   analyzeFile = async (salesCallId: number): Promise<AnalysisResponse> => {
     return this.request('/analyze', {
@@ -242,6 +602,20 @@ class ApiService {
     return this.request(`/analyze/${salesCallId}`);
   }
 
+  getTranscriptSegments = async (salesCallId: number): Promise<{ success: boolean; data: { salesCallId: number; segments: TranscriptSegment[] } }> => {
+    return this.request(`/analyze/${salesCallId}/segments`);
+  }
+
+  getAnalysisRuns = async (salesCallId: number): Promise<{ success: boolean; data: { salesCallId: number; currentRunId: number | null; runs: AnalysisRun[] } }> => {
+    return this.request(`/analyze/${salesCallId}/runs`);
+  }
+
+  restoreAnalysisRun = async (salesCallId: number, runId: number): Promise<{ success: boolean; data: { salesCallId: number; run: AnalysisRun } }> => {
+    return this.request(`/analyze/${salesCallId}/runs/${runId}/restore`, {
+      method: 'POST',
+    });
+  }
+
   getAllAnalyses = async (): Promise<{ success: boolean; data: { analyses: SalesCall[] } }> => {
     return this.request('/analyze');
   }
@@ -267,9 +641,56 @@ class ApiService {
     return this.request(`/customers/${id}`);
   }
 
+  // Agents
+  getAgents = async (): Promise<{ success: boolean; data: Agent[] }> => {
+    return this.request('/agents');
+  }
+
+  getAgentLeaderboard = async (period = 30, sortBy: AgentSortKey = 'overall'): Promise<{ success: boolean; data: AgentLeaderboard }> => {
+    return this.request(`/agents/leaderboard?period=${period}&sortBy=${sortBy}`);
+  }
+
+  // Weekly coaching report page; with print the browser opens its print dialog to save a PDF
+  getAgentCoachingReportUrl = async (id: number, { week, print = false }: { week?: string; print?: boolean } = {}): Promise<string> => {
+    const params = new URLSearchParams({ format: 'html' });
+    if (week) params.set('week', week);
+    if (print) params.set('print', 'true');
+    return withMediaToken(`${API_BASE}/agents/${id}/coaching?${params.toString()}`);
+  }
+
+  getAgent = async (id: number, period = 30): Promise<{ success: boolean; data: { agent: Agent; period: number; metrics: AgentMetrics } }> => {
+    return this.request(`/agents/${id}?period=${period}`);
+  }
+
+  // Audit log (admin only)
+  getAuditLog = async (filters: AuditFilters = {}): Promise<{ success: boolean; data: { entries: AuditEntry[]; pagination: { page: number; limit: number; total: number; pages: number } } }> => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') params.set(key, String(value));
+    });
+    return this.request(`/audit?${params.toString()}`);
+  }
+
+  // Trash: calls in the user's scope, customers for admins only
+  getTrash = async (): Promise<{ success: boolean; data: TrashContents }> => {
+    return this.request('/trash');
+  }
+
+  restoreSalesCall = async (salesCallId: number): Promise<{ success: boolean; data: { restoredId: number; customerId: number } }> => {
+    return this.request(`/trash/calls/${salesCallId}/restore`, {
+      method: 'POST',
+    });
+  }
+
+  restoreCustomer = async (customerId: number): Promise<{ success: boolean; data: { restoredCustomerId: number; restoredSalesCalls: number } }> => {
+    return this.request(`/trash/customers/${customerId}/restore`, {
+      method: 'POST',
+    });
+  }
+
   // Audio
-  getAudioUrl = (salesCallId: number): string => {
-    return `${API_BASE}/audio/${salesCallId}`;
+  getAudioUrl = async (salesCallId: number): Promise<string> => {
+    return withMediaToken(`${API_BASE}/audio/${salesCallId}`);
   }
 
   // Optional: Audio metadata endpoint for future use
@@ -308,6 +729,19 @@ class ApiService {
     });
   }
 
+  activateConfiguration = async (id: number): Promise<{ success: boolean; data: any }> => {
+    return this.request(`/configuration/${id}/activate`, {
+      method: 'POST',
+    });
+  }
+
+  simulateConfiguration = async (id: number, limit?: number): Promise<{ success: boolean; data: ConfigurationSimulation }> => {
+    return this.request(`/configuration/${id}/simulate`, {
+      method: 'POST',
+      body: JSON.stringify(limit ? { limit } : {}),
+    });
+  }
+
   // Debug dashboard methods
   getDebugSessions = async (): Promise<{ success: boolean; data: { sessions: any[] } }> => {
     return this.request('/debug/sessions');
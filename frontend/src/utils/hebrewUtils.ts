@@ -48,14 +48,15 @@ export const truncateHebrewText = (text: string, maxLength: number): string => {
   return text.substring(0, maxLength) + '...';
 };
 
-export const getCategoryName = (category: string): string => {
+// Built-in categories are translated; configured custom categories show their own label
+export const getCategoryName = (category: string, label?: string): string => {
   const categoryNames: Record<string, string> = {
     urgency: 'דחיפות',
     budget: 'תקציב',
     interest: 'עניין',
     engagement: 'מעורבות'
   };
-  return categoryNames[category] || category;
+  return categoryNames[category] || label || category;
 };
 
 export const getCategoryDescription = (category: string): string => {
@@ -126,10 +127,24 @@ export const getUIText = (key: string): string => {
     'upload_progress': 'מתקדם בהעלאה...',
     'upload_success': 'הקובץ הועלה בהצלחה',
     'upload_error': 'שגיאה בהעלאת הקובץ',
+    'job_queued': 'השיחה ממתינה בתור לניתוח...',
+    'job_transcribing': 'מתמלל את השיחה...',
+    'job_scoring': 'מחשב ציונים...',
     
     // Analysis
     'analysis_results': 'תוצאות ניתוח',
     'score_breakdown': 'פירוט ציונים',
+    'scoreEvidence': 'ראיות לציון',
+    'noEvidence': 'לא נמצאו ביטויים',
+    'points': 'נקודות',
+    'objectionsEvidence': 'התנגדויות שזוהו',
+    'objection': 'התנגדות',
+    'negated': 'בשלילה',
+    'hedged': 'בהסתייגות',
+    'jumpToMoment': 'מעבר לרגע בהקלטה',
+    'evidence_multi_match': 'בונוס על כמה ביטויים',
+    'evidence_call_length': 'בונוס על אורך השיחה',
+    'evidence_cap': 'התאמה לטווח 0-100',
     'hebrew_insights': 'תובנות בעברית',
     'transcript': 'תמלול',
     'category_scores': 'ציוני קטגוריות',
@@ -175,6 +190,11 @@ export const getUIText = (key: string): string => {
     'customerEngagement': 'מעורבות לקוח',
     'agentEffectiveness': 'יעילות נציג',
     'objectionsRaised': 'התנגדויות שהועלו',
+    'talkTime': 'זמן דיבור',
+    'customerTalkTime': 'זמן דיבור לקוח',
+    'agentTalkTime': 'זמן דיבור נציג',
+    'speakerTurns': 'תורות דיבור',
+    'talkTimeByWords': 'לפי מספר מילים',
     'strength': 'עוצמה',
     'suggestedResponse': 'תגובה מוצעת',
     'keyInsights': 'תובנות מרכזיות',
@@ -214,6 +234,67 @@ export const getUIText = (key: string): string => {
     'created_at': 'נוצר ב',
     'last_analysis': 'ניתוח אחרון',
     
+    // Authentication
+    'login': 'התחברות',
+    'logout': 'התנתקות',
+    'password': 'סיסמה',
+    'login_failed': 'אימייל או סיסמה שגויים',
+    'role_admin': 'מנהל מערכת',
+    'role_manager': 'מנהל צוות',
+    'role_agent': 'נציג מכירות',
+
+    // Agents
+    'agent_leaderboard': 'טבלת נציגים',
+    'agent': 'נציג',
+    'agent_default': 'ברירת מחדל (הנציג המקושר לחשבון שלי)',
+    'calls': 'שיחות',
+    'avg_score': 'ציון ממוצע',
+    'objection_handling': 'טיפול בהתנגדויות',
+    'talk_ratio': 'יחס דיבור (נציג)',
+    'lead_conversion': 'המרת לידים חמים',
+    'sort_by': 'מיון לפי',
+    'no_agent_data': 'אין נתוני נציגים לתקופה זו',
+    'coaching_report': 'דוח אימון שבועי',
+
+    // Audit log
+    'audit_log': 'יומן פעולות',
+    'audit_time': 'זמן',
+    'audit_actor': 'מבצע',
+    'audit_action': 'פעולה',
+    'audit_target': 'יעד',
+    'audit_ip': 'כתובת IP',
+    'audit_changes': 'שינויים',
+    'audit_before': 'לפני',
+    'audit_after': 'אחרי',
+    'audit_all_targets': 'כל סוגי היעדים',
+    'audit_target_id': 'מזהה יעד',
+    'audit_from': 'מתאריך',
+    'audit_to': 'עד תאריך',
+    'audit_clear_actor': 'הצג את כל המבצעים',
+    'audit_empty': 'אין רשומות ביומן',
+    'target_customer': 'לקוח',
+    'target_sales_call': 'שיחת מכירה',
+    'target_configuration': 'תצורת ניקוד',
+    'target_prompt_version': 'גרסת פרומפט',
+    'target_user': 'משתמש',
+    'target_agent': 'נציג',
+    'target_job': 'משימת רקע',
+    'target_debug': 'דיבאג',
+    'target_trash': 'סל מחזור',
+    'previous_page': 'הקודם',
+    'next_page': 'הבא',
+
+    // Trash
+    'trash': 'סל מחזור',
+    'trash_retention': 'ימים בסל עד למחיקה לצמיתות (כולל קבצי השמע)',
+    'trash_calls': 'שיחות שנמחקו',
+    'trash_customers': 'לקוחות שנמחקו',
+    'trash_deleted_at': 'נמחק בתאריך',
+    'trash_purge_at': 'יימחק לצמיתות',
+    'trash_restore': 'שחזור',
+    'trash_restore_failed': 'השחזור נכשל. ייתכן שמספר הטלפון שייך כעת ללקוח אחר.',
+    'trash_empty': 'סל המחזור ריק',
+
     // Status
     'online': 'מחובר',
     'offline': 'מנותק',
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Golden-Set Evaluation for the Scoring Pipeline
+ *
+ * Scores a directory of labeled Hebrew transcripts and reports per-category
+ * precision/recall, score MAE, band hits and objection detection, with a diff
+ * against the previous run, so configuration changes can be judged before activation.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs-extra');
+const path = require('path');
+const evaluationService = require('../src/services/evaluationService');
+const configurationService = require('../src/services/configurationService');
+
+const usage = `Usage: node scripts/evaluate-scoring.js [options]
+
+Options:
+  --dir <path>         Golden set directory (default: tests/fixtures/golden)
+  --config <file>      Evaluate a configuration file ({ name, weights, phrases }, e.g. an export)
+  --config-id <id>     Evaluate a stored configuration
+  --enhanced           Also run the GPT-4 enhanced pipeline
+  --baseline <file>    Diff against this run instead of the latest saved run
+  --runs-dir <path>    Where runs are saved (default: evaluation-results)
+  --no-save            Do not save this run
+  --json               Print the run as JSON instead of a report
+  --verbose            Show pipeline logs`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    dir: evaluationService.defaultGoldenDir,
+    runsDir: evaluationService.defaultRunsDir,
+    config: null,
+    configId: null,
+    baseline: null,
+    enhanced: false,
+    save: true,
+    json: false,
+    verbose: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dir':
+        options.dir = path.resolve(argv[++i]);
+        break;
+      case '--config':
+        options.config = path.resolve(argv[++i]);
+        break;
+      case '--config-id':
+        options.configId = parseInt(argv[++i]);
+        break;
+      case '--baseline':
+        options.baseline = path.resolve(argv[++i]);
+        break;
+      case '--runs-dir':
+        options.runsDir = path.resolve(argv[++i]);
+        break;
+      case '--enhanced':
+        options.enhanced = true;
+        break;
+      case '--no-save':
+        options.save = false;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '--help':
+        console.log(usage);
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Load the configuration to evaluate
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} Scoring configuration ({ id, name, weights, phrases, categories })
+ */
+async function loadConfiguration(options) {
+  if (options.config) {
+    const data = await fs.readJson(options.config);
+    const configuration = data.data || data.configuration || data;
+
+    const validation = configurationService.validateConfiguration(configuration);
+    if (!validation.isValid) {
+      throw new Error(`Invalid configuration file: ${validation.errors.join('; ')}`);
+    }
+
+    return {
+      id: null,
+      name: configuration.name,
+      weights: configuration.weights,
+      phrases: configuration.phrases,
+      categories: configuration.categories
+    };
+  }
+
+  if (options.configId) {
+    const { prisma } = require('../src/database/connection');
+    const configuration = await prisma.scoringConfiguration.findUnique({ where: { id: options.configId } });
+    if (!configuration) {
+      throw new Error(`Configuration not found: ${options.configId}`);
+    }
+
+    return {
+      id: configuration.id,
+      name: configuration.name,
+      weights: configuration.weights,
+      phrases: configuration.phrases,
+      categories: configuration.categories
+    };
+  }
+
+  try {
+    return await configurationService.getScoringConfiguration();
+  } catch (error) {
+    console.warn(`⚠️ Could not load the active configuration (${error.message}), evaluating the default configuration`);
+    return { id: null, ...configurationService.getDefaultConfiguration() };
+  }
+}
+
+/**
+ * Run the evaluation
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const cases = await evaluationService.loadGoldenSet(options.dir);
+  const configuration = await loadConfiguration(options);
+
+  // The pipelines log every step; keep the report readable unless asked otherwise
+  const log = console.log;
+  if (!options.verbose) {
+    console.log = () => {};
+  }
+
+  let run;
+  try {
+    run = await evaluationService.evaluate(cases, { configuration, enhanced: options.enhanced });
+  } finally {
+    console.log = log;
+  }
+
+  const previous = options.baseline
+    ? await fs.readJson(options.baseline)
+    : await evaluationService.loadLatestRun(options.runsDir);
+  const diff = previous ? evaluationService.diffRuns(run, previous) : null;
+
+  if (options.json) {
+    console.log(JSON.stringify({ run, diff }, null, 2));
+  } else {
+    console.log(evaluationService.formatReport(run, diff));
+  }
+
+  if (options.save) {
+    const filePath = await evaluationService.saveRun(run, options.runsDir);
+    if (!options.json) {
+      console.log(`\n💾 Run saved to ${path.relative(process.cwd(), filePath)}`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`❌ Evaluation failed: ${error.message}`);
+    process.exit(1);
+  });
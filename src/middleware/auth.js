@@ -0,0 +1,177 @@
+const { prisma } = require('../database/connection');
+const authService = require('../services/authService');
+
+const { ADMIN, MANAGER } = authService.roles;
+
+/**
+ * Read the access token from the Authorization header. GET requests may pass a media token
+ * as the access_token query parameter instead, for audio players and report links that cannot set headers.
+ * @param {Object} req - Express request
+ * @returns {Object|null} Token and the path a media token must have been issued for ({ token, mediaPath })
+ */
+const getToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return { token: header.slice(7).trim(), mediaPath: null };
+  }
+
+  if (req.method === 'GET' && typeof req.query.access_token === 'string') {
+    return { token: req.query.access_token, mediaPath: req.originalUrl.split('?')[0] };
+  }
+
+  return null;
+};
+
+/**
+ * Require a valid access token and attach the user to req.user
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    // CORS preflights carry no credentials
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const credentials = getToken(req);
+    const user = credentials ? await authService.authenticateToken(credentials.token, { mediaPath: credentials.mediaPath }) : null;
+
+    if (!user) {
+      return res.status(401).json({
+        error: true,
+        message: 'Authentication required'
+      });
+    }
+
+    req.user = user;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Allow only users with one of the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: true,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Sales calls a user may see: admins see every call, managers their team's calls
+ * and agents the calls they uploaded. Calls in the trash are left out unless asked for
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - Scope options
+ * @param {boolean} options.trashed - Match only calls in the trash instead
+ * @returns {Object} Prisma where clause for sales calls
+ */
+const salesCallScope = (user, { trashed = false } = {}) => {
+  const deletedAt = trashed ? { not: null } : null;
+
+  if (user.role === ADMIN) {
+    return { deletedAt };
+  }
+
+  if (user.role === MANAGER && user.team) {
+    return { deletedAt, uploadedBy: { team: user.team } };
+  }
+
+  return { deletedAt, uploadedById: user.id };
+};
+
+/**
+ * Customers a user may see: admins see every customer, everyone else the customers
+ * with at least one call in their scope. Customers in the trash are left out
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Prisma where clause for customers
+ */
+const customerScope = (user) => {
+  if (user.role === ADMIN) {
+    return { deletedAt: null };
+  }
+
+  return { deletedAt: null, salesCalls: { some: salesCallScope(user) } };
+};
+
+/**
+ * Respond 404 unless the sales call in the route parameter (or body field) is in the user's scope.
+ * This applies to admins too, so calls in the trash are only reachable through /api/trash
+ * @param {string} param - Route parameter or body field holding the sales call ID
+ * @returns {Function} Middleware
+ */
+const requireCallAccess = (param = 'id') => async (req, res, next) => {
+  try {
+    const id = parseInt(req.params[param] ?? req.body?.[param]);
+    if (isNaN(id)) {
+      // Invalid IDs are rejected by the route itself
+      return next();
+    }
+
+    const salesCall = await prisma.salesCall.findFirst({
+      where: { id, ...salesCallScope(req.user) },
+      select: { id: true }
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        error: true,
+        message: 'Sales call not found'
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Respond 404 unless the customer in the route parameter is in the user's scope, which for
+ * admins too leaves out customers in the trash
+ * @param {string} param - Route parameter holding the customer ID
+ * @returns {Function} Middleware
+ */
+const requireCustomerAccess = (param = 'id') => async (req, res, next) => {
+  try {
+    const id = parseInt(req.params[param]);
+    if (isNaN(id)) {
+      return next();
+    }
+
+    const customer = await prisma.customer.findFirst({
+      where: { id, ...customerScope(req.user) },
+      select: { id: true }
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        error: true,
+        message: 'Customer not found'
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireCallAccess,
+  requireCustomerAccess,
+  salesCallScope,
+  customerScope
+};
@@ -0,0 +1,321 @@
+/**
+ * Sales Agent Routes
+ * Handles sales agents and per-agent performance analytics
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { body, query, validationResult } = require('express-validator');
+const agentService = require('../services/agentService');
+const coachingService = require('../services/coachingService');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const { requireRole, salesCallScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admins and managers maintain the agent list
+const canManageAgents = requireRole(authService.roles.ADMIN, authService.roles.MANAGER);
+
+const periodValidation = query('period').optional().isInt({ min: 0 }).withMessage('Period must be a number of days (0 for all time)');
+
+/**
+ * GET /api/agents
+ * List agents
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const agents = await agentService.listAgents({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: agents
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing agents:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/agents/leaderboard
+ * Rank agents by performance over their calls in the period
+ */
+router.get('/leaderboard',
+  [
+    periodValidation,
+    query('sortBy').optional().isIn(Object.keys(agentService.sortKeys))
+      .withMessage(`Sort must be one of: ${Object.keys(agentService.sortKeys).join(', ')}`)
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const leaderboard = await agentService.getLeaderboard({
+        period: parseInt(req.query.period ?? 30),
+        sortBy: req.query.sortBy,
+        scope: salesCallScope(req.user)
+      });
+
+      res.json({
+        success: true,
+        data: leaderboard
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting agent leaderboard:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/agents/:id
+ * Get an agent with their performance metrics
+ */
+router.get('/:id', [periodValidation], async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({
+        error: true,
+        message: 'Valid agent ID is required'
+      });
+    }
+
+    const result = await agentService.getAgentMetrics(id, {
+      period: parseInt(req.query.period ?? 30),
+      scope: salesCallScope(req.user)
+    });
+
+    if (!result.success) {
+      return res.status(404).json({
+        error: true,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        agent: result.agent,
+        period: result.period,
+        metrics: result.metrics
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting agent metrics:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/agents/:id/coaching
+ * Weekly coaching report as JSON, or as a print-ready HTML page (format=html; print=true opens the print dialog to save a PDF)
+ */
+router.get('/:id/coaching',
+  [
+    query('week').optional().isISO8601().withMessage('Week must be a date (YYYY-MM-DD)'),
+    query('format').optional().isIn(['json', 'html']).withMessage('Format must be json or html')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      if (isNaN(parseInt(id))) {
+        return res.status(400).json({
+          error: true,
+          message: 'Valid agent ID is required'
+        });
+      }
+
+      const result = await coachingService.buildWeeklyReport(id, {
+        // A bare date is read as local midnight, like the week boundaries
+        week: req.query.week ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(req.query.week) ? `${req.query.week}T00:00:00` : req.query.week) : null,
+        scope: salesCallScope(req.user)
+      });
+
+      if (!result.success) {
+        return res.status(404).json({
+          error: true,
+          message: result.error
+        });
+      }
+
+      if (req.query.format === 'html') {
+        // The report is a standalone page: inline styles, and only the print script may run
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const weekStart = result.report.week.start.toISOString().slice(0, 10);
+
+        res.setHeader('Content-Security-Policy', `default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}'`);
+        res.setHeader('Content-Disposition', `inline; filename="coaching-agent-${result.report.agent.id}-${weekStart}.html"`);
+        res.type('html');
+        return res.send(coachingService.renderHtml(result.report, { autoPrint: req.query.print === 'true', nonce }));
+      }
+
+      res.json({
+        success: true,
+        data: result.report
+      });
+
+    } catch (error) {
+      console.error('❌ Error building coaching report:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/agents
+ * Create an agent, optionally linked to a user account
+ */
+router.post('/',
+  canManageAgents,
+  [
+    body('name').notEmpty().withMessage('Name is required'),
+    body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Invalid email format'),
+    body('team').optional({ nullable: true }).isString().withMessage('Team must be a string'),
+    body('userId').optional({ nullable: true }).isInt().withMessage('User ID must be a number')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, email, team, userId } = req.body;
+      const result = await agentService.createAgent({ name, email, team, userId });
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: true,
+          message: result.error,
+          details: result.details
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.AGENT_CREATE,
+        targetId: result.agent.id,
+        after: result.agent
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Agent created successfully',
+        data: result.agent
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating agent:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/agents/:id
+ * Update an agent's details, user link or active flag
+ */
+router.put('/:id',
+  canManageAgents,
+  [
+    body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+    body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Invalid email format'),
+    body('team').optional({ nullable: true }).isString().withMessage('Team must be a string'),
+    body('userId').optional({ nullable: true }).isInt().withMessage('User ID must be a number'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      if (isNaN(parseInt(id))) {
+        return res.status(400).json({
+          error: true,
+          message: 'Valid agent ID is required'
+        });
+      }
+
+      const { name, email, team, userId, isActive } = req.body;
+      const previous = await agentService.getAgent(id);
+      const result = await agentService.updateAgent(id, { name, email, team, userId, isActive });
+
+      if (!result.success) {
+        return res.status(result.error === 'Agent not found' ? 404 : 400).json({
+          error: true,
+          message: result.error,
+          details: result.details
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.AGENT_UPDATE,
+        targetId: result.agent.id,
+        before: previous,
+        after: result.agent
+      });
+
+      res.json({
+        success: true,
+        message: 'Agent updated successfully',
+        data: result.agent
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating agent:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
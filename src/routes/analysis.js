@@ -3,9 +3,21 @@ const { body, validationResult } = require('express-validator');
 const { prisma } = require('../database/connection');
 const fs = require('fs-extra');
 const whisperService = require('../services/whisperService');
+const llmProviderService = require('../services/llmProviderService');
 const scoringService = require('../services/scoringService');
 const enhancedScoringService = require('../services/enhancedScoringService');
+const diarizationService = require('../services/diarizationService');
+const transcriptSegmentService = require('../services/transcriptSegmentService');
+const configurationService = require('../services/configurationService');
+const customerPriorityService = require('../services/customerPriorityService');
 const debugTrackingService = require('../services/debugTrackingService');
+const usageService = require('../services/usageService');
+const rescoreService = require('../services/rescoreService');
+const analysisRunService = require('../services/analysisRunService');
+const authService = require('../services/authService');
+const coachingService = require('../services/coachingService');
+const auditService = require('../services/auditService');
+const { requireRole, requireCallAccess, salesCallScope } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -16,8 +28,10 @@ const router = express.Router();
 router.post('/', 
   [
     body('salesCallId').isInt().withMessage('Valid sales call ID is required'),
-    body('useEnhancedAnalysis').optional().isBoolean().withMessage('useEnhancedAnalysis must be a boolean')
+    body('useEnhancedAnalysis').optional().isBoolean().withMessage('useEnhancedAnalysis must be a boolean'),
+    body('bypassCache').optional().isBoolean().withMessage('bypassCache must be a boolean')
   ],
+  requireCallAccess('salesCallId'),
   async (req, res, next) => {
     // Start debug tracking
     const sessionId = debugTrackingService.startSession(null, {
@@ -37,7 +51,7 @@ router.post('/',
         });
       }
 
-      const { salesCallId, useEnhancedAnalysis = true } = req.body;
+      const { salesCallId, useEnhancedAnalysis = true, bypassCache = false } = req.body;
 
       // Find the sales call
       const salesCall = await prisma.salesCall.findUnique({
@@ -77,10 +91,10 @@ router.post('/',
       debugTrackingService.trackWhisper(sessionId, {
         filePath: salesCall.audioFilePath,
         fileSize: fileStats.size,
-        model: 'whisper-1',
+        model: llmProviderService.transcriptionModel,
         language: 'he',
         responseFormat: 'verbose_json',
-        timestampGranularities: ['word']
+        timestampGranularities: ['word', 'segment']
       });
 
       // Validate audio file
@@ -88,6 +102,7 @@ router.post('/',
 
       // Transcribe audio using Whisper API
       const transcription = await whisperService.transcribeAudio(salesCall.audioFilePath);
+      const transcriptionUsage = await usageService.recordTranscription(salesCall.id, transcription);
 
       // Complete Whisper tracking
       debugTrackingService.completeWhisper(sessionId, {
@@ -96,13 +111,22 @@ router.post('/',
         language: transcription.language,
         duration: transcription.duration,
         segments: transcription.segments,
-        tokensUsed: null,
-        cost: null
+        tokensUsed: null, // Whisper is billed per audio minute
+        cost: transcriptionUsage ? transcriptionUsage.cost : null
       });
 
       // Get transcription statistics
       const stats = whisperService.getTranscriptionStats(transcription);
 
+      // Split the transcript into agent/customer turns
+      const diarization = await diarizationService.diarize({
+        audioFilePath: salesCall.audioFilePath,
+        text: transcription.text,
+        segments: transcription.segments,
+        duration: transcription.duration
+      });
+      const segments = transcriptSegmentService.buildSegments(transcription, diarization.turns);
+
       // Track scoring analysis
       debugTrackingService.trackScoring(sessionId, {
         transcript: transcription.text,
@@ -112,6 +136,9 @@ router.post('/',
         useEnhancedAnalysis
       });
 
+      // Load the active scoring configuration
+      const scoringConfiguration = await configurationService.getScoringConfiguration();
+
       // Perform scoring analysis (enhanced or traditional)
       let scoringResults;
       let analysisVersion = 'traditional-v1.0';
@@ -128,7 +155,8 @@ router.post('/',
           scoringResults = await enhancedScoringService.analyzeTranscript(
             transcription.text,
             transcription.duration || 0,
-            stats.wordCount || 0
+            stats.wordCount || 0,
+            { configuration: scoringConfiguration, speakerTurns: diarizationService.getScoringTurns(diarization), segments, bypassCache, salesCallId: salesCall.id }
           );
           analysisVersion = scoringResults.metadata.analysisVersion;
           gpt4AnalysisUsed = scoringResults.metadata.gpt4Used;
@@ -152,14 +180,16 @@ router.post('/',
           scoringResults = scoringService.analyzeTranscript(
             transcription.text,
             transcription.duration || 0,
-            stats.wordCount || 0
+            stats.wordCount || 0,
+            { configuration: scoringConfiguration, speakerTurns: diarizationService.getScoringTurns(diarization), segments }
           );
         }
       } else {
         scoringResults = scoringService.analyzeTranscript(
           transcription.text,
           transcription.duration || 0,
-          stats.wordCount || 0
+          stats.wordCount || 0,
+          { configuration: scoringConfiguration, speakerTurns: diarizationService.getScoringTurns(diarization), segments }
         );
       }
 
@@ -171,12 +201,19 @@ router.post('/',
         sentimentScore: scoringResults.analysis.gpt4Analysis?.sentiment?.confidence || null,
         conversationPhases: scoringResults.analysis.gpt4Analysis?.conversationFlow?.phases || null,
         speakerAnalysis: scoringResults.analysis.gpt4Analysis?.contextInsights || null,
-        objectionAnalysis: scoringResults.analysis.gpt4Analysis?.contextInsights?.objections || null,
+        objectionAnalysis: scoringResults.analysis.gpt4Analysis?.objections
+          ? { objections: scoringResults.analysis.gpt4Analysis.objections }
+          : null,
+        flowQuality: scoringResults.analysis.gpt4Analysis?.conversationFlow?.flow_quality || null,
+        keyMoments: scoringResults.analysis.gpt4Analysis?.conversationFlow?.key_moments || null,
+        buyingSignals: scoringResults.analysis.gpt4Analysis?.buyingSignals || null,
         contextInsights: scoringResults.analysis.gpt4Analysis?.contextInsights || null,
         analysisConfidence: scoringResults.metadata.gpt4Confidence || null,
         enhancedNotes: scoringResults.analysis.enhancedNotes || scoringResults.analysis.notes,
         analysisVersion: analysisVersion,
-        gpt4AnalysisUsed: gpt4AnalysisUsed
+        gpt4AnalysisUsed: gpt4AnalysisUsed,
+        analysisValidation: scoringResults.metadata.gpt4Validation || null,
+        promptVersions: scoringResults.metadata.promptVersions || null
       };
 
       // Track database update
@@ -187,24 +224,26 @@ router.post('/',
         dataSize: JSON.stringify(enhancedData).length
       });
 
-      // Update sales call with transcript and scores
-      const updatedSalesCall = await prisma.salesCall.update({
-        where: { id: parseInt(salesCallId) },
-        data: {
+      // Save segment and word timestamps for the synced transcript
+      await transcriptSegmentService.saveSegments(salesCallId, transcription, diarization.turns);
+
+      // Record the scoring run and update sales call with transcript and scores
+      const updatedSalesCall = await analysisRunService.recordRun(
+        salesCallId,
+        analysisRunService.fromScoringResults(scoringResults, {
+          configurationId: scoringConfiguration.id,
+          analysisVersion,
+          gpt4AnalysisUsed,
+          source: analysisRunService.sources.ANALYZE
+        }),
+        {
           transcript: transcription.text,
-          urgencyScore: scoringResults.scores.urgency,
-          budgetScore: scoringResults.scores.budget,
-          interestScore: scoringResults.scores.interest,
-          engagementScore: scoringResults.scores.engagement,
-          overallScore: scoringResults.scores.overall,
-          analysisNotes: scoringResults.analysis.notes,
+          diarization,
           // Enhanced analysis fields
           ...enhancedData
         },
-        include: {
-          customer: true
-        }
-      });
+        { include: { customer: true } }
+      );
 
       // Complete database tracking
       debugTrackingService.completeDatabase(sessionId, {
@@ -213,6 +252,9 @@ router.post('/',
         affectedRows: 1
       });
 
+      // Update customer prioritization with the new scores
+      await customerPriorityService.refreshCustomer(updatedSalesCall.customerId);
+
       // Complete session tracking
       debugTrackingService.completeSession(sessionId, {
         success: true,
@@ -220,6 +262,13 @@ router.post('/',
         overallScore: scoringResults.scores.overall
       });
 
+      await auditService.record(req, {
+        action: auditService.actions.CALL_ANALYZE,
+        targetId: updatedSalesCall.id,
+        before: auditService.snapshot(salesCall, auditService.scoreFields),
+        after: auditService.snapshot(updatedSalesCall, auditService.scoreFields)
+      });
+
       console.log(`✅ Analysis completed for sales call ID: ${salesCallId}`);
       console.log(`📊 Transcription stats:`, stats);
       console.log(`🎯 Scoring results:`, scoringResults.scores);
@@ -242,6 +291,7 @@ router.post('/',
               duration: transcription.duration,
               stats: stats
             },
+            talkTime: diarization.stats,
             scoring: {
               scores: scoringResults.scores,
               analysis: scoringResults.analysis,
@@ -253,7 +303,9 @@ router.post('/',
               confidence: enhancedData.analysisConfidence,
               sentiment: scoringResults.analysis.gpt4Analysis?.sentiment,
               conversationFlow: scoringResults.analysis.gpt4Analysis?.conversationFlow,
-              contextInsights: enhancedData.contextInsights
+              contextInsights: enhancedData.contextInsights,
+              validation: enhancedData.analysisValidation,
+              promptVersions: enhancedData.promptVersions
             },
             analysisStatus: 'completed',
             scoringStatus: 'completed'
@@ -267,11 +319,87 @@ router.post('/',
   }
 );
 
+/**
+ * POST /api/analyze/rescore
+ * Queue a background rescore of stored transcripts with the active configuration
+ */
+router.post('/rescore',
+  requireRole(authService.roles.ADMIN),
+  [
+    body('from').optional().isISO8601().withMessage('from must be a valid date'),
+    body('to').optional().isISO8601().withMessage('to must be a valid date'),
+    body('customerId').optional().isInt({ min: 1 }).withMessage('customerId must be a customer ID'),
+    body('configurationId').optional()
+      .custom(value => value === 'none' || Number.isInteger(Number(value)))
+      .withMessage('configurationId must be a configuration ID or "none"'),
+    body('useEnhancedAnalysis').optional().isBoolean().withMessage('useEnhancedAnalysis must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { from, to, customerId, configurationId, useEnhancedAnalysis = false } = req.body;
+
+      if (from && to && new Date(from) > new Date(to)) {
+        return res.status(400).json({
+          error: true,
+          message: 'from must be before to'
+        });
+      }
+
+      const result = await rescoreService.enqueueRescore(
+        {
+          from: from || null,
+          to: to || null,
+          customerId: customerId ? parseInt(customerId) : null,
+          configurationId: configurationId === undefined ? null : configurationId
+        },
+        { useEnhancedAnalysis }
+      );
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: true,
+          message: result.error
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.CALL_RESCORE,
+        targetType: 'job',
+        targetId: result.job.id,
+        after: { from, to, customerId, configurationId, useEnhancedAnalysis, total: result.total }
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Rescore queued',
+        data: {
+          jobId: result.job.id,
+          status: result.job.status,
+          total: result.total
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error queueing rescore:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/analyze/:id
  * Get analysis results for a specific sales call
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireCallAccess(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -321,6 +449,170 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/analyze/:id/segments
+ * Get timestamped transcript segments for a specific sales call
+ */
+router.get('/:id/segments', requireCallAccess(), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid sales call ID'
+      });
+    }
+
+    const salesCall = await prisma.salesCall.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        error: true,
+        message: 'Sales call not found'
+      });
+    }
+
+    const segments = await transcriptSegmentService.getSegments(id);
+
+    res.json({
+      success: true,
+      data: {
+        salesCallId: id,
+        segments
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting transcript segments:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analyze/:id/coaching
+ * How the agent handled the call: talk ratio, questions, closing attempts, unhandled objections and missed buying signals
+ */
+router.get('/:id/coaching', requireCallAccess(), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid sales call ID'
+      });
+    }
+
+    const coaching = await coachingService.getCallCoaching(id);
+
+    if (!coaching) {
+      return res.status(404).json({
+        error: true,
+        message: 'Sales call not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coaching
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting call coaching:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analyze/:id/runs
+ * List every scoring run of a sales call, newest first
+ */
+router.get('/:id/runs', requireCallAccess(), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid sales call ID'
+      });
+    }
+
+    const runs = await analysisRunService.listRuns(id);
+
+    if (!runs) {
+      return res.status(404).json({
+        error: true,
+        message: 'Sales call not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: runs
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing analysis runs:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/analyze/:id/runs/:runId/restore
+ * Make a previous scoring run the sales call's current scores
+ */
+router.post('/:id/runs/:runId/restore', requireCallAccess(), async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const runId = parseInt(req.params.runId);
+
+    if (isNaN(id) || isNaN(runId)) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid sales call or run ID'
+      });
+    }
+
+    const previous = await prisma.salesCall.findUnique({
+      where: { id },
+      select: auditService.scoreFields
+    });
+
+    const result = await analysisRunService.restoreRun(id, runId);
+
+    if (!result.success) {
+      return res.status(404).json({
+        error: true,
+        message: result.error
+      });
+    }
+
+    await auditService.record(req, {
+      action: auditService.actions.CALL_RESTORE_RUN,
+      targetId: id,
+      before: previous,
+      after: { currentRunId: result.run.id, scores: result.run.scores, categoryScores: result.run.categoryScores }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        salesCallId: id,
+        run: result.run
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error restoring analysis run:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/analyze
  * List all analyses with pagination
@@ -330,7 +622,7 @@ router.get('/', async (req, res, next) => {
     const { page = 1, limit = 10, status, customerId } = req.query;
     const offset = (page - 1) * limit;
 
-    const where = {};
+    const where = { ...salesCallScope(req.user) };
     
     if (customerId) {
       where.customerId = parseInt(customerId);
@@ -408,7 +700,7 @@ router.get('/', async (req, res, next) => {
  * POST /api/analyze/:id/retry
  * Retry analysis for a specific sales call
  */
-router.post('/:id/retry', async (req, res, next) => {
+router.post('/:id/retry', requireCallAccess(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -428,46 +720,52 @@ router.post('/:id/retry', async (req, res, next) => {
 
     console.log(`🔄 Retrying analysis for sales call ID: ${id}`);
 
-    // Clear previous transcript and scores
-    await prisma.salesCall.update({
-      where: { id: parseInt(id) },
-      data: {
-        transcript: null,
-        urgencyScore: null,
-        budgetScore: null,
-        interestScore: null,
-        engagementScore: null,
-        overallScore: null,
-        analysisNotes: null
-      }
-    });
-
-    // Re-analyze
+    // Re-analyze; the previous scores stay available as an earlier analysis run
     const transcription = await whisperService.transcribeAudio(salesCall.audioFilePath);
+    await usageService.recordTranscription(salesCall.id, transcription);
     const stats = whisperService.getTranscriptionStats(transcription);
+    const diarization = await diarizationService.diarize({
+      audioFilePath: salesCall.audioFilePath,
+      text: transcription.text,
+      segments: transcription.segments,
+      duration: transcription.duration
+    });
+    const segments = transcriptSegmentService.buildSegments(transcription, diarization.turns);
 
-    // Perform scoring analysis
+    // Perform scoring analysis with the active configuration
+    const scoringConfiguration = await configurationService.getScoringConfiguration();
     const scoringResults = scoringService.analyzeTranscript(
       transcription.text,
       transcription.duration || 0,
-      stats.wordCount || 0
+      stats.wordCount || 0,
+      { configuration: scoringConfiguration, speakerTurns: diarizationService.getScoringTurns(diarization), segments }
     );
 
-    // Update with new transcript and scores
-    const updatedSalesCall = await prisma.salesCall.update({
-      where: { id: parseInt(id) },
-      data: {
+    // Replace segment and word timestamps from the new transcription
+    await transcriptSegmentService.saveSegments(id, transcription, diarization.turns);
+
+    // Record the new run with the new transcript and scores
+    const updatedSalesCall = await analysisRunService.recordRun(
+      id,
+      analysisRunService.fromScoringResults(scoringResults, {
+        configurationId: scoringConfiguration.id,
+        source: analysisRunService.sources.RETRY
+      }),
+      {
         transcript: transcription.text,
-        urgencyScore: scoringResults.scores.urgency,
-        budgetScore: scoringResults.scores.budget,
-        interestScore: scoringResults.scores.interest,
-        engagementScore: scoringResults.scores.engagement,
-        overallScore: scoringResults.scores.overall,
-        analysisNotes: scoringResults.analysis.notes
+        diarization
       },
-      include: {
-        customer: true
-      }
+      { include: { customer: true } }
+    );
+
+    // Update customer prioritization with the new scores
+    await customerPriorityService.refreshCustomer(updatedSalesCall.customerId);
+
+    await auditService.record(req, {
+      action: auditService.actions.CALL_RETRY,
+      targetId: updatedSalesCall.id,
+      before: auditService.snapshot(salesCall, auditService.scoreFields),
+      after: auditService.snapshot(updatedSalesCall, auditService.scoreFields)
     });
 
     console.log(`✅ Retry analysis completed for sales call ID: ${id}`);
@@ -509,7 +807,7 @@ router.post('/:id/retry', async (req, res, next) => {
  * POST /api/analyze/:id/score
  * Score an existing transcript (for transcripts without scores)
  */
-router.post('/:id/score', async (req, res, next) => {
+router.post('/:id/score', requireCallAccess(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -549,27 +847,38 @@ router.post('/:id/score', async (req, res, next) => {
       duration: null // We don't store duration in DB yet
     });
 
-    // Perform scoring analysis
+    // Perform scoring analysis with the active configuration
+    const scoringConfiguration = await configurationService.getScoringConfiguration();
     const scoringResults = scoringService.analyzeTranscript(
       salesCall.transcript,
       0, // Duration not available
-      stats.wordCount || 0
+      stats.wordCount || 0,
+      {
+        configuration: scoringConfiguration,
+        speakerTurns: diarizationService.getScoringTurns(salesCall.diarization),
+        segments: await transcriptSegmentService.getSegments(salesCall.id)
+      }
     );
 
-    // Update with scores
-    const updatedSalesCall = await prisma.salesCall.update({
-      where: { id: parseInt(id) },
-      data: {
-        urgencyScore: scoringResults.scores.urgency,
-        budgetScore: scoringResults.scores.budget,
-        interestScore: scoringResults.scores.interest,
-        engagementScore: scoringResults.scores.engagement,
-        overallScore: scoringResults.scores.overall,
-        analysisNotes: scoringResults.analysis.notes
-      },
-      include: {
-        customer: true
-      }
+    // Record the scoring run
+    const updatedSalesCall = await analysisRunService.recordRun(
+      id,
+      analysisRunService.fromScoringResults(scoringResults, {
+        configurationId: scoringConfiguration.id,
+        source: analysisRunService.sources.SCORE
+      }),
+      {},
+      { include: { customer: true } }
+    );
+
+    // Update customer prioritization with the new scores
+    await customerPriorityService.refreshCustomer(updatedSalesCall.customerId);
+
+    await auditService.record(req, {
+      action: auditService.actions.CALL_SCORE,
+      targetId: updatedSalesCall.id,
+      before: auditService.snapshot(salesCall, auditService.scoreFields),
+      after: auditService.snapshot(updatedSalesCall, auditService.scoreFields)
     });
 
     console.log(`✅ Scoring completed for sales call ID: ${id}`);
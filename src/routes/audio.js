@@ -2,6 +2,7 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs-extra');
 const { prisma } = require('../database/connection');
+const { requireCallAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -23,7 +24,7 @@ router.options('/:salesCallId', (req, res) => {
  * GET /api/audio/:salesCallId
  * Serve audio file for a specific sales call
  */
-router.get('/:salesCallId', async (req, res) => {
+router.get('/:salesCallId', requireCallAccess('salesCallId'), async (req, res) => {
   try {
     const { salesCallId } = req.params;
     
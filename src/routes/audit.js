@@ -0,0 +1,76 @@
+/**
+ * Audit Log Routes
+ * Read access to the audit log (admin only)
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * List audit entries, newest first, filtered by actor, action, target and date range
+ */
+router.get('/',
+  [
+    query('actorId').optional().isInt({ min: 1 }).withMessage('actorId must be a user ID'),
+    query('action').optional().isIn(Object.values(auditService.actions))
+      .withMessage('action must be an audited action'),
+    query('targetType').optional().isString().withMessage('targetType must be a string'),
+    query('targetId').optional().isInt({ min: 1 }).withMessage('targetId must be a number'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive number'),
+    query('limit').optional().isInt({ min: 1, max: auditService.maxLimit })
+      .withMessage(`limit must be between 1 and ${auditService.maxLimit}`)
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { actorId, action, targetType, targetId, from, to, page, limit } = req.query;
+
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if (fromDate && toDate && fromDate > toDate) {
+        return res.status(400).json({
+          error: true,
+          message: 'from must be before to'
+        });
+      }
+
+      const result = await auditService.list({
+        actorId,
+        action,
+        targetType,
+        targetId,
+        from: fromDate,
+        to: toDate,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      console.error('❌ Error listing audit entries:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
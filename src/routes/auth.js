@@ -0,0 +1,140 @@
+/**
+ * Authentication Routes
+ * Handles login, logout, media tokens and the current user
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/login
+ * Log in with email and password
+ */
+router.post('/login',
+  [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { email, password } = req.body;
+      const result = await authService.login(email, password);
+
+      if (!result.success) {
+        return res.status(401).json({
+          error: true,
+          message: result.error
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.LOGIN,
+        targetType: 'user',
+        targetId: result.user.id,
+        actor: result.user
+      });
+
+      res.json({
+        success: true,
+        data: {
+          token: result.token,
+          expiresAt: result.expiresAt,
+          user: result.user
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Login error:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/logout
+ * Invalidate every token of the current user
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    await authService.logout(req.user.id);
+
+    await auditService.record(req, {
+      action: auditService.actions.LOGOUT,
+      targetType: 'user',
+      targetId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/media-token
+ * Issue a short-lived token for one audio stream or coaching report URL
+ */
+router.post('/media-token',
+  authenticate,
+  [
+    body('path').isString().withMessage('path is required')
+  ],
+  (req, res) => {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = authService.issueMediaToken(req.user, req.body.path);
+
+    if (!result) {
+      return res.status(400).json({
+        error: true,
+        message: 'Media tokens are only issued for audio streams and coaching reports'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  }
+);
+
+/**
+ * GET /api/auth/me
+ * Get the current user
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: authService.formatUser(req.user)
+  });
+});
+
+module.exports = router;
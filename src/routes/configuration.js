@@ -6,9 +6,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const configurationService = require('../services/configurationService');
+const configurationSimulationService = require('../services/configurationSimulationService');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const { requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Configuration changes affect every user's scores
+const adminOnly = requireRole(authService.roles.ADMIN);
+
 /**
  * GET /api/configuration
  * Get the currently active configuration
@@ -66,15 +73,14 @@ router.get('/list', async (req, res, next) => {
  * POST /api/configuration
  * Create a new configuration
  */
-router.post('/', 
+router.post('/',
+  adminOnly,
   [
     body('name').notEmpty().withMessage('Configuration name is required'),
     body('weights').isObject().withMessage('Weights must be an object'),
-    body('weights.urgency').isFloat({ min: 0, max: 1 }).withMessage('Urgency weight must be between 0 and 1'),
-    body('weights.budget').isFloat({ min: 0, max: 1 }).withMessage('Budget weight must be between 0 and 1'),
-    body('weights.interest').isFloat({ min: 0, max: 1 }).withMessage('Interest weight must be between 0 and 1'),
-    body('weights.engagement').isFloat({ min: 0, max: 1 }).withMessage('Engagement weight must be between 0 and 1'),
+    body('weights.*').isFloat({ min: 0, max: 1 }).withMessage('Category weights must be between 0 and 1'),
     body('phrases').isObject().withMessage('Phrases must be an object'),
+    body('categories').optional().isObject().withMessage('Categories must be an object'),
     body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
   ],
   async (req, res, next) => {
@@ -89,7 +95,7 @@ router.post('/',
         });
       }
 
-      const { name, weights, phrases, isActive } = req.body;
+      const { name, weights, phrases, categories, isActive } = req.body;
 
       // Validate that weights sum to 1.0
       const weightSum = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
@@ -105,10 +111,17 @@ router.post('/',
         name,
         weights,
         phrases,
+        categories,
         isActive: isActive || false
       });
 
       if (result.success) {
+        await auditService.record(req, {
+          action: auditService.actions.CONFIGURATION_CREATE,
+          targetId: result.configuration.id,
+          after: result.configuration
+        });
+
         res.status(201).json({
           success: true,
           message: 'Configuration created successfully',
@@ -134,10 +147,12 @@ router.post('/',
  * Update an existing configuration
  */
 router.put('/:id',
+  adminOnly,
   [
     body('name').optional().notEmpty().withMessage('Configuration name cannot be empty'),
     body('weights').optional().isObject().withMessage('Weights must be an object'),
     body('phrases').optional().isObject().withMessage('Phrases must be an object'),
+    body('categories').optional().isObject().withMessage('Categories must be an object'),
     body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
   ],
   async (req, res, next) => {
@@ -167,16 +182,24 @@ router.put('/:id',
         }
       }
 
+      const previous = await configurationService.getConfiguration(id);
       const result = await configurationService.updateConfiguration(parseInt(id), updates);
 
       if (result.success) {
+        await auditService.record(req, {
+          action: auditService.actions.CONFIGURATION_UPDATE,
+          targetId: result.configuration.id,
+          before: previous,
+          after: result.configuration
+        });
+
         res.json({
           success: true,
           message: 'Configuration updated successfully',
           data: result.configuration
         });
       } else {
-        res.status(400).json({
+        res.status(result.error === 'Configuration not found' ? 404 : 400).json({
           error: true,
           message: result.error,
           details: result.details
@@ -194,13 +217,20 @@ router.put('/:id',
  * DELETE /api/configuration/:id
  * Delete a configuration
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', adminOnly, async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    const previous = await configurationService.getConfiguration(id);
     const result = await configurationService.deleteConfiguration(parseInt(id));
 
     if (result.success) {
+      await auditService.record(req, {
+        action: auditService.actions.CONFIGURATION_DELETE,
+        targetId: previous.id,
+        before: previous
+      });
+
       res.json({
         success: true,
         message: result.message
@@ -222,13 +252,22 @@ router.delete('/:id', async (req, res, next) => {
  * POST /api/configuration/:id/activate
  * Activate a configuration
  */
-router.post('/:id/activate', async (req, res, next) => {
+router.post('/:id/activate', adminOnly, async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    // Activation changes scoring globally, so the log keeps the configuration it replaced
+    const { configuration: previous } = await configurationService.getActiveConfiguration();
     const result = await configurationService.activateConfiguration(parseInt(id));
 
     if (result.success) {
+      await auditService.record(req, {
+        action: auditService.actions.CONFIGURATION_ACTIVATE,
+        targetId: result.configuration.id,
+        before: previous,
+        after: result.configuration
+      });
+
       res.json({
         success: true,
         message: 'Configuration activated successfully',
@@ -247,15 +286,74 @@ router.post('/:id/activate', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/configuration/:id/simulate
+ * Preview the score impact of a configuration on recent calls without saving anything
+ */
+router.post('/:id/simulate',
+  adminOnly,
+  [
+    body('limit').optional().isInt({ min: 1, max: configurationSimulationService.maxLimit })
+      .withMessage(`limit must be between 1 and ${configurationSimulationService.maxLimit}`)
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      if (isNaN(parseInt(id))) {
+        return res.status(400).json({
+          error: true,
+          message: 'Valid configuration ID is required'
+        });
+      }
+
+      const result = await configurationSimulationService.simulate(parseInt(id), { limit: req.body.limit });
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: result.simulation
+        });
+      } else {
+        res.status(404).json({
+          error: true,
+          message: result.error
+        });
+      }
+
+    } catch (error) {
+      console.error('❌ Error simulating configuration:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/configuration/reset
  * Reset to default configuration
  */
-router.post('/reset', async (req, res, next) => {
+router.post('/reset', adminOnly, async (req, res, next) => {
   try {
+    const { configuration: previous } = await configurationService.getActiveConfiguration();
     const result = await configurationService.resetToDefault();
 
     if (result.success) {
+      await auditService.record(req, {
+        action: auditService.actions.CONFIGURATION_RESET,
+        targetId: result.configuration.id,
+        before: previous,
+        after: result.configuration
+      });
+
       res.json({
         success: true,
         message: result.message,
@@ -307,10 +405,13 @@ router.get('/:id/export', async (req, res, next) => {
  * Import a configuration
  */
 router.post('/import',
+  adminOnly,
   [
     body('name').notEmpty().withMessage('Configuration name is required'),
     body('weights').isObject().withMessage('Weights must be an object'),
-    body('phrases').isObject().withMessage('Phrases must be an object')
+    body('phrases').isObject().withMessage('Phrases must be an object'),
+    body('categories').optional().isObject().withMessage('Categories must be an object'),
+    body('formatVersion').optional().isInt({ min: 1 }).withMessage('Format version must be a positive integer')
   ],
   async (req, res, next) => {
     try {
@@ -324,15 +425,23 @@ router.post('/import',
         });
       }
 
-      const { name, weights, phrases } = req.body;
+      const { formatVersion, name, weights, phrases, categories } = req.body;
 
       const result = await configurationService.importConfiguration({
+        formatVersion,
         name,
         weights,
-        phrases
+        phrases,
+        categories
       });
 
       if (result.success) {
+        await auditService.record(req, {
+          action: auditService.actions.CONFIGURATION_IMPORT,
+          targetId: result.configuration.id,
+          after: result.configuration
+        });
+
         res.status(201).json({
           success: true,
           message: result.message,
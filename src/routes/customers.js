@@ -1,19 +1,30 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { prisma } = require('../database/connection');
+const customerPriorityService = require('../services/customerPriorityService');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
+const { requireRole, requireCustomerAccess, salesCallScope, customerScope } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Sales pipeline status of a customer; converted customers count toward agent conversion rates
+const customerStatuses = ['lead', 'converted', 'lost'];
+
 /**
  * GET /api/customers
  * List customers with scores and pagination
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { page = 1, limit = 10, search, status, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
     const offset = (page - 1) * limit;
 
-    const where = {};
+    const where = { ...customerScope(req.user) };
+    if (customerStatuses.includes(status)) {
+      where.status = status;
+    }
     
     // Search functionality
     if (search) {
@@ -35,11 +46,12 @@ router.get('/', async (req, res, next) => {
         include: {
           _count: {
             select: {
-              salesCalls: true
+              salesCalls: { where: { deletedAt: null } }
             }
           },
           priority: true,
           salesCalls: {
+            where: { deletedAt: null },
             select: {
               id: true,
               overallScore: true,
@@ -71,6 +83,7 @@ router.get('/', async (req, res, next) => {
         name: customer.name,
         phone: customer.phone,
         email: customer.email,
+        status: customer.status,
         createdAt: customer.createdAt,
         stats: {
           totalCalls,
@@ -114,7 +127,8 @@ router.get('/prioritized', async (req, res, next) => {
       where: {
         avgOverallScore: {
           gt: 0
-        }
+        },
+        customer: customerScope(req.user)
       },
       include: {
         customer: {
@@ -143,6 +157,7 @@ router.get('/prioritized', async (req, res, next) => {
       priority: {
         rank: item.priorityRank,
         avgScore: parseFloat(item.avgOverallScore),
+        priorityScore: parseFloat(item.priorityScore),
         totalCalls: item.totalCalls,
         lastCallDate: item.lastCallDate
       }
@@ -162,11 +177,38 @@ router.get('/prioritized', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/customers/prioritized/rebuild
+ * Rebuild customer priorities from all sales calls
+ */
+router.post('/prioritized/rebuild', requireRole(authService.roles.ADMIN, authService.roles.MANAGER), async (req, res, next) => {
+  try {
+    const result = await customerPriorityService.rebuildAll();
+
+    await auditService.record(req, {
+      action: auditService.actions.PRIORITIES_REBUILD,
+      after: { customersRanked: result.customersRanked }
+    });
+
+    res.json({
+      success: true,
+      message: 'Customer priorities rebuilt successfully',
+      data: {
+        customersRanked: result.customersRanked
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error rebuilding customer priorities:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/customers/:id
  * Get customer details with all sales calls
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireCustomerAccess(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -174,6 +216,8 @@ router.get('/:id', async (req, res, next) => {
       where: { id: parseInt(id) },
       include: {
         salesCalls: {
+          // Calls of other agents and teams are left out
+          where: salesCallScope(req.user),
           orderBy: {
             createdAt: 'desc'
           },
@@ -187,6 +231,7 @@ router.get('/:id', async (req, res, next) => {
             engagementScore: true,
             overallScore: true,
             analysisNotes: true,
+            agentId: true,
             createdAt: true
           }
         },
@@ -231,6 +276,7 @@ router.get('/:id', async (req, res, next) => {
           name: customer.name,
           phone: customer.phone,
           email: customer.email,
+          status: customer.status,
           createdAt: customer.createdAt
         },
         stats: {
@@ -276,9 +322,9 @@ router.post('/',
 
       const { name, phone, email } = req.body;
 
-      // Check if customer already exists
+      // Check if customer already exists (customers in the trash do not count)
       const existingCustomer = await prisma.customer.findFirst({
-        where: { phone }
+        where: { phone, deletedAt: null }
       });
 
       if (existingCustomer) {
@@ -302,6 +348,12 @@ router.post('/',
 
       console.log(`✅ New customer created: ${customer.name} (${customer.phone})`);
 
+      await auditService.record(req, {
+        action: auditService.actions.CUSTOMER_CREATE,
+        targetId: customer.id,
+        after: customer
+      });
+
       res.status(201).json({
         success: true,
         message: 'Customer created successfully',
@@ -311,6 +363,7 @@ router.post('/',
             name: customer.name,
             phone: customer.phone,
             email: customer.email,
+            status: customer.status,
             createdAt: customer.createdAt
           }
         }
@@ -331,8 +384,10 @@ router.put('/:id',
   [
     body('name').optional().notEmpty().withMessage('Customer name cannot be empty'),
     body('phone').optional().notEmpty().withMessage('Customer phone cannot be empty'),
-    body('email').optional().isEmail().withMessage('Invalid email format')
+    body('email').optional().isEmail().withMessage('Invalid email format'),
+    body('status').optional().isIn(customerStatuses).withMessage(`Status must be one of: ${customerStatuses.join(', ')}`)
   ],
+  requireCustomerAccess(),
   async (req, res, next) => {
     try {
       // Check validation errors
@@ -346,14 +401,14 @@ router.put('/:id',
       }
 
       const { id } = req.params;
-      const { name, phone, email } = req.body;
+      const { name, phone, email, status } = req.body;
 
       // Check if customer exists
       const existingCustomer = await prisma.customer.findUnique({
         where: { id: parseInt(id) }
       });
 
-      if (!existingCustomer) {
+      if (!existingCustomer || existingCustomer.deletedAt) {
         return res.status(404).json({
           error: true,
           message: 'Customer not found'
@@ -365,7 +420,8 @@ router.put('/:id',
         const phoneExists = await prisma.customer.findFirst({
           where: {
             phone,
-            id: { not: parseInt(id) }
+            id: { not: parseInt(id) },
+            deletedAt: null
           }
         });
 
@@ -383,12 +439,20 @@ router.put('/:id',
         data: {
           ...(name && { name }),
           ...(phone && { phone }),
-          ...(email !== undefined && { email: email || null })
+          ...(email !== undefined && { email: email || null }),
+          ...(status && { status })
         }
       });
 
       console.log(`✅ Customer updated: ${updatedCustomer.name} (${updatedCustomer.phone})`);
 
+      await auditService.record(req, {
+        action: auditService.actions.CUSTOMER_UPDATE,
+        targetId: updatedCustomer.id,
+        before: existingCustomer,
+        after: updatedCustomer
+      });
+
       res.json({
         success: true,
         message: 'Customer updated successfully',
@@ -398,6 +462,7 @@ router.put('/:id',
             name: updatedCustomer.name,
             phone: updatedCustomer.phone,
             email: updatedCustomer.email,
+            status: updatedCustomer.status,
             createdAt: updatedCustomer.createdAt
           }
         }
@@ -412,9 +477,9 @@ router.put('/:id',
 
 /**
  * DELETE /api/customers/:id
- * Delete customer and all associated data
+ * Move a customer and their sales calls to the trash
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireRole(authService.roles.ADMIN), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -422,34 +487,43 @@ router.delete('/:id', async (req, res, next) => {
     const customer = await prisma.customer.findUnique({
       where: { id: parseInt(id) },
       include: {
-        _count: {
+        salesCalls: {
+          where: { deletedAt: null },
           select: {
-            salesCalls: true
+            id: true,
+            audioFilePath: true,
+            overallScore: true,
+            createdAt: true
           }
         }
       }
     });
 
-    if (!customer) {
+    if (!customer || customer.deletedAt) {
       return res.status(404).json({
         error: true,
         message: 'Customer not found'
       });
     }
 
-    console.log(`🗑️ Deleting customer: ${customer.name} with ${customer._count.salesCalls} sales calls`);
+    // Trashes the customer's sales calls too and re-ranks the remaining customers
+    const { customer: trashedCustomer, trashedCalls } = await trashService.trashCustomer(customer.id);
 
-    // Delete customer (this will cascade delete sales calls and priority)
-    await prisma.customer.delete({
-      where: { id: parseInt(id) }
+    // The snapshot lists the sales calls trashed with the customer
+    await auditService.record(req, {
+      action: auditService.actions.CUSTOMER_DELETE,
+      targetId: customer.id,
+      before: customer,
+      after: { deletedAt: trashedCustomer.deletedAt }
     });
 
     res.json({
       success: true,
-      message: 'Customer deleted successfully',
+      message: 'Customer moved to the trash',
       data: {
         deletedCustomerId: parseInt(id),
-        deletedSalesCalls: customer._count.salesCalls
+        deletedSalesCalls: trashedCalls,
+        purgeAt: trashService.getPurgeDate(trashedCustomer.deletedAt)
       }
     });
 
@@ -1,8 +1,42 @@
 const express = require('express');
 const { prisma } = require('../database/connection');
+const scoringService = require('../services/scoringService');
+const configurationService = require('../services/configurationService');
+const analysisRunService = require('../services/analysisRunService');
+const { salesCallScope, customerScope } = require('../middleware/auth');
 
 const router = express.Router();
 
+/**
+ * Average every category's score over the calls that were scored on it.
+ * The active configuration's categories are always listed, even before any call has them.
+ * @param {Array} calls - Scored sales calls
+ * @returns {Promise<Object>} Averages by category key (null when no call has the category yet) and the categories ({ key, label })
+ */
+async function averageCategoryScores(calls) {
+  const configuration = await configurationService.getScoringConfiguration();
+  const totals = new Map(
+    scoringService.resolveCategories(configuration.weights, configuration.categories)
+      .map(category => [category.key, { label: category.label, sum: 0, count: 0 }])
+  );
+
+  calls.forEach(call => {
+    Object.entries(analysisRunService.getCategoryScores(call)).forEach(([key, score]) => {
+      const total = totals.get(key) || { label: call.categoryScores?.[key]?.label || key, sum: 0, count: 0 };
+      total.sum += score;
+      total.count++;
+      totals.set(key, total);
+    });
+  });
+
+  return {
+    averages: Object.fromEntries(
+      [...totals].map(([key, total]) => [key, total.count > 0 ? Math.round(total.sum / total.count) : null])
+    ),
+    categories: [...totals].map(([key, total]) => ({ key, label: total.label }))
+  };
+}
+
 /**
  * Get improvement recommendation for a scoring category
  * @param {string} category - Scoring category
@@ -30,7 +64,7 @@ function getImprovementRecommendation(category, averageScore) {
   };
 
   const level = averageScore < 40 ? 'low' : 'medium';
-  return recommendations[category]?.[level] || "שפרו את הביצועים בתחום זה";
+  return recommendations[category]?.[level] || "שפרו את הביצועים בתחום זה - הוסיפו שאלות שמכוונות לנושא";
 }
 
 /**
@@ -39,17 +73,20 @@ function getImprovementRecommendation(category, averageScore) {
  */
 router.get('/stats', async (req, res, next) => {
   try {
+    // Managers see their team's calls and agents their own
+    const scope = salesCallScope(req.user);
+
     // Get basic counts
     const [totalCustomers, totalSalesCalls, totalAnalyzed, totalScored] = await Promise.all([
-      prisma.customer.count(),
-      prisma.salesCall.count(),
-      prisma.salesCall.count({ where: { transcript: { not: null } } }),
-      prisma.salesCall.count({ where: { overallScore: { not: null } } })
+      prisma.customer.count({ where: customerScope(req.user) }),
+      prisma.salesCall.count({ where: scope }),
+      prisma.salesCall.count({ where: { ...scope, transcript: { not: null } } }),
+      prisma.salesCall.count({ where: { ...scope, overallScore: { not: null } } })
     ]);
 
     // Get average scores
     const avgScores = await prisma.salesCall.aggregate({
-      where: { overallScore: { not: null } },
+      where: { ...scope, overallScore: { not: null } },
       _avg: {
         urgencyScore: true,
         budgetScore: true,
@@ -65,6 +102,7 @@ router.get('/stats', async (req, res, next) => {
 
     const recentActivity = await prisma.salesCall.count({
       where: {
+        ...scope,
         createdAt: {
           gte: sevenDaysAgo
         }
@@ -76,7 +114,8 @@ router.get('/stats', async (req, res, next) => {
       where: {
         avgOverallScore: {
           gt: 0
-        }
+        },
+        customer: customerScope(req.user)
       },
       include: {
         customer: {
@@ -100,6 +139,7 @@ router.get('/stats', async (req, res, next) => {
     const uploadTrends = await prisma.salesCall.groupBy({
       by: ['createdAt'],
       where: {
+        ...scope,
         createdAt: {
           gte: thirtyDaysAgo
         }
@@ -171,7 +211,7 @@ router.get('/scoring-analytics', async (req, res, next) => {
   try {
     // Get all scored sales calls
     const scoredCalls = await prisma.salesCall.findMany({
-      where: { overallScore: { not: null } },
+      where: { ...salesCallScope(req.user), overallScore: { not: null } },
       include: {
         customer: {
           select: {
@@ -186,6 +226,8 @@ router.get('/scoring-analytics', async (req, res, next) => {
       }
     });
 
+    const { averages, categories } = await averageCategoryScores(scoredCalls);
+
     // Calculate scoring statistics
     const scoringStats = {
       totalScored: scoredCalls.length,
@@ -196,32 +238,17 @@ router.get('/scoring-analytics', async (req, res, next) => {
         medium: 0,  // 40-59
         low: 0      // 0-39
       },
-      categoryAverages: {
-        urgency: 0,
-        budget: 0,
-        interest: 0,
-        engagement: 0
-      },
+      categoryAverages: averages,
+      categories,
       topPerformers: [],
       improvementAreas: []
     };
 
     if (scoredCalls.length > 0) {
       // Calculate averages
-      const totalScores = scoredCalls.reduce((acc, call) => {
-        acc.overall += call.overallScore;
-        acc.urgency += call.urgencyScore;
-        acc.budget += call.budgetScore;
-        acc.interest += call.interestScore;
-        acc.engagement += call.engagementScore;
-        return acc;
-      }, { overall: 0, urgency: 0, budget: 0, interest: 0, engagement: 0 });
-
-      scoringStats.averageOverallScore = Math.round(totalScores.overall / scoredCalls.length);
-      scoringStats.categoryAverages.urgency = Math.round(totalScores.urgency / scoredCalls.length);
-      scoringStats.categoryAverages.budget = Math.round(totalScores.budget / scoredCalls.length);
-      scoringStats.categoryAverages.interest = Math.round(totalScores.interest / scoredCalls.length);
-      scoringStats.categoryAverages.engagement = Math.round(totalScores.engagement / scoredCalls.length);
+      scoringStats.averageOverallScore = Math.round(
+        scoredCalls.reduce((sum, call) => sum + call.overallScore, 0) / scoredCalls.length
+      );
 
       // Score distribution
       scoredCalls.forEach(call => {
@@ -241,22 +268,23 @@ router.get('/scoring-analytics', async (req, res, next) => {
         budgetScore: call.budgetScore,
         interestScore: call.interestScore,
         engagementScore: call.engagementScore,
+        categoryScores: analysisRunService.getCategoryScores(call),
         createdAt: call.createdAt
       }));
 
       // Identify improvement areas
-      const categoryScores = [
-        { name: 'urgency', avg: scoringStats.categoryAverages.urgency },
-        { name: 'budget', avg: scoringStats.categoryAverages.budget },
-        { name: 'interest', avg: scoringStats.categoryAverages.interest },
-        { name: 'engagement', avg: scoringStats.categoryAverages.engagement }
-      ];
+      const categoryScores = categories.map(category => ({
+        name: category.key,
+        label: category.label,
+        avg: scoringStats.categoryAverages[category.key]
+      }));
 
       scoringStats.improvementAreas = categoryScores
-        .filter(cat => cat.avg < 60)
+        .filter(cat => cat.avg !== null && cat.avg < 60)
         .sort((a, b) => a.avg - b.avg)
         .map(cat => ({
           category: cat.name,
+          label: cat.label,
           averageScore: cat.avg,
           recommendation: getImprovementRecommendation(cat.name, cat.avg)
         }));
@@ -281,7 +309,7 @@ router.get('/export', async (req, res, next) => {
   try {
     const { format = 'json', customerId } = req.query;
 
-    const where = {};
+    const where = { ...salesCallScope(req.user) };
     if (customerId) {
       where.customerId = parseInt(customerId);
     }
@@ -320,11 +348,16 @@ router.get('/export', async (req, res, next) => {
       interestScore: call.interestScore,
       engagementScore: call.engagementScore,
       overallScore: call.overallScore,
+      categoryScores: analysisRunService.getCategoryScores(call),
       analysisNotes: call.analysisNotes,
       callCreatedAt: call.createdAt
     }));
 
     if (format === 'csv') {
+      // Categories beyond the fixed four get a column each
+      const customCategories = [...new Set(exportData.flatMap(row => Object.keys(row.categoryScores)))]
+        .filter(key => !scoringService.phrasePoints[key]);
+
       // Convert to CSV format
       const csvHeaders = [
         'Sales Call ID',
@@ -339,6 +372,7 @@ router.get('/export', async (req, res, next) => {
         'Budget Score',
         'Interest Score',
         'Engagement Score',
+        ...customCategories.map(key => `${key} Score`),
         'Overall Score',
         'Analysis Notes',
         'Call Created At'
@@ -357,6 +391,7 @@ router.get('/export', async (req, res, next) => {
         row.budgetScore || '',
         row.interestScore || '',
         row.engagementScore || '',
+        ...customCategories.map(key => row.categoryScores[key] ?? ''),
         row.overallScore || '',
         `"${(row.analysisNotes || '').replace(/"/g, '""')}"`,
         row.callCreatedAt
@@ -401,6 +436,7 @@ router.get('/analytics', async (req, res, next) => {
     // Get sales calls in the period
     const salesCalls = await prisma.salesCall.findMany({
       where: {
+        ...salesCallScope(req.user),
         createdAt: {
           gte: daysAgo
         },
@@ -440,22 +476,14 @@ router.get('/analytics', async (req, res, next) => {
     });
 
     // Calculate average scores by category
+    const { averages } = await averageCategoryScores(salesCalls);
     const avgScores = {
-      urgency: 0,
-      budget: 0,
-      interest: 0,
-      engagement: 0,
-      overall: 0
+      ...averages,
+      overall: salesCalls.length > 0
+        ? Math.round(salesCalls.reduce((sum, call) => sum + (call.overallScore || 0), 0) / salesCalls.length)
+        : 0
     };
 
-    if (salesCalls.length > 0) {
-      avgScores.urgency = Math.round(salesCalls.reduce((sum, call) => sum + (call.urgencyScore || 0), 0) / salesCalls.length);
-      avgScores.budget = Math.round(salesCalls.reduce((sum, call) => sum + (call.budgetScore || 0), 0) / salesCalls.length);
-      avgScores.interest = Math.round(salesCalls.reduce((sum, call) => sum + (call.interestScore || 0), 0) / salesCalls.length);
-      avgScores.engagement = Math.round(salesCalls.reduce((sum, call) => sum + (call.engagementScore || 0), 0) / salesCalls.length);
-      avgScores.overall = Math.round(salesCalls.reduce((sum, call) => sum + (call.overallScore || 0), 0) / salesCalls.length);
-    }
-
     // Get unique customers
     const uniqueCustomers = [...new Set(salesCalls.map(call => call.customer.id))].length;
 
@@ -5,6 +5,7 @@
 
 const express = require('express');
 const debugTrackingService = require('../services/debugTrackingService');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 
@@ -117,10 +118,14 @@ router.get('/metrics', (req, res) => {
  * POST /api/debug/clear-sessions
  * Clear old debug sessions
  */
-router.post('/clear-sessions', (req, res) => {
+router.post('/clear-sessions', async (req, res) => {
   try {
     debugTrackingService.clearOldSessions();
-    
+
+    await auditService.record(req, {
+      action: auditService.actions.DEBUG_CLEAR_SESSIONS
+    });
+
     res.json({
       success: true,
       message: 'Old sessions cleared successfully'
@@ -4,9 +4,12 @@ const { upload, handleUploadError, cleanupOnError } = require('../middleware/fil
 const { prisma } = require('../database/connection');
 const fs = require('fs-extra');
 const path = require('path');
-const whisperService = require('../services/whisperService');
-const scoringService = require('../services/scoringService');
+const analysisPipelineService = require('../services/analysisPipelineService');
 const debugTrackingService = require('../services/debugTrackingService');
+const agentService = require('../services/agentService');
+const auditService = require('../services/auditService');
+const trashService = require('../services/trashService');
+const { requireCallAccess, salesCallScope } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -21,7 +24,8 @@ router.post('/',
   [
     body('customerName').notEmpty().withMessage('Customer name is required'),
     body('customerPhone').notEmpty().withMessage('Customer phone is required'),
-    body('customerEmail').optional().isEmail().withMessage('Invalid email format')
+    body('customerEmail').optional().isEmail().withMessage('Invalid email format'),
+    body('agentId').optional({ checkFalsy: true }).isInt().withMessage('Agent ID must be a number')
   ],
   async (req, res, next) => {
     // Start debug tracking
@@ -53,7 +57,17 @@ router.post('/',
         });
       }
 
-      const { customerName, customerPhone, customerEmail } = req.body;
+      const { customerName, customerPhone, customerEmail, agentId } = req.body;
+
+      // Attribute the call to the chosen agent, or the uploader's own agent
+      const agentResolution = await agentService.resolveUploadAgent(agentId, req.user);
+      if (!agentResolution.success) {
+        await fs.remove(req.file.path);
+        return res.status(400).json({
+          error: true,
+          message: agentResolution.error
+        });
+      }
 
       // Track upload start
       debugTrackingService.trackUpload(sessionId, {
@@ -69,10 +83,11 @@ router.post('/',
         ipAddress: req.ip
       });
 
-      // Create or find customer
+      // Create or find customer; customers in the trash are not reused
       let customer = await prisma.customer.findFirst({
         where: {
-          phone: customerPhone
+          phone: customerPhone,
+          deletedAt: null
         }
       });
 
@@ -84,6 +99,12 @@ router.post('/',
             email: customerEmail || null
           }
         });
+
+        await auditService.record(req, {
+          action: auditService.actions.CUSTOMER_CREATE,
+          targetId: customer.id,
+          after: customer
+        });
       }
 
       // Track database operation
@@ -99,6 +120,8 @@ router.post('/',
         data: {
           customerId: customer.id,
           audioFilePath: req.file.path,
+          uploadedById: req.user.id,
+          agentId: agentResolution.agentId,
           createdAt: new Date()
         },
         include: {
@@ -124,221 +147,47 @@ router.post('/',
         databaseRecord: salesCall
       });
 
-      // Automatically trigger analysis after successful upload
-      console.log(`🔍 Starting automatic analysis for sales call ID: ${salesCall.id}`);
-      console.log(`📁 Audio file path: ${salesCall.audioFilePath}`);
-      
-      try {
-        // Track Whisper API call
-        const fileStats = await fs.stat(salesCall.audioFilePath);
-        console.log(`📊 File stats: ${fileStats.size} bytes, ${(fileStats.size / 1024 / 1024).toFixed(2)} MB`);
-        
-        debugTrackingService.trackWhisper(sessionId, {
-          filePath: salesCall.audioFilePath,
-          fileSize: fileStats.size,
-          model: 'whisper-1',
-          language: 'he',
-          responseFormat: 'verbose_json',
-          timestampGranularities: ['word']
-        });
-
-        console.log(`🎤 Starting transcription for: ${salesCall.audioFilePath}`);
-        console.log(`📁 File size: ${(fileStats.size / 1024 / 1024).toFixed(2)} MB`);
-
-        // Validate audio file
-        console.log(`🔍 Validating audio file...`);
-        await whisperService.validateAudioFile(salesCall.audioFilePath);
-        console.log(`✅ Audio file validation passed`);
-
-        // Transcribe audio using Whisper API
-        console.log(`🎤 Calling OpenAI Whisper API...`);
-        const transcription = await whisperService.transcribeAudio(salesCall.audioFilePath);
-
-        console.log(`✅ Transcription completed successfully`);
-        console.log(`📝 Text length: ${transcription.text.length} characters`);
-        console.log(`⏱️ Duration: ${transcription.duration} seconds`);
-        console.log(`🌐 Language: ${transcription.language}`);
-        
-        // Complete Whisper tracking
-        debugTrackingService.completeWhisper(sessionId, {
-          success: true,
-          text: transcription.text,
-          language: transcription.language,
-          duration: transcription.duration,
-          segments: transcription.segments,
-          tokensUsed: null, // Whisper doesn't return token usage
-          cost: null
-        });
-
-        // Get transcription statistics
-        const stats = whisperService.getTranscriptionStats(transcription);
-        console.log(`📊 Transcription stats:`, stats);
-
-        console.log(`🎯 Starting scoring analysis...`);
-        console.log(`📝 Transcript preview: "${transcription.text.substring(0, 100)}..."`);
-        
-        // Track scoring analysis
-        debugTrackingService.trackScoring(sessionId, {
-          transcript: transcription.text,
-          duration: transcription.duration || 0,
-          wordCount: stats.wordCount || 0,
-          analysisType: 'traditional',
-          useEnhancedAnalysis: false
-        });
-
-        // Perform scoring analysis
-        console.log(`🔍 Calling scoring service...`);
-        const scoringResults = scoringService.analyzeTranscript(
-          transcription.text,
-          transcription.duration || 0,
-          stats.wordCount || 0
-        );
-
-        console.log(`✅ Scoring analysis completed`);
-        console.log(`🎯 Scoring results:`, scoringResults.scores);
-        console.log(`📝 Analysis notes: ${scoringResults.analysis.notes}`);
-        
-        // Complete scoring tracking
-        debugTrackingService.completeScoring(sessionId, scoringResults);
-
-        // Track database update
-        console.log(`💾 Updating database with analysis results...`);
-        debugTrackingService.trackDatabase(sessionId, {
-          operation: 'update',
-          table: 'sales_calls',
-          recordId: salesCall.id,
-          dataSize: JSON.stringify({
-            transcript: transcription.text,
-            urgencyScore: scoringResults.scores.urgency,
-            budgetScore: scoringResults.scores.budget,
-            interestScore: scoringResults.scores.interest,
-            engagementScore: scoringResults.scores.engagement,
-            overallScore: scoringResults.scores.overall,
-            analysisNotes: scoringResults.analysis.notes
-          }).length
-        });
-
-        // Update sales call with transcript and scores
-        console.log(`💾 Executing database update...`);
-        const updatedSalesCall = await prisma.salesCall.update({
-          where: { id: salesCall.id },
-          data: {
-            transcript: transcription.text,
-            urgencyScore: scoringResults.scores.urgency,
-            budgetScore: scoringResults.scores.budget,
-            interestScore: scoringResults.scores.interest,
-            engagementScore: scoringResults.scores.engagement,
-            overallScore: scoringResults.scores.overall,
-            analysisNotes: scoringResults.analysis.notes
-          },
-          include: {
-            customer: true
-          }
-        });
-
-        console.log(`✅ Database update completed successfully`);
-        console.log(`📊 Updated sales call ID: ${updatedSalesCall.id}`);
-
-        // Complete database tracking
-        debugTrackingService.completeDatabase(sessionId, {
-          success: true,
-          recordId: salesCall.id,
-          affectedRows: 1
-        });
-
-        // Complete session tracking
-        debugTrackingService.completeSession(sessionId, {
-          success: true,
-          salesCallId: salesCall.id,
-          overallScore: scoringResults.scores.overall
-        });
+      // Queue transcription and scoring in the background
+      const job = await analysisPipelineService.enqueueAnalysis(salesCall.id, {
+        debugSessionId: sessionId
+      });
 
-        console.log(`✅ Automatic analysis completed for sales call ID: ${salesCall.id}`);
-        console.log(`📊 Final transcription stats:`, stats);
-        console.log(`🎯 Final scoring results:`, scoringResults.scores);
+      console.log(`📥 Analysis queued for sales call ID: ${salesCall.id} (job ID: ${job.id})`);
 
-        res.status(201).json({
-          success: true,
-          message: 'Audio file uploaded and analyzed successfully',
-          data: {
-            salesCallId: salesCall.id,
-            ...(debugTrackingService.isDebugEnabled() && { sessionId: sessionId }), // Include session ID only if debug is enabled
-            customer: {
-              id: customer.id,
-              name: customer.name,
-              phone: customer.phone,
-              email: customer.email
-            },
-            file: {
-              originalName: req.file.originalname,
-              size: req.file.size,
-              mimetype: req.file.mimetype,
-              path: req.file.path
-            },
-            transcription: {
-              text: transcription.text,
-              duration: transcription.duration || 0,
-              wordCount: stats.wordCount || 0
-            },
-            scoring: {
-              scores: scoringResults.scores,
-              analysis: scoringResults.analysis,
-              metadata: scoringResults.metadata
-            },
-            analysisStatus: 'completed',
-            scoringStatus: 'completed',
-            uploadedAt: salesCall.createdAt
-          }
-        });
+      await auditService.record(req, {
+        action: auditService.actions.CALL_UPLOAD,
+        targetId: salesCall.id,
+        after: {
+          ...auditService.snapshot(salesCall, { id: true, customerId: true, audioFilePath: true, uploadedById: true, agentId: true, createdAt: true }),
+          originalName: req.file.originalname,
+          jobId: job.id
+        }
+      });
 
-      } catch (analysisError) {
-        console.error(`❌ Analysis failed for sales call ID: ${salesCall.id}`);
-        console.error(`🔍 Error details:`, {
-          message: analysisError.message,
-          stack: analysisError.stack,
-          name: analysisError.name,
-          code: analysisError.code
-        });
-        
-        // Log additional context
-        console.error(`📊 Analysis failure context:`, {
+      res.status(202).json({
+        success: true,
+        message: 'Audio file uploaded successfully, analysis queued',
+        data: {
           salesCallId: salesCall.id,
-          audioFilePath: salesCall.audioFilePath,
-          customerId: customer.id,
-          customerName: customer.name,
-          fileSize: req.file.size,
-          fileType: req.file.mimetype
-        });
-        
-        // Still return success for upload, but indicate analysis failed
-        res.status(201).json({
-          success: true,
-          message: 'Audio file uploaded successfully, but analysis failed',
-          data: {
-            salesCallId: salesCall.id,
-            customer: {
-              id: customer.id,
-              name: customer.name,
-              phone: customer.phone,
-              email: customer.email
-            },
-            file: {
-              originalName: req.file.originalname,
-              size: req.file.size,
-              mimetype: req.file.mimetype,
-              path: req.file.path
-            },
-            analysisStatus: 'failed',
-            analysisError: analysisError.message,
-            errorDetails: {
-              name: analysisError.name,
-              code: analysisError.code,
-              stack: process.env.NODE_ENV === 'development' ? analysisError.stack : undefined
-            },
-            uploadedAt: salesCall.createdAt
-          }
-        });
-      }
+          jobId: job.id,
+          agentId: salesCall.agentId,
+          ...(debugTrackingService.isDebugEnabled() && { sessionId: sessionId }), // Include session ID only if debug is enabled
+          customer: {
+            id: customer.id,
+            name: customer.name,
+            phone: customer.phone,
+            email: customer.email
+          },
+          file: {
+            originalName: req.file.originalname,
+            size: req.file.size,
+            mimetype: req.file.mimetype,
+            path: req.file.path
+          },
+          analysisStatus: job.status,
+          uploadedAt: salesCall.createdAt
+        }
+      });
 
     } catch (error) {
       console.error('❌ File upload error:', error);
@@ -361,13 +210,16 @@ router.post('/',
  */
 router.get('/', async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, customerId } = req.query;
+    const { page = 1, limit = 10, customerId, agentId } = req.query;
     const offset = (page - 1) * limit;
 
-    const where = {};
+    const where = { ...salesCallScope(req.user) };
     if (customerId) {
       where.customerId = parseInt(customerId);
     }
+    if (agentId) {
+      where.agentId = parseInt(agentId);
+    }
 
     const [salesCalls, total] = await Promise.all([
       prisma.salesCall.findMany({
@@ -380,6 +232,12 @@ router.get('/', async (req, res, next) => {
               phone: true,
               email: true
             }
+          },
+          agent: {
+            select: {
+              id: true,
+              name: true
+            }
           }
         },
         orderBy: {
@@ -438,9 +296,9 @@ router.get('/', async (req, res, next) => {
 
 /**
  * DELETE /api/upload/:id
- * Delete uploaded file
+ * Move a sales call to the trash; its file is removed when the trash is purged
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireCallAccess(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -452,34 +310,30 @@ router.delete('/:id', async (req, res, next) => {
       }
     });
 
-    if (!salesCall) {
+    if (!salesCall || salesCall.deletedAt) {
       return res.status(404).json({
         error: true,
         message: 'Sales call not found'
       });
     }
 
-    // Delete the file from filesystem
-    try {
-      await fs.remove(salesCall.audioFilePath);
-      console.log(`🗑️ File deleted: ${salesCall.audioFilePath}`);
-    } catch (fileError) {
-      console.warn(`⚠️ File not found on filesystem: ${salesCall.audioFilePath}`);
-    }
+    // Also refreshes the customer's prioritization without the trashed call
+    const trashedCall = await trashService.trashSalesCall(salesCall.id);
 
-    // Delete from database
-    await prisma.salesCall.delete({
-      where: { id: parseInt(id) }
+    await auditService.record(req, {
+      action: auditService.actions.CALL_DELETE,
+      targetId: salesCall.id,
+      before: salesCall,
+      after: { deletedAt: trashedCall.deletedAt }
     });
 
-    console.log(`✅ Sales call deleted: ID ${id}`);
-
     res.json({
       success: true,
-      message: 'File deleted successfully',
+      message: 'Sales call moved to the trash',
       data: {
         deletedId: parseInt(id),
-        customerName: salesCall.customer.name
+        customerName: salesCall.customer.name,
+        purgeAt: trashService.getPurgeDate(trashedCall.deletedAt)
       }
     });
 
@@ -493,7 +347,7 @@ router.delete('/:id', async (req, res, next) => {
  * GET /api/upload/:id
  * Get specific file details
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireCallAccess(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -507,6 +361,12 @@ router.get('/:id', async (req, res, next) => {
             phone: true,
             email: true
           }
+        },
+        agent: {
+          select: {
+            id: true,
+            name: true
+          }
         }
       }
     });
@@ -0,0 +1,52 @@
+const express = require('express');
+const { prisma } = require('../database/connection');
+const jobQueueService = require('../services/jobQueueService');
+const authService = require('../services/authService');
+const { salesCallScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:id
+ * Get the status of a background job. Jobs of a sales call follow the call's access scope;
+ * jobs without one (rescores, prompt comparisons) are visible to admins only.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({
+        error: true,
+        message: 'Valid job ID is required'
+      });
+    }
+
+    const job = await jobQueueService.getJob(id);
+
+    const visible = job && (job.salesCallId
+      ? await prisma.salesCall.findFirst({
+        where: { id: job.salesCallId, ...salesCallScope(req.user) },
+        select: { id: true }
+      })
+      : req.user.role === authService.roles.ADMIN);
+
+    if (!visible) {
+      return res.status(404).json({
+        error: true,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: jobQueueService.formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('❌ Get job error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+/**
+ * Prompt Registry Routes
+ * Handles versioned GPT-4 prompts and A/B comparisons
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const promptRegistryService = require('../services/promptRegistryService');
+const promptComparisonService = require('../services/promptComparisonService');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Prompt changes affect every analysis
+const adminOnly = requireRole(authService.roles.ADMIN);
+
+/**
+ * GET /api/prompts
+ * List stored prompt versions
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { task } = req.query;
+
+    if (task && !promptRegistryService.tasks.includes(task)) {
+      return res.status(400).json({
+        error: true,
+        message: `Task must be one of: ${promptRegistryService.tasks.join(', ')}`
+      });
+    }
+
+    const result = await promptRegistryService.listVersions(task);
+
+    res.json({
+      success: true,
+      data: result.versions
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing prompt versions:', error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/prompts/active
+ * Get the prompt each analysis task currently runs with
+ */
+router.get('/active', async (req, res, next) => {
+  try {
+    const prompts = await promptRegistryService.getActivePrompts();
+
+    res.json({
+      success: true,
+      data: prompts
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting active prompts:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/prompts/compare
+ * Queue an A/B comparison of two prompt versions
+ */
+router.post('/compare',
+  adminOnly,
+  [
+    body('versionA').isInt({ min: 1 }).withMessage('versionA must be a prompt version ID'),
+    body('versionB').isInt({ min: 1 }).withMessage('versionB must be a prompt version ID'),
+    body('salesCallIds').optional().isArray({ min: 1 }).withMessage('salesCallIds must be a non-empty array'),
+    body('salesCallIds.*').optional().isInt({ min: 1 }).withMessage('salesCallIds must contain sales call IDs'),
+    body('limit').optional().isInt({ min: 1, max: promptComparisonService.maxLimit })
+      .withMessage(`limit must be between 1 and ${promptComparisonService.maxLimit}`)
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { versionA, versionB, salesCallIds, limit } = req.body;
+
+      const result = await promptComparisonService.enqueueComparison({
+        versionAId: versionA,
+        versionBId: versionB,
+        salesCallIds,
+        limit
+      });
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: true,
+          message: result.error
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.PROMPT_COMPARE,
+        targetType: 'job',
+        targetId: result.job.id,
+        after: { versionA, versionB, salesCallIds, limit }
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Prompt comparison queued',
+        data: {
+          jobId: result.job.id,
+          status: result.job.status
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error queueing prompt comparison:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/prompts/reset
+ * Go back to the built-in prompt for a task
+ */
+router.post('/reset',
+  adminOnly,
+  [
+    body('task').isIn(promptRegistryService.tasks).withMessage(`Task must be one of: ${promptRegistryService.tasks.join(', ')}`)
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const previous = (await promptRegistryService.getActivePrompts())[req.body.task];
+      const result = await promptRegistryService.resetTask(req.body.task);
+
+      if (result.success) {
+        await auditService.record(req, {
+          action: auditService.actions.PROMPT_RESET,
+          targetId: previous.id,
+          before: previous,
+          after: result.version
+        });
+
+        res.json({
+          success: true,
+          message: 'Prompt reset to built-in version',
+          data: result.version
+        });
+      } else {
+        res.status(400).json({
+          error: true,
+          message: result.error
+        });
+      }
+
+    } catch (error) {
+      console.error('❌ Error resetting prompt:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/prompts/:id
+ * Get a prompt version
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (isNaN(parseInt(id))) {
+      return res.status(400).json({
+        error: true,
+        message: 'Valid prompt version ID is required'
+      });
+    }
+
+    const version = await promptRegistryService.getVersion(id);
+
+    if (!version) {
+      return res.status(404).json({
+        error: true,
+        message: 'Prompt version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+
+  } catch (error) {
+    console.error('❌ Error getting prompt version:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/prompts
+ * Create a new prompt version
+ */
+router.post('/',
+  adminOnly,
+  [
+    body('task').isIn(promptRegistryService.tasks).withMessage(`Task must be one of: ${promptRegistryService.tasks.join(', ')}`),
+    body('name').notEmpty().withMessage('Prompt name is required'),
+    body('systemPrompt').isString().notEmpty().withMessage('System prompt is required'),
+    body('template').isString().contains('{transcript}').withMessage('Template must contain the {transcript} placeholder'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { task, name, systemPrompt, template, isActive } = req.body;
+
+      const result = await promptRegistryService.createVersion({
+        task,
+        name,
+        systemPrompt,
+        template,
+        isActive: isActive || false
+      });
+
+      if (result.success) {
+        await auditService.record(req, {
+          action: auditService.actions.PROMPT_CREATE,
+          targetId: result.version.id,
+          after: result.version
+        });
+
+        res.status(201).json({
+          success: true,
+          message: 'Prompt version created successfully',
+          data: result.version
+        });
+      } else {
+        res.status(400).json({
+          error: true,
+          message: result.error,
+          details: result.details
+        });
+      }
+
+    } catch (error) {
+      console.error('❌ Error creating prompt version:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/prompts/:id
+ * Update a prompt version
+ */
+router.put('/:id',
+  adminOnly,
+  [
+    body('name').optional().notEmpty().withMessage('Prompt name cannot be empty'),
+    body('systemPrompt').optional().isString().notEmpty().withMessage('System prompt cannot be empty'),
+    body('template').optional().isString().contains('{transcript}').withMessage('Template must contain the {transcript} placeholder')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, systemPrompt, template } = req.body;
+
+      const previous = await promptRegistryService.getVersion(req.params.id);
+      const result = await promptRegistryService.updateVersion(parseInt(req.params.id), { name, systemPrompt, template });
+
+      if (result.success) {
+        await auditService.record(req, {
+          action: auditService.actions.PROMPT_UPDATE,
+          targetId: result.version.id,
+          before: previous,
+          after: result.version
+        });
+
+        res.json({
+          success: true,
+          message: 'Prompt version updated successfully',
+          data: result.version
+        });
+      } else {
+        res.status(result.error === 'Prompt version not found' ? 404 : 400).json({
+          error: true,
+          message: result.error,
+          details: result.details
+        });
+      }
+
+    } catch (error) {
+      console.error('❌ Error updating prompt version:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/prompts/:id
+ * Delete a prompt version
+ */
+router.delete('/:id', adminOnly, async (req, res, next) => {
+  try {
+    const previous = await promptRegistryService.getVersion(req.params.id);
+    const result = await promptRegistryService.deleteVersion(parseInt(req.params.id));
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: auditService.actions.PROMPT_DELETE,
+        targetId: previous.id,
+        before: previous
+      });
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } else {
+      res.status(400).json({
+        error: true,
+        message: result.error
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error deleting prompt version:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/prompts/:id/activate
+ * Make a prompt version the active prompt of its task
+ */
+router.post('/:id/activate', adminOnly, async (req, res, next) => {
+  try {
+    // The log keeps the prompt the activated version replaced
+    const version = await promptRegistryService.getVersion(req.params.id);
+    const previous = version ? (await promptRegistryService.getActivePrompts())[version.task] : null;
+    const result = await promptRegistryService.activateVersion(parseInt(req.params.id));
+
+    if (result.success) {
+      await auditService.record(req, {
+        action: auditService.actions.PROMPT_ACTIVATE,
+        targetId: result.version.id,
+        before: previous,
+        after: result.version
+      });
+
+      res.json({
+        success: true,
+        message: 'Prompt version activated successfully',
+        data: result.version
+      });
+    } else {
+      res.status(400).json({
+        error: true,
+        message: result.error
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error activating prompt version:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+/**
+ * Trash Routes
+ * Lists deleted customers and sales calls and restores them before they are purged
+ */
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const trashService = require('../services/trashService');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const { requireRole, salesCallScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/trash
+ * List trashed sales calls in the user's scope, and trashed customers for admins
+ */
+router.get('/',
+  [
+    query('type').optional().isIn(['calls', 'customers']).withMessage('type must be calls or customers')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { type } = req.query;
+      const isAdmin = req.user.role === authService.roles.ADMIN;
+
+      const trash = await trashService.listTrash({
+        scope: salesCallScope(req.user, { trashed: true }),
+        includeCustomers: isAdmin && type !== 'calls'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...trash,
+          salesCalls: type === 'customers' ? [] : trash.salesCalls
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error listing the trash:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/trash/calls/:id/restore
+ * Restore a trashed sales call in the user's scope
+ */
+router.post('/calls/:id/restore',
+  [
+    param('id').isInt({ min: 1 }).withMessage('Valid sales call ID is required')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await trashService.restoreSalesCall(req.params.id, salesCallScope(req.user, { trashed: true }));
+
+      if (!result.success) {
+        return res.status(result.error === 'Sales call not found in the trash' ? 404 : 409).json({
+          error: true,
+          message: result.error
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.CALL_RESTORE,
+        targetId: result.salesCall.id,
+        after: result.salesCall
+      });
+
+      res.json({
+        success: true,
+        message: 'Sales call restored successfully',
+        data: {
+          restoredId: result.salesCall.id,
+          customerId: result.salesCall.customerId
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error restoring sales call:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/trash/customers/:id/restore
+ * Restore a trashed customer with the sales calls deleted together with it (admin only)
+ */
+router.post('/customers/:id/restore',
+  requireRole(authService.roles.ADMIN),
+  [
+    param('id').isInt({ min: 1 }).withMessage('Valid customer ID is required')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await trashService.restoreCustomer(req.params.id);
+
+      if (!result.success) {
+        return res.status(result.error === 'Customer not found in the trash' ? 404 : 409).json({
+          error: true,
+          message: result.error,
+          data: result.details
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.CUSTOMER_RESTORE,
+        targetId: result.customer.id,
+        after: { ...result.customer, restoredCalls: result.restoredCalls }
+      });
+
+      res.json({
+        success: true,
+        message: 'Customer restored successfully',
+        data: {
+          restoredCustomerId: result.customer.id,
+          restoredSalesCalls: result.restoredCalls
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error restoring customer:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
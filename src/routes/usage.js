@@ -0,0 +1,55 @@
+const express = require('express');
+const usageService = require('../services/usageService');
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * Get token, audio and cost usage with daily and monthly rollups
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { from, to, salesCallId } = req.query;
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({
+        error: true,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+      return res.status(400).json({
+        error: true,
+        message: 'from must be before to'
+      });
+    }
+
+    if (salesCallId && isNaN(parseInt(salesCallId))) {
+      return res.status(400).json({
+        error: true,
+        message: 'salesCallId must be a number'
+      });
+    }
+
+    const summary = await usageService.getSummary({
+      from: fromDate,
+      to: toDate,
+      salesCallId: salesCallId ? parseInt(salesCallId) : null
+    });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('❌ Get usage error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
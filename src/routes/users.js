@@ -0,0 +1,165 @@
+/**
+ * User Management Routes
+ * Handles user accounts and roles (admin only)
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+const roles = Object.values(authService.roles);
+
+/**
+ * GET /api/users
+ * List users
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const users = await authService.listUsers();
+
+    res.json({
+      success: true,
+      data: users
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing users:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users
+ * Create a user
+ */
+router.post('/',
+  [
+    body('email').isEmail().withMessage('Valid email is required'),
+    body('name').notEmpty().withMessage('Name is required'),
+    body('password').isLength({ min: authService.minPasswordLength })
+      .withMessage(`Password must be at least ${authService.minPasswordLength} characters`),
+    body('role').optional().isIn(roles).withMessage(`Role must be one of: ${roles.join(', ')}`),
+    body('team').optional({ nullable: true }).isString().withMessage('Team must be a string')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { email, name, password, role, team } = req.body;
+      const result = await authService.createUser({ email, name, password, role, team });
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: true,
+          message: result.error,
+          details: result.details
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.USER_CREATE,
+        targetId: result.user.id,
+        after: result.user
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: result.user
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating user:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/users/:id
+ * Update a user's details, password, role, team or active flag
+ */
+router.put('/:id',
+  [
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+    body('password').optional().isLength({ min: authService.minPasswordLength })
+      .withMessage(`Password must be at least ${authService.minPasswordLength} characters`),
+    body('role').optional().isIn(roles).withMessage(`Role must be one of: ${roles.join(', ')}`),
+    body('team').optional({ nullable: true }).isString().withMessage('Team must be a string'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      if (isNaN(parseInt(id))) {
+        return res.status(400).json({
+          error: true,
+          message: 'Valid user ID is required'
+        });
+      }
+
+      // Admins cannot lock themselves out
+      if (parseInt(id) === req.user.id && (req.body.isActive === false || (req.body.role && req.body.role !== authService.roles.ADMIN))) {
+        return res.status(400).json({
+          error: true,
+          message: 'You cannot deactivate or demote your own account'
+        });
+      }
+
+      const { email, name, password, role, team, isActive } = req.body;
+      const previous = await authService.getUser(id);
+      const result = await authService.updateUser(id, { email, name, password, role, team, isActive });
+
+      if (!result.success) {
+        return res.status(result.error === 'User not found' ? 404 : 400).json({
+          error: true,
+          message: result.error,
+          details: result.details
+        });
+      }
+
+      await auditService.record(req, {
+        action: auditService.actions.USER_UPDATE,
+        targetId: result.user.id,
+        before: previous,
+        // The password itself is never logged, only that it changed
+        after: { ...result.user, ...(password !== undefined && { passwordChanged: true }) }
+      });
+
+      res.json({
+        success: true,
+        message: 'User updated successfully',
+        data: result.user
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating user:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
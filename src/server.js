@@ -13,11 +13,32 @@ const dashboardRoutes = require('./routes/dashboard');
 const audioRoutes = require('./routes/audio');
 const configurationRoutes = require('./routes/configuration');
 const debugRoutes = require('./routes/debug');
+const jobRoutes = require('./routes/jobs');
+const usageRoutes = require('./routes/usage');
+const promptRoutes = require('./routes/prompts');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const agentRoutes = require('./routes/agents');
+const auditRoutes = require('./routes/audit');
+const trashRoutes = require('./routes/trash');
+const { authenticate, requireRole } = require('./middleware/auth');
+const authService = require('./services/authService');
+const jobQueueService = require('./services/jobQueueService');
+const analysisPipelineService = require('./services/analysisPipelineService');
+const promptComparisonService = require('./services/promptComparisonService');
+const rescoreService = require('./services/rescoreService');
+const trashService = require('./services/trashService');
 
 const app = express();
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (e.g. Fly.io), trust this many hops so req.ip is the client's address
+// in rate limiting and the audit log
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS));
+}
+
 // Backend configuration
 const getServerUrl = () => {
   const hostname = process.env.HOSTNAME || 'localhost';
@@ -89,41 +110,14 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Logging middleware
+// Media URLs carry a token in the query string; keep it out of the access log
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/g, '$1[redacted]'));
 app.use(morgan('combined'));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Audio file serving for MVP (static file serving)
-app.use('/uploads', express.static('uploads', {
-  setHeaders: (res, path) => {
-    // Set proper MIME types for audio files
-    const ext = path.toLowerCase().substr(path.lastIndexOf('.'));
-    const mimeTypes = {
-      '.mp3': 'audio/mpeg',
-      '.wav': 'audio/wav', 
-      '.m4a': 'audio/mp4',
-      '.aac': 'audio/aac',
-      '.ogg': 'audio/ogg'
-    };
-    
-    if (mimeTypes[ext]) {
-      res.set('Content-Type', mimeTypes[ext]);
-    }
-    
-    // Enable seeking support for audio players
-    res.set('Accept-Ranges', 'bytes');
-    
-    // MVP: Simple caching for development
-    res.set('Cache-Control', 'public, max-age=3600');
-    
-    // CORS headers for audio requests
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Access-Control-Allow-Methods', 'GET');
-  }
-}));
-
 // Root route
 app.get('/', (req, res) => {
   res.json({
@@ -141,6 +135,14 @@ app.get('/', (req, res) => {
       dashboard: '/api/dashboard',
       audio: '/api/audio',
       configuration: '/api/configuration',
+      jobs: '/api/jobs',
+      usage: '/api/usage',
+      prompts: '/api/prompts',
+      auth: '/api/auth',
+      users: '/api/users',
+      agents: '/api/agents',
+      audit: '/api/audit',
+      trash: '/api/trash',
       ...(process.env.DEBUG_TRACKING === 'true' && { debug: '/api/debug' })
     },
     features: [
@@ -150,6 +152,10 @@ app.get('/', (req, res) => {
       'Customer prioritization',
       'Real-time dashboard',
       'Dynamic configuration management',
+      'User accounts with role-based access',
+      'Per-agent performance analytics',
+      'Audit log of data and configuration changes',
+      'Trash bin for deleted customers and calls',
       ...(process.env.DEBUG_TRACKING === 'true' ? ['Debug dashboard'] : [])
     ]
   });
@@ -173,14 +179,40 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Login is the only API route open without a token
+app.use('/api/auth', authRoutes);
+app.use('/api', authenticate);
+
 // API routes
+const { ADMIN, MANAGER } = authService.roles;
 app.use('/api/upload', fileUploadRoutes);
 app.use('/api/analyze', analysisRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/audio', audioRoutes);
 app.use('/api/configuration', configurationRoutes);
-app.use('/api/debug', debugRoutes);
+app.use('/api/debug', requireRole(ADMIN), debugRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/usage', requireRole(ADMIN, MANAGER), usageRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/users', requireRole(ADMIN), userRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/audit', requireRole(ADMIN), auditRoutes);
+app.use('/api/trash', trashRoutes);
+
+// Background job handlers
+jobQueueService.registerHandler(
+  analysisPipelineService.jobType,
+  (job, context) => analysisPipelineService.runJob(job, context)
+);
+jobQueueService.registerHandler(
+  promptComparisonService.jobType,
+  (job, context) => promptComparisonService.runJob(job, context)
+);
+jobQueueService.registerHandler(
+  rescoreService.jobType,
+  (job, context) => rescoreService.runJob(job, context)
+);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -207,12 +239,16 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  await jobQueueService.stop();
+  trashService.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  await jobQueueService.stop();
+  trashService.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -225,6 +261,18 @@ if (require.main === module) {
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 Health check: ${serverUrl}/health`);
   });
+
+  authService.ensureBootstrapAdmin()
+    .then(admin => admin && console.log(`👤 Created admin user ${admin.email} from ADMIN_EMAIL`))
+    .catch(error => console.error('❌ Bootstrap admin check failed:', error.message));
+
+  // Process queued transcription and analysis jobs in this process
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    jobQueueService.start();
+  }
+
+  // Permanently remove trashed items (and their audio files) once the retention period is over
+  trashService.start();
 }
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,461 @@
+/**
+ * Agent Service
+ * Manages sales agents and calculates per-agent performance metrics
+ */
+
+const { prisma } = require('../database/connection');
+const analysisRunService = require('./analysisRunService');
+const authService = require('./authService');
+
+class AgentService {
+  constructor() {
+    // Calls scoring at least this much count as high-score leads
+    this.highScoreThreshold = parseInt(process.env.AGENT_HIGH_SCORE_THRESHOLD) || 80;
+
+    // Customer status that counts as a conversion
+    this.convertedStatus = 'converted';
+
+    // Leaderboard sort keys and the metric each one reads
+    this.sortKeys = {
+      overall: metrics => metrics.averageScores.overall,
+      objectionHandling: metrics => metrics.objectionHandling.rate,
+      conversion: metrics => metrics.highScoreLeads.conversionRate,
+      calls: metrics => metrics.totalCalls
+    };
+
+    // Sales call fields the metrics are calculated from
+    this.metricFields = {
+      id: true,
+      agentId: true,
+      overallScore: true,
+      urgencyScore: true,
+      budgetScore: true,
+      interestScore: true,
+      engagementScore: true,
+      categoryScores: true,
+      objectionAnalysis: true,
+      flowQuality: true,
+      diarization: true,
+      createdAt: true,
+      customer: { select: { id: true, status: true } }
+    };
+  }
+
+  /**
+   * Validate agent fields
+   * @param {Object} data - Agent fields
+   * @param {boolean} isUpdate - Whether this is an update (fields are optional)
+   * @returns {Array<string>} Validation errors
+   */
+  validateAgent(data, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || data.name !== undefined) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('Name is required');
+      }
+    }
+    if (data.email !== undefined && data.email !== null && data.email !== '') {
+      if (typeof data.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+        errors.push('Email must be valid');
+      }
+    }
+    if (data.userId !== undefined && data.userId !== null && isNaN(parseInt(data.userId))) {
+      errors.push('User ID must be a number');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that a user exists and is not linked to another agent
+   * @param {number|null} userId - User ID
+   * @param {number|null} agentId - Agent being saved (null when creating)
+   * @returns {Promise<string|null>} Error message or null
+   */
+  async checkUserLink(userId, agentId = null) {
+    if (userId === undefined || userId === null) {
+      return null;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(userId) },
+      include: { agent: { select: { id: true } } }
+    });
+
+    if (!user) {
+      return 'User not found';
+    }
+    if (user.agent && user.agent.id !== agentId) {
+      return 'User is already linked to another agent';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create an agent
+   * @param {Object} data - Agent fields ({ name, email, team, userId })
+   * @returns {Promise<Object>} Creation result ({ success, agent }) or validation error
+   */
+  async createAgent({ name, email = null, team = null, userId = null }) {
+    try {
+      const errors = this.validateAgent({ name, email, userId });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid agent',
+          details: errors
+        };
+      }
+
+      const linkError = await this.checkUserLink(userId);
+      if (linkError) {
+        return {
+          success: false,
+          error: linkError
+        };
+      }
+
+      const agent = await prisma.agent.create({
+        data: {
+          name: name.trim(),
+          email: email || null,
+          team: team || null,
+          userId: userId !== null ? parseInt(userId) : null
+        }
+      });
+
+      console.log(`🧑‍💼 Created agent ${agent.name}`);
+
+      return {
+        success: true,
+        agent: this.formatAgent(agent)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to create agent:', error);
+      throw new Error(`Agent creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an agent
+   * @param {number} id - Agent ID
+   * @param {Object} updates - Fields to update ({ name, email, team, userId, isActive })
+   * @returns {Promise<Object>} Update result ({ success, agent }) or error
+   */
+  async updateAgent(id, updates) {
+    try {
+      const errors = this.validateAgent(updates, true);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid agent',
+          details: errors
+        };
+      }
+
+      const agent = await prisma.agent.findUnique({ where: { id: parseInt(id) } });
+      if (!agent) {
+        return {
+          success: false,
+          error: 'Agent not found'
+        };
+      }
+
+      const linkError = await this.checkUserLink(updates.userId, agent.id);
+      if (linkError) {
+        return {
+          success: false,
+          error: linkError
+        };
+      }
+
+      const updated = await prisma.agent.update({
+        where: { id: agent.id },
+        data: {
+          ...(updates.name !== undefined && { name: updates.name.trim() }),
+          ...(updates.email !== undefined && { email: updates.email || null }),
+          ...(updates.team !== undefined && { team: updates.team || null }),
+          ...(updates.userId !== undefined && { userId: updates.userId !== null ? parseInt(updates.userId) : null }),
+          ...(updates.isActive !== undefined && { isActive: updates.isActive })
+        }
+      });
+
+      return {
+        success: true,
+        agent: this.formatAgent(updated)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to update agent:', error);
+      throw new Error(`Agent update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an agent
+   * @param {number} id - Agent ID
+   * @returns {Promise<Object|null>} Agent or null when not found
+   */
+  async getAgent(id) {
+    const agent = await prisma.agent.findUnique({ where: { id: parseInt(id) } });
+
+    return agent ? this.formatAgent(agent) : null;
+  }
+
+  /**
+   * List agents with their call counts (calls in the trash are not counted)
+   * @param {Object} options - List options
+   * @param {boolean} options.includeInactive - Include deactivated agents
+   * @returns {Promise<Array>} Agents
+   */
+  async listAgents({ includeInactive = false } = {}) {
+    const agents = await prisma.agent.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      include: { _count: { select: { salesCalls: { where: { deletedAt: null } } } } },
+      orderBy: { name: 'asc' }
+    });
+
+    return agents.map(agent => ({
+      ...this.formatAgent(agent),
+      totalCalls: agent._count.salesCalls
+    }));
+  }
+
+  /**
+   * Resolve the agent an upload is attributed to. Users with the agent role always
+   * upload as their own agent; others may pick any active agent and default to their own.
+   * @param {number|string|undefined} agentId - Requested agent ID
+   * @param {Object} user - Uploading user
+   * @returns {Promise<Object>} Resolution ({ success, agentId }) or error
+   */
+  async resolveUploadAgent(agentId, user) {
+    const requested = agentId !== undefined && agentId !== null && agentId !== '';
+
+    if (requested && user.role !== authService.roles.AGENT) {
+      const agent = await prisma.agent.findUnique({ where: { id: parseInt(agentId) } });
+      if (!agent || !agent.isActive) {
+        return {
+          success: false,
+          error: 'Agent not found'
+        };
+      }
+
+      return { success: true, agentId: agent.id };
+    }
+
+    const ownAgent = await prisma.agent.findUnique({ where: { userId: user.id } });
+
+    return {
+      success: true,
+      agentId: ownAgent && ownAgent.isActive ? ownAgent.id : null
+    };
+  }
+
+  /**
+   * Average a list of numbers, rounded
+   * @param {Array<number>} values - Values
+   * @returns {number|null} Average or null for an empty list
+   */
+  average(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+  }
+
+  /**
+   * Share of a total as a rounded percentage
+   * @param {number} part - Part
+   * @param {number} total - Total
+   * @returns {number|null} Percentage or null when the total is zero
+   */
+  rate(part, total) {
+    return total > 0 ? Math.round((part / total) * 100) : null;
+  }
+
+  /**
+   * Calculate performance metrics over an agent's calls
+   * @param {Array} calls - Sales calls with metricFields
+   * @returns {Object} Metrics (averageScores, objectionHandling, talkRatio, highScoreLeads)
+   */
+  calculateMetrics(calls) {
+    const scored = calls.filter(call => call.overallScore !== null && call.overallScore !== undefined);
+
+    // Average scores, overall and per category
+    const categoryValues = {};
+    scored.forEach(call => {
+      Object.entries(analysisRunService.getCategoryScores(call)).forEach(([key, score]) => {
+        (categoryValues[key] = categoryValues[key] || []).push(score);
+      });
+    });
+
+    const averageScores = {
+      overall: this.average(scored.map(call => call.overallScore)),
+      ...Object.fromEntries(Object.entries(categoryValues).map(([key, values]) => [key, this.average(values)]))
+    };
+
+    // Objection handling: calls with objections where GPT-4 judged whether they were handled
+    const withObjections = calls.filter(call =>
+      (call.objectionAnalysis?.objections || []).length > 0 &&
+      typeof call.flowQuality?.objections_handled === 'boolean'
+    );
+    const handled = withObjections.filter(call => call.flowQuality.objections_handled).length;
+
+    // Talk ratio from the diarized speaker turns
+    const talkStats = calls
+      .map(call => call.diarization?.stats)
+      .filter(stats => stats && stats.agent.percentage + stats.customer.percentage > 0);
+
+    // High-score leads: customers with at least one call at or above the threshold
+    const highScoreCustomers = new Map();
+    scored
+      .filter(call => call.overallScore >= this.highScoreThreshold)
+      .forEach(call => highScoreCustomers.set(call.customer.id, call.customer.status));
+    const converted = [...highScoreCustomers.values()].filter(status => status === this.convertedStatus).length;
+
+    return {
+      totalCalls: calls.length,
+      scoredCalls: scored.length,
+      averageScores,
+      objectionHandling: {
+        callsWithObjections: withObjections.length,
+        handled,
+        rate: this.rate(handled, withObjections.length)
+      },
+      talkRatio: {
+        agent: this.average(talkStats.map(stats => stats.agent.percentage)),
+        customer: this.average(talkStats.map(stats => stats.customer.percentage)),
+        callsMeasured: talkStats.length
+      },
+      highScoreLeads: {
+        threshold: this.highScoreThreshold,
+        total: highScoreCustomers.size,
+        converted,
+        conversionRate: this.rate(converted, highScoreCustomers.size)
+      }
+    };
+  }
+
+  /**
+   * Build the sales call filter for a metrics period
+   * @param {Object} scope - Sales call scope of the requesting user
+   * @param {number} period - Days to look back (0 for all time)
+   * @returns {Object} Prisma where clause
+   */
+  buildCallFilter(scope, period) {
+    const where = { ...scope };
+
+    if (period > 0) {
+      const since = new Date();
+      since.setDate(since.getDate() - period);
+      where.createdAt = { gte: since };
+    }
+
+    return where;
+  }
+
+  /**
+   * Get an agent with their performance metrics
+   * @param {number} id - Agent ID
+   * @param {Object} options - Metric options
+   * @param {number} options.period - Days to look back (0 for all time)
+   * @param {Object} options.scope - Sales call scope of the requesting user
+   * @returns {Promise<Object>} Result ({ success, agent, metrics }) or error
+   */
+  async getAgentMetrics(id, { period = 30, scope = {} } = {}) {
+    try {
+      const agent = await prisma.agent.findUnique({ where: { id: parseInt(id) } });
+      if (!agent) {
+        return {
+          success: false,
+          error: 'Agent not found'
+        };
+      }
+
+      const calls = await prisma.salesCall.findMany({
+        where: { ...this.buildCallFilter(scope, period), agentId: agent.id },
+        select: this.metricFields
+      });
+
+      return {
+        success: true,
+        agent: this.formatAgent(agent),
+        period,
+        metrics: this.calculateMetrics(calls)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to calculate agent metrics:', error);
+      throw new Error(`Agent metrics failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rank agents by a metric over their calls in the period. Agents without calls in
+   * the requesting user's scope are left out.
+   * @param {Object} options - Leaderboard options
+   * @param {number} options.period - Days to look back (0 for all time)
+   * @param {Object} options.scope - Sales call scope of the requesting user
+   * @param {string} options.sortBy - Sort key (overall, objectionHandling, conversion, calls)
+   * @returns {Promise<Object>} Leaderboard ({ period, sortBy, agents })
+   */
+  async getLeaderboard({ period = 30, scope = {}, sortBy = 'overall' } = {}) {
+    try {
+      const sortValue = this.sortKeys[sortBy] || this.sortKeys.overall;
+
+      const calls = await prisma.salesCall.findMany({
+        where: { ...this.buildCallFilter(scope, period), agentId: { not: null } },
+        select: {
+          ...this.metricFields,
+          agent: { select: { id: true, name: true, team: true } }
+        }
+      });
+
+      const callsByAgent = new Map();
+      calls.forEach(call => {
+        const entry = callsByAgent.get(call.agentId) || { agent: call.agent, calls: [] };
+        entry.calls.push(call);
+        callsByAgent.set(call.agentId, entry);
+      });
+
+      // Agents without a value for the sort metric go last
+      const agents = [...callsByAgent.values()]
+        .map(({ agent, calls: agentCalls }) => ({ agent, metrics: this.calculateMetrics(agentCalls) }))
+        .sort((a, b) => (sortValue(b.metrics) ?? -1) - (sortValue(a.metrics) ?? -1))
+        .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+      return {
+        period,
+        sortBy: this.sortKeys[sortBy] ? sortBy : 'overall',
+        agents
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to build agent leaderboard:', error);
+      throw new Error(`Agent leaderboard failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format an agent for API responses
+   * @param {Object} agent - Agent record
+   * @returns {Object} Public agent representation
+   */
+  formatAgent(agent) {
+    return {
+      id: agent.id,
+      name: agent.name,
+      email: agent.email,
+      team: agent.team,
+      userId: agent.userId,
+      isActive: agent.isActive,
+      createdAt: agent.createdAt
+    };
+  }
+}
+
+module.exports = new AgentService();
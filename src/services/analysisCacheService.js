@@ -0,0 +1,110 @@
+/**
+ * Analysis Cache Service
+ * Stores GPT-4 analysis results keyed by transcript hash, prompt version and model
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../database/connection');
+
+class AnalysisCacheService {
+  constructor() {
+    this.enabled = process.env.ANALYSIS_CACHE_ENABLED !== 'false';
+  }
+
+  /**
+   * Hash a text with SHA-256
+   * @param {string} text - Text to hash
+   * @returns {string} Hex digest
+   */
+  hash(text) {
+    return crypto.createHash('sha256').update(text || '', 'utf8').digest('hex');
+  }
+
+  /**
+   * Build the unique cache key of an analysis
+   * @param {Object} key - Cache key parts
+   * @param {string} key.transcript - Transcript sent to the model
+   * @param {string} key.task - Analysis task (contextAnalysis, sentimentAnalysis, conversationFlow)
+   * @param {string} key.promptVersion - Version of the task prompt
+   * @param {string} key.provider - LLM provider
+   * @param {string} key.model - LLM model
+   * @returns {Object} Prisma compound unique key
+   */
+  buildKey({ transcript, task, promptVersion, provider, model }) {
+    return {
+      transcriptHash: this.hash(transcript),
+      task,
+      promptVersion,
+      provider,
+      model
+    };
+  }
+
+  /**
+   * Look up a cached analysis result; cache errors are treated as misses
+   * @param {Object} key - Cache key parts (see buildKey)
+   * @returns {Promise<Object|null>} Cached entry ({ result, tokensUsed, createdAt }) or null
+   */
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const where = { transcriptHash_task_promptVersion_provider_model: this.buildKey(key) };
+      const entry = await prisma.analysisCache.findUnique({ where });
+
+      if (!entry) {
+        return null;
+      }
+
+      await prisma.analysisCache.update({
+        where,
+        data: { hitCount: { increment: 1 }, lastHitAt: new Date() }
+      });
+
+      console.log(`💾 Analysis cache hit: ${key.task} (${key.provider}/${key.model})`);
+
+      return {
+        result: entry.result,
+        tokensUsed: entry.tokensUsed,
+        createdAt: entry.createdAt
+      };
+
+    } catch (error) {
+      console.warn(`⚠️ Analysis cache lookup failed for ${key.task}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store (or replace) an analysis result; cache errors never fail the analysis
+   * @param {Object} key - Cache key parts (see buildKey)
+   * @param {Object} result - Parsed analysis result
+   * @param {number} tokensUsed - Tokens spent producing the result
+   * @returns {Promise<boolean>} Whether the result was stored
+   */
+  async set(key, result, tokensUsed = null) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    try {
+      const cacheKey = this.buildKey(key);
+
+      await prisma.analysisCache.upsert({
+        where: { transcriptHash_task_promptVersion_provider_model: cacheKey },
+        update: { result, tokensUsed },
+        create: { ...cacheKey, result, tokensUsed }
+      });
+
+      return true;
+
+    } catch (error) {
+      console.warn(`⚠️ Failed to cache ${key.task} analysis:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new AnalysisCacheService();
@@ -0,0 +1,346 @@
+/**
+ * Analysis Merge Service
+ * Reconciles per-window GPT-4 results of a long transcript into a single analysis
+ */
+
+const hebrewTokenizer = require('./hebrewTokenizerService');
+
+class AnalysisMergeService {
+  constructor() {
+    this.levels = { low: 1, medium: 2, high: 3 };
+
+    // Merge step for each analysis prompt
+    this.mergers = {
+      contextAnalysis: (results, weights) => this.mergeContextAnalyses(results, weights),
+      sentimentAnalysis: (results, weights) => this.mergeSentimentAnalyses(results, weights),
+      conversationFlow: (results, weights) => this.mergeConversationFlows(results, weights)
+    };
+  }
+
+  /**
+   * Merge the per-window results of an analysis task
+   * @param {string} task - Analysis task (contextAnalysis, sentimentAnalysis, conversationFlow)
+   * @param {Array<Object>} results - Parsed results, in transcript order
+   * @param {Array<number>} weights - Window sizes in tokens, used to weight averages and votes
+   * @returns {Object} Merged result in the single-call shape
+   */
+  merge(task, results, weights = []) {
+    if (!this.mergers[task]) {
+      throw new Error(`No merge step for analysis task "${task}"`);
+    }
+
+    if (results.length === 1) {
+      return results[0];
+    }
+
+    const windowWeights = results.map((_, i) => weights[i] || 1);
+    return this.mergers[task](results, windowWeights);
+  }
+
+  /**
+   * Merge context analyses: phases are joined in order, objections and buying
+   * signals repeated in overlapping windows are kept once, and a signal seen in any
+   * window raises its context level
+   * @param {Array<Object>} results - Context analyses
+   * @param {Array<number>} weights - Window weights
+   * @returns {Object} Merged context analysis
+   */
+  mergeContextAnalyses(results, weights) {
+    const sentiments = results.map(result => result.sentiment || {});
+    const insights = results.map(result => result.context_insights || {});
+    const speakers = results.map(result => result.speaker_analysis || {});
+
+    return {
+      sentiment: {
+        overall: this.weightedVote(sentiments.map(sentiment => sentiment.overall), weights),
+        confidence: this.weightedAverage(sentiments.map(sentiment => sentiment.confidence), weights),
+        changes: sentiments.flatMap(sentiment => sentiment.changes || [])
+      },
+      conversation_phases: this.mergeAdjacentPhases(
+        results.flatMap(result => result.conversation_phases || []),
+        'phase',
+        (merged, phase) => ({
+          confidence: Math.max(merged.confidence || 0, phase.confidence || 0),
+          key_points: this.union(merged.key_points, phase.key_points)
+        })
+      ),
+      speaker_analysis: {
+        customer_engagement_level: this.averageLevel(speakers.map(speaker => speaker.customer_engagement_level), weights),
+        key_customer_phrases: this.union(...speakers.map(speaker => speaker.key_customer_phrases))
+      },
+      objections: this.dedupeSignals(results.flatMap(result => result.objections || [])),
+      buying_signals: this.dedupeSignals(results.flatMap(result => result.buying_signals || [])),
+      context_insights: {
+        urgency_level: this.maxLevel(insights.map(insight => insight.urgency_level)),
+        budget_clarity: this.maxLevel(insights.map(insight => insight.budget_clarity)),
+        interest_level: this.maxLevel(insights.map(insight => insight.interest_level)),
+        engagement_level: this.averageLevel(insights.map(insight => insight.engagement_level), weights),
+        deal_probability: this.weightedAverage(insights.map(insight => insight.deal_probability), weights),
+        // The end of the call best reflects where the deal stands
+        recommended_next_steps: this.union(...[...insights].reverse().map(insight => insight.recommended_next_steps))
+      }
+    };
+  }
+
+  /**
+   * Merge sentiment analyses
+   * @param {Array<Object>} results - Sentiment analyses
+   * @param {Array<number>} weights - Window weights
+   * @returns {Object} Merged sentiment analysis
+   */
+  mergeSentimentAnalyses(results, weights) {
+    const breakdowns = results.map(result => result.sentiment_breakdown || {});
+    const cultural = results.map(result => result.cultural_context || {});
+    const culturalKeys = this.union(...cultural.map(context => Object.keys(context)));
+
+    const triggers = new Map();
+    results.flatMap(result => result.emotional_triggers || []).forEach(trigger => {
+      const key = `${trigger.trigger}|${trigger.sentiment_change}`;
+      if (!triggers.has(key)) {
+        triggers.set(key, trigger);
+      }
+    });
+
+    return {
+      overall_sentiment: this.weightedVote(results.map(result => result.overall_sentiment), weights),
+      confidence: this.weightedAverage(results.map(result => result.confidence), weights),
+      sentiment_breakdown: {
+        positive_indicators: this.union(...breakdowns.map(breakdown => breakdown.positive_indicators)),
+        negative_indicators: this.union(...breakdowns.map(breakdown => breakdown.negative_indicators)),
+        neutral_indicators: this.union(...breakdowns.map(breakdown => breakdown.neutral_indicators))
+      },
+      emotional_triggers: [...triggers.values()],
+      cultural_context: Object.fromEntries(culturalKeys.map(key => [
+        key,
+        this.weightedVote(cultural.map(context => context[key]), weights)
+      ]))
+    };
+  }
+
+  /**
+   * Merge conversation flow analyses
+   * @param {Array<Object>} results - Conversation flow analyses
+   * @param {Array<number>} weights - Window weights
+   * @returns {Object} Merged conversation flow analysis
+   */
+  mergeConversationFlows(results, weights) {
+    const qualities = results.map(result => result.flow_quality || {});
+
+    const moments = new Map();
+    results.flatMap(result => result.key_moments || []).forEach(moment => {
+      const key = `${moment.type}|${this.normalizePhrase(moment.description)}`;
+      if (!moments.has(key)) {
+        moments.set(key, moment);
+      }
+    });
+
+    const phases = this.mergeAdjacentPhases(
+      results.flatMap(result => result.phases || []),
+      'name',
+      (merged, phase) => ({
+        key_activities: this.union(merged.key_activities, phase.key_activities),
+        // The later window shows how the phase ended
+        effectiveness: phase.effectiveness || merged.effectiveness,
+        customer_response: phase.customer_response || merged.customer_response
+      })
+    ).map(phase => ({
+      ...phase,
+      duration_seconds: typeof phase.start_time === 'number' && typeof phase.end_time === 'number'
+        ? phase.end_time - phase.start_time
+        : phase.duration_seconds
+    }));
+
+    return {
+      phases,
+      key_moments: [...moments.values()],
+      flow_quality: {
+        // A call is only as smooth as its weakest stretch
+        smoothness: this.minLevel(qualities.map(quality => quality.smoothness)),
+        engagement_maintained: qualities.every(quality => quality.engagement_maintained !== false),
+        objections_handled: qualities.every(quality => quality.objections_handled !== false),
+        closing_attempts: qualities.reduce((total, quality) => total + (quality.closing_attempts || 0), 0)
+      }
+    };
+  }
+
+  /**
+   * Join phases listed by consecutive windows, merging a phase that continues
+   * across a window boundary into one entry
+   * @param {Array<Object>} phases - Phases in transcript order
+   * @param {string} nameKey - Property holding the phase name
+   * @param {Function} combine - (merged, phase) => properties to update on the merged phase
+   * @returns {Array<Object>} Merged phases
+   */
+  mergeAdjacentPhases(phases, nameKey, combine) {
+    return phases.reduce((merged, phase) => {
+      const last = merged[merged.length - 1];
+
+      if (last && last[nameKey] === phase[nameKey]) {
+        merged[merged.length - 1] = {
+          ...last,
+          start_time: this.minDefined(last.start_time, phase.start_time),
+          end_time: this.maxDefined(last.end_time, phase.end_time),
+          ...combine(last, phase)
+        };
+      } else {
+        merged.push({ ...phase });
+      }
+
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Keep one entry per (type, phrase), preferring the strongest and most confident
+   * @param {Array<Object>} signals - Objections or buying signals
+   * @returns {Array<Object>} Deduplicated signals
+   */
+  dedupeSignals(signals) {
+    const byKey = new Map();
+
+    signals.forEach(signal => {
+      const key = `${signal.type}|${this.normalizePhrase(signal.phrase)}`;
+      const existing = byKey.get(key);
+
+      if (!existing) {
+        byKey.set(key, { ...signal });
+        return;
+      }
+
+      byKey.set(key, {
+        ...existing,
+        strength: this.maxLevel([existing.strength, signal.strength]) || existing.strength,
+        confidence: Math.max(existing.confidence || 0, signal.confidence || 0)
+      });
+    });
+
+    return [...byKey.values()];
+  }
+
+  /**
+   * Normalize a phrase for comparison (niqqud, final letters and punctuation ignored)
+   * @param {string} phrase - Phrase
+   * @returns {string} Normalized phrase
+   */
+  normalizePhrase(phrase) {
+    return hebrewTokenizer.splitWords(phrase || '').join(' ');
+  }
+
+  /**
+   * Pick the value with the largest total weight
+   * @param {Array} values - Values per window
+   * @param {Array<number>} weights - Window weights
+   * @returns {*} Winning value, or undefined when no window has one
+   */
+  weightedVote(values, weights) {
+    const totals = new Map();
+
+    values.forEach((value, i) => {
+      if (value !== undefined && value !== null) {
+        totals.set(value, (totals.get(value) || 0) + weights[i]);
+      }
+    });
+
+    let winner;
+    let best = -Infinity;
+    totals.forEach((total, value) => {
+      if (total > best) {
+        best = total;
+        winner = value;
+      }
+    });
+
+    return winner;
+  }
+
+  /**
+   * Weighted average of the numeric values
+   * @param {Array<number>} values - Values per window
+   * @param {Array<number>} weights - Window weights
+   * @returns {number|undefined} Average rounded to two decimals
+   */
+  weightedAverage(values, weights) {
+    let sum = 0;
+    let totalWeight = 0;
+
+    values.forEach((value, i) => {
+      if (typeof value === 'number') {
+        sum += value * weights[i];
+        totalWeight += weights[i];
+      }
+    });
+
+    return totalWeight > 0 ? Math.round((sum / totalWeight) * 100) / 100 : undefined;
+  }
+
+  /**
+   * Weighted average of low/medium/high levels
+   * @param {Array<string>} levels - Levels per window
+   * @param {Array<number>} weights - Window weights
+   * @returns {string|undefined} Average level
+   */
+  averageLevel(levels, weights) {
+    const average = this.weightedAverage(levels.map(level => this.levels[level]), weights);
+    return average === undefined ? undefined : this.levelName(Math.round(average));
+  }
+
+  /**
+   * Highest of the low/medium/high levels
+   * @param {Array<string>} levels - Levels
+   * @returns {string|undefined} Highest level
+   */
+  maxLevel(levels) {
+    const ranks = levels.map(level => this.levels[level]).filter(Boolean);
+    return ranks.length > 0 ? this.levelName(Math.max(...ranks)) : undefined;
+  }
+
+  /**
+   * Lowest of the low/medium/high levels
+   * @param {Array<string>} levels - Levels
+   * @returns {string|undefined} Lowest level
+   */
+  minLevel(levels) {
+    const ranks = levels.map(level => this.levels[level]).filter(Boolean);
+    return ranks.length > 0 ? this.levelName(Math.min(...ranks)) : undefined;
+  }
+
+  /**
+   * Get the name of a level rank
+   * @param {number} rank - Level rank (1-3)
+   * @returns {string} Level name
+   */
+  levelName(rank) {
+    return Object.keys(this.levels).find(level => this.levels[level] === rank);
+  }
+
+  /**
+   * Union of lists, keeping first-seen order
+   * @param {...Array} lists - Lists (undefined entries are skipped)
+   * @returns {Array} Unique items
+   */
+  union(...lists) {
+    return [...new Set(lists.flatMap(list => list || []))];
+  }
+
+  /**
+   * Smaller of two optional numbers
+   * @param {number} a - First value
+   * @param {number} b - Second value
+   * @returns {number|undefined} Minimum
+   */
+  minDefined(a, b) {
+    return typeof a === 'number' && typeof b === 'number' ? Math.min(a, b) : (a ?? b);
+  }
+
+  /**
+   * Larger of two optional numbers
+   * @param {number} a - First value
+   * @param {number} b - Second value
+   * @returns {number|undefined} Maximum
+   */
+  maxDefined(a, b) {
+    return typeof a === 'number' && typeof b === 'number' ? Math.max(a, b) : (b ?? a);
+  }
+}
+
+module.exports = new AnalysisMergeService();
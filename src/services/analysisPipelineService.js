@@ -0,0 +1,233 @@
+/**
+ * Analysis Pipeline Service
+ * Transcribes and scores an uploaded sales call, run by the background job worker
+ */
+
+const fs = require('fs-extra');
+const { prisma } = require('../database/connection');
+const whisperService = require('./whisperService');
+const llmProviderService = require('./llmProviderService');
+const scoringService = require('./scoringService');
+const diarizationService = require('./diarizationService');
+const transcriptSegmentService = require('./transcriptSegmentService');
+const configurationService = require('./configurationService');
+const debugTrackingService = require('./debugTrackingService');
+const customerPriorityService = require('./customerPriorityService');
+const jobQueueService = require('./jobQueueService');
+const usageService = require('./usageService');
+const analysisRunService = require('./analysisRunService');
+
+class AnalysisPipelineService {
+  constructor() {
+    this.jobType = 'analyze_call';
+  }
+
+  /**
+   * Queue a sales call for background transcription and scoring
+   * @param {number} salesCallId - Sales call ID
+   * @param {Object} options - Job options
+   * @param {string} options.debugSessionId - Debug tracking session to report into
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueueAnalysis(salesCallId, { debugSessionId = null } = {}) {
+    return jobQueueService.enqueue(this.jobType, {
+      salesCallId,
+      payload: debugSessionId ? { debugSessionId } : null
+    });
+  }
+
+  /**
+   * Job handler for queued analysis jobs
+   * @param {Object} job - Claimed job
+   * @param {Object} context - Job context from the queue
+   * @returns {Promise<Object>} Job result
+   */
+  async runJob(job, context) {
+    return this.processSalesCall(job.salesCallId, {
+      sessionId: job.payload?.debugSessionId || null,
+      onStatusChange: context.setStatus
+    });
+  }
+
+  /**
+   * Transcribe and score a sales call, saving the results
+   * @param {number} salesCallId - Sales call ID
+   * @param {Object} options - Pipeline options
+   * @param {string} options.sessionId - Debug tracking session ID
+   * @param {Function} options.onStatusChange - Called with each pipeline stage
+   * @returns {Promise<Object>} Transcription and scoring summary
+   */
+  async processSalesCall(salesCallId, { sessionId = null, onStatusChange = async () => {} } = {}) {
+    const salesCall = await prisma.salesCall.findUnique({
+      where: { id: parseInt(salesCallId) }
+    });
+
+    if (!salesCall) {
+      const error = new Error(`Sales call not found: ${salesCallId}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    // A call moved to the trash while its job was queued is not transcribed or scored
+    if (salesCall.deletedAt) {
+      throw this.createTrashedError(salesCall.id);
+    }
+
+    console.log(`🔍 Starting analysis for sales call ID: ${salesCall.id}`);
+
+    try {
+      await onStatusChange(jobQueueService.statuses.TRANSCRIBING);
+
+      const fileStats = await fs.stat(salesCall.audioFilePath);
+      console.log(`📊 File stats: ${fileStats.size} bytes, ${(fileStats.size / 1024 / 1024).toFixed(2)} MB`);
+
+      debugTrackingService.trackWhisper(sessionId, {
+        filePath: salesCall.audioFilePath,
+        fileSize: fileStats.size,
+        model: llmProviderService.transcriptionModel,
+        language: 'he',
+        responseFormat: 'verbose_json',
+        timestampGranularities: ['word', 'segment']
+      });
+
+      // Validate and transcribe audio using Whisper API
+      await whisperService.validateAudioFile(salesCall.audioFilePath);
+      const transcription = await whisperService.transcribeAudio(salesCall.audioFilePath);
+      const transcriptionUsage = await usageService.recordTranscription(salesCall.id, transcription);
+
+      console.log(`✅ Transcription completed: ${transcription.text.length} characters, ${transcription.duration} seconds`);
+
+      debugTrackingService.completeWhisper(sessionId, {
+        success: true,
+        text: transcription.text,
+        language: transcription.language,
+        duration: transcription.duration,
+        segments: transcription.segments,
+        tokensUsed: null, // Whisper is billed per audio minute
+        cost: transcriptionUsage ? transcriptionUsage.cost : null
+      });
+
+      const stats = whisperService.getTranscriptionStats(transcription);
+
+      // Split the transcript into agent/customer turns
+      const diarization = await diarizationService.diarize({
+        audioFilePath: salesCall.audioFilePath,
+        text: transcription.text,
+        segments: transcription.segments,
+        duration: transcription.duration
+      });
+      const segments = transcriptSegmentService.buildSegments(transcription, diarization.turns);
+
+      // Transcription takes a while; skip the scoring (and its LLM calls) if the call was trashed meanwhile
+      const current = await prisma.salesCall.findUnique({
+        where: { id: salesCall.id },
+        select: { deletedAt: true }
+      });
+      if (!current || current.deletedAt) {
+        throw this.createTrashedError(salesCall.id);
+      }
+
+      await onStatusChange(jobQueueService.statuses.SCORING);
+
+      debugTrackingService.trackScoring(sessionId, {
+        transcript: transcription.text,
+        duration: transcription.duration || 0,
+        wordCount: stats.wordCount || 0,
+        analysisType: 'traditional',
+        useEnhancedAnalysis: false
+      });
+
+      // Perform scoring analysis with the active configuration
+      const scoringConfiguration = await configurationService.getScoringConfiguration();
+      const scoringResults = scoringService.analyzeTranscript(
+        transcription.text,
+        transcription.duration || 0,
+        stats.wordCount || 0,
+        { configuration: scoringConfiguration, speakerTurns: diarizationService.getScoringTurns(diarization), segments }
+      );
+
+      console.log(`🎯 Scoring results:`, scoringResults.scores);
+
+      debugTrackingService.completeScoring(sessionId, scoringResults);
+
+      debugTrackingService.trackDatabase(sessionId, {
+        operation: 'update',
+        table: 'sales_calls',
+        recordId: salesCall.id,
+        dataSize: transcription.text.length
+      });
+
+      // Save segment and word timestamps for the synced transcript
+      await transcriptSegmentService.saveSegments(salesCall.id, transcription, diarization.turns);
+
+      // Record the scoring run and update sales call with transcript and scores
+      await analysisRunService.recordRun(
+        salesCall.id,
+        analysisRunService.fromScoringResults(scoringResults, {
+          configurationId: scoringConfiguration.id,
+          source: analysisRunService.sources.UPLOAD
+        }),
+        {
+          transcript: transcription.text,
+          diarization
+        }
+      );
+
+      debugTrackingService.completeDatabase(sessionId, {
+        success: true,
+        recordId: salesCall.id,
+        affectedRows: 1
+      });
+
+      // Update customer prioritization with the new scores
+      await customerPriorityService.refreshCustomer(salesCall.customerId);
+
+      debugTrackingService.completeSession(sessionId, {
+        success: true,
+        salesCallId: salesCall.id,
+        overallScore: scoringResults.scores.overall
+      });
+
+      console.log(`✅ Analysis completed for sales call ID: ${salesCall.id}`);
+
+      return {
+        salesCallId: salesCall.id,
+        transcription: {
+          text: transcription.text,
+          duration: transcription.duration || 0,
+          wordCount: stats.wordCount || 0
+        },
+        talkTime: diarization.stats,
+        scoring: {
+          scores: scoringResults.scores,
+          analysis: scoringResults.analysis,
+          metadata: scoringResults.metadata
+        }
+      };
+
+    } catch (error) {
+      console.error(`❌ Analysis failed for sales call ID: ${salesCall.id}:`, error.message);
+
+      debugTrackingService.completeSession(sessionId, {
+        success: false,
+        salesCallId: salesCall.id,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Error that fails an analysis job without retrying because its sales call is in the trash
+   * @param {number} salesCallId - Sales call ID
+   * @returns {Error} Non-retryable error
+   */
+  createTrashedError(salesCallId) {
+    const error = new Error(`Sales call ${salesCallId} is in the trash`);
+    error.retryable = false;
+    return error;
+  }
+}
+
+module.exports = new AnalysisPipelineService();
@@ -0,0 +1,257 @@
+/**
+ * Analysis Run Service
+ * Stores every scoring run of a sales call and keeps the sales call pointing at its current run
+ */
+
+const { prisma } = require('../database/connection');
+const customerPriorityService = require('./customerPriorityService');
+
+class AnalysisRunService {
+  constructor() {
+    // What produced a run
+    this.sources = {
+      LEGACY: 'legacy',
+      UPLOAD: 'upload',
+      ANALYZE: 'analyze',
+      RETRY: 'retry',
+      SCORE: 'score',
+      RESCORE: 'rescore'
+    };
+  }
+
+  /**
+   * Build a run from scoring pipeline output
+   * @param {Object} scoringResults - Output of scoringService or enhancedScoringService
+   * @param {Object} details - Run details
+   * @param {number} details.configurationId - Scoring configuration used (null for the default)
+   * @param {string} details.analysisVersion - Analysis version
+   * @param {boolean} details.gpt4AnalysisUsed - Whether GPT-4 contributed to the scores
+   * @param {string} details.source - What triggered the run (see sources)
+   * @param {number} details.jobId - Background job that ran the scoring
+   * @returns {Object} Run data
+   */
+  fromScoringResults(scoringResults, { configurationId = null, analysisVersion = 'traditional-v1.0', gpt4AnalysisUsed = false, source, jobId = null }) {
+    return {
+      urgencyScore: scoringResults.scores.urgency ?? null,
+      budgetScore: scoringResults.scores.budget ?? null,
+      interestScore: scoringResults.scores.interest ?? null,
+      engagementScore: scoringResults.scores.engagement ?? null,
+      overallScore: scoringResults.scores.overall,
+      categoryScores: this.buildCategoryScores(scoringResults),
+      analysisNotes: scoringResults.analysis.notes,
+      enhancedNotes: scoringResults.analysis.enhancedNotes || scoringResults.analysis.notes,
+      scoreEvidence: scoringResults.analysis.evidence || null,
+      analysisVersion,
+      gpt4AnalysisUsed,
+      analysisConfidence: scoringResults.metadata?.gpt4Confidence || null,
+      scoringConfigurationId: configurationId,
+      promptVersions: scoringResults.metadata?.promptVersions || null,
+      source,
+      jobId
+    };
+  }
+
+  /**
+   * Per-category scores with the label and weight they were scored with
+   * @param {Object} scoringResults - Output of scoringService or enhancedScoringService
+   * @returns {Object} Category scores ({ [key]: { label, weight, score } })
+   */
+  buildCategoryScores(scoringResults) {
+    const categories = scoringResults.metadata?.categories ||
+      Object.keys(scoringResults.scores)
+        .filter(key => key !== 'overall')
+        .map(key => ({ key, label: key, weight: null }));
+
+    return Object.fromEntries(categories.map(({ key, label, weight }) => [key, {
+      label,
+      weight,
+      score: scoringResults.scores[key]
+    }]));
+  }
+
+  /**
+   * Scores by category recorded on a sales call or run. Calls scored before categories
+   * were configurable only have the four score columns.
+   * @param {Object} record - Sales call or analysis run
+   * @returns {Object} Scores by category key
+   */
+  getCategoryScores(record) {
+    if (record.categoryScores) {
+      return Object.fromEntries(
+        Object.entries(record.categoryScores).map(([key, entry]) => [key, entry.score])
+      );
+    }
+
+    return Object.fromEntries(
+      ['urgency', 'budget', 'interest', 'engagement']
+        .filter(key => record[`${key}Score`] !== null && record[`${key}Score`] !== undefined)
+        .map(key => [key, record[`${key}Score`]])
+    );
+  }
+
+  /**
+   * Sales call columns that mirror the current run
+   * @param {Object} run - Analysis run
+   * @returns {Object} Sales call data
+   */
+  toSalesCallData(run) {
+    return {
+      urgencyScore: run.urgencyScore,
+      budgetScore: run.budgetScore,
+      interestScore: run.interestScore,
+      engagementScore: run.engagementScore,
+      overallScore: run.overallScore,
+      categoryScores: run.categoryScores,
+      analysisNotes: run.analysisNotes,
+      enhancedNotes: run.enhancedNotes,
+      scoreEvidence: run.scoreEvidence,
+      analysisVersion: run.analysisVersion,
+      gpt4AnalysisUsed: run.gpt4AnalysisUsed,
+      analysisConfidence: run.analysisConfidence,
+      scoringConfigurationId: run.scoringConfigurationId,
+      promptVersions: run.promptVersions
+    };
+  }
+
+  /**
+   * Save a scoring run and make it the sales call's current run
+   * @param {number} salesCallId - Sales call ID
+   * @param {Object} run - Run data (see fromScoringResults)
+   * @param {Object} data - Other sales call fields to update with the run (transcript, diarization, ...)
+   * @param {Object} options - Update options
+   * @param {Object} options.include - Relations to include in the returned sales call
+   * @returns {Promise<Object>} Updated sales call
+   */
+  async recordRun(salesCallId, run, data = {}, { include } = {}) {
+    const id = parseInt(salesCallId);
+
+    return prisma.$transaction(async tx => {
+      const salesCall = await tx.salesCall.findUnique({ where: { id } });
+
+      // Calls scored before runs were recorded keep their scores as a legacy run
+      if (salesCall && salesCall.currentRunId === null && salesCall.overallScore !== null) {
+        await tx.analysisRun.create({
+          data: {
+            salesCallId: id,
+            ...this.toSalesCallData(salesCall),
+            source: this.sources.LEGACY,
+            createdAt: salesCall.createdAt
+          }
+        });
+      }
+
+      const created = await tx.analysisRun.create({
+        data: { salesCallId: id, ...run }
+      });
+
+      return tx.salesCall.update({
+        where: { id },
+        data: {
+          ...this.toSalesCallData(created),
+          ...data,
+          currentRunId: created.id
+        },
+        ...(include && { include })
+      });
+    });
+  }
+
+  /**
+   * List the scoring runs of a sales call, newest first
+   * @param {number} salesCallId - Sales call ID
+   * @returns {Promise<Object|null>} Runs ({ salesCallId, currentRunId, runs }) or null when the call does not exist
+   */
+  async listRuns(salesCallId) {
+    const salesCall = await prisma.salesCall.findUnique({
+      where: { id: parseInt(salesCallId) },
+      select: { id: true, currentRunId: true }
+    });
+
+    if (!salesCall) {
+      return null;
+    }
+
+    const runs = await prisma.analysisRun.findMany({
+      where: { salesCallId: salesCall.id },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+    });
+
+    return {
+      salesCallId: salesCall.id,
+      currentRunId: salesCall.currentRunId,
+      runs: runs.map(run => this.formatRun(run, salesCall.currentRunId))
+    };
+  }
+
+  /**
+   * Make a past run the current one again
+   * @param {number} salesCallId - Sales call ID
+   * @param {number} runId - Run to restore
+   * @returns {Promise<Object>} Restore result ({ success, run }) or not-found error
+   */
+  async restoreRun(salesCallId, runId) {
+    try {
+      const run = await prisma.analysisRun.findFirst({
+        where: { id: parseInt(runId), salesCallId: parseInt(salesCallId) }
+      });
+
+      if (!run) {
+        return {
+          success: false,
+          error: 'Analysis run not found'
+        };
+      }
+
+      const salesCall = await prisma.salesCall.update({
+        where: { id: run.salesCallId },
+        data: {
+          ...this.toSalesCallData(run),
+          currentRunId: run.id
+        }
+      });
+
+      await customerPriorityService.refreshCustomer(salesCall.customerId);
+
+      console.log(`⏪ Restored analysis run ${run.id} for sales call ID: ${run.salesCallId}`);
+
+      return {
+        success: true,
+        run: this.formatRun(run, run.id)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to restore analysis run:', error);
+      throw new Error(`Analysis run restore failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format a run for API responses
+   * @param {Object} run - Run record
+   * @param {number} currentRunId - The sales call's current run
+   * @returns {Object} Public run representation
+   */
+  formatRun(run, currentRunId = null) {
+    return {
+      id: run.id,
+      isCurrent: run.id === currentRunId,
+      source: run.source,
+      scores: {
+        ...this.getCategoryScores(run),
+        overall: run.overallScore
+      },
+      categoryScores: run.categoryScores,
+      analysisNotes: run.analysisNotes,
+      enhancedNotes: run.enhancedNotes,
+      analysisVersion: run.analysisVersion,
+      gpt4AnalysisUsed: run.gpt4AnalysisUsed,
+      analysisConfidence: run.analysisConfidence !== null && run.analysisConfidence !== undefined ? parseFloat(run.analysisConfidence) : null,
+      scoringConfigurationId: run.scoringConfigurationId,
+      promptVersions: run.promptVersions,
+      jobId: run.jobId,
+      createdAt: run.createdAt
+    };
+  }
+}
+
+module.exports = new AnalysisRunService();
@@ -0,0 +1,342 @@
+/**
+ * Analysis Schema Service
+ * Strict schemas for GPT-4 context, sentiment and flow results, with validation
+ * and coercion of enum values, numbers and confidence ranges
+ */
+
+class AnalysisSchemaService {
+  constructor() {
+    const level = {
+      type: 'enum',
+      values: ['low', 'medium', 'high'],
+      synonyms: { med: 'medium', mid: 'medium', moderate: 'medium', very_high: 'high', very_low: 'low', 'נמוך': 'low', 'בינוני': 'medium', 'גבוה': 'high' }
+    };
+    const sentiment = {
+      type: 'enum',
+      values: ['positive', 'negative', 'neutral'],
+      synonyms: { mixed: 'neutral', 'חיובי': 'positive', 'שלילי': 'negative', 'ניטרלי': 'neutral' }
+    };
+    const confidence = { type: 'confidence' };
+    const seconds = { type: 'number', min: 0 };
+    const text = { type: 'string' };
+    const textList = { type: 'array', items: text };
+    const flag = { type: 'boolean' };
+
+    this.schemas = {
+      contextAnalysis: {
+        type: 'object',
+        required: ['sentiment', 'context_insights'],
+        properties: {
+          sentiment: {
+            type: 'object',
+            required: ['overall'],
+            properties: {
+              overall: sentiment,
+              confidence,
+              changes: {
+                type: 'array',
+                items: { type: 'object', required: ['phase', 'sentiment'], properties: { phase: text, sentiment, confidence } }
+              }
+            }
+          },
+          conversation_phases: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['phase'],
+              properties: { phase: text, start_time: seconds, end_time: seconds, confidence, key_points: textList }
+            }
+          },
+          speaker_analysis: {
+            type: 'object',
+            properties: { customer_engagement_level: level, key_customer_phrases: textList }
+          },
+          objections: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type', 'phrase'],
+              properties: {
+                type: { type: 'enum', values: ['price', 'timing', 'location', 'other'], fallback: 'other' },
+                strength: level,
+                phrase: text,
+                context: text,
+                confidence
+              }
+            }
+          },
+          buying_signals: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type', 'phrase'],
+              properties: {
+                type: { type: 'enum', values: ['urgency', 'budget', 'interest', 'engagement'] },
+                strength: level,
+                phrase: text,
+                confidence
+              }
+            }
+          },
+          context_insights: {
+            type: 'object',
+            required: ['urgency_level', 'budget_clarity', 'interest_level', 'engagement_level'],
+            properties: {
+              urgency_level: level,
+              budget_clarity: level,
+              interest_level: level,
+              engagement_level: level,
+              deal_probability: confidence,
+              recommended_next_steps: textList
+            }
+          }
+        }
+      },
+
+      sentimentAnalysis: {
+        type: 'object',
+        required: ['overall_sentiment'],
+        properties: {
+          overall_sentiment: sentiment,
+          confidence,
+          sentiment_breakdown: {
+            type: 'object',
+            properties: { positive_indicators: textList, negative_indicators: textList, neutral_indicators: textList }
+          },
+          emotional_triggers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['trigger'],
+              properties: { trigger: text, sentiment_change: sentiment, intensity: level }
+            }
+          },
+          cultural_context: {
+            type: 'object',
+            properties: { israeli_business_style: flag, direct_communication: flag, relationship_focused: flag }
+          }
+        }
+      },
+
+      conversationFlow: {
+        type: 'object',
+        required: ['phases', 'flow_quality'],
+        properties: {
+          phases: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: {
+                  type: 'enum',
+                  values: ['introduction', 'needs_assessment', 'presentation', 'objection_handling', 'closing'],
+                  synonyms: { intro: 'introduction', needs_analysis: 'needs_assessment', discovery: 'needs_assessment', objections: 'objection_handling', close: 'closing' }
+                },
+                start_time: seconds,
+                end_time: seconds,
+                duration_seconds: seconds,
+                key_activities: textList,
+                effectiveness: level,
+                customer_response: sentiment
+              }
+            }
+          },
+          key_moments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type'],
+              properties: {
+                timestamp: seconds,
+                type: { type: 'enum', values: ['objection', 'buying_signal', 'closing_attempt'] },
+                description: text,
+                impact: sentiment
+              }
+            }
+          },
+          flow_quality: {
+            type: 'object',
+            properties: {
+              smoothness: level,
+              engagement_maintained: flag,
+              objections_handled: flag,
+              closing_attempts: { type: 'number', min: 0, integer: true }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Validate and coerce an analysis result against its task schema
+   * @param {string} task - Analysis task (contextAnalysis, sentimentAnalysis, conversationFlow)
+   * @param {*} data - Parsed model output
+   * @returns {Object} Validation ({ valid, value, errors }); value keeps only the fields that passed
+   */
+  validate(task, data) {
+    const schema = this.schemas[task];
+    if (!schema) {
+      throw new Error(`No schema for analysis task "${task}"`);
+    }
+
+    const errors = [];
+    const value = this.validateNode(schema, data, '', errors);
+
+    return {
+      valid: errors.length === 0,
+      value: value === undefined ? {} : value,
+      errors
+    };
+  }
+
+  /**
+   * Validate one node of a schema
+   * @param {Object} schema - Node schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Field path for error messages
+   * @param {Array<string>} errors - Collected errors
+   * @param {boolean} allowPartial - Keep an object whose required fields are invalid
+   * @returns {*} Coerced value, or undefined when it is invalid
+   */
+  validateNode(schema, value, path, errors, allowPartial = true) {
+    const label = path || 'response';
+
+    switch (schema.type) {
+      case 'object': {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${label}: expected an object`);
+          return undefined;
+        }
+
+        const result = {};
+        Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+          const propertyPath = path ? `${path}.${key}` : key;
+
+          if (value[key] === undefined || value[key] === null) {
+            if ((schema.required || []).includes(key)) {
+              errors.push(`${propertyPath}: is required`);
+            }
+            return;
+          }
+
+          const coerced = this.validateNode(propertySchema, value[key], propertyPath, errors);
+          if (coerced !== undefined) {
+            result[key] = coerced;
+          }
+        });
+
+        const complete = (schema.required || []).every(key => result[key] !== undefined);
+        return complete || allowPartial ? result : undefined;
+      }
+
+      case 'array': {
+        if (!Array.isArray(value)) {
+          errors.push(`${label}: expected an array`);
+          return undefined;
+        }
+
+        return value
+          // An item missing a required field is dropped rather than kept half-empty
+          .map((item, i) => this.validateNode(schema.items, item, `${label}[${i}]`, errors, false))
+          .filter(item => item !== undefined);
+      }
+
+      case 'enum': {
+        const coerced = this.coerceEnum(schema, value);
+        if (coerced === undefined) {
+          errors.push(`${label}: expected one of ${schema.values.join(', ')} (got ${JSON.stringify(value)})`);
+        }
+        return coerced;
+      }
+
+      case 'confidence': {
+        const coerced = this.coerceConfidence(value);
+        if (coerced === undefined) {
+          errors.push(`${label}: expected a confidence between 0 and 1 (got ${JSON.stringify(value)})`);
+        }
+        return coerced;
+      }
+
+      case 'number': {
+        let number = typeof value === 'string' ? parseFloat(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || (schema.min !== undefined && number < schema.min)) {
+          errors.push(`${label}: expected a number${schema.min !== undefined ? ` >= ${schema.min}` : ''} (got ${JSON.stringify(value)})`);
+          return undefined;
+        }
+        if (schema.integer) {
+          number = Math.round(number);
+        }
+        return number;
+      }
+
+      case 'boolean': {
+        if (typeof value === 'boolean') {
+          return value;
+        }
+        if (value === 'true' || value === 'false') {
+          return value === 'true';
+        }
+        errors.push(`${label}: expected a boolean (got ${JSON.stringify(value)})`);
+        return undefined;
+      }
+
+      case 'string': {
+        if (typeof value === 'string') {
+          return value;
+        }
+        if (typeof value === 'number') {
+          return String(value);
+        }
+        errors.push(`${label}: expected a string (got ${JSON.stringify(value)})`);
+        return undefined;
+      }
+
+      default:
+        throw new Error(`Unknown schema type "${schema.type}"`);
+    }
+  }
+
+  /**
+   * Coerce an enum value: case, spacing and known synonyms are normalized, and
+   * unknown values map to the fallback when the schema has one
+   * @param {Object} schema - Enum schema ({ values, synonyms, fallback })
+   * @param {*} value - Value to coerce
+   * @returns {string|undefined} Allowed value
+   */
+  coerceEnum(schema, value) {
+    if (typeof value !== 'string') {
+      return undefined;
+    }
+
+    const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+    if (schema.values.includes(normalized)) {
+      return normalized;
+    }
+
+    if (schema.synonyms && schema.synonyms[normalized]) {
+      return schema.synonyms[normalized];
+    }
+
+    return schema.fallback;
+  }
+
+  /**
+   * Coerce a confidence to the 0-1 range; percentages (1-100) are scaled down
+   * @param {*} value - Value to coerce
+   * @returns {number|undefined} Confidence
+   */
+  coerceConfidence(value) {
+    const number = typeof value === 'string' ? parseFloat(value.replace('%', '')) : value;
+
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > 100) {
+      return undefined;
+    }
+
+    return number > 1 ? Math.round(number) / 100 : number;
+  }
+}
+
+module.exports = new AnalysisSchemaService();
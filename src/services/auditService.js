@@ -0,0 +1,212 @@
+/**
+ * Audit Service
+ * Append-only log of who changed what: actor, action, target, before/after snapshots and IP address
+ */
+
+const { prisma } = require('../database/connection');
+
+class AuditService {
+  constructor() {
+    // Audited actions; the part before the dot is the default target type
+    this.actions = {
+      LOGIN: 'auth.login',
+      LOGOUT: 'auth.logout',
+      USER_CREATE: 'user.create',
+      USER_UPDATE: 'user.update',
+      AGENT_CREATE: 'agent.create',
+      AGENT_UPDATE: 'agent.update',
+      CUSTOMER_CREATE: 'customer.create',
+      CUSTOMER_UPDATE: 'customer.update',
+      CUSTOMER_DELETE: 'customer.delete',
+      CUSTOMER_RESTORE: 'customer.restore',
+      PRIORITIES_REBUILD: 'customer.rebuild_priorities',
+      CALL_UPLOAD: 'sales_call.upload',
+      CALL_DELETE: 'sales_call.delete',
+      CALL_RESTORE: 'sales_call.restore',
+      CALL_ANALYZE: 'sales_call.analyze',
+      CALL_RETRY: 'sales_call.retry',
+      CALL_SCORE: 'sales_call.score',
+      CALL_RESTORE_RUN: 'sales_call.restore_run',
+      CALL_RESCORE: 'sales_call.rescore',
+      CONFIGURATION_CREATE: 'configuration.create',
+      CONFIGURATION_UPDATE: 'configuration.update',
+      CONFIGURATION_DELETE: 'configuration.delete',
+      CONFIGURATION_ACTIVATE: 'configuration.activate',
+      CONFIGURATION_RESET: 'configuration.reset',
+      CONFIGURATION_IMPORT: 'configuration.import',
+      PROMPT_CREATE: 'prompt_version.create',
+      PROMPT_UPDATE: 'prompt_version.update',
+      PROMPT_DELETE: 'prompt_version.delete',
+      PROMPT_ACTIVATE: 'prompt_version.activate',
+      PROMPT_RESET: 'prompt_version.reset',
+      PROMPT_COMPARE: 'prompt_version.compare',
+      TRASH_PURGE: 'trash.purge',
+      DEBUG_CLEAR_SESSIONS: 'debug.clear_sessions'
+    };
+
+    // Never copied into snapshots: credentials, and transcripts and analysis payloads too large for every entry
+    this.omittedFields = new Set([
+      'passwordHash',
+      'tokenVersion',
+      'transcript',
+      'diarization',
+      'scoreEvidence',
+      'conversationPhases',
+      'speakerAnalysis',
+      'contextInsights',
+      'analysisValidation',
+      'keyMoments',
+      'buyingSignals'
+    ]);
+
+    // Sales call fields recorded when a call is (re)scored
+    this.scoreFields = {
+      currentRunId: true,
+      overallScore: true,
+      urgencyScore: true,
+      budgetScore: true,
+      interestScore: true,
+      engagementScore: true,
+      categoryScores: true,
+      scoringConfigurationId: true,
+      analysisVersion: true
+    };
+
+    this.defaultLimit = 50;
+    this.maxLimit = 200;
+  }
+
+  /**
+   * Copy a record for the log: dates and decimals become JSON, omitted fields are dropped
+   * @param {Object} record - Record to copy
+   * @param {Object} fields - Only keep these keys (a Prisma select object)
+   * @returns {Object|null} Snapshot
+   */
+  snapshot(record, fields = null) {
+    if (record === null || record === undefined) {
+      return null;
+    }
+
+    const source = fields
+      ? Object.fromEntries(Object.keys(fields).filter(key => key in record).map(key => [key, record[key]]))
+      : record;
+
+    return JSON.parse(JSON.stringify(source, (key, value) => (this.omittedFields.has(key) ? undefined : value)));
+  }
+
+  /**
+   * Append an entry to the audit log; log errors never fail the action being audited
+   * @param {Object} req - Express request (actor and IP address)
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - One of this.actions
+   * @param {string} entry.targetType - Target type (defaults to the action's prefix)
+   * @param {number} entry.targetId - Target ID
+   * @param {Object} entry.before - Target state before the action
+   * @param {Object} entry.after - Target state after the action
+   * @param {Object} entry.actor - Acting user (defaults to req.user)
+   * @returns {Promise<Object|null>} Recorded entry or null
+   */
+  async record(req, { action, targetType = null, targetId = null, before = null, after = null, actor = req.user }) {
+    try {
+      const entry = await prisma.auditLog.create({
+        data: {
+          actorId: actor?.id ?? null,
+          actorEmail: actor?.email ?? null,
+          actorRole: actor?.role ?? null,
+          action,
+          targetType: targetType || action.split('.')[0],
+          targetId: targetId !== null && targetId !== undefined ? parseInt(targetId) : null,
+          before: this.snapshot(before) ?? undefined,
+          after: this.snapshot(after) ?? undefined,
+          ipAddress: req.ip || null
+        }
+      });
+
+      return this.formatEntry(entry);
+
+    } catch (error) {
+      console.warn(`⚠️ Failed to record ${action} in the audit log:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} filters - List filters
+   * @param {number} filters.actorId - Acting user
+   * @param {string} filters.action - Action
+   * @param {string} filters.targetType - Target type
+   * @param {number} filters.targetId - Target ID
+   * @param {Date} filters.from - Earliest entry
+   * @param {Date} filters.to - Latest entry
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Entries per page
+   * @returns {Promise<Object>} Entries and pagination
+   */
+  async list({ actorId = null, action = null, targetType = null, targetId = null, from = null, to = null, page = 1, limit = this.defaultLimit } = {}) {
+    try {
+      const take = Math.min(parseInt(limit) || this.defaultLimit, this.maxLimit);
+      const currentPage = Math.max(parseInt(page) || 1, 1);
+
+      const where = {
+        ...(actorId && { actorId: parseInt(actorId) }),
+        ...(action && { action }),
+        ...(targetType && { targetType }),
+        ...(targetId && { targetId: parseInt(targetId) }),
+        ...((from || to) && {
+          createdAt: {
+            ...(from && { gte: from }),
+            ...(to && { lte: to })
+          }
+        })
+      };
+
+      const [entries, total] = await Promise.all([
+        prisma.auditLog.findMany({
+          where,
+          orderBy: { id: 'desc' },
+          skip: (currentPage - 1) * take,
+          take
+        }),
+        prisma.auditLog.count({ where })
+      ]);
+
+      return {
+        entries: entries.map(entry => this.formatEntry(entry)),
+        pagination: {
+          page: currentPage,
+          limit: take,
+          total,
+          pages: Math.ceil(total / take)
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to list audit entries:', error);
+      throw new Error(`Audit log listing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Format an audit entry for API responses
+   * @param {Object} entry - AuditLog record
+   * @returns {Object} Public entry representation
+   */
+  formatEntry(entry) {
+    return {
+      id: entry.id,
+      action: entry.action,
+      targetType: entry.targetType,
+      targetId: entry.targetId,
+      actor: entry.actorId || entry.actorEmail
+        ? { id: entry.actorId, email: entry.actorEmail, role: entry.actorRole }
+        : null,
+      before: entry.before,
+      after: entry.after,
+      ipAddress: entry.ipAddress,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,451 @@
+/**
+ * Authentication Service
+ * Manages user accounts, password hashing and signed access tokens
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { prisma } = require('../database/connection');
+
+const scrypt = promisify(crypto.scrypt);
+
+class AuthService {
+  constructor() {
+    // Roles, from most to least privileged
+    this.roles = {
+      ADMIN: 'admin',
+      MANAGER: 'manager',
+      AGENT: 'agent'
+    };
+
+    // Access token lifetime in seconds
+    this.tokenTtl = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS) || 12 * 60 * 60; // 12 hours
+
+    // Media token lifetime in seconds; media tokens open one audio stream or report page from a URL
+    this.mediaTokenTtl = parseInt(process.env.AUTH_MEDIA_TOKEN_TTL_SECONDS) || 30 * 60; // 30 minutes
+
+    // Paths a media token can be issued for: the audio stream and the weekly coaching report
+    this.mediaPaths = [/^\/api\/audio\/\d+$/, /^\/api\/agents\/\d+\/coaching$/];
+
+    this.minPasswordLength = 8;
+    this.scryptKeyLength = 64;
+
+    // Signing secret generated when AUTH_TOKEN_SECRET is not set (outside production)
+    this.fallbackSecret = null;
+  }
+
+  /**
+   * Get the secret access tokens are signed with
+   * @returns {string} Signing secret
+   */
+  getSecret() {
+    if (process.env.AUTH_TOKEN_SECRET) {
+      return process.env.AUTH_TOKEN_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('AUTH_TOKEN_SECRET must be set in production');
+    }
+
+    if (!this.fallbackSecret) {
+      console.warn('⚠️ AUTH_TOKEN_SECRET is not set; using a random secret, tokens will not survive a restart');
+      this.fallbackSecret = crypto.randomBytes(32).toString('hex');
+    }
+
+    return this.fallbackSecret;
+  }
+
+  /**
+   * Hash a password with a random salt
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} Hash ("scrypt$salt$hash")
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, this.scryptKeyLength);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   * @param {string} password - Plain text password
+   * @param {string} storedHash - Hash from hashPassword
+   * @returns {Promise<boolean>} Whether the password matches
+   */
+  async verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Sign a payload as an HS256 JSON Web Token
+   * @param {Object} payload - Token claims
+   * @returns {string} Token
+   */
+  sign(payload) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+    const signature = crypto.createHmac('sha256', this.getSecret()).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * Issue an access token for a user
+   * @param {Object} user - User record
+   * @returns {Object} Token and expiry ({ token, expiresAt })
+   */
+  issueToken(user) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + this.tokenTtl;
+
+    return {
+      token: this.sign({ sub: user.id, role: user.role, tv: user.tokenVersion, iat: issuedAt, exp: expiresAt }),
+      expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Issue a short-lived token for a single media path. Audio elements and report links cannot
+   * send headers, so these tokens travel in the URL and must not open anything else.
+   * @param {Object} user - User record
+   * @param {string} path - Request path the token opens (without the query string)
+   * @returns {Object} Token and expiry ({ token, expiresAt }), or null for a path that takes no media token
+   */
+  issueMediaToken(user, path) {
+    if (typeof path !== 'string' || !this.mediaPaths.some(pattern => pattern.test(path))) {
+      return null;
+    }
+
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + this.mediaTokenTtl;
+
+    return {
+      token: this.sign({ sub: user.id, role: user.role, tv: user.tokenVersion, purpose: 'media', path, iat: issuedAt, exp: expiresAt }),
+      expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify a token's signature and expiry
+   * @param {string} token - Token from issueToken
+   * @returns {Object|null} Claims, or null when the token is malformed, forged or expired
+   */
+  verifyToken(token) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = crypto.createHmac('sha256', this.getSecret()).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return claims.exp > Date.now() / 1000 ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the user a token was issued to. Tokens of deactivated users and tokens
+   * issued before the user's last logout are rejected. A media token is only accepted
+   * for the path it was issued for, and a session token never in its place.
+   * @param {string} token - Access token
+   * @param {Object} options - Authentication options
+   * @param {string} options.mediaPath - Request path, when the token came from the URL
+   * @returns {Promise<Object|null>} User record or null
+   */
+  async authenticateToken(token, { mediaPath = null } = {}) {
+    const claims = this.verifyToken(token);
+    if (!claims) {
+      return null;
+    }
+
+    if (mediaPath ? claims.purpose !== 'media' || claims.path !== mediaPath : claims.purpose !== undefined) {
+      return null;
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: claims.sub } });
+    if (!user || !user.isActive || user.tokenVersion !== claims.tv) {
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Log in with email and password
+   * @param {string} email - User email
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} Login result ({ success, token, expiresAt, user }) or error
+   */
+  async login(email, password) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { email: email.trim().toLowerCase() }
+      });
+
+      // Same error for unknown users and wrong passwords
+      if (!user || !user.isActive || !(await this.verifyPassword(password, user.passwordHash))) {
+        return {
+          success: false,
+          error: 'Invalid email or password'
+        };
+      }
+
+      const loggedIn = await prisma.user.update({
+        where: { id: user.id },
+        data: { lastLoginAt: new Date() }
+      });
+
+      console.log(`🔑 User ${user.email} logged in`);
+
+      return {
+        success: true,
+        ...this.issueToken(loggedIn),
+        user: this.formatUser(loggedIn)
+      };
+
+    } catch (error) {
+      console.error('❌ Login failed:', error);
+      throw new Error(`Login failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Log a user out everywhere by invalidating every token issued so far
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async logout(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { tokenVersion: { increment: 1 } }
+    });
+
+    console.log(`🔒 User ${userId} logged out`);
+  }
+
+  /**
+   * Validate user fields
+   * @param {Object} data - User fields
+   * @param {boolean} isUpdate - Whether this is an update (fields are optional)
+   * @returns {Array<string>} Validation errors
+   */
+  validateUser(data, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || data.email !== undefined) {
+      if (typeof data.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+        errors.push('A valid email is required');
+      }
+    }
+    if (!isUpdate || data.name !== undefined) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('Name is required');
+      }
+    }
+    if (!isUpdate || data.password !== undefined) {
+      if (typeof data.password !== 'string' || data.password.length < this.minPasswordLength) {
+        errors.push(`Password must be at least ${this.minPasswordLength} characters`);
+      }
+    }
+    if (data.role !== undefined && !Object.values(this.roles).includes(data.role)) {
+      errors.push(`Role must be one of: ${Object.values(this.roles).join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a user
+   * @param {Object} data - User fields ({ email, name, password, role, team })
+   * @returns {Promise<Object>} Creation result ({ success, user }) or validation error
+   */
+  async createUser({ email, name, password, role = this.roles.AGENT, team = null }) {
+    try {
+      const errors = this.validateUser({ email, name, password, role });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid user',
+          details: errors
+        };
+      }
+
+      const normalizedEmail = email.trim().toLowerCase();
+      const existing = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+      if (existing) {
+        return {
+          success: false,
+          error: 'A user with this email already exists'
+        };
+      }
+
+      const user = await prisma.user.create({
+        data: {
+          email: normalizedEmail,
+          name: name.trim(),
+          passwordHash: await this.hashPassword(password),
+          role,
+          team: team || null
+        }
+      });
+
+      console.log(`👤 Created ${role} user ${user.email}`);
+
+      return {
+        success: true,
+        user: this.formatUser(user)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to create user:', error);
+      throw new Error(`User creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a user. Changing the password, role or active flag logs the user out everywhere.
+   * @param {number} id - User ID
+   * @param {Object} updates - Fields to update ({ name, password, role, team, isActive })
+   * @returns {Promise<Object>} Update result ({ success, user }) or error
+   */
+  async updateUser(id, updates) {
+    try {
+      const errors = this.validateUser(updates, true);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: 'Invalid user',
+          details: errors
+        };
+      }
+
+      const user = await prisma.user.findUnique({ where: { id: parseInt(id) } });
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found'
+        };
+      }
+
+      if (updates.email !== undefined && updates.email.trim().toLowerCase() !== user.email) {
+        const existing = await prisma.user.findUnique({ where: { email: updates.email.trim().toLowerCase() } });
+        if (existing) {
+          return {
+            success: false,
+            error: 'A user with this email already exists'
+          };
+        }
+      }
+
+      const revokesTokens = updates.password !== undefined || updates.role !== undefined || updates.isActive === false;
+
+      const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          ...(updates.name !== undefined && { name: updates.name.trim() }),
+          ...(updates.email !== undefined && { email: updates.email.trim().toLowerCase() }),
+          ...(updates.password !== undefined && { passwordHash: await this.hashPassword(updates.password) }),
+          ...(updates.role !== undefined && { role: updates.role }),
+          ...(updates.team !== undefined && { team: updates.team || null }),
+          ...(updates.isActive !== undefined && { isActive: updates.isActive }),
+          ...(revokesTokens && { tokenVersion: { increment: 1 } })
+        }
+      });
+
+      return {
+        success: true,
+        user: this.formatUser(updated)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to update user:', error);
+      throw new Error(`User update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} User or null when not found
+   */
+  async getUser(id) {
+    const user = await prisma.user.findUnique({ where: { id: parseInt(id) } });
+
+    return user ? this.formatUser(user) : null;
+  }
+
+  /**
+   * List users
+   * @returns {Promise<Array>} Users
+   */
+  async listUsers() {
+    const users = await prisma.user.findMany({
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return users.map(user => this.formatUser(user));
+  }
+
+  /**
+   * Create the first admin from ADMIN_EMAIL and ADMIN_PASSWORD when there are no users yet
+   * @returns {Promise<Object|null>} Created admin, or null when users exist or the variables are not set
+   */
+  async ensureBootstrapAdmin() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      return null;
+    }
+
+    if (await prisma.user.count() > 0) {
+      return null;
+    }
+
+    const result = await this.createUser({
+      email: ADMIN_EMAIL,
+      name: 'Administrator',
+      password: ADMIN_PASSWORD,
+      role: this.roles.ADMIN
+    });
+
+    if (!result.success) {
+      console.error('❌ Could not create the bootstrap admin:', result.details || result.error);
+      return null;
+    }
+
+    return result.user;
+  }
+
+  /**
+   * Format a user for API responses (without the password hash)
+   * @param {Object} user - User record
+   * @returns {Object} Public user representation
+   */
+  formatUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      team: user.team,
+      isActive: user.isActive,
+      lastLoginAt: user.lastLoginAt,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,554 @@
+/**
+ * Coaching Service
+ * Analyzes how the agent handled each call and builds weekly per-agent coaching reports
+ */
+
+const { prisma } = require('../database/connection');
+const scoringService = require('./scoringService');
+
+class CoachingService {
+  constructor() {
+    // Agents talking more than this share of the call are asked to listen more
+    this.maxAgentTalkShare = parseInt(process.env.COACHING_MAX_AGENT_TALK_SHARE) || 60;
+
+    // Fewer agent questions than this per call counts as weak discovery
+    this.minQuestionsPerCall = parseInt(process.env.COACHING_MIN_QUESTIONS_PER_CALL) || 3;
+
+    // An agent reply shorter than this does not count as handling an objection
+    this.minObjectionResponseWords = 6;
+
+    // Reports cover Sunday to Saturday, the Israeli working week
+    this.weekStartDay = 0;
+
+    // Words that open a question when Whisper leaves out the question mark
+    this.interrogatives = ['מה', 'איך', 'למה', 'מדוע', 'מתי', 'כמה', 'האם', 'איפה', 'היכן', 'איזה', 'איזו', 'מי'];
+
+    // Agent phrases that ask for a commitment
+    this.closingPhrases = [
+      'לקבוע פגישה',
+      'נקבע פגישה',
+      'מתי נוח לך',
+      'להתקדם',
+      'נתקדם',
+      'לסגור את העסקה',
+      'נסגור',
+      'לחתום',
+      'נחתום',
+      'לשריין',
+      'נשריין'
+    ];
+
+    // Sales call fields the coaching analysis reads
+    this.callFields = {
+      id: true,
+      createdAt: true,
+      overallScore: true,
+      diarization: true,
+      scoreEvidence: true,
+      objectionAnalysis: true,
+      flowQuality: true,
+      keyMoments: true,
+      buyingSignals: true,
+      customer: { select: { id: true, name: true } }
+    };
+  }
+
+  /**
+   * Count the words in a text
+   * @param {string} text - Text
+   * @returns {number} Word count
+   */
+  countWords(text) {
+    return (text || '').split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  /**
+   * Count the questions the agent asked: sentences ending with a question mark or opening with an interrogative
+   * @param {Array} turns - Speaker turns
+   * @returns {number} Questions asked
+   */
+  countQuestions(turns) {
+    return turns
+      .filter(turn => turn.speaker === 'agent')
+      .flatMap(turn => turn.text.match(/[^.?!]+[.?!]?/g) || [])
+      .map(sentence => sentence.trim())
+      .filter(sentence => {
+        if (sentence.endsWith('?')) {
+          return true;
+        }
+
+        const firstWord = sentence.split(/\s+/)[0].replace(/^ו/, '');
+        return this.interrogatives.includes(firstWord);
+      })
+      .length;
+  }
+
+  /**
+   * Find the agent turns that ask for a commitment
+   * @param {Array} turns - Speaker turns
+   * @returns {Array} Closing attempts ({ phrase, start })
+   */
+  findClosingAttempts(turns) {
+    return turns
+      .filter(turn => turn.speaker === 'agent')
+      .map(turn => {
+        const text = scoringService.normalizeHebrewText(turn.text);
+        const phrase = this.closingPhrases.find(candidate => scoringService.matchPhrase(text, candidate)?.polarity === 'affirmed');
+        return phrase ? { phrase, start: turn.start ?? null } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Find the agent's first turn at or after a point in the call
+   * @param {Array} turns - Speaker turns with timestamps
+   * @param {number} time - Seconds into the call
+   * @returns {Object|null} Agent turn or null
+   */
+  findAgentReply(turns, time) {
+    return turns.find(turn => turn.speaker === 'agent' && turn.start !== null && turn.start >= time) || null;
+  }
+
+  /**
+   * Calculate the talk-to-listen ratio from the diarization statistics
+   * @param {Object} diarization - Stored diarization ({ turns, stats })
+   * @returns {Object|null} Talk ratio ({ agent, customer, ratio, basis }) or null without diarization
+   */
+  calculateTalkRatio(diarization) {
+    const stats = diarization?.stats;
+    if (!stats || stats.agent.percentage + stats.customer.percentage === 0) {
+      return null;
+    }
+
+    return {
+      agent: stats.agent.percentage,
+      customer: stats.customer.percentage,
+      ratio: stats.customer.percentage > 0 ? Math.round((stats.agent.percentage / stats.customer.percentage) * 100) / 100 : null,
+      basis: stats.basis
+    };
+  }
+
+  /**
+   * Collapse evidence whose character spans overlap into its longest phrase: "זה יקר מדי" also
+   * matches "זה יקר" and "יקר מדי", but the customer raised one objection
+   * @param {Array} evidence - Evidence with transcript offsets
+   * @returns {Array} Evidence without overlaps, in its original order
+   */
+  mergeOverlapping(evidence) {
+    const kept = [];
+
+    [...evidence]
+      .sort((a, b) => b.phrase.length - a.phrase.length)
+      .forEach(item => {
+        const overlaps = item.offset != null && kept.some(other => other.offset != null &&
+          item.offset < other.offset + other.phrase.length && other.offset < item.offset + item.phrase.length);
+        if (!overlaps) {
+          kept.push(item);
+        }
+      });
+
+    return evidence.filter(item => kept.includes(item));
+  }
+
+  /**
+   * Find objections the agent left unhandled. Phrase-detected objections are handled when the
+   * agent's next turn answers them at some length; GPT-4's flow verdict settles the rest.
+   * @param {Object} call - Sales call
+   * @param {Array} turns - Speaker turns
+   * @returns {Object} Objections ({ detected, unhandled })
+   */
+  analyzeObjections(call, turns) {
+    const verdict = typeof call.flowQuality?.objections_handled === 'boolean' ? call.flowQuality.objections_handled : null;
+
+    const detected = this.mergeOverlapping((call.scoreEvidence || [])
+      .filter(item => item.category === 'objection' && item.polarity !== 'negated'))
+      .map(item => {
+        let handled = verdict;
+        if (item.end !== null && item.end !== undefined) {
+          const reply = this.findAgentReply(turns, item.end);
+          handled = reply !== null && this.countWords(reply.text) >= this.minObjectionResponseWords;
+        }
+        return { phrase: item.phrase, start: item.start ?? null, source: 'phrase', handled };
+      });
+
+    // GPT-4 objections carry no timestamps, so they follow the call-level verdict
+    (call.objectionAnalysis?.objections || [])
+      .filter(objection => objection.phrase && !detected.some(item => objection.phrase.includes(item.phrase) || item.phrase.includes(objection.phrase)))
+      .forEach(objection => detected.push({ phrase: objection.phrase, start: null, source: 'gpt4', handled: verdict }));
+
+    return {
+      detected: detected.length,
+      unhandled: detected
+        .filter(item => item.handled === false)
+        .map(({ phrase, start, source }) => ({ phrase, start, source }))
+    };
+  }
+
+  /**
+   * Find buying signals the agent did not follow with a closing attempt
+   * @param {Object} call - Sales call
+   * @param {Array} closingTimes - Seconds into the call of every closing attempt
+   * @param {number} closingCount - Closing attempts in the call
+   * @returns {Object} Buying signals ({ detected, missed })
+   */
+  analyzeBuyingSignals(call, closingTimes, closingCount) {
+    // Strong customer phrases from the scoring evidence
+    const signals = (call.scoreEvidence || [])
+      .filter(item => item.category !== 'objection' && item.tier === 'high' && item.polarity === 'affirmed')
+      .map(item => ({ phrase: item.phrase, start: item.start ?? null, end: item.end ?? null, source: 'phrase' }));
+
+    // GPT-4 buying-signal moments, unless a phrase already covers that moment
+    const moments = (call.keyMoments || []).filter(moment => moment.type === 'buying_signal');
+    moments
+      .filter(moment => !signals.some(signal =>
+        signal.start !== null && moment.timestamp !== undefined && moment.timestamp >= signal.start && moment.timestamp <= signal.end + 2))
+      .forEach(moment => signals.push({ phrase: moment.description || 'buying_signal', start: moment.timestamp ?? null, end: null, source: 'gpt4' }));
+
+    // Without moments, GPT-4's untimed buying signals stand in
+    if (moments.length === 0) {
+      (call.buyingSignals || [])
+        .filter(signal => signal.phrase && !signals.some(item => signal.phrase.includes(item.phrase) || item.phrase.includes(signal.phrase)))
+        .forEach(signal => signals.push({ phrase: signal.phrase, start: null, end: null, source: 'gpt4' }));
+    }
+
+    const missed = signals.filter(signal => {
+      if (signal.start === null) {
+        return closingCount === 0;
+      }
+      return !closingTimes.some(time => time >= signal.start);
+    });
+
+    return {
+      detected: signals.length,
+      missed: missed.map(({ phrase, start, source }) => ({ phrase, start, source }))
+    };
+  }
+
+  /**
+   * Analyze how the agent handled a call
+   * @param {Object} call - Sales call with callFields
+   * @returns {Object} Coaching analysis ({ talkRatio, questionsAsked, closingAttempts, objections, buyingSignals, tips })
+   */
+  analyzeCall(call) {
+    const turns = call.diarization?.turns || [];
+
+    // GPT-4 counts closing attempts when the flow analysis ran; phrase matches otherwise
+    const ruleClosings = this.findClosingAttempts(turns);
+    const gpt4Closings = (call.keyMoments || []).filter(moment => moment.type === 'closing_attempt');
+    const closingCount = typeof call.flowQuality?.closing_attempts === 'number'
+      ? call.flowQuality.closing_attempts
+      : ruleClosings.length;
+    const closingTimes = [...ruleClosings, ...gpt4Closings.map(moment => ({ start: moment.timestamp }))]
+      .map(attempt => attempt.start)
+      .filter(time => time !== null && time !== undefined);
+
+    const analysis = {
+      salesCallId: call.id,
+      talkRatio: this.calculateTalkRatio(call.diarization),
+      questionsAsked: turns.length > 0 ? this.countQuestions(turns) : null,
+      closingAttempts: {
+        count: closingCount,
+        source: typeof call.flowQuality?.closing_attempts === 'number' ? 'gpt4' : 'phrase'
+      },
+      objections: this.analyzeObjections(call, turns),
+      buyingSignals: this.analyzeBuyingSignals(call, closingTimes, closingCount)
+    };
+
+    return {
+      ...analysis,
+      tips: this.generateTips(analysis)
+    };
+  }
+
+  /**
+   * Generate coaching tips for a call
+   * @param {Object} analysis - Coaching analysis
+   * @returns {Array<string>} Tips in Hebrew
+   */
+  generateTips(analysis) {
+    const tips = [];
+
+    if (analysis.talkRatio && analysis.talkRatio.agent > this.maxAgentTalkShare) {
+      tips.push(`הנציג דיבר ${analysis.talkRatio.agent}% מהשיחה - הקשיבו יותר ותנו ללקוח לדבר`);
+    }
+    if (analysis.questionsAsked !== null && analysis.questionsAsked < this.minQuestionsPerCall) {
+      tips.push(`נשאלו רק ${analysis.questionsAsked} שאלות - שאלו שאלות פתוחות כדי להבין את צרכי הלקוח`);
+    }
+    if (analysis.objections.unhandled.length > 0) {
+      tips.push(`התנגדויות שלא טופלו: ${analysis.objections.unhandled.map(item => item.phrase).join(', ')} - התייחסו לכל התנגדות לפני שממשיכים`);
+    }
+    if (analysis.buyingSignals.missed.length > 0) {
+      tips.push(`${analysis.buyingSignals.missed.length} סימני קנייה לא נוצלו - הציעו צעד הבא (פגישה, צפייה, הצעה) מיד אחרי סימן קנייה`);
+    }
+    if (analysis.closingAttempts.count === 0) {
+      tips.push('לא היה ניסיון סגירה - סיימו כל שיחה בבקשה למחויבות');
+    }
+
+    return tips;
+  }
+
+  /**
+   * Get the coaching week containing a date
+   * @param {Date} date - Any date in the week
+   * @returns {Object} Week range ({ start, end }), end exclusive
+   */
+  getWeekRange(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() - this.weekStartDay + 7) % 7));
+
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+
+    return { start, end };
+  }
+
+  /**
+   * Average a list of numbers to one decimal
+   * @param {Array<number>} values - Values
+   * @returns {number|null} Average or null for an empty list
+   */
+  average(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+  }
+
+  /**
+   * Aggregate per-call coaching analyses into a weekly summary
+   * @param {Array} calls - Calls with their coaching analysis ({ coaching })
+   * @returns {Object} Summary with focus areas and strengths
+   */
+  summarize(calls) {
+    const analyses = calls.map(call => call.coaching);
+    const talkShares = analyses.filter(item => item.talkRatio).map(item => item.talkRatio.agent);
+    const questions = analyses.filter(item => item.questionsAsked !== null).map(item => item.questionsAsked);
+    const sum = (items, read) => items.reduce((total, item) => total + read(item), 0);
+
+    const summary = {
+      totalCalls: calls.length,
+      averageAgentTalkShare: this.average(talkShares),
+      callsOverTalkLimit: talkShares.filter(share => share > this.maxAgentTalkShare).length,
+      totalQuestions: sum(questions, value => value),
+      averageQuestionsPerCall: this.average(questions),
+      totalClosingAttempts: sum(analyses, item => item.closingAttempts.count),
+      callsWithoutClosingAttempt: analyses.filter(item => item.closingAttempts.count === 0).length,
+      objectionsDetected: sum(analyses, item => item.objections.detected),
+      unhandledObjections: sum(analyses, item => item.objections.unhandled.length),
+      buyingSignalsDetected: sum(analyses, item => item.buyingSignals.detected),
+      missedBuyingSignals: sum(analyses, item => item.buyingSignals.missed.length)
+    };
+
+    const focusAreas = [];
+    const strengths = [];
+
+    if (summary.averageAgentTalkShare !== null) {
+      (summary.averageAgentTalkShare > this.maxAgentTalkShare ? focusAreas : strengths).push(
+        summary.averageAgentTalkShare > this.maxAgentTalkShare
+          ? `יחס דיבור: הנציג דיבר בממוצע ${summary.averageAgentTalkShare}% מהזמן - יש להקשיב יותר`
+          : `יחס דיבור מאוזן (${summary.averageAgentTalkShare}% לנציג)`
+      );
+    }
+    if (summary.averageQuestionsPerCall !== null) {
+      (summary.averageQuestionsPerCall < this.minQuestionsPerCall ? focusAreas : strengths).push(
+        summary.averageQuestionsPerCall < this.minQuestionsPerCall
+          ? `שאלות: ${summary.averageQuestionsPerCall} בממוצע לשיחה - יש לשאול יותר שאלות בירור`
+          : `שאלות בירור: ${summary.averageQuestionsPerCall} בממוצע לשיחה`
+      );
+    }
+    if (summary.unhandledObjections > 0) {
+      focusAreas.push(`${summary.unhandledObjections} מתוך ${summary.objectionsDetected} התנגדויות לא טופלו`);
+    } else if (summary.objectionsDetected > 0) {
+      strengths.push(`כל ${summary.objectionsDetected} ההתנגדויות טופלו`);
+    }
+    if (summary.missedBuyingSignals > 0) {
+      focusAreas.push(`${summary.missedBuyingSignals} מתוך ${summary.buyingSignalsDetected} סימני קנייה לא הובילו לניסיון סגירה`);
+    } else if (summary.buyingSignalsDetected > 0) {
+      strengths.push('כל סימני הקנייה נוצלו לניסיון סגירה');
+    }
+    if (summary.callsWithoutClosingAttempt > 0) {
+      focusAreas.push(`${summary.callsWithoutClosingAttempt} שיחות הסתיימו ללא ניסיון סגירה`);
+    }
+
+    return { ...summary, focusAreas, strengths };
+  }
+
+  /**
+   * Get the coaching analysis of one call
+   * @param {number} salesCallId - Sales call ID
+   * @returns {Promise<Object|null>} Coaching analysis, or null when the call does not exist
+   */
+  async getCallCoaching(salesCallId) {
+    const call = await prisma.salesCall.findUnique({
+      where: { id: parseInt(salesCallId) },
+      select: this.callFields
+    });
+
+    return call ? this.analyzeCall(call) : null;
+  }
+
+  /**
+   * Build an agent's coaching report for a week
+   * @param {number} agentId - Agent ID
+   * @param {Object} options - Report options
+   * @param {Date} options.week - Any date in the week (defaults to last week)
+   * @param {Object} options.scope - Sales call scope of the requesting user
+   * @returns {Promise<Object>} Result ({ success, report }) or error
+   */
+  async buildWeeklyReport(agentId, { week = null, scope = {} } = {}) {
+    try {
+      const agent = await prisma.agent.findUnique({ where: { id: parseInt(agentId) } });
+      if (!agent) {
+        return {
+          success: false,
+          error: 'Agent not found'
+        };
+      }
+
+      const lastWeek = new Date();
+      lastWeek.setDate(lastWeek.getDate() - 7);
+      const { start, end } = this.getWeekRange(week || lastWeek);
+
+      const calls = await prisma.salesCall.findMany({
+        where: {
+          ...scope,
+          agentId: agent.id,
+          transcript: { not: null },
+          createdAt: { gte: start, lt: end }
+        },
+        select: this.callFields,
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const coachedCalls = calls.map(call => ({
+        salesCallId: call.id,
+        customerName: call.customer.name,
+        createdAt: call.createdAt,
+        overallScore: call.overallScore,
+        coaching: this.analyzeCall(call)
+      }));
+
+      console.log(`🧭 Coaching report for agent ${agent.id}: ${coachedCalls.length} calls in week of ${start.toISOString().slice(0, 10)}`);
+
+      return {
+        success: true,
+        report: {
+          agent: { id: agent.id, name: agent.name, team: agent.team },
+          week: { start, end },
+          summary: this.summarize(coachedCalls),
+          calls: coachedCalls,
+          generatedAt: new Date()
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to build coaching report:', error);
+      throw new Error(`Coaching report failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Render a coaching report as a standalone, print-ready RTL HTML page
+   * @param {Object} report - Report from buildWeeklyReport
+   * @param {Object} options - Render options
+   * @param {boolean} options.autoPrint - Open the print dialog on load (for saving as PDF)
+   * @param {string} options.nonce - Content-Security-Policy nonce for the print script
+   * @returns {string} HTML document
+   */
+  renderHtml(report, { autoPrint = false, nonce = '' } = {}) {
+    const esc = value => this.escapeHtml(value);
+    const date = value => new Date(value).toLocaleDateString('he-IL');
+    const { summary } = report;
+    const lastDay = new Date(report.week.end.getTime() - 1);
+    const list = (items, empty) => items.length > 0
+      ? `<ul>${items.map(item => `<li>${esc(item)}</li>`).join('')}</ul>`
+      : `<p class="muted">${esc(empty)}</p>`;
+
+    const rows = report.calls.map(call => `
+        <tr>
+          <td>${esc(date(call.createdAt))}</td>
+          <td>${esc(call.customerName)}</td>
+          <td>${esc(call.overallScore ?? '-')}</td>
+          <td>${esc(call.coaching.talkRatio ? `${call.coaching.talkRatio.agent}%` : '-')}</td>
+          <td>${esc(call.coaching.questionsAsked ?? '-')}</td>
+          <td>${esc(call.coaching.closingAttempts.count)}</td>
+          <td>${esc(call.coaching.objections.unhandled.length)} / ${esc(call.coaching.objections.detected)}</td>
+          <td>${esc(call.coaching.buyingSignals.missed.length)} / ${esc(call.coaching.buyingSignals.detected)}</td>
+          <td>${call.coaching.tips.map(tip => `<div>${esc(tip)}</div>`).join('')}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+  <meta charset="utf-8">
+  <title>דוח אימון שבועי - ${esc(report.agent.name)}</title>
+  <style>
+    body { font-family: Arial, "Noto Sans Hebrew", sans-serif; color: #111827; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+    .muted { color: #6b7280; }
+    .stats { display: flex; flex-wrap: wrap; gap: 1rem; }
+    .stat { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 0.75rem 1rem; min-width: 9rem; }
+    .stat strong { display: block; font-size: 1.25rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem; text-align: right; vertical-align: top; }
+    th { background: #f3f4f6; }
+    @page { size: A4 landscape; margin: 1.5cm; }
+    @media print { body { margin: 0; } .stat { break-inside: avoid; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>דוח אימון שבועי - ${esc(report.agent.name)}</h1>
+  <p class="muted">${esc(date(report.week.start))} - ${esc(date(lastDay))}${report.agent.team ? ` · צוות ${esc(report.agent.team)}` : ''}</p>
+
+  <div class="stats">
+    <div class="stat"><strong>${esc(summary.totalCalls)}</strong>שיחות</div>
+    <div class="stat"><strong>${esc(summary.averageAgentTalkShare ?? '-')}%</strong>זמן דיבור ממוצע לנציג</div>
+    <div class="stat"><strong>${esc(summary.averageQuestionsPerCall ?? '-')}</strong>שאלות לשיחה</div>
+    <div class="stat"><strong>${esc(summary.totalClosingAttempts)}</strong>ניסיונות סגירה</div>
+    <div class="stat"><strong>${esc(summary.unhandledObjections)} / ${esc(summary.objectionsDetected)}</strong>התנגדויות שלא טופלו</div>
+    <div class="stat"><strong>${esc(summary.missedBuyingSignals)} / ${esc(summary.buyingSignalsDetected)}</strong>סימני קנייה שלא נוצלו</div>
+  </div>
+
+  <h2>נקודות לשיפור</h2>
+  ${list(summary.focusAreas, 'אין נקודות לשיפור השבוע')}
+
+  <h2>חוזקות</h2>
+  ${list(summary.strengths, 'אין מספיק נתונים')}
+
+  <h2>שיחות</h2>
+  ${report.calls.length > 0 ? `<table>
+    <thead>
+      <tr>
+        <th>תאריך</th><th>לקוח</th><th>ציון</th><th>דיבור נציג</th><th>שאלות</th>
+        <th>ניסיונות סגירה</th><th>התנגדויות לא מטופלות</th><th>סימני קנייה שהוחמצו</th><th>המלצות</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>` : '<p class="muted">לא נמצאו שיחות מנותחות בשבוע זה</p>'}
+
+  <p class="muted">הופק ב-${esc(new Date(report.generatedAt).toLocaleString('he-IL'))}</p>
+${autoPrint ? `  <script nonce="${esc(nonce)}">window.addEventListener('load', () => window.print());</script>\n` : ''}</body>
+</html>
+`;
+  }
+}
+
+module.exports = new CoachingService();
@@ -4,6 +4,7 @@
  */
 
 const { prisma } = require('../database/connection');
+const scoringService = require('./scoringService');
 
 class ConfigurationService {
   constructor() {
@@ -103,8 +104,61 @@ class ConfigurationService {
             'איך'
           ]
         }
+      },
+      categories: {
+        urgency: { label: 'Urgency', tiers: { high: 25, medium: 15 } },
+        budget: { label: 'Budget', tiers: { high: 20, medium: 12 } },
+        interest: { label: 'Interest', tiers: { high: 20, medium: 12 } },
+        engagement: { label: 'Engagement', tiers: { high: 20, medium: 12 } }
       }
     };
+
+    // Category keys are stored as JSON keys and in score columns; "overall" is the weighted total
+    this.categoryKeyPattern = /^[a-z][a-z0-9_]{0,39}$/;
+    this.reservedCategoryKeys = ['overall', 'objection'];
+
+    // Exports write phrase entries in full ({ phrase, points, match, negatable, enabled }); plain string phrases are format 1
+    this.exportFormatVersion = 2;
+
+    // Cached configuration used by the scoring pipeline
+    this.scoringConfigurationCache = null;
+    this.cacheTtl = parseInt(process.env.SCORING_CONFIG_CACHE_TTL_MS) || 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Get the configuration the scoring pipeline should use (cached)
+   * @returns {Promise<Object>} Scoring configuration ({ id, name, weights, phrases, categories })
+   */
+  async getScoringConfiguration() {
+    const cached = this.scoringConfigurationCache;
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.configuration;
+    }
+
+    const result = await this.getActiveConfiguration();
+    const configuration = {
+      id: result.isDefault ? null : result.configuration.id,
+      name: result.configuration.name,
+      weights: result.configuration.weights,
+      phrases: result.configuration.phrases,
+      categories: result.configuration.categories || null
+    };
+
+    this.scoringConfigurationCache = {
+      configuration,
+      loadedAt: Date.now()
+    };
+
+    console.log(`⚙️ Loaded scoring configuration: ${configuration.name} (ID: ${configuration.id ?? 'default'})`);
+
+    return configuration;
+  }
+
+  /**
+   * Drop the cached scoring configuration so the next analysis reloads it
+   */
+  invalidateCache() {
+    this.scoringConfigurationCache = null;
   }
 
   /**
@@ -125,6 +179,7 @@ class ConfigurationService {
             name: activeConfig.name,
             weights: activeConfig.weights,
             phrases: activeConfig.phrases,
+            categories: activeConfig.categories,
             isActive: activeConfig.isActive,
             createdAt: activeConfig.createdAt,
             updatedAt: activeConfig.updatedAt
@@ -144,6 +199,28 @@ class ConfigurationService {
     }
   }
 
+  /**
+   * Get a stored configuration
+   * @param {number} id - Configuration ID
+   * @returns {Promise<Object|null>} Configuration or null when not found
+   */
+  async getConfiguration(id) {
+    const config = await prisma.scoringConfiguration.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    return config ? {
+      id: config.id,
+      name: config.name,
+      weights: config.weights,
+      phrases: config.phrases,
+      categories: config.categories,
+      isActive: config.isActive,
+      createdAt: config.createdAt,
+      updatedAt: config.updatedAt
+    } : null;
+  }
+
   /**
    * Create a new configuration
    * @param {Object} configuration - Configuration data
@@ -165,15 +242,28 @@ class ConfigurationService {
       const existingConfigs = await prisma.scoringConfiguration.count();
       const isActive = existingConfigs === 0 ? true : configuration.isActive || false;
 
+      // Only one configuration can be active at a time
+      if (isActive && existingConfigs > 0) {
+        await prisma.scoringConfiguration.updateMany({
+          where: { isActive: true },
+          data: { isActive: false }
+        });
+      }
+
       const newConfig = await prisma.scoringConfiguration.create({
         data: {
           name: configuration.name,
           weights: configuration.weights,
           phrases: configuration.phrases,
+          categories: configuration.categories,
           isActive: isActive
         }
       });
 
+      if (newConfig.isActive) {
+        this.invalidateCache();
+      }
+
       console.log(`✅ Configuration created: ${newConfig.name}`);
 
       return {
@@ -183,6 +273,7 @@ class ConfigurationService {
           name: newConfig.name,
           weights: newConfig.weights,
           phrases: newConfig.phrases,
+          categories: newConfig.categories,
           isActive: newConfig.isActive,
           createdAt: newConfig.createdAt,
           updatedAt: newConfig.updatedAt
@@ -203,8 +294,25 @@ class ConfigurationService {
    */
   async updateConfiguration(id, updates) {
     try {
-      // Validate updates
-      const validation = this.validateConfiguration(updates, true);
+      const stored = await prisma.scoringConfiguration.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!stored) {
+        return {
+          success: false,
+          error: 'Configuration not found'
+        };
+      }
+
+      // Validate the configuration as it will be stored: new weights need phrases and
+      // new category definitions must still price the phrases already stored
+      const validation = this.validateConfiguration({
+        name: updates.name ?? stored.name,
+        weights: updates.weights ?? stored.weights,
+        phrases: updates.phrases ?? stored.phrases,
+        categories: updates.categories !== undefined ? updates.categories : stored.categories
+      });
       if (!validation.isValid) {
         return {
           success: false,
@@ -227,11 +335,14 @@ class ConfigurationService {
           name: updates.name,
           weights: updates.weights,
           phrases: updates.phrases,
+          categories: updates.categories,
           isActive: updates.isActive,
           updatedAt: new Date()
         }
       });
 
+      this.invalidateCache();
+
       console.log(`✅ Configuration updated: ${updatedConfig.name}`);
 
       return {
@@ -241,6 +352,7 @@ class ConfigurationService {
           name: updatedConfig.name,
           weights: updatedConfig.weights,
           phrases: updatedConfig.phrases,
+          categories: updatedConfig.categories,
           isActive: updatedConfig.isActive,
           createdAt: updatedConfig.createdAt,
           updatedAt: updatedConfig.updatedAt
@@ -283,6 +395,8 @@ class ConfigurationService {
         where: { id: parseInt(id) }
       });
 
+      this.invalidateCache();
+
       console.log(`✅ Configuration deleted: ${config.name}`);
 
       return {
@@ -313,6 +427,7 @@ class ConfigurationService {
           name: config.name,
           weights: config.weights,
           phrases: config.phrases,
+          categories: config.categories,
           isActive: config.isActive,
           createdAt: config.createdAt,
           updatedAt: config.updatedAt
@@ -343,6 +458,8 @@ class ConfigurationService {
         data: { isActive: true }
       });
 
+      this.invalidateCache();
+
       console.log(`✅ Configuration activated: ${activatedConfig.name}`);
 
       return {
@@ -352,6 +469,7 @@ class ConfigurationService {
           name: activatedConfig.name,
           weights: activatedConfig.weights,
           phrases: activatedConfig.phrases,
+          categories: activatedConfig.categories,
           isActive: activatedConfig.isActive,
           createdAt: activatedConfig.createdAt,
           updatedAt: activatedConfig.updatedAt
@@ -380,18 +498,20 @@ class ConfigurationService {
       }
     }
 
-    // Validate weights
+    // Validate weights; every weighted category is scored
     if (!isUpdate || configuration.weights !== undefined) {
-      if (!configuration.weights) {
+      if (!configuration.weights || typeof configuration.weights !== 'object' || Object.keys(configuration.weights).length === 0) {
         errors.push('Weights are required');
       } else {
-        const requiredWeights = ['urgency', 'budget', 'interest', 'engagement'];
-        const weightSum = requiredWeights.reduce((sum, weight) => {
-          if (!configuration.weights[weight] || typeof configuration.weights[weight] !== 'number') {
-            errors.push(`Weight for ${weight} is required and must be a number`);
+        const weightSum = Object.entries(configuration.weights).reduce((sum, [category, weight]) => {
+          if (!this.categoryKeyPattern.test(category) || this.reservedCategoryKeys.includes(category)) {
+            errors.push(`Category key "${category}" is invalid (use lowercase letters, digits and underscores; ${this.reservedCategoryKeys.join(' and ')} are reserved)`);
+          }
+          if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+            errors.push(`Weight for ${category} is required and must be a number between 0 and 1`);
             return sum;
           }
-          return sum + configuration.weights[weight];
+          return sum + weight;
         }, 0);
 
         if (Math.abs(weightSum - 1.0) > 0.01) {
@@ -400,23 +520,69 @@ class ConfigurationService {
       }
     }
 
-    // Validate phrases
+    // Validate category definitions (label and points per tier)
+    if (configuration.categories !== undefined && configuration.categories !== null) {
+      if (typeof configuration.categories !== 'object' || Array.isArray(configuration.categories)) {
+        errors.push('Categories must be an object');
+      } else {
+        Object.entries(configuration.categories).forEach(([category, definition]) => {
+          if (!definition || typeof definition !== 'object') {
+            errors.push(`Definition for ${category} must be an object`);
+            return;
+          }
+          if (definition.label !== undefined && (typeof definition.label !== 'string' || definition.label.trim().length === 0)) {
+            errors.push(`Label for ${category} must be a non-empty string`);
+          }
+          if (definition.multiMatchBonus !== undefined) {
+            const bonuses = definition.multiMatchBonus;
+            if (!bonuses || typeof bonuses !== 'object' || Object.values(bonuses).some(points => typeof points !== 'number' || points < 0 || points > 100)) {
+              errors.push(`Multi-match bonus for ${category} must map tiers to points between 0 and 100`);
+            }
+          }
+          if (definition.tiers !== undefined) {
+            const tiers = Object.entries(definition.tiers || {});
+            if (tiers.length === 0) {
+              errors.push(`Tiers for ${category} must define at least one tier`);
+            }
+            tiers.forEach(([tier, points]) => {
+              if (typeof points !== 'number' || points <= 0 || points > 100) {
+                errors.push(`Points for ${category} ${tier} phrases must be a number between 1 and 100`);
+              }
+            });
+          }
+        });
+      }
+    }
+
+    // Validate phrases: every weighted category needs phrases, and every phrase needs points from its entry or its tier
     if (!isUpdate || configuration.phrases !== undefined) {
       if (!configuration.phrases) {
         errors.push('Phrases are required');
       } else {
-        const requiredCategories = ['urgency', 'budget', 'interest', 'engagement'];
-        requiredCategories.forEach(category => {
+        const categories = configuration.weights ? Object.keys(configuration.weights) : Object.keys(configuration.phrases);
+        categories.forEach(category => {
+          const tierPoints = this.getTierPoints(configuration, category);
+
           if (!configuration.phrases[category]) {
             errors.push(`Phrases for ${category} are required`);
-          } else {
-            if (!configuration.phrases[category].high || !Array.isArray(configuration.phrases[category].high)) {
-              errors.push(`High phrases for ${category} must be an array`);
+            return;
+          }
+
+          Object.entries(configuration.phrases[category]).forEach(([tier, phrases]) => {
+            if (!Array.isArray(phrases)) {
+              errors.push(`${tier} phrases for ${category} must be an array`);
+              return;
             }
-            if (!configuration.phrases[category].medium || !Array.isArray(configuration.phrases[category].medium)) {
-              errors.push(`Medium phrases for ${category} must be an array`);
+
+            phrases.forEach((entry, index) => {
+              errors.push(...this.validatePhraseEntry(entry, `${category} ${tier} phrase ${index + 1}`));
+            });
+
+            const priced = phrases.every(entry => typeof entry?.points === 'number');
+            if (!priced && tierPoints[tier] === undefined) {
+              errors.push(`${tier} phrases for ${category} have no points; set points on each phrase or add the tier to the category definition`);
             }
-          }
+          });
         });
       }
     }
@@ -427,6 +593,74 @@ class ConfigurationService {
     };
   }
 
+  /**
+   * Validate a phrase entry: a non-empty string, or { phrase, points, match, negatable, enabled }
+   * @param {string|Object} entry - Phrase entry
+   * @param {string} location - Where the entry is, for error messages
+   * @returns {Array<string>} Validation errors
+   */
+  validatePhraseEntry(entry, location) {
+    if (typeof entry === 'string') {
+      return entry.trim().length > 0 ? [] : [`${location} must not be empty`];
+    }
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return [`${location} must be a string or a phrase entry object`];
+    }
+
+    const errors = [];
+
+    if (typeof entry.phrase !== 'string' || entry.phrase.trim().length === 0) {
+      errors.push(`${location} needs a non-empty phrase`);
+    }
+    if (entry.points !== undefined && (typeof entry.points !== 'number' || entry.points < -100 || entry.points > 100)) {
+      errors.push(`Points for ${location} must be a number between -100 and 100`);
+    }
+    if (entry.match !== undefined && !scoringService.matchTypes.includes(entry.match)) {
+      errors.push(`Match type for ${location} must be one of: ${scoringService.matchTypes.join(', ')}`);
+    } else if (['wildcard', 'regex'].includes(entry.match) && typeof entry.phrase === 'string') {
+      const problem = scoringService.checkPattern(entry.phrase, entry.match);
+      if (problem) {
+        errors.push(`Pattern for ${location} ${problem}`);
+      } else if (!scoringService.compilePattern(entry.phrase, entry.match)) {
+        errors.push(`Pattern for ${location} is not a valid regular expression`);
+      }
+    }
+    ['negatable', 'enabled'].forEach(flag => {
+      if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') {
+        errors.push(`${flag} for ${location} must be true or false`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Points per tier a category's phrases score with when an entry sets none
+   * @param {Object} configuration - Configuration ({ categories })
+   * @param {string} category - Category key
+   * @returns {Object} Points by tier
+   */
+  getTierPoints(configuration, category) {
+    return configuration.categories?.[category]?.tiers || scoringService.phrasePoints[category] || scoringService.defaultTierPoints;
+  }
+
+  /**
+   * Write every phrase as a full entry with its resolved points, so an export scores the same wherever it is imported
+   * @param {Object} configuration - Configuration ({ phrases, categories })
+   * @returns {Object} Phrase entries by category and tier
+   */
+  expandPhrases(configuration) {
+    return Object.fromEntries(Object.entries(configuration.phrases || {}).map(([category, tiers]) => {
+      const tierPoints = this.getTierPoints(configuration, category);
+
+      return [category, Object.fromEntries(Object.entries(tiers).map(([tier, entries]) => [
+        tier,
+        entries.map(entry => scoringService.normalizePhraseEntry(entry, tierPoints[tier] ?? null))
+      ]))];
+    }));
+  }
+
   /**
    * Get default configuration
    * @returns {Object} Default configuration
@@ -452,6 +686,8 @@ class ConfigurationService {
         isActive: true
       });
 
+      this.invalidateCache();
+
       return {
         success: true,
         message: 'Reset to default configuration',
@@ -485,9 +721,11 @@ class ConfigurationService {
       return {
         success: true,
         configuration: {
+          formatVersion: this.exportFormatVersion,
           name: config.name,
           weights: config.weights,
-          phrases: config.phrases,
+          phrases: this.expandPhrases(config),
+          categories: config.categories,
           exportedAt: new Date().toISOString()
         }
       };
@@ -505,7 +743,14 @@ class ConfigurationService {
    */
   async importConfiguration(configuration) {
     try {
-      // Validate imported configuration
+      if (configuration.formatVersion > this.exportFormatVersion) {
+        return {
+          success: false,
+          error: `Unsupported configuration format version ${configuration.formatVersion}`
+        };
+      }
+
+      // Validate imported configuration; plain string phrases from older exports are accepted as they are
       const validation = this.validateConfiguration(configuration);
       if (!validation.isValid) {
         return {
@@ -520,6 +765,7 @@ class ConfigurationService {
         name: `${configuration.name} (Imported)`,
         weights: configuration.weights,
         phrases: configuration.phrases,
+        categories: configuration.categories,
         isActive: false
       });
 
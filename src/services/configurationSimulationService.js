@@ -0,0 +1,254 @@
+/**
+ * Configuration Simulation Service
+ * Dry-runs a candidate scoring configuration over stored transcripts to preview its impact before activation
+ */
+
+const { prisma } = require('../database/connection');
+const scoringService = require('./scoringService');
+const diarizationService = require('./diarizationService');
+const configurationService = require('./configurationService');
+const customerPriorityService = require('./customerPriorityService');
+
+class ConfigurationSimulationService {
+  constructor() {
+    // Most recent transcripts re-scored per simulation
+    this.defaultLimit = 50;
+    this.maxLimit = 200;
+
+    // Width of the score distribution buckets (0-19, 20-39, ... 80-100)
+    this.bucketSize = 20;
+  }
+
+  /**
+   * Re-score recent transcripts with a candidate configuration and the active one, without saving anything.
+   * Both sides use phrase scoring, so the deltas reflect the configuration alone and no LLM calls are made.
+   * @param {number} id - Candidate configuration ID
+   * @param {Object} options - Simulation options
+   * @param {number} options.limit - Number of recent transcripts to re-score
+   * @returns {Promise<Object>} Simulation ({ success, simulation }) or not-found error
+   */
+  async simulate(id, { limit = this.defaultLimit } = {}) {
+    try {
+      const candidate = await prisma.scoringConfiguration.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!candidate) {
+        return {
+          success: false,
+          error: 'Configuration not found'
+        };
+      }
+
+      const active = await configurationService.getScoringConfiguration();
+      const take = Math.min(parseInt(limit) || this.defaultLimit, this.maxLimit);
+
+      const salesCalls = await prisma.salesCall.findMany({
+        where: { transcript: { not: null }, deletedAt: null },
+        select: {
+          id: true,
+          customerId: true,
+          transcript: true,
+          diarization: true,
+          overallScore: true,
+          customer: { select: { name: true } },
+          transcriptSegments: {
+            select: { end: true },
+            orderBy: { segmentIndex: 'desc' },
+            take: 1
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take
+      });
+
+      console.log(`🧪 Simulating configuration ${candidate.name} against ${active.name} on ${salesCalls.length} calls`);
+
+      const calls = salesCalls.map(salesCall => {
+        const duration = salesCall.transcriptSegments[0]?.end || 0;
+        const wordCount = salesCall.transcript.split(/\s+/).filter(Boolean).length;
+        const score = configuration => scoringService.analyzeTranscript(salesCall.transcript, duration, wordCount, {
+          configuration,
+          speakerTurns: diarizationService.getScoringTurns(salesCall.diarization)
+        }).scores;
+
+        const current = score(active);
+        const simulated = score({
+          id: candidate.id,
+          name: candidate.name,
+          weights: candidate.weights,
+          phrases: candidate.phrases,
+          categories: candidate.categories
+        });
+
+        return {
+          salesCallId: salesCall.id,
+          customerId: salesCall.customerId,
+          customerName: salesCall.customer?.name || null,
+          scored: salesCall.overallScore !== null,
+          current,
+          simulated,
+          delta: Object.fromEntries(this.getScoreKeys([current, simulated]).map(key => [
+            key,
+            current[key] === undefined || simulated[key] === undefined ? null : simulated[key] - current[key]
+          ]))
+        };
+      });
+
+      const priorities = await this.simulatePriorities(calls);
+
+      console.log(`✅ Simulation completed: ${priorities.changes.length} customers would change rank`);
+
+      return {
+        success: true,
+        simulation: {
+          configuration: { id: candidate.id, name: candidate.name, isActive: candidate.isActive },
+          baseline: { id: active.id, name: active.name },
+          callsSimulated: calls.length,
+          calls: calls.map(({ scored, ...call }) => call),
+          priorities,
+          distribution: this.compareDistributions(calls)
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to simulate configuration:', error);
+      throw new Error(`Configuration simulation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-rank customers as if their simulated calls had been scored with the candidate configuration
+   * @param {Array} calls - Simulated calls
+   * @returns {Promise<Object>} Rank changes ({ customersAffected, changes })
+   */
+  async simulatePriorities(calls) {
+    const shifts = new Map();
+    calls.filter(call => call.scored).forEach(call => {
+      shifts.set(call.customerId, (shifts.get(call.customerId) || 0) + call.delta.overall);
+    });
+
+    if (shifts.size === 0) {
+      return { customersAffected: 0, changes: [] };
+    }
+
+    const [priorities, scoredCounts] = await Promise.all([
+      prisma.customerPriority.findMany({
+        include: { customer: { select: { name: true } } }
+      }),
+      prisma.salesCall.groupBy({
+        by: ['customerId'],
+        where: { customerId: { in: [...shifts.keys()] }, deletedAt: null, overallScore: { not: null } },
+        _count: { _all: true }
+      })
+    ]);
+
+    const counts = new Map(scoredCounts.map(stat => [stat.customerId, stat._count._all]));
+    const names = new Map(priorities.map(priority => [priority.customerId, priority.customer?.name || null]));
+    const now = new Date();
+
+    // Both rankings use the same reference date so only the score shift moves customers
+    const currentRanks = this.toRanks(customerPriorityService.rankPriorities(priorities, now));
+    const simulated = customerPriorityService.rankPriorities(priorities.map(priority => {
+      const shift = shifts.get(priority.customerId);
+      if (!shift || !counts.get(priority.customerId)) {
+        return priority;
+      }
+
+      const average = parseFloat(priority.avgOverallScore) + shift / counts.get(priority.customerId);
+      return { ...priority, avgOverallScore: Math.min(100, Math.max(0, Math.round(average * 100) / 100)) };
+    }), now);
+
+    const currentAverages = new Map(priorities.map(priority => [priority.customerId, parseFloat(priority.avgOverallScore)]));
+    const changes = simulated
+      .map((priority, index) => ({
+        customerId: priority.customerId,
+        customerName: names.get(priority.customerId),
+        currentRank: currentRanks.get(priority.customerId),
+        simulatedRank: index + 1,
+        rankChange: currentRanks.get(priority.customerId) - (index + 1),
+        currentAvgScore: currentAverages.get(priority.customerId),
+        simulatedAvgScore: priority.avgOverallScore
+      }))
+      .filter(change => change.rankChange !== 0 || change.currentAvgScore !== change.simulatedAvgScore)
+      .sort((a, b) => Math.abs(b.rankChange) - Math.abs(a.rankChange) || a.simulatedRank - b.simulatedRank);
+
+    return {
+      customersAffected: shifts.size,
+      changes
+    };
+  }
+
+  /**
+   * Map ranked priorities to their rank (1 = highest priority)
+   * @param {Array} ranked - Priorities sorted by rank
+   * @returns {Map<number, number>} Rank by customer ID
+   */
+  toRanks(ranked) {
+    return new Map(ranked.map((priority, index) => [priority.customerId, index + 1]));
+  }
+
+  /**
+   * Compare the score distributions of the active and candidate configurations
+   * @param {Array} calls - Simulated calls
+   * @returns {Object} Distribution by category ({ current, simulated, meanShift })
+   */
+  compareDistributions(calls) {
+    const keys = this.getScoreKeys(calls.flatMap(call => [call.current, call.simulated]));
+
+    return Object.fromEntries(keys.map(key => {
+      const current = this.describe(calls.map(call => call.current[key]).filter(score => score !== undefined));
+      const simulated = this.describe(calls.map(call => call.simulated[key]).filter(score => score !== undefined));
+
+      return [key, {
+        current,
+        simulated,
+        meanShift: current.mean === null || simulated.mean === null ? null : Math.round((simulated.mean - current.mean) * 100) / 100
+      }];
+    }));
+  }
+
+  /**
+   * Summarize a list of scores
+   * @param {Array<number>} scores - Scores (0-100)
+   * @returns {Object} Summary ({ mean, median, buckets })
+   */
+  describe(scores) {
+    const bucketCount = Math.ceil(100 / this.bucketSize);
+    const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+      min: index * this.bucketSize,
+      max: index === bucketCount - 1 ? 100 : (index + 1) * this.bucketSize - 1,
+      count: 0
+    }));
+
+    scores.forEach(score => {
+      buckets[Math.min(Math.floor(score / this.bucketSize), bucketCount - 1)].count++;
+    });
+
+    if (scores.length === 0) {
+      return { mean: null, median: null, buckets };
+    }
+
+    const sorted = [...scores].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return {
+      mean: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100,
+      median: sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle],
+      buckets
+    };
+  }
+
+  /**
+   * Score keys across both configurations, overall first; a category may exist in only one of them
+   * @param {Array<Object>} scoreSets - Scoring result scores
+   * @returns {Array<string>} Score keys
+   */
+  getScoreKeys(scoreSets) {
+    const keys = new Set(scoreSets.flatMap(scores => Object.keys(scores)));
+    keys.delete('overall');
+    return ['overall', ...keys];
+  }
+}
+
+module.exports = new ConfigurationSimulationService();
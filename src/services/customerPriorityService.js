@@ -0,0 +1,236 @@
+/**
+ * Customer Priority Service
+ * Keeps the customer_priorities table in sync with scored sales calls
+ */
+
+const { prisma } = require('../database/connection');
+
+class CustomerPriorityService {
+  constructor() {
+    // Days after which a customer's last call counts for half its score
+    this.recencyHalfLifeDays = parseFloat(process.env.PRIORITY_RECENCY_HALF_LIFE_DAYS) || 30;
+
+    // Ranks are recomputed in one batch shortly after calls are scored, not once per refresh
+    this.rankDelay = parseInt(process.env.PRIORITY_RANK_DELAY_MS) || 5000;
+    this.rankTimer = null;
+
+    // Rank batches run one at a time so two of them never interleave their writes
+    this.rankUpdate = Promise.resolve();
+  }
+
+  /**
+   * Recompute a customer's priority after one of their calls was scored, rescored, trashed or restored.
+   * Calls in the trash do not count. Ranks follow in the next batch (see scheduleRankUpdate).
+   * Failures are logged and swallowed so they never fail the triggering request.
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object|null>} Updated priority or null
+   */
+  async refreshCustomer(customerId) {
+    try {
+      const id = parseInt(customerId);
+
+      const [callStats, scoreStats] = await Promise.all([
+        prisma.salesCall.aggregate({
+          where: { customerId: id, deletedAt: null },
+          _count: { _all: true },
+          _max: { createdAt: true }
+        }),
+        prisma.salesCall.aggregate({
+          where: { customerId: id, deletedAt: null, overallScore: { not: null } },
+          _avg: { overallScore: true }
+        })
+      ]);
+
+      if (callStats._count._all === 0) {
+        await prisma.customerPriority.deleteMany({ where: { customerId: id } });
+        console.log(`🗑️ Removed priority for customer ${id} (no sales calls)`);
+      } else {
+        const data = this.buildPriorityData({
+          totalCalls: callStats._count._all,
+          avgOverallScore: scoreStats._avg.overallScore || 0,
+          lastCallDate: callStats._max.createdAt
+        });
+
+        await prisma.customerPriority.upsert({
+          where: { customerId: id },
+          update: data,
+          create: { customerId: id, ...data, priorityRank: 0 }
+        });
+      }
+
+      this.scheduleRankUpdate();
+
+      return prisma.customerPriority.findUnique({ where: { customerId: id } });
+
+    } catch (error) {
+      console.error(`❌ Failed to refresh priority for customer ${customerId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Rebuild priorities for every customer from their sales calls outside the trash
+   * @returns {Promise<Object>} Rebuild result
+   */
+  async rebuildAll() {
+    try {
+      const [callStats, scoreStats] = await Promise.all([
+        prisma.salesCall.groupBy({
+          by: ['customerId'],
+          where: { deletedAt: null },
+          _count: { _all: true },
+          _max: { createdAt: true }
+        }),
+        prisma.salesCall.groupBy({
+          by: ['customerId'],
+          where: { deletedAt: null, overallScore: { not: null } },
+          _avg: { overallScore: true }
+        })
+      ]);
+
+      const averages = new Map(scoreStats.map(stat => [stat.customerId, stat._avg.overallScore]));
+      const customerIds = callStats.map(stat => stat.customerId);
+
+      await prisma.$transaction([
+        prisma.customerPriority.deleteMany({
+          where: { customerId: { notIn: customerIds } }
+        }),
+        ...callStats.map(stat => {
+          const data = this.buildPriorityData({
+            totalCalls: stat._count._all,
+            avgOverallScore: averages.get(stat.customerId) || 0,
+            lastCallDate: stat._max.createdAt
+          });
+
+          return prisma.customerPriority.upsert({
+            where: { customerId: stat.customerId },
+            update: data,
+            create: { customerId: stat.customerId, ...data, priorityRank: 0 }
+          });
+        })
+      ]);
+
+      const ranked = await this.runRankUpdate();
+
+      console.log(`✅ Customer priorities rebuilt for ${ranked} customers`);
+
+      return {
+        success: true,
+        customersRanked: ranked
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to rebuild customer priorities:', error);
+      throw new Error(`Priority rebuild failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recompute ranks once after a burst of refreshes; refreshes within rankDelay share one batch
+   */
+  scheduleRankUpdate() {
+    if (this.rankTimer) return;
+
+    this.rankTimer = setTimeout(() => {
+      this.rankTimer = null;
+      this.runRankUpdate().catch(error => console.error('❌ Failed to recalculate customer ranks:', error));
+    }, this.rankDelay);
+    this.rankTimer.unref();
+  }
+
+  /**
+   * Recalculate ranks after any batch already running
+   * @returns {Promise<number>} Number of ranked customers
+   */
+  runRankUpdate() {
+    const update = this.rankUpdate.catch(() => {}).then(() => this.recalculateRanks());
+    this.rankUpdate = update;
+    return update;
+  }
+
+  /**
+   * Re-apply recency decay to every customer and reassign ranks (1 = highest priority),
+   * writing only the rows whose rank or priority score changed
+   * @returns {Promise<number>} Number of ranked customers
+   */
+  async recalculateRanks() {
+    const priorities = await prisma.customerPriority.findMany();
+    const stored = new Map(priorities.map(priority => [priority.customerId, priority]));
+    const ranked = this.rankPriorities(priorities);
+
+    const changed = ranked
+      .map((priority, index) => ({ ...priority, priorityRank: index + 1 }))
+      .filter(priority => {
+        const current = stored.get(priority.customerId);
+        return current.priorityRank !== priority.priorityRank ||
+          parseFloat(current.priorityScore) !== priority.priorityScore;
+      });
+
+    if (changed.length > 0) {
+      await prisma.$transaction(
+        changed.map(priority => prisma.customerPriority.update({
+          where: { customerId: priority.customerId },
+          data: {
+            priorityScore: priority.priorityScore,
+            priorityRank: priority.priorityRank
+          }
+        }))
+      );
+    }
+
+    return ranked.length;
+  }
+
+  /**
+   * Apply recency decay and order customers from highest to lowest priority
+   * @param {Array} priorities - Priorities ({ customerId, avgOverallScore, lastCallDate })
+   * @param {Date} now - Reference date
+   * @returns {Array} Priorities with priorityScore, sorted by rank
+   */
+  rankPriorities(priorities, now = new Date()) {
+    return priorities
+      .map(priority => ({
+        customerId: priority.customerId,
+        avgOverallScore: parseFloat(priority.avgOverallScore),
+        lastCallDate: priority.lastCallDate,
+        priorityScore: this.calculatePriorityScore(parseFloat(priority.avgOverallScore), priority.lastCallDate, now)
+      }))
+      .sort((a, b) =>
+        b.priorityScore - a.priorityScore ||
+        b.avgOverallScore - a.avgOverallScore ||
+        b.lastCallDate - a.lastCallDate
+      );
+  }
+
+  /**
+   * Build the stored priority fields from call statistics
+   * @param {Object} stats - Call statistics
+   * @returns {Object} Priority data
+   */
+  buildPriorityData({ totalCalls, avgOverallScore, lastCallDate }) {
+    const avgScore = Math.round(avgOverallScore * 100) / 100;
+
+    return {
+      totalCalls,
+      avgOverallScore: avgScore,
+      lastCallDate,
+      priorityScore: this.calculatePriorityScore(avgScore, lastCallDate)
+    };
+  }
+
+  /**
+   * Calculate a customer's priority score: average call score decayed by time since the last call
+   * @param {number} avgOverallScore - Average overall score (0-100)
+   * @param {Date} lastCallDate - Date of the most recent call
+   * @param {Date} now - Reference date
+   * @returns {number} Priority score (0-100)
+   */
+  calculatePriorityScore(avgOverallScore, lastCallDate, now = new Date()) {
+    const daysSinceLastCall = Math.max(0, (now - new Date(lastCallDate)) / (1000 * 60 * 60 * 24));
+    const decay = Math.pow(0.5, daysSinceLastCall / this.recencyHalfLifeDays);
+
+    return Math.round(avgOverallScore * decay * 100) / 100;
+  }
+}
+
+module.exports = new CustomerPriorityService();
@@ -0,0 +1,315 @@
+/**
+ * Speaker Diarization Service
+ * Splits a transcript into agent/customer turns using a pluggable backend
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+class DiarizationService {
+  constructor() {
+    this.speakers = {
+      AGENT: 'agent',
+      CUSTOMER: 'customer'
+    };
+
+    this.backendName = process.env.DIARIZATION_BACKEND || 'local';
+    this.apiUrl = process.env.DIARIZATION_API_URL;
+    this.apiKey = process.env.DIARIZATION_API_KEY;
+
+    // Silence (seconds) between Whisper segments that the local backend treats as a speaker change
+    this.turnGap = parseFloat(process.env.DIARIZATION_TURN_GAP_SECONDS) || 1.0;
+
+    // Available backends, each returns raw turns ({ speaker, start, end, text })
+    this.backends = new Map([
+      ['local', input => this.diarizeLocally(input)],
+      ['http', input => this.diarizeWithApi(input)]
+    ]);
+
+    // Backends that guess speakers from punctuation and pauses: good enough for talk-time
+    // estimates, but scoring their "customer" turns would drop much of what the customer said
+    this.heuristicBackends = new Set(['local']);
+  }
+
+  /**
+   * Register an additional diarization backend
+   * @param {string} name - Backend name (selected with DIARIZATION_BACKEND)
+   * @param {Function} backend - async ({ audioFilePath, text, segments, duration }) => turns
+   */
+  registerBackend(name, backend) {
+    this.backends.set(name, backend);
+  }
+
+  /**
+   * Split a transcription into agent/customer turns
+   * @param {Object} input - Transcription data
+   * @param {string} input.audioFilePath - Path to the audio file
+   * @param {string} input.text - Transcript text
+   * @param {Array} input.segments - Whisper segments with timestamps
+   * @param {number} input.duration - Call duration in seconds
+   * @returns {Promise<Object>} Diarization ({ backend, turns, stats })
+   */
+  async diarize(input) {
+    let backendName = this.backends.has(this.backendName) ? this.backendName : 'local';
+    let rawTurns;
+
+    try {
+      rawTurns = await this.backends.get(backendName)(input);
+    } catch (error) {
+      if (backendName === 'local') {
+        throw new Error(`Diarization failed: ${error.message}`);
+      }
+
+      console.warn(`⚠️ Diarization backend "${backendName}" failed, falling back to local:`, error.message);
+      backendName = 'local';
+      rawTurns = await this.diarizeLocally(input);
+    }
+
+    const turns = this.mergeTurns(this.assignRoles(rawTurns));
+    const stats = this.calculateStats(turns);
+
+    console.log(`🗣️ Diarization (${backendName}): ${turns.length} turns, customer ${stats.customer.percentage}% / agent ${stats.agent.percentage}%`);
+
+    return {
+      backend: backendName,
+      turns,
+      stats
+    };
+  }
+
+  /**
+   * Turns to score the customer's side of the call with: only those of a real diarization
+   * backend, so heuristic turns fall back to scoring the whole transcript
+   * @param {Object} diarization - Diarization ({ backend, turns }), as returned or stored
+   * @returns {Array|null} Speaker turns, or null to score the whole transcript
+   */
+  getScoringTurns(diarization) {
+    if (!diarization || this.heuristicBackends.has(diarization.backend)) {
+      return null;
+    }
+
+    return diarization.turns || null;
+  }
+
+  /**
+   * Map speaker labels other than agent/customer (e.g. "SPEAKER_00" from a registered
+   * backend) to roles: the first voice on the recording is the agent placing the call
+   * @param {Array} rawTurns - Raw turns
+   * @returns {Array} Raw turns with agent/customer speakers
+   */
+  assignRoles(rawTurns) {
+    const roles = Object.values(this.speakers);
+    const firstLabel = rawTurns[0]?.speaker;
+
+    return rawTurns.map(turn => roles.includes(turn.speaker)
+      ? turn
+      : { ...turn, speaker: turn.speaker === firstLabel ? this.speakers.AGENT : this.speakers.CUSTOMER });
+  }
+
+  /**
+   * Deterministic local stand-in: the agent opens the call and the speaker
+   * changes after a question or a pause longer than the turn gap
+   * @param {Object} input - Transcription data
+   * @returns {Array} Raw turns
+   */
+  diarizeLocally({ text = '', segments = [] }) {
+    const units = segments && segments.length > 0
+      ? segments.map(segment => ({ start: segment.start, end: segment.end, text: (segment.text || '').trim() }))
+      : this.splitSentences(text).map(sentence => ({ start: null, end: null, text: sentence }));
+
+    let speaker = this.speakers.AGENT;
+    let previous = null;
+
+    return units
+      .filter(unit => unit.text.length > 0)
+      .map(unit => {
+        if (previous) {
+          const pause = unit.start !== null && previous.end !== null ? unit.start - previous.end : 0;
+          if (previous.text.endsWith('?') || pause >= this.turnGap) {
+            speaker = this.otherSpeaker(speaker);
+          }
+        }
+
+        previous = unit;
+        return { speaker, ...unit };
+      });
+  }
+
+  /**
+   * Diarize with an external service (DIARIZATION_API_URL) that returns
+   * { segments: [{ speaker, start, end }] }; Whisper segments are assigned
+   * to the speaker they overlap most
+   * @param {Object} input - Transcription data
+   * @returns {Promise<Array>} Raw turns
+   */
+  async diarizeWithApi({ audioFilePath, segments = [] }) {
+    if (!this.apiUrl) {
+      throw new Error('DIARIZATION_API_URL is not configured');
+    }
+
+    if (!segments || segments.length === 0) {
+      throw new Error('Whisper segments are required for API diarization');
+    }
+
+    const audio = await fs.readFile(audioFilePath);
+    const formData = new FormData();
+    formData.append('audio', new Blob([audio]), path.basename(audioFilePath));
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body: formData
+    });
+
+    if (!response.ok) {
+      throw new Error(`Diarization API responded with ${response.status}`);
+    }
+
+    const { segments: speakerSegments = [] } = await response.json();
+    if (speakerSegments.length === 0) {
+      throw new Error('Diarization API returned no speaker segments');
+    }
+
+    // The first voice on the recording is the agent placing the call
+    const firstLabel = [...speakerSegments].sort((a, b) => a.start - b.start)[0].speaker;
+
+    return segments.map(segment => {
+      const label = this.findOverlappingSpeaker(segment, speakerSegments) ?? firstLabel;
+      return {
+        speaker: label === firstLabel ? this.speakers.AGENT : this.speakers.CUSTOMER,
+        start: segment.start,
+        end: segment.end,
+        text: (segment.text || '').trim()
+      };
+    });
+  }
+
+  /**
+   * Find the speaker label that overlaps a segment the most
+   * @param {Object} segment - Whisper segment
+   * @param {Array} speakerSegments - Speaker segments from the diarization API
+   * @returns {string|null} Speaker label
+   */
+  findOverlappingSpeaker(segment, speakerSegments) {
+    let bestLabel = null;
+    let bestOverlap = 0;
+
+    speakerSegments.forEach(speakerSegment => {
+      const overlap = Math.min(segment.end, speakerSegment.end) - Math.max(segment.start, speakerSegment.start);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        bestLabel = speakerSegment.speaker;
+      }
+    });
+
+    return bestLabel;
+  }
+
+  /**
+   * Merge consecutive units from the same speaker into a single turn
+   * @param {Array} rawTurns - Raw turns
+   * @returns {Array} Merged turns
+   */
+  mergeTurns(rawTurns) {
+    return rawTurns.reduce((turns, unit) => {
+      const last = turns[turns.length - 1];
+
+      if (last && last.speaker === unit.speaker) {
+        last.text = `${last.text} ${unit.text}`;
+        last.end = unit.end;
+      } else {
+        turns.push({ speaker: unit.speaker, start: unit.start, end: unit.end, text: unit.text });
+      }
+
+      return turns;
+    }, []);
+  }
+
+  /**
+   * Calculate talk time per speaker, by timestamps when available and word counts otherwise
+   * @param {Array} turns - Speaker turns
+   * @returns {Object} Talk time statistics
+   */
+  calculateStats(turns) {
+    const hasTimestamps = turns.length > 0 && turns.every(turn => turn.start !== null && turn.end !== null);
+
+    const stats = {
+      basis: hasTimestamps ? 'time' : 'words',
+      agent: { turns: 0, talkTime: 0, wordCount: 0, percentage: 0 },
+      customer: { turns: 0, talkTime: 0, wordCount: 0, percentage: 0 }
+    };
+
+    turns.forEach(turn => {
+      const speakerStats = stats[turn.speaker];
+      if (!speakerStats) {
+        return;
+      }
+
+      speakerStats.turns += 1;
+      speakerStats.wordCount += turn.text.split(/\s+/).filter(word => word.length > 0).length;
+      if (hasTimestamps) {
+        speakerStats.talkTime += Math.max(0, turn.end - turn.start);
+      }
+    });
+
+    const measure = hasTimestamps ? 'talkTime' : 'wordCount';
+    const total = stats.agent[measure] + stats.customer[measure];
+
+    if (total > 0) {
+      stats.customer.percentage = Math.round((stats.customer[measure] / total) * 100);
+      stats.agent.percentage = 100 - stats.customer.percentage;
+    }
+
+    stats.agent.talkTime = Math.round(stats.agent.talkTime * 10) / 10;
+    stats.customer.talkTime = Math.round(stats.customer.talkTime * 10) / 10;
+
+    return stats;
+  }
+
+  /**
+   * Join the text spoken by one speaker
+   * @param {Array} turns - Speaker turns
+   * @param {string} speaker - Speaker (agent/customer)
+   * @returns {string} Speaker text
+   */
+  getSpeakerText(turns, speaker) {
+    return (turns || [])
+      .filter(turn => turn.speaker === speaker)
+      .map(turn => turn.text)
+      .join(' ');
+  }
+
+  /**
+   * Format turns as a speaker-labeled transcript
+   * @param {Array} turns - Speaker turns
+   * @returns {string} Labeled transcript
+   */
+  formatTurns(turns) {
+    const labels = {
+      [this.speakers.AGENT]: 'נציג',
+      [this.speakers.CUSTOMER]: 'לקוח'
+    };
+
+    return turns.map(turn => `${labels[turn.speaker]}: ${turn.text}`).join('\n');
+  }
+
+  /**
+   * Split text into sentences, keeping the terminating punctuation
+   * @param {string} text - Transcript text
+   * @returns {Array<string>} Sentences
+   */
+  splitSentences(text) {
+    return (text.match(/[^.?!]+[.?!]*/g) || []).map(sentence => sentence.trim());
+  }
+
+  /**
+   * Get the other speaker
+   * @param {string} speaker - Current speaker
+   * @returns {string} Other speaker
+   */
+  otherSpeaker(speaker) {
+    return speaker === this.speakers.AGENT ? this.speakers.CUSTOMER : this.speakers.AGENT;
+  }
+}
+
+module.exports = new DiarizationService();
@@ -5,6 +5,8 @@
 
 const gpt4AnalysisService = require('./gpt4AnalysisService');
 const scoringService = require('./scoringService');
+const diarizationService = require('./diarizationService');
+const usageService = require('./usageService');
 
 class EnhancedScoringService {
   constructor() {
@@ -33,6 +35,12 @@ class EnhancedScoringService {
    * @param {number} duration - Call duration in seconds
    * @param {number} wordCount - Number of words in transcript
    * @param {Object} options - Analysis options
+   * @param {Object} options.configuration - Scoring configuration ({ id, name, weights, phrases }) to score with
+   * @param {Array} options.speakerTurns - Diarized agent/customer turns
+   * @param {Array} options.segments - Timestamped segments used to locate phrase evidence
+   * @param {boolean} options.bypassCache - Ignore cached GPT-4 results for this transcript
+   * @param {number} options.salesCallId - Sales call the GPT-4 token usage is recorded against
+   * @param {Object} options.prompts - GPT-4 prompts by task (defaults to the active prompt versions)
    * @returns {Promise<Object>} Enhanced analysis results
    */
   async analyzeTranscript(transcript, duration = 0, wordCount = 0, options = {}) {
@@ -43,7 +51,8 @@ class EnhancedScoringService {
       const traditionalResults = this.baseScoringService.analyzeTranscript(
         transcript, 
         duration, 
-        wordCount
+        wordCount,
+        { configuration: options.configuration, speakerTurns: options.speakerTurns, segments: options.segments }
       );
 
       // Perform GPT-4 analysis
@@ -51,7 +60,21 @@ class EnhancedScoringService {
       let gpt4Error = null;
 
       try {
-        gpt4Results = await this.gpt4Service.performComprehensiveAnalysis(transcript);
+        // Past the monthly budget only traditional scoring runs
+        const budget = await usageService.getBudgetStatus();
+        if (budget.exceeded) {
+          throw new Error(`Monthly LLM budget exceeded ($${budget.spent} of $${budget.monthlyBudget})`);
+        }
+
+        // Give GPT-4 the speaker-labeled transcript when diarization is available
+        const gpt4Transcript = options.speakerTurns?.length
+          ? diarizationService.formatTurns(options.speakerTurns)
+          : transcript;
+        gpt4Results = await this.gpt4Service.performComprehensiveAnalysis(gpt4Transcript, {
+          bypassCache: options.bypassCache,
+          salesCallId: options.salesCallId,
+          prompts: options.prompts
+        });
       } catch (error) {
         console.warn('⚠️ GPT-4 analysis failed, falling back to traditional analysis:', error.message);
         gpt4Error = error.message;
@@ -61,7 +84,8 @@ class EnhancedScoringService {
       const enhancedResults = this.combineAnalysisResults(
         traditionalResults, 
         gpt4Results, 
-        gpt4Error
+        gpt4Error,
+        options.configuration?.weights
       );
 
       console.log('✅ Enhanced analysis completed');
@@ -79,9 +103,10 @@ class EnhancedScoringService {
    * @param {Object} traditionalResults - Results from traditional scoring
    * @param {Object} gpt4Results - Results from GPT-4 analysis
    * @param {string} gpt4Error - Any error from GPT-4 analysis
+   * @param {Object} weights - Category weights for the overall score
    * @returns {Object} Combined analysis results
    */
-  combineAnalysisResults(traditionalResults, gpt4Results, gpt4Error = null) {
+  combineAnalysisResults(traditionalResults, gpt4Results, gpt4Error = null, weights = null) {
     // Start with traditional results as base
     const enhancedScores = { ...traditionalResults.scores };
     const enhancedAnalysis = { ...traditionalResults.analysis };
@@ -93,8 +118,9 @@ class EnhancedScoringService {
       const sentiment = gpt4Results.results.sentiment?.sentiment;
       const flow = gpt4Results.results.flow?.flow;
 
+      // GPT-4 rates the built-in categories only; configured custom categories keep their phrase scores
       // Enhance urgency score with context insights
-      if (contextInsights?.urgency_level) {
+      if (contextInsights?.urgency_level && enhancedScores.urgency !== undefined) {
         enhancedScores.urgency = this.enhanceScoreWithContext(
           enhancedScores.urgency,
           contextInsights.urgency_level,
@@ -103,7 +129,7 @@ class EnhancedScoringService {
       }
 
       // Enhance budget score with context insights
-      if (contextInsights?.budget_clarity) {
+      if (contextInsights?.budget_clarity && enhancedScores.budget !== undefined) {
         enhancedScores.budget = this.enhanceScoreWithContext(
           enhancedScores.budget,
           contextInsights.budget_clarity,
@@ -112,7 +138,7 @@ class EnhancedScoringService {
       }
 
       // Enhance interest score with context insights
-      if (contextInsights?.interest_level) {
+      if (contextInsights?.interest_level && enhancedScores.interest !== undefined) {
         enhancedScores.interest = this.enhanceScoreWithContext(
           enhancedScores.interest,
           contextInsights.interest_level,
@@ -121,7 +147,7 @@ class EnhancedScoringService {
       }
 
       // Enhance engagement score with context insights
-      if (contextInsights?.engagement_level) {
+      if (contextInsights?.engagement_level && enhancedScores.engagement !== undefined) {
         enhancedScores.engagement = this.enhanceScoreWithContext(
           enhancedScores.engagement,
           contextInsights.engagement_level,
@@ -130,13 +156,15 @@ class EnhancedScoringService {
       }
 
       // Recalculate overall score with enhanced individual scores
-      enhancedScores.overall = this.calculateEnhancedOverallScore(enhancedScores);
+      enhancedScores.overall = this.calculateEnhancedOverallScore(enhancedScores, weights);
 
       // Add GPT-4 analysis data
       enhancedAnalysis.gpt4Analysis = {
         sentiment: sentiment,
         conversationFlow: flow,
         contextInsights: contextInsights,
+        objections: gpt4Results.results.context?.analysis?.objections || [],
+        buyingSignals: gpt4Results.results.context?.analysis?.buying_signals || [],
         confidence: gpt4Results.overallConfidence,
         errors: gpt4Results.results.errors
       };
@@ -152,6 +180,10 @@ class EnhancedScoringService {
       // Update metadata
       enhancedMetadata.gpt4Used = true;
       enhancedMetadata.gpt4Confidence = gpt4Results.overallConfidence;
+      enhancedMetadata.gpt4CacheHits = gpt4Results.metadata?.cache_hits || 0;
+      enhancedMetadata.gpt4Validation = gpt4Results.metadata?.validation || null;
+      enhancedMetadata.gpt4Cost = gpt4Results.metadata?.cost || 0;
+      enhancedMetadata.promptVersions = gpt4Results.metadata?.prompt_versions || null;
       enhancedMetadata.analysisVersion = 'enhanced-v1.0';
     } else {
       // Fallback to traditional analysis
@@ -160,6 +192,7 @@ class EnhancedScoringService {
         fallback: true
       };
       enhancedMetadata.gpt4Used = false;
+      enhancedMetadata.gpt4Validation = gpt4Results?.metadata?.validation || null;
       enhancedMetadata.analysisVersion = 'traditional-v1.0';
     }
 
@@ -194,18 +227,11 @@ class EnhancedScoringService {
   /**
    * Calculate enhanced overall score
    * @param {Object} scores - Individual scores
+   * @param {Object} weights - Category weights (defaults to the base scoring weights)
    * @returns {number} Enhanced overall score
    */
-  calculateEnhancedOverallScore(scores) {
-    const weights = this.baseScoringService.getWeights();
-    
-    const overall = 
-      (scores.urgency * weights.urgency) +
-      (scores.budget * weights.budget) +
-      (scores.interest * weights.interest) +
-      (scores.engagement * weights.engagement);
-
-    return Math.round(overall);
+  calculateEnhancedOverallScore(scores, weights = null) {
+    return this.baseScoringService.calculateOverallScore(scores, weights || this.baseScoringService.getWeights());
   }
 
   /**
@@ -344,7 +370,7 @@ class EnhancedScoringService {
     };
 
     // Compare individual scores
-    ['urgency', 'budget', 'interest', 'engagement'].forEach(scoreType => {
+    Object.keys(traditionalResults.scores).filter(scoreType => scoreType !== 'overall').forEach(scoreType => {
       const traditional = traditionalResults.scores[scoreType];
       const enhanced = enhancedResults.scores[scoreType];
       
@@ -0,0 +1,421 @@
+/**
+ * Evaluation Service
+ * Runs the scoring pipelines over a golden set of labeled transcripts and measures
+ * per-category precision/recall, score MAE and objection detection against the labels
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const scoringService = require('./scoringService');
+const enhancedScoringService = require('./enhancedScoringService');
+const hebrewTokenizerService = require('./hebrewTokenizerService');
+
+class EvaluationService {
+  constructor() {
+    this.categories = ['urgency', 'budget', 'interest', 'engagement', 'overall'];
+    this.pipelines = ['traditional', 'enhanced'];
+
+    this.defaultGoldenDir = path.join(__dirname, '../../tests/fixtures/golden');
+    this.defaultRunsDir = path.join(__dirname, '../../evaluation-results');
+
+    // A category counts as detected when its score (or expected band midpoint) reaches this value
+    this.positiveThreshold = parseInt(process.env.EVALUATION_POSITIVE_THRESHOLD) || 50;
+  }
+
+  /**
+   * Load the labeled transcripts of a golden set
+   * @param {string} dir - Directory of *.json cases
+   * @returns {Promise<Array>} Cases ({ id, description, transcript, turns, duration, wordCount, expected })
+   */
+  async loadGoldenSet(dir = this.defaultGoldenDir) {
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+
+    if (files.length === 0) {
+      throw new Error(`No golden cases (*.json) found in ${dir}`);
+    }
+
+    return Promise.all(files.map(async file => {
+      const data = await fs.readJson(path.join(dir, file));
+      const errors = this.validateCase(data);
+      if (errors.length > 0) {
+        throw new Error(`Invalid golden case ${file}: ${errors.join('; ')}`);
+      }
+
+      const transcript = data.turns.map(turn => turn.text).join(' ');
+
+      return {
+        id: data.id || path.basename(file, '.json'),
+        description: data.description || '',
+        transcript,
+        turns: data.turns,
+        duration: data.duration || 0,
+        wordCount: hebrewTokenizerService.splitWords(transcript).length,
+        expected: {
+          scores: data.expected.scores || {},
+          objections: data.expected.objections || []
+        }
+      };
+    }));
+  }
+
+  /**
+   * Check the shape of a golden case
+   * @param {Object} data - Parsed case file
+   * @returns {Array<string>} Errors
+   */
+  validateCase(data) {
+    const errors = [];
+
+    if (!Array.isArray(data.turns) || data.turns.length === 0) {
+      errors.push('turns must be a non-empty array of { speaker, text }');
+    } else if (data.turns.some(turn => !['agent', 'customer'].includes(turn.speaker) || typeof turn.text !== 'string')) {
+      errors.push('each turn needs a speaker (agent or customer) and text');
+    }
+
+    if (!data.expected || typeof data.expected !== 'object') {
+      errors.push('expected is required');
+      return errors;
+    }
+
+    Object.entries(data.expected.scores || {}).forEach(([category, band]) => {
+      if (!this.categories.includes(category)) {
+        errors.push(`unknown category "${category}"`);
+      } else if (!Array.isArray(band) || band.length !== 2 || !(band[0] <= band[1])) {
+        errors.push(`${category} must be a [min, max] score band`);
+      }
+    });
+
+    if (data.expected.objections !== undefined && !Array.isArray(data.expected.objections)) {
+      errors.push('expected.objections must be an array of phrases');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Score every case with the requested pipelines and measure the results
+   * @param {Array} cases - Golden cases (see loadGoldenSet)
+   * @param {Object} options - Run options
+   * @param {Object} options.configuration - Scoring configuration ({ id, name, weights, phrases }) to evaluate
+   * @param {boolean} options.enhanced - Also run the GPT-4 enhanced pipeline
+   * @returns {Promise<Object>} Run ({ timestamp, configuration, pipelines, cases, metrics })
+   */
+  async evaluate(cases, { configuration, enhanced = false }) {
+    const pipelines = enhanced ? this.pipelines : ['traditional'];
+    const caseResults = [];
+
+    for (const testCase of cases) {
+      const options = { configuration, speakerTurns: testCase.turns };
+      const results = {};
+
+      results.traditional = this.scoreCase(
+        testCase,
+        scoringService.analyzeTranscript(testCase.transcript, testCase.duration, testCase.wordCount, options)
+      );
+
+      if (enhanced) {
+        const enhancedResults = await enhancedScoringService.analyzeTranscript(
+          testCase.transcript, testCase.duration, testCase.wordCount, options
+        );
+        results.enhanced = {
+          ...this.scoreCase(testCase, enhancedResults),
+          gpt4Used: enhancedResults.metadata.gpt4Used
+        };
+      }
+
+      caseResults.push({ id: testCase.id, expected: testCase.expected, results });
+    }
+
+    return {
+      timestamp: new Date().toISOString(),
+      configuration: { id: configuration.id ?? null, name: configuration.name },
+      positiveThreshold: this.positiveThreshold,
+      pipelines,
+      cases: caseResults,
+      metrics: Object.fromEntries(pipelines.map(pipeline => [
+        pipeline,
+        this.computeMetrics(caseResults.map(caseResult => ({ expected: caseResult.expected, result: caseResult.results[pipeline] })))
+      ]))
+    };
+  }
+
+  /**
+   * Compare one pipeline result with a case's labels
+   * @param {Object} testCase - Golden case
+   * @param {Object} scoringResults - Pipeline output ({ scores, analysis })
+   * @returns {Object} Case result ({ scores, withinBand, objections })
+   */
+  scoreCase(testCase, scoringResults) {
+    const expectedObjections = testCase.expected.objections;
+    const detected = this.getDetectedObjections(scoringResults.analysis);
+
+    return {
+      scores: Object.fromEntries(this.categories.map(category => [category, scoringResults.scores[category]])),
+      withinBand: Object.fromEntries(
+        Object.entries(testCase.expected.scores).map(([category, [min, max]]) => {
+          const score = scoringResults.scores[category];
+          return [category, score >= min && score <= max];
+        })
+      ),
+      objections: {
+        detected,
+        matched: expectedObjections.filter(phrase => detected.some(found => this.phrasesOverlap(phrase, found))),
+        missed: expectedObjections.filter(phrase => !detected.some(found => this.phrasesOverlap(phrase, found))),
+        unexpected: detected.filter(found => !expectedObjections.some(phrase => this.phrasesOverlap(phrase, found)))
+      }
+    };
+  }
+
+  /**
+   * Objection phrases reported by a pipeline: phrase matches, plus GPT-4 objections when present
+   * @param {Object} analysis - Pipeline analysis
+   * @returns {Array<string>} Objection phrases, without phrases contained in a longer one
+   */
+  getDetectedObjections(analysis) {
+    const phrases = [
+      ...(analysis.objections || []),
+      ...(analysis.gpt4Analysis?.objections || []).map(objection => objection.phrase).filter(Boolean)
+    ];
+    const unique = [...new Set(phrases)];
+
+    // "זה יקר מדי" also matches "זה יקר" and "יקר מדי"; count it once
+    return unique.filter(phrase => !unique.some(other => other !== phrase && other.includes(phrase)));
+  }
+
+  /**
+   * Whether two objection phrases refer to the same objection
+   * @param {string} expected - Labeled phrase
+   * @param {string} detected - Detected phrase
+   * @returns {boolean} Overlap
+   */
+  phrasesOverlap(expected, detected) {
+    const a = hebrewTokenizerService.splitWords(expected).join(' ');
+    const b = hebrewTokenizerService.splitWords(detected).join(' ');
+
+    return a.includes(b) || b.includes(a);
+  }
+
+  /**
+   * Aggregate case results into per-category and objection metrics
+   * @param {Array} entries - Case entries ({ expected, result })
+   * @returns {Object} Metrics ({ categories, objections })
+   */
+  computeMetrics(entries) {
+    const categories = Object.fromEntries(this.categories.map(category => {
+      const labeled = entries.filter(entry => entry.expected.scores[category]);
+      const counts = { tp: 0, fp: 0, fn: 0 };
+      let absoluteError = 0;
+      let withinBand = 0;
+
+      labeled.forEach(({ expected, result }) => {
+        const [min, max] = expected.scores[category];
+        const midpoint = (min + max) / 2;
+        const score = result.scores[category];
+
+        const expectedPositive = midpoint >= this.positiveThreshold;
+        const predictedPositive = score >= this.positiveThreshold;
+        if (expectedPositive && predictedPositive) counts.tp++;
+        if (!expectedPositive && predictedPositive) counts.fp++;
+        if (expectedPositive && !predictedPositive) counts.fn++;
+
+        absoluteError += Math.abs(score - midpoint);
+        withinBand += result.withinBand[category] ? 1 : 0;
+      });
+
+      return [category, {
+        cases: labeled.length,
+        precision: this.ratio(counts.tp, counts.tp + counts.fp),
+        recall: this.ratio(counts.tp, counts.tp + counts.fn),
+        mae: labeled.length > 0 ? this.round(absoluteError / labeled.length) : null,
+        withinBand: this.ratio(withinBand, labeled.length)
+      }];
+    }));
+
+    const matched = entries.reduce((sum, entry) => sum + entry.result.objections.matched.length, 0);
+    const missed = entries.reduce((sum, entry) => sum + entry.result.objections.missed.length, 0);
+    const unexpected = entries.reduce((sum, entry) => sum + entry.result.objections.unexpected.length, 0);
+
+    return {
+      categories,
+      objections: {
+        expected: matched + missed,
+        precision: this.ratio(matched, matched + unexpected),
+        recall: this.ratio(matched, matched + missed)
+      }
+    };
+  }
+
+  /**
+   * Compare a run with a previous one
+   * @param {Object} current - Current run
+   * @param {Object} previous - Previous run
+   * @returns {Object} Diff ({ previousTimestamp, metrics, cases }); metric deltas are current minus previous
+   */
+  diffRuns(current, previous) {
+    const pipelines = current.pipelines.filter(pipeline => previous.metrics[pipeline]);
+    const delta = (a, b) => (a === null || b === null || a === undefined || b === undefined) ? null : this.round(a - b);
+
+    const metrics = Object.fromEntries(pipelines.map(pipeline => {
+      const now = current.metrics[pipeline];
+      const before = previous.metrics[pipeline];
+
+      return [pipeline, {
+        categories: Object.fromEntries(this.categories.map(category => [category, {
+          precision: delta(now.categories[category].precision, before.categories[category]?.precision),
+          recall: delta(now.categories[category].recall, before.categories[category]?.recall),
+          mae: delta(now.categories[category].mae, before.categories[category]?.mae),
+          withinBand: delta(now.categories[category].withinBand, before.categories[category]?.withinBand)
+        }])),
+        objections: {
+          precision: delta(now.objections.precision, before.objections.precision),
+          recall: delta(now.objections.recall, before.objections.recall)
+        }
+      }];
+    }));
+
+    // Cases whose scores moved, or that entered or left an expected band
+    const previousCases = new Map(previous.cases.map(caseResult => [caseResult.id, caseResult]));
+    const cases = [];
+    current.cases.forEach(caseResult => {
+      const before = previousCases.get(caseResult.id);
+      pipelines.forEach(pipeline => {
+        const now = caseResult.results[pipeline];
+        const then = before?.results[pipeline];
+        if (!then) {
+          return;
+        }
+
+        const scoreChanges = Object.fromEntries(
+          this.categories
+            .filter(category => now.scores[category] !== then.scores[category])
+            .map(category => [category, now.scores[category] - then.scores[category]])
+        );
+        const bandChanges = Object.keys(now.withinBand).filter(category => now.withinBand[category] !== then.withinBand[category]);
+
+        if (Object.keys(scoreChanges).length > 0 || bandChanges.length > 0) {
+          cases.push({
+            id: caseResult.id,
+            pipeline,
+            scoreChanges,
+            enteredBand: bandChanges.filter(category => now.withinBand[category]),
+            leftBand: bandChanges.filter(category => !now.withinBand[category])
+          });
+        }
+      });
+    });
+
+    return {
+      previousTimestamp: previous.timestamp,
+      previousConfiguration: previous.configuration,
+      metrics,
+      cases
+    };
+  }
+
+  /**
+   * Save a run as the newest in the runs directory
+   * @param {Object} run - Evaluation run
+   * @param {string} runsDir - Runs directory
+   * @returns {Promise<string>} Saved file path
+   */
+  async saveRun(run, runsDir = this.defaultRunsDir) {
+    await fs.ensureDir(runsDir);
+    const filePath = path.join(runsDir, `run-${run.timestamp.replace(/[:.]/g, '-')}.json`);
+    await fs.writeJson(filePath, run, { spaces: 2 });
+    return filePath;
+  }
+
+  /**
+   * Load the most recent saved run
+   * @param {string} runsDir - Runs directory
+   * @returns {Promise<Object|null>} Run or null when none was saved
+   */
+  async loadLatestRun(runsDir = this.defaultRunsDir) {
+    if (!(await fs.pathExists(runsDir))) {
+      return null;
+    }
+
+    const runs = (await fs.readdir(runsDir)).filter(file => /^run-.*\.json$/.test(file)).sort();
+    return runs.length > 0 ? fs.readJson(path.join(runsDir, runs[runs.length - 1])) : null;
+  }
+
+  /**
+   * Format a run (and its diff against the previous run) as a text report
+   * @param {Object} run - Evaluation run
+   * @param {Object} diff - Diff from diffRuns, if a previous run exists
+   * @returns {string} Report
+   */
+  formatReport(run, diff = null) {
+    const percent = value => value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+    const number = value => value === null ? '   - ' : value.toFixed(1).padStart(5);
+    const change = value => value === null || value === undefined || value === 0 ? '' : ` (${value > 0 ? '+' : ''}${value})`;
+    const lines = [
+      `Golden set evaluation — ${run.cases.length} cases, configuration: ${run.configuration.name}`,
+      `Detection threshold: ${run.positiveThreshold}`
+    ];
+
+    run.pipelines.forEach(pipeline => {
+      const metrics = run.metrics[pipeline];
+      const metricsDiff = diff?.metrics[pipeline];
+
+      lines.push('', `[${pipeline}]`, 'category     precision  recall   MAE    in band');
+      this.categories.forEach(category => {
+        const m = metrics.categories[category];
+        const d = metricsDiff?.categories[category] || {};
+        lines.push(
+          `${category.padEnd(12)} ${percent(m.precision)}${change(d.precision)}  ${percent(m.recall)}${change(d.recall)}  ` +
+          `${number(m.mae)}${change(d.mae)}  ${percent(m.withinBand)}${change(d.withinBand)}`
+        );
+      });
+      lines.push(
+        `objections   ${percent(metrics.objections.precision)}${change(metricsDiff?.objections.precision)}  ` +
+        `${percent(metrics.objections.recall)}${change(metricsDiff?.objections.recall)}`
+      );
+
+      if (pipeline === 'enhanced') {
+        const fallbacks = run.cases.filter(caseResult => !caseResult.results.enhanced.gpt4Used).length;
+        if (fallbacks > 0) {
+          lines.push(`⚠️ GPT-4 did not run for ${fallbacks} case(s); their enhanced scores are traditional scores`);
+        }
+      }
+    });
+
+    if (diff) {
+      lines.push('', `Changes since ${diff.previousTimestamp} (${diff.previousConfiguration.name}):`);
+      if (diff.cases.length === 0) {
+        lines.push('  no case scores changed');
+      }
+      diff.cases.forEach(caseDiff => {
+        const scores = Object.entries(caseDiff.scoreChanges).map(([category, value]) => `${category} ${value > 0 ? '+' : ''}${value}`);
+        const bands = [
+          ...caseDiff.enteredBand.map(category => `${category} now in band`),
+          ...caseDiff.leftBand.map(category => `${category} left band`)
+        ];
+        lines.push(`  ${caseDiff.id} [${caseDiff.pipeline}]: ${[...scores, ...bands].join(', ')}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Ratio rounded to 3 decimals, or null when undefined
+   * @param {number} numerator - Numerator
+   * @param {number} denominator - Denominator
+   * @returns {number|null} Ratio
+   */
+  ratio(numerator, denominator) {
+    return denominator > 0 ? Math.round(numerator / denominator * 1000) / 1000 : null;
+  }
+
+  /**
+   * Round to 3 decimals
+   * @param {number} value - Value
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new EvaluationService();
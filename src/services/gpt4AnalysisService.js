@@ -3,148 +3,19 @@
  * Provides context-aware analysis using OpenAI GPT-4 API
  */
 
-const OpenAI = require('openai');
+const llmProviderService = require('./llmProviderService');
+const analysisCacheService = require('./analysisCacheService');
+const transcriptWindowService = require('./transcriptWindowService');
+const analysisMergeService = require('./analysisMergeService');
+const analysisSchemaService = require('./analysisSchemaService');
+const usageService = require('./usageService');
+const promptRegistryService = require('./promptRegistryService');
 
 class GPT4AnalysisService {
   constructor() {
-    // Initialize OpenAI client only if API key is available
-    if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-      this.isAvailable = true;
-    } else {
-      this.isAvailable = false;
-      console.warn('⚠️ OpenAI API key not configured. GPT-4 analysis will not be available.');
+    if (!llmProviderService.isChatAvailable()) {
+      console.warn(`⚠️ LLM provider "${llmProviderService.providerName}" is not configured. GPT-4 analysis will not be available.`);
     }
-
-    // Analysis prompts for Hebrew sales calls
-    this.prompts = {
-      contextAnalysis: `
-        Analyze this Hebrew sales call transcript and provide a detailed analysis in JSON format with the following structure:
-        
-        {
-          "sentiment": {
-            "overall": "positive|negative|neutral",
-            "confidence": 0.85,
-            "changes": [
-              {"phase": "introduction", "sentiment": "neutral", "confidence": 0.8},
-              {"phase": "needs_assessment", "sentiment": "positive", "confidence": 0.9}
-            ]
-          },
-          "conversation_phases": [
-            {
-              "phase": "introduction",
-              "start_time": 0,
-              "end_time": 30,
-              "confidence": 0.9,
-              "key_points": ["greeting", "purpose_statement"]
-            }
-          ],
-          "speaker_analysis": {
-            "customer_speech_percentage": 65,
-            "agent_speech_percentage": 35,
-            "customer_engagement_level": "high|medium|low",
-            "key_customer_phrases": ["אני מעוניין", "מה המחיר"]
-          },
-          "objections": [
-            {
-              "type": "price|timing|location|other",
-              "strength": "low|medium|high",
-              "phrase": "זה יקר מדי",
-              "context": "Customer expressing price concern",
-              "confidence": 0.9
-            }
-          ],
-          "buying_signals": [
-            {
-              "type": "urgency|budget|interest|engagement",
-              "strength": "low|medium|high",
-              "phrase": "אני צריך לעבור עד החודש הבא",
-              "confidence": 0.95
-            }
-          ],
-          "context_insights": {
-            "urgency_level": "low|medium|high",
-            "budget_clarity": "low|medium|high",
-            "interest_level": "low|medium|high",
-            "engagement_level": "low|medium|high",
-            "deal_probability": 0.75,
-            "recommended_next_steps": ["schedule_viewing", "send_details"]
-          }
-        }
-        
-        Focus on Hebrew language nuances and Israeli real estate market context. Provide confidence scores for all assessments.
-        
-        Transcript: {transcript}
-      `,
-
-      sentimentAnalysis: `
-        Analyze the emotional tone and sentiment of this Hebrew conversation. Provide analysis in JSON format:
-        
-        {
-          "overall_sentiment": "positive|negative|neutral",
-          "confidence": 0.85,
-          "sentiment_breakdown": {
-            "positive_indicators": ["enthusiasm", "interest", "agreement"],
-            "negative_indicators": ["frustration", "doubt", "objections"],
-            "neutral_indicators": ["information_seeking", "clarification"]
-          },
-          "emotional_triggers": [
-            {
-              "trigger": "price_mention",
-              "sentiment_change": "negative",
-              "intensity": "medium"
-            }
-          ],
-          "cultural_context": {
-            "israeli_business_style": true,
-            "direct_communication": true,
-            "relationship_focused": false
-          }
-        }
-        
-        Consider Hebrew cultural context and business communication patterns.
-        
-        Transcript: {transcript}
-      `,
-
-      conversationFlow: `
-        Analyze the conversation flow and structure of this Hebrew sales call. Provide analysis in JSON format:
-        
-        {
-          "phases": [
-            {
-              "name": "introduction|needs_assessment|presentation|objection_handling|closing",
-              "start_time": 0,
-              "end_time": 60,
-              "duration_seconds": 60,
-              "key_activities": ["greeting", "purpose_explanation"],
-              "effectiveness": "high|medium|low",
-              "customer_response": "positive|neutral|negative"
-            }
-          ],
-          "key_moments": [
-            {
-              "timestamp": 120,
-              "type": "objection|buying_signal|closing_attempt",
-              "description": "Customer expresses price concern",
-              "impact": "positive|negative|neutral"
-            }
-          ],
-          "flow_quality": {
-            "smoothness": "high|medium|low",
-            "engagement_maintained": true,
-            "objections_handled": true,
-            "closing_attempts": 2
-          }
-        }
-        
-        Focus on sales conversation structure and effectiveness.
-        
-        Transcript: {transcript}
-      `
-    };
   }
 
   /**
@@ -152,54 +23,252 @@ class GPT4AnalysisService {
    * @returns {boolean} Service availability
    */
   isServiceAvailable() {
-    return this.isAvailable;
+    return llmProviderService.isChatAvailable();
+  }
+
+  /**
+   * Run an analysis prompt over a transcript; transcripts too long for the model's
+   * context window are analyzed in overlapping windows and the results merged
+   * @param {string} task - Analysis task (contextAnalysis, sentimentAnalysis, conversationFlow)
+   * @param {string} transcript - Hebrew transcript text
+   * @param {Object} options - Completion options (see requestAnalysis); the active prompt is used when none is given
+   * @returns {Promise<Object>} Parsed result and metadata ({ result, metadata })
+   */
+  async runAnalysis(task, transcript, options) {
+    const prompt = options.prompt || (await promptRegistryService.getActivePrompts())[task];
+    const requestOptions = { ...options, prompt };
+
+    const windows = transcriptWindowService.splitIntoWindows(transcript, {
+      maxTokens: this.getWindowTokenBudget(prompt, options.maxTokens)
+    });
+
+    if (windows.length === 1) {
+      const analysis = await this.requestAnalysis(task, transcript, requestOptions);
+      return { ...analysis, metadata: { ...analysis.metadata, windows: 1 } };
+    }
+
+    console.log(`🪟 Transcript split into ${windows.length} windows for ${task}`);
+
+    // Windows run one after another to stay within provider rate limits
+    const analyses = [];
+    for (const window of windows) {
+      const windowTranscript = `[Part ${window.index + 1} of ${windows.length} of a longer call]\n${window.text}`;
+      analyses.push(await this.requestAnalysis(task, windowTranscript, requestOptions));
+    }
+
+    return {
+      result: analysisMergeService.merge(
+        task,
+        analyses.map(analysis => analysis.result),
+        windows.map(window => window.tokens)
+      ),
+      metadata: {
+        ...analyses[0].metadata,
+        tokens_used: analyses.reduce((total, analysis) => total + analysis.metadata.tokens_used, 0),
+        cost: analyses.reduce((total, analysis) => total + (analysis.metadata.cost || 0), 0),
+        cached: analyses.every(analysis => analysis.metadata.cached),
+        validation: {
+          valid: analyses.every(analysis => analysis.metadata.validation.valid),
+          repaired: analyses.some(analysis => analysis.metadata.validation.repaired),
+          errors: analyses.flatMap((analysis, i) => analysis.metadata.validation.errors.map(error => `part ${i + 1}: ${error}`)),
+          initialErrors: analyses.flatMap((analysis, i) => analysis.metadata.validation.initialErrors.map(error => `part ${i + 1}: ${error}`))
+        },
+        windows: windows.length,
+        analysis_timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Tokens left for the transcript once the prompt, the completion and a safety margin are reserved
+   * @param {Object} prompt - Prompt version ({ systemPrompt, template })
+   * @param {number} maxTokens - Maximum completion tokens
+   * @returns {number} Transcript token budget per window
+   */
+  getWindowTokenBudget(prompt, maxTokens) {
+    const promptTokens = transcriptWindowService.estimateTokens(prompt.systemPrompt + prompt.template);
+    const margin = Math.ceil(llmProviderService.contextTokens * 0.05);
+
+    return Math.max(500, llmProviderService.contextTokens - maxTokens - promptTokens - margin);
+  }
+
+  /**
+   * Run one analysis prompt through the configured LLM provider and parse its JSON answer,
+   * reusing the cached result for the same transcript, prompt version and model
+   * @param {string} task - Analysis task (contextAnalysis, sentimentAnalysis, conversationFlow)
+   * @param {string} transcript - Hebrew transcript text
+   * @param {Object} options - Completion options
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Maximum completion tokens
+   * @param {boolean} options.bypassCache - Skip the cache lookup and refresh the cached result
+   * @param {number} options.salesCallId - Sales call the usage is recorded against
+   * @param {Object} options.prompt - Prompt version to run ({ id, systemPrompt, template, hash })
+   * @returns {Promise<Object>} Parsed result and metadata ({ result, metadata })
+   */
+  async requestAnalysis(task, transcript, { temperature, maxTokens, bypassCache = false, salesCallId = null, prompt }) {
+    const cacheKey = {
+      transcript,
+      task,
+      promptVersion: prompt.hash,
+      provider: llmProviderService.providerName,
+      model: llmProviderService.chatModel
+    };
+
+    const cached = bypassCache ? null : await analysisCacheService.get(cacheKey);
+    if (cached) {
+      return {
+        result: cached.result,
+        metadata: {
+          model: cacheKey.model,
+          provider: cacheKey.provider,
+          prompt_version: cacheKey.promptVersion,
+          prompt_version_id: prompt.id,
+          tokens_used: 0,
+          cost: 0,
+          cached: true,
+          validation: { valid: true, repaired: false, errors: [], initialErrors: [] },
+          analysis_timestamp: cached.createdAt.toISOString()
+        }
+      };
+    }
+
+    const messages = [
+      {
+        role: "system",
+        content: prompt.systemPrompt
+      },
+      {
+        role: "user",
+        content: prompt.template.replace('{transcript}', transcript)
+      }
+    ];
+
+    let completion = await llmProviderService.complete({ task, messages, temperature, maxTokens, json: true });
+    const usage = { ...completion.usage };
+    let validation = this.parseAndValidate(task, completion.content);
+    const initialErrors = validation.errors;
+
+    // One repair attempt: show the model its answer and what was wrong with it
+    if (!validation.valid) {
+      console.warn(`⚠️ GPT-4 ${task} response failed validation, requesting a repair:`, validation.errors);
+
+      const repair = await llmProviderService.complete({
+        task,
+        messages: [
+          ...messages,
+          { role: "assistant", content: completion.content },
+          { role: "user", content: this.buildRepairPrompt(validation.errors) }
+        ],
+        temperature: 0,
+        maxTokens,
+        json: true
+      });
+      usage.promptTokens += repair.usage.promptTokens;
+      usage.completionTokens += repair.usage.completionTokens;
+      usage.totalTokens += repair.usage.totalTokens;
+
+      const repaired = this.parseAndValidate(task, repair.content);
+      if (repaired.parsed || !validation.parsed) {
+        completion = repair;
+        validation = repaired;
+      }
+    }
+
+    // Tokens are billed whether or not the answer is usable. The requested model is recorded:
+    // providers answer with snapshot names, and LLM_PRICING is keyed by the configured name
+    const usageRecord = await usageService.record({
+      salesCallId,
+      operation: task,
+      provider: completion.provider,
+      model: llmProviderService.chatModel,
+      ...usage
+    });
+
+    if (!validation.parsed) {
+      throw new Error(`Invalid JSON response: ${validation.errors.join('; ')}`);
+    }
+
+    // Only results that passed validation are reused
+    if (validation.valid) {
+      await analysisCacheService.set(cacheKey, validation.value, usage.totalTokens);
+    }
+
+    return {
+      result: validation.value,
+      metadata: {
+        model: completion.model,
+        provider: completion.provider,
+        prompt_version: cacheKey.promptVersion,
+        prompt_version_id: prompt.id,
+        tokens_used: usage.totalTokens,
+        cost: usageRecord ? usageRecord.cost : null,
+        cached: false,
+        validation: {
+          valid: validation.valid,
+          repaired: initialErrors.length > 0,
+          errors: validation.errors,
+          initialErrors
+        },
+        analysis_timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Parse a model response and validate it against the task schema
+   * @param {string} task - Analysis task (contextAnalysis, sentimentAnalysis, conversationFlow)
+   * @param {string} content - Raw response content
+   * @returns {Object} Validation ({ parsed, valid, value, errors })
+   */
+  parseAndValidate(task, content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return { parsed: false, valid: false, value: null, errors: [`response: invalid JSON (${error.message})`] };
+    }
+
+    return { parsed: true, ...analysisSchemaService.validate(task, data) };
+  }
+
+  /**
+   * Build the follow-up prompt asking the model to fix its JSON
+   * @param {Array<string>} errors - Validation errors
+   * @returns {string} Repair prompt
+   */
+  buildRepairPrompt(errors) {
+    return `Your JSON response does not match the required structure:\n${errors.map(error => `- ${error}`).join('\n')}\n\nReturn the corrected JSON object only, using exactly the field names and allowed values from the structure above.`;
   }
 
   /**
    * Perform comprehensive context analysis using GPT-4
    * @param {string} transcript - Hebrew transcript text
    * @param {Object} options - Analysis options
+   * @param {boolean} options.bypassCache - Ignore cached results
+   * @param {number} options.salesCallId - Sales call the usage is recorded against
+   * @param {Object} options.prompts - Prompts by task to run with (defaults to the active prompts)
    * @returns {Promise<Object>} Analysis results
    */
   async analyzeContext(transcript, options = {}) {
-    if (!this.isAvailable) {
-      throw new Error('GPT-4 service is not available. Please configure OPENAI_API_KEY.');
+    if (!this.isServiceAvailable()) {
+      throw new Error('GPT-4 service is not available. Please configure LLM_PROVIDER and its credentials.');
     }
 
     try {
       console.log('🤖 Starting GPT-4 context analysis...');
       
-      const prompt = this.prompts.contextAnalysis.replace('{transcript}', transcript);
-      
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert Hebrew sales call analyst specializing in real estate. Provide detailed, accurate analysis in JSON format only."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.3, // Lower temperature for more consistent results
-        max_tokens: 2000,
-        response_format: { type: "json_object" }
-      });
-
-      const analysis = JSON.parse(response.choices[0].message.content);
+      const { result: analysis, metadata } = await this.runAnalysis(
+        'contextAnalysis',
+        transcript,
+        { temperature: 0.3, maxTokens: 2000, bypassCache: options.bypassCache, salesCallId: options.salesCallId, prompt: options.prompts?.contextAnalysis } // Lower temperature for more consistent results
+      );
       
       console.log('✅ GPT-4 context analysis completed');
       
       return {
         success: true,
         analysis,
-        metadata: {
-          model: "gpt-4",
-          tokens_used: response.usage.total_tokens,
-          analysis_timestamp: new Date().toISOString()
-        }
+        metadata
       };
 
     } catch (error) {
@@ -211,47 +280,32 @@ class GPT4AnalysisService {
   /**
    * Perform sentiment analysis using GPT-4
    * @param {string} transcript - Hebrew transcript text
+   * @param {Object} options - Analysis options
+   * @param {boolean} options.bypassCache - Ignore cached results
+   * @param {number} options.salesCallId - Sales call the usage is recorded against
+   * @param {Object} options.prompts - Prompts by task to run with (defaults to the active prompts)
    * @returns {Promise<Object>} Sentiment analysis results
    */
-  async analyzeSentiment(transcript) {
-    if (!this.isAvailable) {
-      throw new Error('GPT-4 service is not available. Please configure OPENAI_API_KEY.');
+  async analyzeSentiment(transcript, options = {}) {
+    if (!this.isServiceAvailable()) {
+      throw new Error('GPT-4 service is not available. Please configure LLM_PROVIDER and its credentials.');
     }
 
     try {
       console.log('😊 Starting GPT-4 sentiment analysis...');
       
-      const prompt = this.prompts.sentimentAnalysis.replace('{transcript}', transcript);
-      
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert in Hebrew sentiment analysis. Analyze emotional tone and provide results in JSON format only."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.2,
-        max_tokens: 1000,
-        response_format: { type: "json_object" }
-      });
-
-      const sentiment = JSON.parse(response.choices[0].message.content);
+      const { result: sentiment, metadata } = await this.runAnalysis(
+        'sentimentAnalysis',
+        transcript,
+        { temperature: 0.2, maxTokens: 1000, bypassCache: options.bypassCache, salesCallId: options.salesCallId, prompt: options.prompts?.sentimentAnalysis }
+      );
       
       console.log('✅ GPT-4 sentiment analysis completed');
       
       return {
         success: true,
         sentiment,
-        metadata: {
-          model: "gpt-4",
-          tokens_used: response.usage.total_tokens,
-          analysis_timestamp: new Date().toISOString()
-        }
+        metadata
       };
 
     } catch (error) {
@@ -263,47 +317,32 @@ class GPT4AnalysisService {
   /**
    * Analyze conversation flow and structure
    * @param {string} transcript - Hebrew transcript text
+   * @param {Object} options - Analysis options
+   * @param {boolean} options.bypassCache - Ignore cached results
+   * @param {number} options.salesCallId - Sales call the usage is recorded against
+   * @param {Object} options.prompts - Prompts by task to run with (defaults to the active prompts)
    * @returns {Promise<Object>} Conversation flow analysis
    */
-  async analyzeConversationFlow(transcript) {
-    if (!this.isAvailable) {
-      throw new Error('GPT-4 service is not available. Please configure OPENAI_API_KEY.');
+  async analyzeConversationFlow(transcript, options = {}) {
+    if (!this.isServiceAvailable()) {
+      throw new Error('GPT-4 service is not available. Please configure LLM_PROVIDER and its credentials.');
     }
 
     try {
       console.log('🔄 Starting GPT-4 conversation flow analysis...');
       
-      const prompt = this.prompts.conversationFlow.replace('{transcript}', transcript);
-      
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert in sales conversation analysis. Analyze conversation structure and provide results in JSON format only."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1500,
-        response_format: { type: "json_object" }
-      });
-
-      const flow = JSON.parse(response.choices[0].message.content);
+      const { result: flow, metadata } = await this.runAnalysis(
+        'conversationFlow',
+        transcript,
+        { temperature: 0.3, maxTokens: 1500, bypassCache: options.bypassCache, salesCallId: options.salesCallId, prompt: options.prompts?.conversationFlow }
+      );
       
       console.log('✅ GPT-4 conversation flow analysis completed');
       
       return {
         success: true,
         flow,
-        metadata: {
-          model: "gpt-4",
-          tokens_used: response.usage.total_tokens,
-          analysis_timestamp: new Date().toISOString()
-        }
+        metadata
       };
 
     } catch (error) {
@@ -315,21 +354,29 @@ class GPT4AnalysisService {
   /**
    * Perform comprehensive analysis combining all aspects
    * @param {string} transcript - Hebrew transcript text
+   * @param {Object} options - Analysis options
+   * @param {boolean} options.bypassCache - Ignore cached results
+   * @param {number} options.salesCallId - Sales call the usage is recorded against
+   * @param {Object} options.prompts - Prompts by task to run with (defaults to the active prompts)
    * @returns {Promise<Object>} Comprehensive analysis results
    */
-  async performComprehensiveAnalysis(transcript) {
-    if (!this.isAvailable) {
-      throw new Error('GPT-4 service is not available. Please configure OPENAI_API_KEY.');
+  async performComprehensiveAnalysis(transcript, options = {}) {
+    if (!this.isServiceAvailable()) {
+      throw new Error('GPT-4 service is not available. Please configure LLM_PROVIDER and its credentials.');
     }
 
     try {
       console.log('🚀 Starting comprehensive GPT-4 analysis...');
+
+      // Resolve the prompt set once so all three analyses run on the same versions
+      const prompts = options.prompts || await promptRegistryService.getActivePrompts();
+      const analysisOptions = { ...options, prompts };
       
       // Perform all analyses in parallel for efficiency
       const [contextResult, sentimentResult, flowResult] = await Promise.allSettled([
-        this.analyzeContext(transcript),
-        this.analyzeSentiment(transcript),
-        this.analyzeConversationFlow(transcript)
+        this.analyzeContext(transcript, analysisOptions),
+        this.analyzeSentiment(transcript, analysisOptions),
+        this.analyzeConversationFlow(transcript, analysisOptions)
       ]);
 
       const results = {
@@ -371,7 +418,11 @@ class GPT4AnalysisService {
         overallConfidence,
         metadata: {
           analysis_timestamp: new Date().toISOString(),
-          total_errors: results.errors.length
+          total_errors: results.errors.length,
+          cache_hits: [results.context, results.sentiment, results.flow].filter(result => result?.metadata?.cached).length,
+          cost: [results.context, results.sentiment, results.flow].reduce((total, result) => total + (result?.metadata?.cost || 0), 0),
+          validation: this.summarizeValidation(results),
+          prompt_versions: promptRegistryService.getStamp(prompts)
         }
       };
 
@@ -381,18 +432,37 @@ class GPT4AnalysisService {
     }
   }
 
+  /**
+   * Summarize schema validation across the context, sentiment and flow analyses
+   * @param {Object} results - Comprehensive analysis results ({ context, sentiment, flow })
+   * @returns {Object} Validation summary ({ valid, repaired, tasks })
+   */
+  summarizeValidation(results) {
+    const tasks = Object.fromEntries(
+      ['context', 'sentiment', 'flow']
+        .filter(name => results[name]?.metadata?.validation)
+        .map(name => [name, results[name].metadata.validation])
+    );
+
+    return {
+      valid: Object.values(tasks).every(validation => validation.valid),
+      repaired: Object.values(tasks).some(validation => validation.repaired),
+      tasks
+    };
+  }
+
   /**
    * Validate GPT-4 API connection
    * @returns {Promise<boolean>} Connection status
    */
   async validateConnection() {
-    if (!this.isAvailable) {
+    if (!this.isServiceAvailable()) {
       return false;
     }
 
     try {
-      const response = await this.openai.models.list();
-      return response.data.length > 0;
+      const models = await llmProviderService.listModels();
+      return models.length > 0;
     } catch (error) {
       console.error('❌ GPT-4 API connection validation failed:', error);
       return false;
@@ -400,24 +470,15 @@ class GPT4AnalysisService {
   }
 
   /**
-   * Get API usage statistics
+   * Get API usage statistics from the usage ledger
+   * @param {Object} filters - Summary filters (see usageService.getSummary)
    * @returns {Promise<Object>} Usage statistics
    */
-  async getUsageStats() {
-    if (!this.isAvailable) {
-      return {
-        success: false,
-        error: 'GPT-4 service is not available'
-      };
-    }
-
+  async getUsageStats(filters = {}) {
     try {
-      // Note: OpenAI doesn't provide usage stats via API for GPT-4
-      // This would need to be tracked manually in production
       return {
         success: true,
-        message: 'Usage tracking not available via API',
-        recommendation: 'Implement manual usage tracking for cost monitoring'
+        ...(await usageService.getSummary(filters))
       };
     } catch (error) {
       console.error('❌ Failed to get usage stats:', error);
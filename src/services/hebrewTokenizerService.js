@@ -0,0 +1,197 @@
+/**
+ * Hebrew Tokenizer Service
+ * Morphology-aware tokenization and whole-token phrase matching for Hebrew text
+ */
+
+class HebrewTokenizerService {
+  constructor() {
+    // Single-letter prefixes (and, the, in, to, that, as, from) that attach to the following word
+    this.prefixLetters = new Set(['ו', 'ה', 'ב', 'ל', 'ש', 'כ', 'מ']);
+
+    // Longest prefix chain to strip, e.g. "וכש" in "וכשהגענו"
+    this.maxPrefixLength = 3;
+
+    // Shortest stem left after stripping, so "מה" is not read as "מ" + "ה"
+    this.minStemLength = 2;
+
+    // Final letters are compared as their regular forms
+    this.finalForms = {
+      'ך': 'כ',
+      'ם': 'מ',
+      'ן': 'נ',
+      'ף': 'פ',
+      'ץ': 'צ'
+    };
+
+    // Common words that start with prefix letters but are not prefix + word: "למה" (why) is
+    // not "ל" + "מה", "בעד" (for) is not "ב" + "עד", and "ולמה" is not "ול" + "מה" either
+    this.unprefixedWords = new Set(['למה', 'כמה', 'בעד', 'בלי', 'לכן', 'כאן', 'האם', 'כדי', 'מדי', 'בעוד']
+      .map(word => this.normalizeToken(word)));
+
+    // Letters, marks (niqqud) and digits, plus geresh/gershayim and the quotes used in their place
+    this.tokenPattern = /[\p{L}\p{M}\p{N}'"\u05F3\u05F4`\u2019]+/gu;
+
+    // Sentence punctuation and line breaks (speaker turn joins) that end a clause
+    this.clauseBoundary = /[.,;:!?\n\u05C3\u2026]/;
+
+    // Single-entry cache: scoring matches many phrases against the same text
+    this.cache = { text: null, tokens: [] };
+  }
+
+  /**
+   * Normalize a single word: strip niqqud and cantillation, drop geresh/gershayim
+   * and replace final letters with their regular forms
+   * @param {string} word - Word to normalize
+   * @returns {string} Normalized word
+   */
+  normalizeToken(word) {
+    return word
+      .toLowerCase()
+      .replace(/[\u0591-\u05C7]/g, '')
+      .replace(/['"\u05F3\u05F4`\u2019]/g, '')
+      .replace(/[ךםןףץ]/g, letter => this.finalForms[letter]);
+  }
+
+  /**
+   * Split text into normalized tokens with their character offsets. Tokens separated by
+   * sentence punctuation or a line break get different clause numbers.
+   * @param {string} text - Text to tokenize
+   * @returns {Array} Tokens ({ token, start, end, clause })
+   */
+  tokenize(text) {
+    if (this.cache.text === text) {
+      return this.cache.tokens;
+    }
+
+    const tokens = [];
+    let clause = 0;
+    let previousEnd = 0;
+    for (const match of (text || '').matchAll(this.tokenPattern)) {
+      const token = this.normalizeToken(match[0]);
+      if (token.length > 0) {
+        if (tokens.length > 0 && this.clauseBoundary.test(text.slice(previousEnd, match.index))) {
+          clause++;
+        }
+        tokens.push({ token, start: match.index, end: match.index + match[0].length, clause });
+        previousEnd = match.index + match[0].length;
+      }
+    }
+
+    this.cache = { text, tokens };
+    return tokens;
+  }
+
+  /**
+   * Split a phrase into normalized words (not cached, so the text cache survives)
+   * @param {string} phrase - Phrase to split
+   * @returns {Array<string>} Normalized words
+   */
+  splitWords(phrase) {
+    return ((phrase || '').match(this.tokenPattern) || [])
+      .map(word => this.normalizeToken(word))
+      .filter(word => word.length > 0);
+  }
+
+  /**
+   * Check whether a text token is a phrase word, allowing attached prefixes that do not
+   * belong to a common word
+   * @param {string} token - Normalized text token
+   * @param {string} word - Normalized phrase word
+   * @param {Set<string>} prefixLetters - Prefix letters that may be stripped
+   * @returns {boolean} Whether the token matches
+   */
+  tokenMatches(token, word, prefixLetters = this.prefixLetters) {
+    if (token === word) {
+      return true;
+    }
+
+    const prefixLength = token.length - word.length;
+    if (prefixLength < 1 || prefixLength > this.maxPrefixLength || word.length < this.minStemLength) {
+      return false;
+    }
+
+    if (!token.endsWith(word)) {
+      return false;
+    }
+
+    if (![...token.slice(0, prefixLength)].every(letter => prefixLetters.has(letter))) {
+      return false;
+    }
+
+    // The prefixes stop where a whole common word begins
+    for (let i = 0; i < prefixLength; i++) {
+      if (this.unprefixedWords.has(token.slice(i))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the first whole-token occurrence of a phrase in a text
+   * @param {string} text - Text to search
+   * @param {string} phrase - Phrase to find
+   * @returns {Object|null} Match ({ start, end, startToken, endToken }) or null
+   */
+  findPhrase(text, phrase) {
+    return this.findPhraseInTokens(this.tokenize(text), phrase);
+  }
+
+  /**
+   * Find the first whole-token occurrence of a phrase in already tokenized text
+   * @param {Array} tokens - Tokens from tokenize()
+   * @param {string} phrase - Phrase to find
+   * @param {Object} options - Matching options
+   * @param {Set<string>} options.prefixLetters - Prefix letters that may be stripped
+   * @returns {Object|null} Match ({ start, end, startToken, endToken }) or null
+   */
+  findPhraseInTokens(tokens, phrase, options = {}) {
+    return this.findPhraseMatches(tokens, phrase, { ...options, limit: 1 })[0] || null;
+  }
+
+  /**
+   * Find every whole-token occurrence of a phrase in already tokenized text; a match
+   * does not run across a clause boundary
+   * @param {Array} tokens - Tokens from tokenize()
+   * @param {string} phrase - Phrase to find
+   * @param {Object} options - Matching options
+   * @param {Set<string>} options.prefixLetters - Prefix letters that may be stripped
+   * @param {number} options.limit - Stop after this many matches
+   * @returns {Array} Matches ({ start, end } character offsets, { startToken, endToken } token indexes)
+   */
+  findPhraseMatches(tokens, phrase, { prefixLetters = this.prefixLetters, limit = Infinity } = {}) {
+    const words = this.splitWords(phrase);
+    const matches = [];
+
+    if (words.length === 0) {
+      return matches;
+    }
+
+    for (let i = 0; i + words.length <= tokens.length && matches.length < limit; i++) {
+      if (words.every((word, j) => tokens[i + j].clause === tokens[i].clause &&
+        this.tokenMatches(tokens[i + j].token, word, prefixLetters))) {
+        matches.push({
+          start: tokens[i].start,
+          end: tokens[i + words.length - 1].end,
+          startToken: i,
+          endToken: i + words.length - 1
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Check whether a text contains a phrase as whole tokens
+   * @param {string} text - Text to search
+   * @param {string} phrase - Phrase to find
+   * @returns {boolean} Whether the phrase was found
+   */
+  containsPhrase(text, phrase) {
+    return this.findPhrase(text, phrase) !== null;
+  }
+}
+
+module.exports = new HebrewTokenizerService();
@@ -0,0 +1,412 @@
+/**
+ * Job Queue Service
+ * Postgres-backed background job queue with a polling worker and retries
+ */
+
+const os = require('os');
+const { prisma } = require('../database/connection');
+
+class JobQueueService {
+  constructor() {
+    // Job lifecycle statuses
+    this.statuses = {
+      QUEUED: 'queued',
+      TRANSCRIBING: 'transcribing',
+      SCORING: 'scoring',
+      FAILED: 'failed',
+      DONE: 'done'
+    };
+
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}-${process.pid}`;
+
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000; // 2 seconds
+    this.retryBaseDelay = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000; // 5 seconds
+    this.retryMaxDelay = parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 5 * 60 * 1000; // 5 minutes
+    this.staleTimeout = parseInt(process.env.JOB_STALE_TIMEOUT_MS) || 30 * 60 * 1000; // 30 minutes
+    this.heartbeatInterval = Math.max(1000, Math.floor(this.staleTimeout / 3)); // Lock refresh while a handler runs
+    this.defaultMaxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+    this.isRunning = false;
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.currentJob = null;
+  }
+
+  /**
+   * Register the handler that processes jobs of a given type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, context) => result, context exposes setStatus(status) and setProgress(progress)
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} options - Job options
+   * @param {number} options.salesCallId - Sales call the job works on
+   * @param {Object} options.payload - Extra data for the handler
+   * @param {number} options.maxAttempts - Maximum attempts before the job fails
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(type, { salesCallId = null, payload = null, maxAttempts = this.defaultMaxAttempts } = {}) {
+    const job = await prisma.job.create({
+      data: {
+        type,
+        status: this.statuses.QUEUED,
+        salesCallId,
+        payload,
+        maxAttempts
+      }
+    });
+
+    console.log(`📥 Job queued: ${type} (ID: ${job.id})`);
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {number} id - Job ID
+   * @returns {Promise<Object|null>} Job or null when not found
+   */
+  async getJob(id) {
+    return prisma.job.findUnique({
+      where: { id: parseInt(id) }
+    });
+  }
+
+  /**
+   * Start the worker loop
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    console.log(`👷 Job worker started (${this.workerId})`);
+
+    this.recoverStaleJobs();
+    this.recoveryTimer = setInterval(() => this.recoverStaleJobs(), Math.min(this.staleTimeout, 60 * 1000));
+    this.recoveryTimer.unref();
+
+    this.poll();
+  }
+
+  /**
+   * Stop the worker loop, waiting for the job in progress to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.isRunning = false;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+
+    if (this.currentJob) {
+      await this.currentJob.catch(() => {});
+    }
+
+    console.log('👷 Job worker stopped');
+  }
+
+  /**
+   * Claim and process the next due job, then schedule the next poll
+   */
+  async poll() {
+    if (!this.isRunning) return;
+
+    let processed = false;
+
+    try {
+      const job = await this.claimNextJob();
+      if (job) {
+        this.currentJob = this.processJob(job);
+        await this.currentJob;
+        processed = true;
+      }
+    } catch (error) {
+      console.error('❌ Job worker poll failed:', error);
+    } finally {
+      this.currentJob = null;
+    }
+
+    if (this.isRunning) {
+      // Keep draining while there is work, otherwise wait for the next poll
+      this.pollTimer = setTimeout(() => this.poll(), processed ? 0 : this.pollInterval);
+    }
+  }
+
+  /**
+   * Atomically claim the next due job so concurrent workers never share one
+   * @returns {Promise<Object|null>} Claimed job or null when the queue is empty
+   */
+  async claimNextJob() {
+    const claimed = await prisma.$queryRaw`
+      UPDATE jobs
+      SET locked_at = NOW(),
+          locked_by = ${this.workerId},
+          attempts = attempts + 1,
+          started_at = COALESCE(started_at, NOW()),
+          updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = ${this.statuses.QUEUED}
+          AND locked_at IS NULL
+          AND run_at <= NOW()
+        ORDER BY run_at ASC, id ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING id
+    `;
+
+    if (claimed.length === 0) {
+      return null;
+    }
+
+    return this.getJob(claimed[0].id);
+  }
+
+  /**
+   * Run a claimed job through its handler and record the outcome
+   * @param {Object} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async processJob(job) {
+    console.log(`⚙️ Processing job ${job.id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      const error = new Error(`No handler registered for job type: ${job.type}`);
+      error.retryable = false;
+      await this.handleFailure(job, error);
+      return;
+    }
+
+    const context = {
+      setStatus: status => this.updateStatus(job.id, status),
+      setProgress: progress => this.updateProgress(job.id, progress)
+    };
+
+    // A long transcription must not look like a dead worker to recoverStaleJobs()
+    const heartbeat = setInterval(() => this.refreshLock(job.id), this.heartbeatInterval);
+    heartbeat.unref();
+
+    try {
+      const result = await handler(job, context);
+
+      const completed = await this.updateLockedJob(job.id, {
+        status: this.statuses.DONE,
+        result: result || null,
+        lastError: null,
+        lockedAt: null,
+        lockedBy: null,
+        completedAt: new Date()
+      });
+
+      if (completed) {
+        console.log(`✅ Job ${job.id} completed`);
+      } else {
+        console.warn(`⚠️ Job ${job.id} finished after another worker took it over; result discarded`);
+      }
+    } catch (error) {
+      await this.handleFailure(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Update a job only while this worker holds its lock. recoverStaleJobs() may have handed
+   * the job to another worker, whose state must not be overwritten.
+   * @param {number} id - Job ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<boolean>} Whether the job was still locked by this worker
+   */
+  async updateLockedJob(id, data) {
+    const { count } = await prisma.job.updateMany({
+      where: { id, lockedBy: this.workerId },
+      data
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Error that stops a handler whose job another worker has taken over
+   * @param {number} id - Job ID
+   * @returns {Error} Error marked lockLost
+   */
+  createLockLostError(id) {
+    const error = new Error(`Job ${id} is no longer locked by this worker`);
+    error.lockLost = true;
+    return error;
+  }
+
+  /**
+   * Refresh the lock of a running job, unless another worker has since recovered it
+   * @param {number} id - Job ID
+   * @returns {Promise<void>}
+   */
+  async refreshLock(id) {
+    try {
+      await prisma.job.updateMany({
+        where: { id, lockedBy: this.workerId },
+        data: { lockedAt: new Date() }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to refresh the lock of job ${id}:`, error.message);
+    }
+  }
+
+  /**
+   * Update the status of a running job, refreshing its lock
+   * @param {number} id - Job ID
+   * @param {string} status - New status
+   * @returns {Promise<void>} Rejects with a lockLost error when another worker has the job
+   */
+  async updateStatus(id, status) {
+    console.log(`🔄 Job ${id} status: ${status}`);
+
+    if (!(await this.updateLockedJob(id, { status, lockedAt: new Date() }))) {
+      throw this.createLockLostError(id);
+    }
+  }
+
+  /**
+   * Record the progress of a running job, refreshing its lock
+   * @param {number} id - Job ID
+   * @param {Object} progress - Handler-defined progress (e.g. { total, processed })
+   * @returns {Promise<void>} Rejects with a lockLost error when another worker has the job
+   */
+  async updateProgress(id, progress) {
+    if (!(await this.updateLockedJob(id, { progress, lockedAt: new Date() }))) {
+      throw this.createLockLostError(id);
+    }
+  }
+
+  /**
+   * Requeue a failed job with backoff, or mark it failed once attempts run out. A job
+   * another worker has taken over is left to that worker.
+   * @param {Object} job - Job that failed
+   * @param {Error} error - Failure
+   * @returns {Promise<void>}
+   */
+  async handleFailure(job, error) {
+    if (error.lockLost) {
+      console.warn(`⚠️ Job ${job.id} stopped: another worker has taken it over`);
+      return;
+    }
+
+    const canRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+
+    if (canRetry) {
+      const delay = this.getRetryDelay(job.attempts);
+      console.warn(`⚠️ Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms:`, error.message);
+
+      await this.updateLockedJob(job.id, {
+        status: this.statuses.QUEUED,
+        lastError: error.message,
+        runAt: new Date(Date.now() + delay),
+        lockedAt: null,
+        lockedBy: null
+      });
+      return;
+    }
+
+    console.error(`❌ Job ${job.id} failed permanently:`, error.message);
+
+    await this.updateLockedJob(job.id, {
+      status: this.statuses.FAILED,
+      lastError: error.message,
+      lockedAt: null,
+      lockedBy: null,
+      completedAt: new Date()
+    });
+  }
+
+  /**
+   * Calculate the exponential backoff delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const delay = this.retryBaseDelay * Math.pow(2, Math.max(attempts - 1, 0));
+    return Math.min(delay, this.retryMaxDelay);
+  }
+
+  /**
+   * Return jobs whose worker died mid-run (e.g. a process restart) to the queue, or fail
+   * them when they have used up their attempts
+   * @returns {Promise<number>} Number of recovered jobs
+   */
+  async recoverStaleJobs() {
+    try {
+      const stale = {
+        status: { notIn: [this.statuses.DONE, this.statuses.FAILED] },
+        lockedAt: { lt: new Date(Date.now() - this.staleTimeout) }
+      };
+
+      const { count } = await prisma.job.updateMany({
+        where: { ...stale, attempts: { lt: prisma.job.fields.maxAttempts } },
+        data: {
+          status: this.statuses.QUEUED,
+          lockedAt: null,
+          lockedBy: null,
+          runAt: new Date()
+        }
+      });
+
+      const { count: failed } = await prisma.job.updateMany({
+        where: { ...stale, attempts: { gte: prisma.job.fields.maxAttempts } },
+        data: {
+          status: this.statuses.FAILED,
+          lastError: 'Worker stopped responding and no attempts remain',
+          lockedAt: null,
+          lockedBy: null,
+          completedAt: new Date()
+        }
+      });
+
+      if (count > 0) {
+        console.warn(`♻️ Recovered ${count} stale job(s)`);
+      }
+
+      if (failed > 0) {
+        console.error(`❌ Failed ${failed} stale job(s) with no attempts left`);
+      }
+
+      return count;
+    } catch (error) {
+      console.error('❌ Failed to recover stale jobs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Format a job for API responses
+   * @param {Object} job - Job record
+   * @returns {Object} Public job representation
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      salesCallId: job.salesCallId,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      lastError: job.lastError,
+      result: job.result,
+      progress: job.progress,
+      runAt: job.runAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+}
+
+module.exports = new JobQueueService();
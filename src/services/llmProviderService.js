@@ -0,0 +1,276 @@
+/**
+ * LLM Provider Service
+ * Routes chat completions and transcriptions to the configured provider
+ * (OpenAI, Azure OpenAI, an OpenAI-compatible local server or a fixture-based mock)
+ */
+
+const OpenAI = require('openai');
+const { AzureOpenAI } = OpenAI;
+const fs = require('fs-extra');
+const path = require('path');
+
+class LLMProviderService {
+  constructor() {
+    this.providerName = process.env.LLM_PROVIDER || 'openai';
+    this.transcriptionProviderName = process.env.LLM_TRANSCRIPTION_PROVIDER || this.providerName;
+
+    // Model names; for Azure these are deployment names
+    this.chatModel = process.env.LLM_CHAT_MODEL || 'gpt-4';
+    this.transcriptionModel = process.env.LLM_TRANSCRIPTION_MODEL || 'whisper-1';
+
+    // Context window of the chat model in tokens (prompt plus completion)
+    this.contextTokens = parseInt(process.env.LLM_CONTEXT_TOKENS) || 8192;
+
+    this.fixturesDir = process.env.LLM_MOCK_FIXTURES_DIR || path.join(__dirname, '../../tests/fixtures/llm');
+
+    // Available providers: isConfigured() reports whether credentials are present,
+    // create() builds a client exposing chat(), transcribe() and listModels()
+    this.providers = new Map([
+      ['openai', {
+        isConfigured: () => Boolean(process.env.OPENAI_API_KEY) && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here',
+        create: () => this.createSdkProvider(new OpenAI({ apiKey: process.env.OPENAI_API_KEY }))
+      }],
+      ['azure', {
+        isConfigured: () => Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY),
+        create: () => this.createSdkProvider(new AzureOpenAI({
+          endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+          apiKey: process.env.AZURE_OPENAI_API_KEY,
+          apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+        }))
+      }],
+      ['local', {
+        isConfigured: () => Boolean(process.env.LLM_BASE_URL),
+        create: () => this.createSdkProvider(new OpenAI({
+          baseURL: process.env.LLM_BASE_URL,
+          // Local servers usually ignore the key, but the SDK requires one
+          apiKey: process.env.LLM_API_KEY || 'not-needed'
+        }))
+      }],
+      ['mock', {
+        isConfigured: () => true,
+        create: () => this.createMockProvider()
+      }]
+    ]);
+
+    // Clients are created on first use, so a missing key only fails the calls that need it
+    this.clients = new Map();
+  }
+
+  /**
+   * Register an additional provider
+   * @param {string} name - Provider name (selected with LLM_PROVIDER)
+   * @param {Object} provider - Provider definition
+   * @param {Function} provider.isConfigured - () => boolean
+   * @param {Function} provider.create - () => client with chat(), transcribe() and listModels()
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+    this.clients.delete(name);
+  }
+
+  /**
+   * Check whether a provider is known and has its credentials
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether the provider can be used
+   */
+  isProviderAvailable(name) {
+    const provider = this.providers.get(name);
+    return Boolean(provider && provider.isConfigured());
+  }
+
+  /**
+   * Check whether chat completions can be requested
+   * @returns {boolean} Chat availability
+   */
+  isChatAvailable() {
+    return this.isProviderAvailable(this.providerName);
+  }
+
+  /**
+   * Check whether transcriptions can be requested
+   * @returns {boolean} Transcription availability
+   */
+  isTranscriptionAvailable() {
+    return this.isProviderAvailable(this.transcriptionProviderName);
+  }
+
+  /**
+   * Get (and create on first use) the client of a provider
+   * @param {string} name - Provider name
+   * @returns {Object} Provider client
+   */
+  getClient(name) {
+    if (!this.providers.has(name)) {
+      throw new Error(`Unknown LLM provider "${name}". Available providers: ${[...this.providers.keys()].join(', ')}`);
+    }
+
+    if (!this.isProviderAvailable(name)) {
+      throw new Error(`LLM provider "${name}" is not configured`);
+    }
+
+    if (!this.clients.has(name)) {
+      this.clients.set(name, this.providers.get(name).create());
+    }
+
+    return this.clients.get(name);
+  }
+
+  /**
+   * Request a chat completion from the configured provider
+   * @param {Object} request - Completion request
+   * @param {string} request.task - Task name (selects the mock fixture)
+   * @param {Array} request.messages - Chat messages
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Maximum completion tokens
+   * @param {boolean} request.json - Request a JSON object response
+   * @returns {Promise<Object>} Completion ({ content, model, provider, usage })
+   */
+  async complete({ task, messages, temperature = 0.3, maxTokens = 1000, json = true }) {
+    const client = this.getClient(this.providerName);
+
+    const completion = await client.chat({
+      task,
+      model: this.chatModel,
+      messages,
+      temperature,
+      maxTokens,
+      json
+    });
+
+    return { ...completion, provider: this.providerName };
+  }
+
+  /**
+   * Transcribe an audio file with the configured transcription provider
+   * @param {string} filePath - Path to the audio file
+   * @param {Object} options - Transcription options
+   * @param {string} options.language - Spoken language
+   * @param {string} options.responseFormat - Response format
+   * @param {Array<string>} options.timestampGranularities - Timestamp granularities
+   * @returns {Promise<Object>} Transcription ({ text, language, duration, segments, words })
+   */
+  async transcribe(filePath, { language = 'he', responseFormat = 'verbose_json', timestampGranularities = ['word', 'segment'] } = {}) {
+    const client = this.getClient(this.transcriptionProviderName);
+
+    return client.transcribe({
+      filePath,
+      model: this.transcriptionModel,
+      language,
+      responseFormat,
+      timestampGranularities
+    });
+  }
+
+  /**
+   * List the models offered by the configured chat provider
+   * @returns {Promise<Array<string>>} Model IDs
+   */
+  async listModels() {
+    return this.getClient(this.providerName).listModels();
+  }
+
+  /**
+   * Describe the active providers and models
+   * @returns {Object} Provider information
+   */
+  getProviderInfo() {
+    return {
+      provider: this.providerName,
+      transcriptionProvider: this.transcriptionProviderName,
+      chatModel: this.chatModel,
+      transcriptionModel: this.transcriptionModel,
+      contextTokens: this.contextTokens,
+      chatAvailable: this.isChatAvailable(),
+      transcriptionAvailable: this.isTranscriptionAvailable()
+    };
+  }
+
+  /**
+   * Wrap an OpenAI SDK client (OpenAI, Azure or a compatible server) as a provider client
+   * @param {Object} sdk - OpenAI SDK client
+   * @returns {Object} Provider client
+   */
+  createSdkProvider(sdk) {
+    return {
+      chat: async ({ model, messages, temperature, maxTokens, json }) => {
+        const response = await sdk.chat.completions.create({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        });
+
+        return {
+          content: response.choices[0].message.content,
+          model: response.model || model,
+          usage: {
+            promptTokens: response.usage?.prompt_tokens || 0,
+            completionTokens: response.usage?.completion_tokens || 0,
+            totalTokens: response.usage?.total_tokens || 0
+          }
+        };
+      },
+
+      transcribe: async ({ filePath, model, language, responseFormat, timestampGranularities }) => {
+        return sdk.audio.transcriptions.create({
+          file: fs.createReadStream(filePath),
+          model,
+          language,
+          response_format: responseFormat,
+          timestamp_granularities: timestampGranularities
+        });
+      },
+
+      listModels: async () => {
+        const response = await sdk.models.list();
+        return response.data.map(model => model.id);
+      }
+    };
+  }
+
+  /**
+   * Deterministic offline provider: every task answers with its fixture file
+   * (<task>.json, transcription.json) from LLM_MOCK_FIXTURES_DIR
+   * @returns {Object} Provider client
+   */
+  createMockProvider() {
+    return {
+      chat: async ({ task, model, messages }) => {
+        const content = JSON.stringify(await this.loadFixture(task));
+        const promptLength = messages.reduce((total, message) => total + message.content.length, 0);
+
+        // Rough 4-characters-per-token estimate keeps usage stable between runs
+        const promptTokens = Math.ceil(promptLength / 4);
+        const completionTokens = Math.ceil(content.length / 4);
+
+        return {
+          content,
+          model,
+          usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+        };
+      },
+
+      transcribe: async () => this.loadFixture('transcription'),
+
+      listModels: async () => [this.chatModel, this.transcriptionModel]
+    };
+  }
+
+  /**
+   * Read a mock fixture
+   * @param {string} name - Fixture name without extension
+   * @returns {Promise<Object>} Fixture contents
+   */
+  async loadFixture(name) {
+    const fixturePath = path.join(this.fixturesDir, `${name}.json`);
+
+    if (!name || !await fs.pathExists(fixturePath)) {
+      throw new Error(`No mock fixture for "${name}" in ${this.fixturesDir}`);
+    }
+
+    return fs.readJson(fixturePath);
+  }
+}
+
+module.exports = new LLMProviderService();
@@ -0,0 +1,225 @@
+/**
+ * Prompt Comparison Service
+ * A/B evaluation of two prompt versions: scores the same transcripts with each and compares the results
+ */
+
+const { prisma } = require('../database/connection');
+const promptRegistryService = require('./promptRegistryService');
+const enhancedScoringService = require('./enhancedScoringService');
+const scoringService = require('./scoringService');
+const diarizationService = require('./diarizationService');
+const configurationService = require('./configurationService');
+const jobQueueService = require('./jobQueueService');
+
+class PromptComparisonService {
+  constructor() {
+    this.jobType = 'compare_prompts';
+
+    // Sales calls compared when none are listed
+    this.defaultLimit = 20;
+    this.maxLimit = 100;
+  }
+
+  /**
+   * Validate a comparison request and queue it as a background job
+   * @param {Object} request - Comparison request
+   * @param {number} request.versionAId - Baseline prompt version
+   * @param {number} request.versionBId - Candidate prompt version of the same task
+   * @param {Array<number>} request.salesCallIds - Sales calls to score (defaults to the most recent analyzed calls)
+   * @param {number} request.limit - Number of recent calls when no IDs are given
+   * @returns {Promise<Object>} Queued job ({ success, job }) or validation error
+   */
+  async enqueueComparison({ versionAId, versionBId, salesCallIds = null, limit = this.defaultLimit }) {
+    const [versionA, versionB] = await Promise.all([
+      promptRegistryService.getVersion(versionAId),
+      promptRegistryService.getVersion(versionBId)
+    ]);
+
+    if (!versionA || !versionB) {
+      return {
+        success: false,
+        error: `Prompt version not found: ${!versionA ? versionAId : versionBId}`
+      };
+    }
+
+    if (versionA.id === versionB.id) {
+      return {
+        success: false,
+        error: 'Choose two different prompt versions to compare'
+      };
+    }
+
+    if (versionA.task !== versionB.task) {
+      return {
+        success: false,
+        error: `Prompt versions belong to different tasks (${versionA.task}, ${versionB.task})`
+      };
+    }
+
+    const job = await jobQueueService.enqueue(this.jobType, {
+      payload: {
+        versionAId: versionA.id,
+        versionBId: versionB.id,
+        salesCallIds: salesCallIds ? salesCallIds.map(id => parseInt(id)) : null,
+        limit: Math.min(parseInt(limit) || this.defaultLimit, this.maxLimit)
+      },
+      // Completed analyses are cached, so a failed comparison is simply requested again
+      maxAttempts: 1
+    });
+
+    return {
+      success: true,
+      job
+    };
+  }
+
+  /**
+   * Job handler for queued comparisons
+   * @param {Object} job - Claimed job
+   * @param {Object} context - Job context from the queue
+   * @returns {Promise<Object>} Comparison result
+   */
+  async runJob(job, context) {
+    await context.setStatus(jobQueueService.statuses.SCORING);
+
+    return this.compare(job.payload);
+  }
+
+  /**
+   * Score the same sales calls with two prompt versions and compare the scores side by side
+   * @param {Object} request - Comparison request (see enqueueComparison)
+   * @returns {Promise<Object>} Comparison ({ task, versions, calls, summary })
+   */
+  async compare({ versionAId, versionBId, salesCallIds = null, limit = this.defaultLimit }) {
+    const versionA = await promptRegistryService.getVersion(versionAId);
+    const versionB = await promptRegistryService.getVersion(versionBId);
+
+    if (!versionA || !versionB) {
+      const error = new Error(`Prompt version not found: ${!versionA ? versionAId : versionBId}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    const variants = {
+      a: await promptRegistryService.getPromptSet([versionA.id]),
+      b: await promptRegistryService.getPromptSet([versionB.id])
+    };
+
+    const salesCalls = await prisma.salesCall.findMany({
+      where: {
+        transcript: { not: null },
+        deletedAt: null,
+        ...(salesCallIds && { id: { in: salesCallIds } })
+      },
+      select: {
+        id: true,
+        transcript: true,
+        diarization: true,
+        transcriptSegments: {
+          select: { end: true },
+          orderBy: { segmentIndex: 'desc' },
+          take: 1
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      ...(!salesCallIds && { take: limit })
+    });
+
+    console.log(`🆚 Comparing ${versionA.task} v${versionA.version} and v${versionB.version} on ${salesCalls.length} calls`);
+
+    const configuration = await configurationService.getScoringConfiguration();
+    const calls = [];
+
+    // Compare the categories the active configuration scores, custom ones included
+    const scoreKeys = [...scoringService.resolveConfiguration(configuration).categories.map(category => category.key), 'overall'];
+
+    // Calls run one after another to stay within provider rate limits
+    for (const salesCall of salesCalls) {
+      const duration = salesCall.transcriptSegments[0]?.end || 0;
+      const wordCount = salesCall.transcript.split(/\s+/).filter(Boolean).length;
+      const scores = {};
+      const errors = [];
+
+      for (const [variant, prompts] of Object.entries(variants)) {
+        const result = await enhancedScoringService.analyzeTranscript(salesCall.transcript, duration, wordCount, {
+          configuration,
+          speakerTurns: diarizationService.getScoringTurns(salesCall.diarization),
+          prompts,
+          salesCallId: salesCall.id
+        });
+
+        scores[variant] = result.scores;
+        if (!result.metadata.gpt4Used) {
+          errors.push(`${variant}: ${result.analysis.gpt4Analysis?.error || 'GPT-4 analysis not available'}`);
+        }
+      }
+
+      calls.push({
+        salesCallId: salesCall.id,
+        a: this.pickScores(scores.a, scoreKeys),
+        b: this.pickScores(scores.b, scoreKeys),
+        difference: this.diffScores(scores.a, scores.b, scoreKeys),
+        errors
+      });
+    }
+
+    console.log(`✅ Prompt comparison completed for ${calls.length} calls`);
+
+    return {
+      task: versionA.task,
+      versions: {
+        a: { id: versionA.id, version: versionA.version, name: versionA.name, hash: versionA.hash },
+        b: { id: versionB.id, version: versionB.version, name: versionB.name, hash: versionB.hash }
+      },
+      scoreKeys,
+      calls,
+      summary: this.summarize(calls.filter(call => call.errors.length === 0), scoreKeys)
+    };
+  }
+
+  /**
+   * Keep the comparable category scores
+   * @param {Object} scores - Scoring result scores
+   * @param {Array<string>} scoreKeys - Compared categories and 'overall'
+   * @returns {Object} Scores by category
+   */
+  pickScores(scores, scoreKeys) {
+    return Object.fromEntries(scoreKeys.map(key => [key, scores[key] ?? 0]));
+  }
+
+  /**
+   * Score change from variant A to variant B
+   * @param {Object} a - Variant A scores
+   * @param {Object} b - Variant B scores
+   * @param {Array<string>} scoreKeys - Compared categories and 'overall'
+   * @returns {Object} Difference by category (B minus A)
+   */
+  diffScores(a, b, scoreKeys) {
+    return Object.fromEntries(scoreKeys.map(key => [key, (b[key] ?? 0) - (a[key] ?? 0)]));
+  }
+
+  /**
+   * Average the scores of each variant and their differences
+   * @param {Array} calls - Compared calls without errors
+   * @param {Array<string>} scoreKeys - Compared categories and 'overall'
+   * @returns {Object} Summary ({ comparedCalls, averages, averageDifference, meanAbsoluteDifference })
+   */
+  summarize(calls, scoreKeys) {
+    const average = values => values.length > 0
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100
+      : null;
+    const byKey = pick => Object.fromEntries(scoreKeys.map(key => [key, average(calls.map(call => pick(call, key)))]));
+
+    return {
+      comparedCalls: calls.length,
+      averages: {
+        a: byKey((call, key) => call.a[key]),
+        b: byKey((call, key) => call.b[key])
+      },
+      averageDifference: byKey((call, key) => call.difference[key]),
+      meanAbsoluteDifference: byKey((call, key) => Math.abs(call.difference[key]))
+    };
+  }
+}
+
+module.exports = new PromptComparisonService();
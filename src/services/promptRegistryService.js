@@ -0,0 +1,585 @@
+/**
+ * Prompt Registry Service
+ * Versioned GPT-4 analysis prompts: built-in defaults, stored versions and the active version per task
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../database/connection');
+
+class PromptRegistryService {
+  constructor() {
+    this.tasks = ['contextAnalysis', 'sentimentAnalysis', 'conversationFlow'];
+
+    // Built-in templates for Hebrew sales calls, used for tasks without an active stored version
+    this.defaultTemplates = {
+      contextAnalysis: `
+        Analyze this Hebrew sales call transcript and provide a detailed analysis in JSON format with the following structure:
+        
+        {
+          "sentiment": {
+            "overall": "positive|negative|neutral",
+            "confidence": 0.85,
+            "changes": [
+              {"phase": "introduction", "sentiment": "neutral", "confidence": 0.8},
+              {"phase": "needs_assessment", "sentiment": "positive", "confidence": 0.9}
+            ]
+          },
+          "conversation_phases": [
+            {
+              "phase": "introduction",
+              "start_time": 0,
+              "end_time": 30,
+              "confidence": 0.9,
+              "key_points": ["greeting", "purpose_statement"]
+            }
+          ],
+          "speaker_analysis": {
+            "customer_engagement_level": "high|medium|low",
+            "key_customer_phrases": ["אני מעוניין", "מה המחיר"]
+          },
+          "objections": [
+            {
+              "type": "price|timing|location|other",
+              "strength": "low|medium|high",
+              "phrase": "זה יקר מדי",
+              "context": "Customer expressing price concern",
+              "confidence": 0.9
+            }
+          ],
+          "buying_signals": [
+            {
+              "type": "urgency|budget|interest|engagement",
+              "strength": "low|medium|high",
+              "phrase": "אני צריך לעבור עד החודש הבא",
+              "confidence": 0.95
+            }
+          ],
+          "context_insights": {
+            "urgency_level": "low|medium|high",
+            "budget_clarity": "low|medium|high",
+            "interest_level": "low|medium|high",
+            "engagement_level": "low|medium|high",
+            "deal_probability": 0.75,
+            "recommended_next_steps": ["schedule_viewing", "send_details"]
+          }
+        }
+        
+        Focus on Hebrew language nuances and Israeli real estate market context. Provide confidence scores for all assessments.
+        Lines prefixed with "נציג:" are spoken by the agent and lines prefixed with "לקוח:" by the customer.
+        
+        Transcript: {transcript}
+      `,
+
+      sentimentAnalysis: `
+        Analyze the emotional tone and sentiment of this Hebrew conversation. Provide analysis in JSON format:
+        
+        {
+          "overall_sentiment": "positive|negative|neutral",
+          "confidence": 0.85,
+          "sentiment_breakdown": {
+            "positive_indicators": ["enthusiasm", "interest", "agreement"],
+            "negative_indicators": ["frustration", "doubt", "objections"],
+            "neutral_indicators": ["information_seeking", "clarification"]
+          },
+          "emotional_triggers": [
+            {
+              "trigger": "price_mention",
+              "sentiment_change": "negative",
+              "intensity": "medium"
+            }
+          ],
+          "cultural_context": {
+            "israeli_business_style": true,
+            "direct_communication": true,
+            "relationship_focused": false
+          }
+        }
+        
+        Consider Hebrew cultural context and business communication patterns.
+        
+        Transcript: {transcript}
+      `,
+
+      conversationFlow: `
+        Analyze the conversation flow and structure of this Hebrew sales call. Provide analysis in JSON format:
+        
+        {
+          "phases": [
+            {
+              "name": "introduction|needs_assessment|presentation|objection_handling|closing",
+              "start_time": 0,
+              "end_time": 60,
+              "duration_seconds": 60,
+              "key_activities": ["greeting", "purpose_explanation"],
+              "effectiveness": "high|medium|low",
+              "customer_response": "positive|neutral|negative"
+            }
+          ],
+          "key_moments": [
+            {
+              "timestamp": 120,
+              "type": "objection|buying_signal|closing_attempt",
+              "description": "Customer expresses price concern",
+              "impact": "positive|negative|neutral"
+            }
+          ],
+          "flow_quality": {
+            "smoothness": "high|medium|low",
+            "engagement_maintained": true,
+            "objections_handled": true,
+            "closing_attempts": 2
+          }
+        }
+        
+        Focus on sales conversation structure and effectiveness.
+        
+        Transcript: {transcript}
+      `
+    };
+
+    // Built-in system messages for each analysis prompt
+    this.defaultSystemPrompts = {
+      contextAnalysis: "You are an expert Hebrew sales call analyst specializing in real estate. Provide detailed, accurate analysis in JSON format only.",
+      sentimentAnalysis: "You are an expert in Hebrew sentiment analysis. Analyze emotional tone and provide results in JSON format only.",
+      conversationFlow: "You are an expert in sales conversation analysis. Analyze conversation structure and provide results in JSON format only."
+    };
+
+    // Cached active prompt set used by the analysis pipeline
+    this.activePromptsCache = null;
+    this.cacheTtl = parseInt(process.env.PROMPT_CACHE_TTL_MS) || 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Content hash of a prompt; analysis results are cached per hash, so editing a prompt invalidates them
+   * @param {string} systemPrompt - System message
+   * @param {string} template - User message template with a {transcript} placeholder
+   * @returns {string} Short hash
+   */
+  hashPrompt(systemPrompt, template) {
+    return crypto.createHash('sha256').update(systemPrompt + template).digest('hex').substring(0, 12);
+  }
+
+  /**
+   * Get the built-in prompt for a task
+   * @param {string} task - Analysis task
+   * @returns {Object} Prompt ({ id, task, version, name, systemPrompt, template, hash, isDefault })
+   */
+  getDefaultPrompt(task) {
+    const systemPrompt = this.defaultSystemPrompts[task];
+    const template = this.defaultTemplates[task];
+
+    return {
+      id: null,
+      task,
+      version: 0,
+      name: 'Built-in',
+      systemPrompt,
+      template,
+      hash: this.hashPrompt(systemPrompt, template),
+      isActive: true,
+      isDefault: true
+    };
+  }
+
+  /**
+   * Format a stored prompt version
+   * @param {Object} record - PromptVersion record
+   * @returns {Object} Prompt version
+   */
+  formatVersion(record) {
+    return {
+      id: record.id,
+      task: record.task,
+      version: record.version,
+      name: record.name,
+      systemPrompt: record.systemPrompt,
+      template: record.template,
+      hash: record.hash,
+      isActive: record.isActive,
+      isDefault: false,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    };
+  }
+
+  /**
+   * Get the prompt each task runs with (cached); tasks without an active stored version use the built-in prompt
+   * @returns {Promise<Object>} Prompts by task
+   */
+  async getActivePrompts() {
+    const cached = this.activePromptsCache;
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.prompts;
+    }
+
+    const prompts = Object.fromEntries(this.tasks.map(task => [task, this.getDefaultPrompt(task)]));
+
+    try {
+      const activeVersions = await prisma.promptVersion.findMany({
+        where: { isActive: true }
+      });
+
+      activeVersions
+        .filter(record => this.tasks.includes(record.task))
+        .forEach(record => {
+          prompts[record.task] = this.formatVersion(record);
+        });
+
+    } catch (error) {
+      // Analysis keeps working on the built-in prompts when the registry is unreachable
+      console.warn('⚠️ Failed to load prompt versions, using built-in prompts:', error.message);
+    }
+
+    this.activePromptsCache = {
+      prompts,
+      loadedAt: Date.now()
+    };
+
+    return prompts;
+  }
+
+  /**
+   * Get the active prompt set with specific versions swapped in, e.g. for A/B comparisons
+   * @param {Array<number>} versionIds - Stored versions to use in place of the active ones
+   * @returns {Promise<Object>} Prompts by task
+   */
+  async getPromptSet(versionIds = []) {
+    const prompts = { ...(await this.getActivePrompts()) };
+
+    for (const id of versionIds) {
+      const version = await this.getVersion(id);
+      if (!version) {
+        throw new Error(`Prompt version not found: ${id}`);
+      }
+      prompts[version.task] = version;
+    }
+
+    return prompts;
+  }
+
+  /**
+   * Summarize which prompt versions an analysis ran with, for stamping on the sales call
+   * @param {Object} prompts - Prompts by task
+   * @returns {Object} { task: { id, version, hash } }
+   */
+  getStamp(prompts) {
+    return Object.fromEntries(
+      Object.entries(prompts).map(([task, prompt]) => [task, { id: prompt.id, version: prompt.version, hash: prompt.hash }])
+    );
+  }
+
+  /**
+   * Drop the cached prompt set so the next analysis reloads it
+   */
+  invalidateCache() {
+    this.activePromptsCache = null;
+  }
+
+  /**
+   * List stored prompt versions
+   * @param {string} task - Only list versions of this task
+   * @returns {Promise<Object>} Prompt versions
+   */
+  async listVersions(task = null) {
+    try {
+      const versions = await prisma.promptVersion.findMany({
+        where: task ? { task } : {},
+        orderBy: [{ task: 'asc' }, { version: 'desc' }]
+      });
+
+      return {
+        success: true,
+        versions: versions.map(version => this.formatVersion(version))
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to list prompt versions:', error);
+      throw new Error(`Prompt version listing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a stored prompt version
+   * @param {number} id - Prompt version ID
+   * @returns {Promise<Object|null>} Prompt version or null when not found
+   */
+  async getVersion(id) {
+    const version = await prisma.promptVersion.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    return version ? this.formatVersion(version) : null;
+  }
+
+  /**
+   * Create the next version of a task's prompt
+   * @param {Object} data - Prompt data ({ task, name, systemPrompt, template, isActive })
+   * @returns {Promise<Object>} Created prompt version
+   */
+  async createVersion(data) {
+    try {
+      const validation = this.validateVersion(data);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: 'Invalid prompt version',
+          details: validation.errors
+        };
+      }
+
+      const { _max } = await prisma.promptVersion.aggregate({
+        where: { task: data.task },
+        _max: { version: true }
+      });
+
+      // Only one version per task can be active at a time
+      if (data.isActive) {
+        await prisma.promptVersion.updateMany({
+          where: { task: data.task, isActive: true },
+          data: { isActive: false }
+        });
+      }
+
+      const version = await prisma.promptVersion.create({
+        data: {
+          task: data.task,
+          version: (_max.version || 0) + 1,
+          name: data.name,
+          systemPrompt: data.systemPrompt,
+          template: data.template,
+          hash: this.hashPrompt(data.systemPrompt, data.template),
+          isActive: data.isActive || false
+        }
+      });
+
+      if (version.isActive) {
+        this.invalidateCache();
+      }
+
+      console.log(`✅ Prompt version created: ${version.task} v${version.version}`);
+
+      return {
+        success: true,
+        version: this.formatVersion(version)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to create prompt version:', error);
+      throw new Error(`Prompt version creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a stored prompt version
+   * @param {number} id - Prompt version ID
+   * @param {Object} updates - Prompt updates ({ name, systemPrompt, template })
+   * @returns {Promise<Object>} Updated prompt version
+   */
+  async updateVersion(id, updates) {
+    try {
+      const existing = await prisma.promptVersion.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!existing) {
+        return {
+          success: false,
+          error: 'Prompt version not found'
+        };
+      }
+
+      const validation = this.validateVersion({ ...updates, task: existing.task }, true);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: 'Invalid prompt version updates',
+          details: validation.errors
+        };
+      }
+
+      const systemPrompt = updates.systemPrompt ?? existing.systemPrompt;
+      const template = updates.template ?? existing.template;
+
+      const version = await prisma.promptVersion.update({
+        where: { id: existing.id },
+        data: {
+          name: updates.name,
+          systemPrompt,
+          template,
+          hash: this.hashPrompt(systemPrompt, template)
+        }
+      });
+
+      this.invalidateCache();
+
+      console.log(`✅ Prompt version updated: ${version.task} v${version.version}`);
+
+      return {
+        success: true,
+        version: this.formatVersion(version)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to update prompt version:', error);
+      throw new Error(`Prompt version update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a stored prompt version
+   * @param {number} id - Prompt version ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteVersion(id) {
+    try {
+      const version = await prisma.promptVersion.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!version) {
+        return {
+          success: false,
+          error: 'Prompt version not found'
+        };
+      }
+
+      if (version.isActive) {
+        return {
+          success: false,
+          error: 'Cannot delete the active prompt version'
+        };
+      }
+
+      await prisma.promptVersion.delete({
+        where: { id: version.id }
+      });
+
+      console.log(`✅ Prompt version deleted: ${version.task} v${version.version}`);
+
+      return {
+        success: true,
+        message: 'Prompt version deleted successfully'
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to delete prompt version:', error);
+      throw new Error(`Prompt version deletion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make a stored version the active prompt of its task
+   * @param {number} id - Prompt version ID
+   * @returns {Promise<Object>} Activated prompt version
+   */
+  async activateVersion(id) {
+    try {
+      const version = await prisma.promptVersion.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!version) {
+        return {
+          success: false,
+          error: 'Prompt version not found'
+        };
+      }
+
+      await prisma.promptVersion.updateMany({
+        where: { task: version.task, isActive: true },
+        data: { isActive: false }
+      });
+
+      const activated = await prisma.promptVersion.update({
+        where: { id: version.id },
+        data: { isActive: true }
+      });
+
+      this.invalidateCache();
+
+      console.log(`✅ Prompt version activated: ${activated.task} v${activated.version}`);
+
+      return {
+        success: true,
+        version: this.formatVersion(activated)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to activate prompt version:', error);
+      throw new Error(`Prompt version activation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Go back to the built-in prompt for a task
+   * @param {string} task - Analysis task
+   * @returns {Promise<Object>} Built-in prompt
+   */
+  async resetTask(task) {
+    if (!this.tasks.includes(task)) {
+      return {
+        success: false,
+        error: `Task must be one of: ${this.tasks.join(', ')}`
+      };
+    }
+
+    try {
+      await prisma.promptVersion.updateMany({
+        where: { task, isActive: true },
+        data: { isActive: false }
+      });
+
+      this.invalidateCache();
+
+      console.log(`✅ Prompt reset to built-in: ${task}`);
+
+      return {
+        success: true,
+        version: this.getDefaultPrompt(task)
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to reset prompt:', error);
+      throw new Error(`Prompt reset failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate prompt version data
+   * @param {Object} data - Prompt data
+   * @param {boolean} isUpdate - Whether fields may be omitted
+   * @returns {Object} Validation result ({ isValid, errors })
+   */
+  validateVersion(data, isUpdate = false) {
+    const errors = [];
+
+    if (!this.tasks.includes(data.task)) {
+      errors.push(`Task must be one of: ${this.tasks.join(', ')}`);
+    }
+
+    if (!isUpdate || data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push('Name is required');
+      }
+    }
+
+    if (!isUpdate || data.systemPrompt !== undefined) {
+      if (typeof data.systemPrompt !== 'string' || !data.systemPrompt.trim()) {
+        errors.push('System prompt is required');
+      }
+    }
+
+    if (!isUpdate || data.template !== undefined) {
+      if (typeof data.template !== 'string' || !data.template.includes('{transcript}')) {
+        errors.push('Template must contain the {transcript} placeholder');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = new PromptRegistryService();
@@ -0,0 +1,208 @@
+/**
+ * Rescore Service
+ * Re-scores stored transcripts with the active configuration in the background, recording each as a new analysis run
+ */
+
+const { prisma } = require('../database/connection');
+const whisperService = require('./whisperService');
+const scoringService = require('./scoringService');
+const enhancedScoringService = require('./enhancedScoringService');
+const transcriptSegmentService = require('./transcriptSegmentService');
+const diarizationService = require('./diarizationService');
+const configurationService = require('./configurationService');
+const customerPriorityService = require('./customerPriorityService');
+const jobQueueService = require('./jobQueueService');
+const analysisRunService = require('./analysisRunService');
+
+class RescoreService {
+  constructor() {
+    this.jobType = 'rescore_calls';
+
+    // Calls loaded and checkpointed per batch
+    this.batchSize = parseInt(process.env.RESCORE_BATCH_SIZE) || 50;
+
+    // Failures kept in the job result
+    this.maxReportedErrors = 20;
+  }
+
+  /**
+   * Build the sales call filter for a rescore request
+   * @param {Object} filters - Rescore filters
+   * @param {string} filters.from - Only calls created on or after this date
+   * @param {string} filters.to - Only calls created on or before this date
+   * @param {number} filters.customerId - Only this customer's calls
+   * @param {number|string} filters.configurationId - Only calls scored with this configuration ('none' for calls scored without one)
+   * @returns {Object} Prisma where clause
+   */
+  buildWhere({ from = null, to = null, customerId = null, configurationId = null } = {}) {
+    return {
+      transcript: { not: null },
+      deletedAt: null,
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: new Date(from) }),
+          ...(to && { lte: new Date(to) })
+        }
+      }),
+      ...(customerId && { customerId: parseInt(customerId) }),
+      ...(configurationId !== null && configurationId !== undefined && {
+        scoringConfigurationId: configurationId === 'none' ? null : parseInt(configurationId)
+      })
+    };
+  }
+
+  /**
+   * Queue a background rescore of the sales calls matching the filters
+   * @param {Object} filters - Rescore filters (see buildWhere)
+   * @param {Object} options - Rescore options
+   * @param {boolean} options.useEnhancedAnalysis - Re-run GPT-4 enhanced scoring (cached analyses are reused)
+   * @returns {Promise<Object>} Queued job ({ success, job, total }) or validation error
+   */
+  async enqueueRescore(filters = {}, { useEnhancedAnalysis = false } = {}) {
+    const total = await prisma.salesCall.count({
+      where: this.buildWhere(filters)
+    });
+
+    if (total === 0) {
+      return {
+        success: false,
+        error: 'No transcribed sales calls match the filters'
+      };
+    }
+
+    const job = await jobQueueService.enqueue(this.jobType, {
+      payload: {
+        filters,
+        useEnhancedAnalysis,
+        total
+      }
+    });
+
+    return {
+      success: true,
+      job,
+      total
+    };
+  }
+
+  /**
+   * Job handler for queued rescores. Progress is checkpointed after every batch,
+   * so a retried or recovered job resumes after the last rescored call.
+   * @param {Object} job - Claimed job
+   * @param {Object} context - Job context from the queue
+   * @returns {Promise<Object>} Rescore summary
+   */
+  async runJob(job, context) {
+    await context.setStatus(jobQueueService.statuses.SCORING);
+
+    const { filters, useEnhancedAnalysis } = job.payload;
+    const where = this.buildWhere(filters);
+    const configuration = await configurationService.getScoringConfiguration();
+
+    const progress = {
+      total: await prisma.salesCall.count({ where }),
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      lastId: 0,
+      errors: [],
+      ...job.progress
+    };
+
+    console.log(`🔁 Rescoring ${progress.total} calls with ${configuration.name} (job ${job.id})`);
+
+    let batch;
+    do {
+      batch = await prisma.salesCall.findMany({
+        where: { ...where, id: { gt: progress.lastId } },
+        orderBy: { id: 'asc' },
+        take: this.batchSize
+      });
+
+      // Calls run one after another to stay within provider rate limits
+      for (const salesCall of batch) {
+        try {
+          await this.rescoreCall(salesCall, configuration, { useEnhancedAnalysis, jobId: job.id });
+          progress.succeeded++;
+        } catch (error) {
+          console.error(`❌ Rescore failed for sales call ${salesCall.id}:`, error.message);
+          progress.failed++;
+          if (progress.errors.length < this.maxReportedErrors) {
+            progress.errors.push({ salesCallId: salesCall.id, error: error.message });
+          }
+        }
+        progress.processed++;
+        progress.lastId = salesCall.id;
+      }
+
+      if (batch.length > 0) {
+        await context.setProgress(progress);
+      }
+    } while (batch.length === this.batchSize);
+
+    // Scores changed for many customers at once; rebuild instead of refreshing one by one
+    await customerPriorityService.rebuildAll();
+
+    console.log(`✅ Rescore completed: ${progress.succeeded} rescored, ${progress.failed} failed`);
+
+    return {
+      configuration: { id: configuration.id, name: configuration.name },
+      total: progress.total,
+      processed: progress.processed,
+      succeeded: progress.succeeded,
+      failed: progress.failed,
+      errors: progress.errors
+    };
+  }
+
+  /**
+   * Re-score one stored transcript and record it as the call's current run
+   * @param {Object} salesCall - Sales call record
+   * @param {Object} configuration - Scoring configuration ({ id, name, weights, phrases })
+   * @param {Object} options - Rescore options
+   * @param {boolean} options.useEnhancedAnalysis - Run GPT-4 enhanced scoring
+   * @param {number} options.jobId - Rescore job, recorded with the run
+   * @returns {Promise<Object>} New scores
+   */
+  async rescoreCall(salesCall, configuration, { useEnhancedAnalysis = false, jobId = null } = {}) {
+    const segments = await transcriptSegmentService.getSegments(salesCall.id);
+    const duration = segments.length > 0 ? segments[segments.length - 1].end : 0;
+    const stats = whisperService.getTranscriptionStats({ text: salesCall.transcript, duration });
+    const options = { configuration, speakerTurns: diarizationService.getScoringTurns(salesCall.diarization), segments };
+
+    let scoringResults;
+    let analysisVersion = 'traditional-v1.0';
+    let gpt4AnalysisUsed = false;
+
+    if (useEnhancedAnalysis) {
+      try {
+        scoringResults = await enhancedScoringService.analyzeTranscript(
+          salesCall.transcript, duration, stats.wordCount || 0, { ...options, salesCallId: salesCall.id }
+        );
+        analysisVersion = scoringResults.metadata.analysisVersion;
+        gpt4AnalysisUsed = scoringResults.metadata.gpt4Used;
+      } catch (error) {
+        console.warn(`⚠️ Enhanced rescoring failed for sales call ${salesCall.id}, using traditional scoring:`, error.message);
+      }
+    }
+
+    if (!scoringResults) {
+      scoringResults = scoringService.analyzeTranscript(salesCall.transcript, duration, stats.wordCount || 0, options);
+    }
+
+    await analysisRunService.recordRun(
+      salesCall.id,
+      analysisRunService.fromScoringResults(scoringResults, {
+        configurationId: configuration.id,
+        analysisVersion,
+        gpt4AnalysisUsed,
+        source: analysisRunService.sources.RESCORE,
+        jobId
+      })
+    );
+
+    return scoringResults.scores;
+  }
+}
+
+module.exports = new RescoreService();
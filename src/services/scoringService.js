@@ -3,6 +3,8 @@
  * Implements the scoring algorithm for analyzing Hebrew sales call transcripts
  */
 
+const hebrewTokenizer = require('./hebrewTokenizerService');
+
 class ScoringService {
   constructor() {
     // Scoring weights as defined in SYSTEM_DESIGN.md
@@ -103,6 +105,47 @@ class ScoringService {
       }
     };
 
+    // Points a matched phrase adds to its category score, by tier
+    this.phrasePoints = {
+      urgency: { high: 25, medium: 15 },
+      budget: { high: 20, medium: 12 },
+      interest: { high: 20, medium: 12 },
+      engagement: { high: 20, medium: 12 }
+    };
+
+    // Points per tier for configured categories that do not set their own
+    this.defaultTierPoints = { high: 20, medium: 12 };
+
+    // Extra points when two or more phrases of a tier are affirmed, unless a category sets its own
+    this.multiMatchBonus = { high: 20, medium: 10 };
+
+    // How a phrase entry is matched: whole tokens, "*" wildcards within words, or a regular expression
+    this.matchTypes = ['exact', 'wildcard', 'regex'];
+
+    // Compiled wildcard and regex patterns, by match type and pattern (null when invalid)
+    this.patternCache = new Map();
+
+    // Longest wildcard or regex phrase that is compiled; longer patterns are refused
+    this.maxPatternLength = 200;
+
+    // Negators that flip a phrase when they appear just before it
+    this.negators = ['לא', 'אין', 'בלי', 'אף פעם'];
+
+    // Hedges that weaken a phrase when they appear just before it
+    this.hedges = ['אולי', 'בערך', 'כנראה', 'נראה לי', 'יכול להיות', 'לא בטוח', 'לא יודע'];
+
+    // Number of tokens before a phrase searched for negators and hedges
+    this.contextWindow = 3;
+
+    // Share of its points a hedged phrase keeps; negated phrases subtract their points instead
+    this.hedgeFactor = 0.5;
+
+    // Characters kept by normalization: Hebrew letters and marks, and punctuation
+    this.keptCharacter = /[\u0590-\u05FF\u2000-\u206F.,;:!?]/;
+
+    // Negators and hedges only take conjunction prefixes, so "מלא" (full) is not read as "מ" + "לא"
+    this.contextPrefixes = new Set(['ו', 'ש']);
+
     // Objection phrases (negative indicators)
     this.objectionPhrases = [
       'זה יקר מדי',
@@ -125,9 +168,13 @@ class ScoringService {
    * @param {string} transcript - Hebrew transcript text
    * @param {number} duration - Call duration in seconds
    * @param {number} wordCount - Number of words in transcript
+   * @param {Object} options - Scoring options
+   * @param {Object} options.configuration - Scoring configuration ({ id, name, weights, phrases, categories }) to score with
+   * @param {Array} options.speakerTurns - Diarized turns; when present only the customer's turns are scored
+   * @param {Array} options.segments - Timestamped segments ({ start, end, text, speaker }) used to locate evidence
    * @returns {Object} Scoring results
    */
-  analyzeTranscript(transcript, duration = 0, wordCount = 0) {
+  analyzeTranscript(transcript, duration = 0, wordCount = 0, options = {}) {
     console.log('🎯 Starting transcript analysis...');
     console.log(`📝 Input transcript length: ${transcript.length} characters`);
     console.log(`⏱️ Duration: ${duration} seconds`);
@@ -138,57 +185,80 @@ class ScoringService {
       throw new Error('Transcript is required for analysis');
     }
 
+    const configuration = this.resolveConfiguration(options.configuration);
+    console.log(`⚙️ Scoring configuration: ${configuration.name} (ID: ${configuration.id ?? 'built-in'})`);
+    const { weights, phrases } = configuration;
+
     console.log('🔍 Normalizing Hebrew text...');
-    const normalizedText = this.normalizeHebrewText(transcript);
+    const normalizedTranscript = this.normalizeWithOffsets(transcript);
+    const scoredText = this.prepareScoredText(normalizedTranscript, options.speakerTurns);
+    if (scoredText.speaker === 'customer') {
+      console.log(`🗣️ Scoring customer turns only (${scoredText.text.length} characters)`);
+    }
+
+    const normalizedText = scoredText.text;
     console.log(`📝 Normalized text length: ${normalizedText.length} characters`);
     console.log(`📝 Normalized text preview: "${normalizedText.substring(0, 100)}..."`);
     
-    // Calculate individual scores
-    console.log('🚨 Calculating urgency score...');
-    const urgencyScore = this.calculateUrgencyScore(normalizedText);
-    console.log(`🚨 Urgency score: ${urgencyScore}`);
-    
-    console.log('💰 Calculating budget score...');
-    const budgetScore = this.calculateBudgetScore(normalizedText);
-    console.log(`💰 Budget score: ${budgetScore}`);
-    
-    console.log('🎯 Calculating interest score...');
-    const interestScore = this.calculateInterestScore(normalizedText);
-    console.log(`🎯 Interest score: ${interestScore}`);
-    
-    console.log('💬 Calculating engagement score...');
-    const engagementScore = this.calculateEngagementScore(normalizedText, duration, wordCount);
-    console.log(`💬 Engagement score: ${engagementScore}`);
+    // Calculate a score for every configured category
+    const categoryScores = {};
+    const categoryEvidence = [];
+    configuration.categories.forEach(category => {
+      const result = this.scoreCategory(
+        normalizedText,
+        category.key,
+        phrases,
+        category.tiers,
+        { duration, wordCount, multiMatchBonus: category.multiMatchBonus }
+      );
+      categoryScores[category.key] = result.score;
+      categoryEvidence.push(...result.evidence);
+      console.log(`📊 ${category.label} score: ${categoryScores[category.key]}`);
+    });
 
     // Calculate overall score
     console.log('📊 Calculating overall score...');
-    const overallScore = this.calculateOverallScore({
-      urgency: urgencyScore,
-      budget: budgetScore,
-      interest: interestScore,
-      engagement: engagementScore
-    });
+    const overallScore = this.calculateOverallScore(categoryScores, weights);
     console.log(`📊 Overall score: ${overallScore}`);
 
     // Extract key phrases found
     console.log('🔍 Extracting key phrases...');
-    const keyPhrases = this.extractKeyPhrases(normalizedText);
+    const keyPhrases = this.extractKeyPhrases(normalizedText, phrases);
     console.log(`🔍 Key phrases found: ${keyPhrases.length}`, keyPhrases);
     
     console.log('🚫 Detecting objections...');
     const objections = this.detectObjections(normalizedText);
     console.log(`🚫 Objections found: ${objections.length}`, objections);
 
+    // Record where each matched phrase was said
+    const evidence = this.locateEvidence(
+      [...categoryEvidence, ...this.collectObjectionEvidence(normalizedText)],
+      scoredText,
+      this.locateSegments(normalizedTranscript, options.segments || [])
+    );
+    console.log(`📍 Evidence collected: ${evidence.length} items`);
+
+    const negatedPhrases = evidence
+      .filter(item => item.kind === 'phrase' && item.counted && item.polarity !== 'affirmed')
+      .map(({ category, phrase, tier, polarity, cue, points }) => ({ category, phrase, tier, polarity, cue, points }));
+    if (negatedPhrases.length > 0) {
+      console.log(`🔄 Negated or hedged phrases: ${negatedPhrases.length}`, negatedPhrases);
+    }
+
     // Generate analysis notes
     console.log('📝 Generating analysis notes...');
     const analysisNotes = this.generateAnalysisNotes({
-      urgencyScore,
-      budgetScore,
-      interestScore,
-      engagementScore,
+      urgencyScore: categoryScores.urgency,
+      budgetScore: categoryScores.budget,
+      interestScore: categoryScores.interest,
+      engagementScore: categoryScores.engagement,
+      customCategories: configuration.categories
+        .filter(category => !this.phrasePoints[category.key])
+        .map(category => ({ label: category.label, score: categoryScores[category.key] })),
       overallScore,
       keyPhrases,
       objections,
+      negatedPhrases,
       duration,
       wordCount
     });
@@ -196,203 +266,585 @@ class ScoringService {
 
     return {
       scores: {
-        urgency: urgencyScore,
-        budget: budgetScore,
-        interest: interestScore,
-        engagement: engagementScore,
+        ...categoryScores,
         overall: overallScore
       },
       analysis: {
         keyPhrases,
         objections,
+        negatedPhrases,
+        evidence,
         notes: analysisNotes,
-        confidence: this.calculateConfidence(normalizedText, wordCount)
+        confidence: this.calculateConfidence(normalizedText, wordCount, phrases)
       },
       metadata: {
         duration,
         wordCount,
-        wordsPerMinute: duration > 0 ? Math.round((wordCount / duration) * 60) : 0
+        wordsPerMinute: duration > 0 ? Math.round((wordCount / duration) * 60) : 0,
+        configurationId: configuration.id,
+        configurationName: configuration.name,
+        categories: configuration.categories.map(({ key, label, weight }) => ({ key, label, weight })),
+        scoredSpeaker: scoredText.speaker
       }
     };
   }
 
   /**
-   * Normalize Hebrew text for analysis
-   * @param {string} text - Hebrew text
-   * @returns {string} Normalized text
+   * Build the normalized text to score: the customer's turns, one per line, when diarized
+   * turns are available, otherwise the whole transcript
+   * @param {Object} transcript - Normalized transcript from normalizeWithOffsets()
+   * @param {Array} speakerTurns - Speaker turns ({ speaker, text })
+   * @returns {Object} Scored text ({ text, offsets, speaker }); offsets map each character to the
+   * raw transcript and are null where a turn could not be found in the transcript
    */
-  normalizeHebrewText(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\u0590-\u05FF\u2000-\u206F\s]/g, '') // Keep Hebrew, spaces, and punctuation
-      .replace(/\s+/g, ' ') // Normalize spaces
-      .trim();
+  prepareScoredText(transcript, speakerTurns) {
+    const customerTurns = (Array.isArray(speakerTurns) ? speakerTurns : [])
+      .filter(turn => turn.speaker === 'customer')
+      .map(turn => this.normalizeHebrewText(turn.text || ''))
+      .filter(text => text.length > 0);
+
+    if (customerTurns.length === 0) {
+      return { ...transcript, speaker: 'all' };
+    }
+
+    const positions = this.locateInTranscript(transcript, customerTurns);
+    let text = '';
+    const offsets = [];
+
+    customerTurns.forEach((turnText, i) => {
+      if (i > 0) {
+        text += '\n';
+        offsets.push(null);
+      }
+
+      text += turnText;
+      offsets.push(...(positions[i] === null
+        ? new Array(turnText.length).fill(null)
+        : transcript.offsets.slice(positions[i], positions[i] + turnText.length)));
+    });
+
+    return { text, offsets, speaker: 'customer' };
   }
 
   /**
-   * Calculate urgency score based on Hebrew phrases
-   * @param {string} text - Normalized Hebrew text
-   * @returns {number} Urgency score (0-100)
-   */
-  calculateUrgencyScore(text) {
-    console.log('🚨 Calculating urgency score...');
-    let score = 0;
-    let highMatches = 0;
-    let mediumMatches = 0;
-    let matchedPhrases = [];
-
-    // Check high urgency phrases
-    this.hebrewPhrases.urgency.high.forEach(phrase => {
-      if (text.includes(phrase.toLowerCase())) {
-        highMatches++;
-        score += 25; // Increased from 20
-        matchedPhrases.push(`HIGH: ${phrase}`);
+   * Find normalized texts (turns or segments) in the normalized transcript, in order
+   * @param {Object} transcript - Normalized transcript from normalizeWithOffsets()
+   * @param {Array<string>} texts - Normalized texts in the order they were said
+   * @returns {Array<number|null>} Index of each text in the normalized transcript, or null when not found
+   */
+  locateInTranscript(transcript, texts) {
+    // Turns and segments may break lines where the transcript has spaces
+    const searchable = transcript.text.replace(/\n/g, ' ');
+    let cursor = 0;
+
+    return texts.map(text => {
+      const position = text.length > 0 ? searchable.indexOf(text.replace(/\n/g, ' '), cursor) : -1;
+      if (position === -1) {
+        return null;
       }
+
+      cursor = position + text.length;
+      return position;
     });
+  }
+
+  /**
+   * Find the raw transcript range of every timestamped segment
+   * @param {Object} transcript - Normalized transcript from normalizeWithOffsets()
+   * @param {Array} segments - Timestamped segments ({ start, end, text })
+   * @returns {Array} Located segments ({ start, end, from, to }), from/to being raw transcript offsets
+   */
+  locateSegments(transcript, segments) {
+    const texts = segments.map(segment => this.normalizeHebrewText(segment.text || ''));
+    const positions = this.locateInTranscript(transcript, texts);
+
+    return segments
+      .map((segment, i) => positions[i] === null ? null : {
+        start: segment.start,
+        end: segment.end,
+        from: transcript.offsets[positions[i]],
+        to: transcript.offsets[positions[i] + texts[i].length - 1] + 1
+      })
+      .filter(Boolean);
+  }
 
-    // Check medium urgency phrases
-    this.hebrewPhrases.urgency.medium.forEach(phrase => {
-      if (text.includes(phrase.toLowerCase())) {
-        mediumMatches++;
-        score += 15; // Increased from 10
-        matchedPhrases.push(`MEDIUM: ${phrase}`);
+  /**
+   * Resolve the weights, phrases and categories to score with
+   * @param {Object} configuration - Scoring configuration, falls back to the built-in defaults
+   * @returns {Object} Resolved configuration ({ id, name, weights, phrases, categories })
+   */
+  resolveConfiguration(configuration) {
+    if (!configuration) {
+      return {
+        id: null,
+        name: 'Built-in Configuration',
+        weights: this.weights,
+        phrases: this.hebrewPhrases,
+        categories: this.resolveCategories(this.weights)
+      };
+    }
+
+    const weights = configuration.weights || this.weights;
+
+    return {
+      id: configuration.id ?? null,
+      name: configuration.name || 'Unnamed Configuration',
+      weights,
+      phrases: configuration.phrases || this.hebrewPhrases,
+      categories: this.resolveCategories(weights, configuration.categories)
+    };
+  }
+
+  /**
+   * Resolve the scored categories: every weighted category, with its label, points per tier and multi-match bonus
+   * @param {Object} weights - Category weights
+   * @param {Object} definitions - Category definitions from the configuration ({ [key]: { label, tiers, multiMatchBonus } })
+   * @returns {Array} Categories ({ key, label, weight, tiers, multiMatchBonus })
+   */
+  resolveCategories(weights, definitions = null) {
+    return Object.entries(weights).map(([key, weight]) => ({
+      key,
+      label: definitions?.[key]?.label || key,
+      weight,
+      tiers: definitions?.[key]?.tiers || this.phrasePoints[key] || this.defaultTierPoints,
+      multiMatchBonus: definitions?.[key]?.multiMatchBonus || this.multiMatchBonus
+    }));
+  }
+
+  /**
+   * Normalize a phrase entry. Entries are plain strings or objects
+   * ({ phrase, points, match, negatable, enabled }); omitted fields take the defaults.
+   * @param {string|Object} entry - Phrase entry
+   * @param {number} tierPoints - Points of the entry's tier, used when the entry sets none
+   * @returns {Object} Phrase entry ({ phrase, points, match, negatable, enabled })
+   */
+  normalizePhraseEntry(entry, tierPoints = null) {
+    const fields = typeof entry === 'string' ? { phrase: entry } : (entry || {});
+
+    return {
+      phrase: typeof fields.phrase === 'string' ? fields.phrase : '',
+      points: typeof fields.points === 'number' ? fields.points : tierPoints,
+      match: fields.match || 'exact',
+      negatable: fields.negatable !== false,
+      enabled: fields.enabled !== false
+    };
+  }
+
+  /**
+   * Enabled phrase entries of a category tier that have points to contribute
+   * @param {Object} phrases - Phrase sets by category
+   * @param {string} category - Category key
+   * @param {string} tier - Tier name
+   * @param {number} tierPoints - Points of the tier (undefined when the category does not define it)
+   * @returns {Array} Phrase entries
+   */
+  getPhraseEntries(phrases, category, tier, tierPoints = null) {
+    return (phrases?.[category]?.[tier] || [])
+      .map(entry => this.normalizePhraseEntry(entry, tierPoints ?? null))
+      .filter(entry => entry.enabled && entry.phrase.length > 0 && entry.points !== null);
+  }
+
+  /**
+   * Tiers scored for a category: the tiers with points, then tiers whose entries carry their own
+   * @param {Object} phrases - Phrase sets by category
+   * @param {string} category - Category key
+   * @param {Object} tierPoints - Points per tier
+   * @returns {Array<string>} Tier names
+   */
+  getTiers(phrases, category, tierPoints) {
+    return [...new Set([...Object.keys(tierPoints || {}), ...Object.keys(phrases?.[category] || {})])];
+  }
+
+  /**
+   * Check that a wildcard or regex phrase can match the normalized text and is safe to run.
+   * Normalization removes digits and Latin letters, so "\d" or "[a-z]" never match, and nested
+   * quantifiers such as "(א+)+" backtrack exponentially on a long transcript.
+   * @param {string} phrase - Pattern
+   * @param {string} match - Match type ('wildcard' or 'regex')
+   * @returns {string|null} Why the pattern is refused, or null when it can be used
+   */
+  checkPattern(phrase, match) {
+    if (phrase.length > this.maxPatternLength) {
+      return `is longer than ${this.maxPatternLength} characters`;
+    }
+
+    const escapes = match === 'regex' ? phrase.match(/\\./gu) || [] : [];
+    const unmatchable = escapes.find(escape => ['\\d', '\\w', '\\b'].includes(escape));
+    if (unmatchable) {
+      return `uses ${unmatchable}, which never matches the normalized text (digits and Latin letters are removed)`;
+    }
+
+    // The pattern's structure with every escape reduced to a placeholder
+    const bare = match === 'regex'
+      ? phrase.replace(/\\(?:[pPk]\{[^}]*\}|k<[^>]*>|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[A-Za-z]|.)/gu, '_')
+      : phrase;
+    const literal = bare
+      .replace(/\{\d+(?:,\d*)?\}/g, '')
+      .replace(/\(\?<(?![=!])[^>]*>/g, '(');
+
+    if (/[A-Za-z0-9]/.test(literal)) {
+      return 'contains digits or Latin letters, which are removed from the normalized text';
+    }
+
+    if (match === 'regex' && /\([^()]*(?:[*+]|\{\d+,\d*\})[^()]*\)(?:[*+]|\{\d+,\d*\})/.test(bare.replace(/\[[^\]]*\]/g, '_'))) {
+      return 'repeats a group that is itself repeated, which can take too long to match';
+    }
+
+    return null;
+  }
+
+  /**
+   * Compile a wildcard or regex phrase. Wildcards match whole words, with "*" standing for any letters
+   * within a word ("*משכנת*"). Patterns run against the normalized text (Hebrew letters, punctuation and spaces).
+   * @param {string} phrase - Pattern
+   * @param {string} match - Match type ('wildcard' or 'regex')
+   * @returns {RegExp|null} Compiled pattern, or null when it is not a valid regular expression or is refused
+   */
+  compilePattern(phrase, match) {
+    const key = `${match}:${phrase}`;
+
+    if (!this.patternCache.has(key)) {
+      const problem = this.checkPattern(phrase, match);
+      if (problem) {
+        console.warn(`⚠️ Refusing ${match} phrase "${phrase.slice(0, 50)}": pattern ${problem}`);
+        this.patternCache.set(key, null);
+        return null;
       }
-    });
-    
-    console.log(`🚨 Urgency analysis: ${highMatches} high matches, ${mediumMatches} medium matches`);
-    console.log(`🚨 Matched phrases:`, matchedPhrases);
 
-    // Bonus for multiple matches
-    if (highMatches >= 2) score += 20;
-    if (mediumMatches >= 2) score += 10;
+      const source = match === 'regex'
+        ? phrase
+        : `(?<![\\p{L}\\p{M}\\p{N}])${phrase
+          .split('*')
+          .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('[\\p{L}\\p{M}]*')}(?![\\p{L}\\p{M}\\p{N}])`;
 
-    return Math.min(100, score);
+      try {
+        this.patternCache.set(key, new RegExp(source, 'gu'));
+      } catch (error) {
+        console.warn(`⚠️ Invalid ${match} phrase "${phrase}":`, error.message);
+        this.patternCache.set(key, null);
+      }
+    }
+
+    return this.patternCache.get(key);
   }
 
   /**
-   * Calculate budget score based on Hebrew phrases
+   * Find every occurrence of a phrase entry in tokenized text
+   * @param {Array} tokens - Tokens of the text
    * @param {string} text - Normalized Hebrew text
-   * @returns {number} Budget score (0-100)
-   */
-  calculateBudgetScore(text) {
-    let score = 0;
-    let highMatches = 0;
-    let mediumMatches = 0;
-
-    // Check high budget phrases
-    this.hebrewPhrases.budget.high.forEach(phrase => {
-      if (text.includes(phrase.toLowerCase())) {
-        highMatches++;
-        score += 20; // Increased from 15
+   * @param {Object} entry - Phrase entry
+   * @returns {Array} Matches ({ start, end, startToken })
+   */
+  findEntryMatches(tokens, text, entry) {
+    if (entry.match !== 'wildcard' && entry.match !== 'regex') {
+      return hebrewTokenizer.findPhraseMatches(tokens, entry.phrase);
+    }
+
+    const pattern = this.compilePattern(entry.phrase, entry.match);
+    if (!pattern) {
+      return [];
+    }
+
+    return [...text.matchAll(pattern)]
+      .filter(match => match[0].length > 0)
+      .map(match => {
+        const startToken = tokens.findIndex(token => token.end > match.index);
+        return {
+          start: match.index,
+          end: match.index + match[0].length,
+          startToken: startToken === -1 ? tokens.length : startToken
+        };
+      });
+  }
+
+  /**
+   * Normalize Hebrew text for analysis
+   * @param {string} text - Hebrew text
+   * @returns {string} Normalized text
+   */
+  normalizeHebrewText(text) {
+    return this.normalizeWithOffsets(text).text;
+  }
+
+  /**
+   * Normalize Hebrew text, keeping Hebrew, punctuation and line breaks (which separate speaker
+   * turns) and collapsing other whitespace, and map each normalized character back to the input
+   * @param {string} text - Hebrew text
+   * @returns {Object} Normalized text and the input index of each of its characters ({ text, offsets })
+   */
+  normalizeWithOffsets(text) {
+    let normalized = '';
+    const offsets = [];
+    let space = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        // A whitespace run becomes one space, or one line break when it has one
+        if (normalized.length > 0 && space?.char !== '\n') {
+          space = { char: char === '\n' ? '\n' : ' ', index: space ? space.index : i };
+        }
+        continue;
       }
-    });
 
-    // Check medium budget phrases
-    this.hebrewPhrases.budget.medium.forEach(phrase => {
-      if (text.includes(phrase.toLowerCase())) {
-        mediumMatches++;
-        score += 12; // Increased from 8
+      if (!this.keptCharacter.test(char)) {
+        continue;
       }
-    });
 
-    // Bonus for multiple matches
-    if (highMatches >= 2) score += 20;
-    if (mediumMatches >= 2) score += 10;
+      if (space) {
+        normalized += space.char;
+        offsets.push(space.index);
+        space = null;
+      }
+
+      normalized += char;
+      offsets.push(i);
+    }
 
-    return Math.min(100, score);
+    return { text: normalized, offsets };
   }
 
   /**
-   * Calculate interest score based on Hebrew phrases
+   * Find a phrase and classify it as affirmed, negated or hedged by the words just before it.
+   * When the phrase occurs more than once, an affirmed mention wins over a hedged or negated one.
+   * Entries that are not negatable are always affirmed.
    * @param {string} text - Normalized Hebrew text
-   * @returns {number} Interest score (0-100)
-   */
-  calculateInterestScore(text) {
-    let score = 0;
-    let highMatches = 0;
-    let mediumMatches = 0;
-
-    // Check high interest phrases
-    this.hebrewPhrases.interest.high.forEach(phrase => {
-      if (text.includes(phrase.toLowerCase())) {
-        highMatches++;
-        score += 20; // Increased from 15
-      }
-    });
+   * @param {string|Object} phrase - Phrase or phrase entry to find
+   * @returns {Object|null} Match ({ start, end, polarity, cue }) or null
+   */
+  matchPhrase(text, phrase) {
+    return this.selectOccurrence(this.findOccurrences(text, phrase));
+  }
 
-    // Check medium interest phrases
-    this.hebrewPhrases.interest.medium.forEach(phrase => {
-      if (text.includes(phrase.toLowerCase())) {
-        mediumMatches++;
-        score += 12; // Increased from 8
-      }
-    });
+  /**
+   * Find every occurrence of a phrase, each classified as affirmed, negated or hedged
+   * @param {string} text - Normalized Hebrew text
+   * @param {string|Object} phrase - Phrase or phrase entry to find
+   * @returns {Array} Occurrences ({ start, end, polarity, cue })
+   */
+  findOccurrences(text, phrase) {
+    const entry = this.normalizePhraseEntry(phrase);
+    const tokens = hebrewTokenizer.tokenize(text);
 
-    // Bonus for multiple matches
-    if (highMatches >= 2) score += 20;
-    if (mediumMatches >= 2) score += 10;
+    return this.findEntryMatches(tokens, text, entry).map(match => ({
+      start: match.start,
+      end: match.end,
+      ...(entry.negatable
+        ? this.classifyContext(this.getContextTokens(tokens, match.startToken))
+        : { polarity: 'affirmed', cue: null })
+    }));
+  }
 
-    return Math.min(100, score);
+  /**
+   * Pick the occurrence that counts: affirmed over hedged over negated, earliest first
+   * @param {Array} occurrences - Occurrences from findOccurrences()
+   * @returns {Object|null} Counted occurrence, or null when there are none
+   */
+  selectOccurrence(occurrences) {
+    if (occurrences.length === 0) {
+      return null;
+    }
+
+    return occurrences.find(occurrence => occurrence.polarity === 'affirmed') ||
+      occurrences.find(occurrence => occurrence.polarity === 'hedged') ||
+      occurrences[0];
+  }
+
+  /**
+   * Tokens just before a match that can negate or hedge it; the window stops at the
+   * start of the match's clause, so "לא." does not reach into the next sentence or turn
+   * @param {Array} tokens - Tokens of the text
+   * @param {number} startToken - Index of the match's first token
+   * @returns {Array} Context tokens
+   */
+  getContextTokens(tokens, startToken) {
+    const clause = tokens[startToken]?.clause;
+
+    return tokens
+      .slice(Math.max(0, startToken - this.contextWindow), startToken)
+      .filter(token => token.clause === clause);
+  }
+
+  /**
+   * Classify the tokens preceding a phrase
+   * @param {Array} windowTokens - Tokens before the phrase
+   * @returns {Object} Context ({ polarity: 'affirmed'|'negated'|'hedged', cue })
+   */
+  classifyContext(windowTokens) {
+    const options = { prefixLetters: this.contextPrefixes };
+
+    // Hedges first: "לא בטוח" is a hedge, not a negation
+    const hedge = this.hedges.find(candidate => hebrewTokenizer.findPhraseInTokens(windowTokens, candidate, options));
+    if (hedge) {
+      return { polarity: 'hedged', cue: hedge };
+    }
+
+    const negator = this.negators.find(candidate => hebrewTokenizer.findPhraseInTokens(windowTokens, candidate, options));
+    if (negator) {
+      return { polarity: 'negated', cue: negator };
+    }
+
+    return { polarity: 'affirmed', cue: null };
   }
 
   /**
-   * Calculate engagement score based on Hebrew phrases and call metrics
+   * Points a phrase contributes given its context
+   * @param {number} points - Points for an affirmed match
+   * @param {string} polarity - Match polarity
+   * @returns {number} Contributed points
+   */
+  getPhraseContribution(points, polarity) {
+    if (polarity === 'negated') return -points;
+    if (polarity === 'hedged') return Math.round(points * this.hedgeFactor);
+    return points;
+  }
+
+  /**
+   * Calculate a category score from its phrase entries
    * @param {string} text - Normalized Hebrew text
-   * @param {number} duration - Call duration in seconds
-   * @param {number} wordCount - Number of words in transcript
-   * @returns {number} Engagement score (0-100)
-   */
-  calculateEngagementScore(text, duration = 0, wordCount = 0) {
-    let score = 0;
-    let highMatches = 0;
-    let mediumMatches = 0;
-
-    // Check high engagement phrases
-    this.hebrewPhrases.engagement.high.forEach(phrase => {
-      if (text.includes(phrase.toLowerCase())) {
-        highMatches++;
-        score += 20; // Increased from 15
+   * @param {string} category - Category key
+   * @param {Object} phrases - Phrase sets by category
+   * @param {Object} tierPoints - Points a matched phrase adds, by tier, unless the entry sets its own
+   * @param {Object} options - Call length ({ duration, wordCount }), counted for engagement, and the multi-match bonus per tier
+   * @returns {number} Category score (0-100)
+   */
+  calculateCategoryScore(text, category, phrases = this.hebrewPhrases, tierPoints = this.phrasePoints[category] || this.defaultTierPoints, options = {}) {
+    return this.scoreCategory(text, category, phrases, tierPoints, options).score;
+  }
+
+  /**
+   * Score a category and record what the score is made of: every occurrence of its phrases
+   * (only the counted one carries points), the bonuses, and the cap when the score is clamped,
+   * so the points of the evidence add up to the score
+   * @param {string} text - Normalized Hebrew text
+   * @param {string} category - Category key
+   * @param {Object} phrases - Phrase sets by category
+   * @param {Object} tierPoints - Points a matched phrase adds, by tier, unless the entry sets its own
+   * @param {Object} options - Call length ({ duration, wordCount }), counted for engagement, and the multi-match bonus per tier
+   * @returns {Object} Score (0-100) and evidence ({ score, evidence }), offsets indexing the normalized text
+   */
+  scoreCategory(text, category, phrases = this.hebrewPhrases, tierPoints = this.phrasePoints[category] || this.defaultTierPoints, { duration = 0, wordCount = 0, multiMatchBonus = this.multiMatchBonus } = {}) {
+    const evidence = [];
+
+    this.getTiers(phrases, category, tierPoints).forEach(tier => {
+      let affirmedMatches = 0;
+
+      this.getPhraseEntries(phrases, category, tier, tierPoints[tier]).forEach(entry => {
+        const occurrences = this.findOccurrences(text, entry);
+        const match = this.selectOccurrence(occurrences);
+        if (!match) {
+          return;
+        }
+
+        if (match.polarity === 'affirmed') affirmedMatches++;
+        evidence.push(...this.buildPhraseEvidence(category, tier, entry, occurrences, match));
+      });
+
+      // Bonus for multiple matches
+      const bonus = affirmedMatches >= 2 ? multiMatchBonus[tier] || 0 : 0;
+      if (bonus) {
+        evidence.push(this.buildEvidence({ category, tier, kind: 'bonus', reason: 'multi_match', points: bonus }));
       }
     });
 
-    // Check medium engagement phrases
-    this.hebrewPhrases.engagement.medium.forEach(phrase => {
-      if (text.includes(phrase.toLowerCase())) {
-        mediumMatches++;
-        score += 12; // Increased from 8
+    if (category === 'engagement') {
+      const bonus = this.getCallLengthBonus(duration, wordCount);
+      if (bonus) {
+        evidence.push(this.buildEvidence({ category, kind: 'bonus', reason: 'call_length', points: bonus }));
       }
-    });
+    }
+
+    const total = evidence.reduce((sum, item) => sum + item.points, 0);
 
-    // Bonus for multiple matches
-    if (highMatches >= 2) score += 20;
-    if (mediumMatches >= 2) score += 10;
+    // Negated phrases can pull the score below zero
+    const score = Math.max(0, Math.min(100, total));
+    if (score !== total) {
+      evidence.push(this.buildEvidence({ category, kind: 'cap', points: score - total }));
+    }
+
+    return { score, evidence };
+  }
+
+  /**
+   * Evidence item with every field present
+   * @param {Object} fields - Fields to set
+   * @returns {Object} Evidence ({ category, phrase, tier, kind, reason, offset, start, end, polarity, cue, counted, points })
+   */
+  buildEvidence(fields) {
+    return {
+      category: null,
+      phrase: null,
+      tier: null,
+      kind: 'phrase',
+      reason: null,
+      offset: null,
+      start: null,
+      end: null,
+      polarity: null,
+      cue: null,
+      counted: true,
+      points: 0,
+      ...fields
+    };
+  }
+
+  /**
+   * Evidence for every occurrence of a phrase entry; only the counted occurrence earns its points
+   * @param {string} category - Category key, or 'objection'
+   * @param {string} tier - Tier of the entry
+   * @param {Object} entry - Phrase entry
+   * @param {Array} occurrences - Occurrences from findOccurrences()
+   * @param {Object} match - Counted occurrence
+   * @returns {Array} Evidence
+   */
+  buildPhraseEvidence(category, tier, entry, occurrences, match) {
+    return occurrences.map(occurrence => this.buildEvidence({
+      category,
+      phrase: entry.phrase,
+      tier,
+      offset: occurrence.start,
+      polarity: occurrence.polarity,
+      cue: occurrence.cue,
+      counted: occurrence === match,
+      points: occurrence === match ? this.getPhraseContribution(entry.points, match.polarity) : 0
+    }));
+  }
+
+  /**
+   * Engagement points for longer calls
+   * @param {number} duration - Call duration in seconds
+   * @param {number} wordCount - Number of words in transcript
+   * @returns {number} Bonus points
+   */
+  getCallLengthBonus(duration = 0, wordCount = 0) {
+    let bonus = 0;
 
     // Duration bonus (more generous)
-    if (duration >= 300) score += 25; // 5+ minutes
-    else if (duration >= 180) score += 20; // 3+ minutes
-    else if (duration >= 120) score += 15; // 2+ minutes
-    else if (duration >= 60) score += 10; // 1+ minute
+    if (duration >= 300) bonus += 25; // 5+ minutes
+    else if (duration >= 180) bonus += 20; // 3+ minutes
+    else if (duration >= 120) bonus += 15; // 2+ minutes
+    else if (duration >= 60) bonus += 10; // 1+ minute
 
     // Word count bonus (more generous)
-    if (wordCount >= 150) score += 20;
-    else if (wordCount >= 100) score += 15;
-    else if (wordCount >= 50) score += 10;
-    else if (wordCount >= 25) score += 5;
+    if (wordCount >= 150) bonus += 20;
+    else if (wordCount >= 100) bonus += 15;
+    else if (wordCount >= 50) bonus += 10;
+    else if (wordCount >= 25) bonus += 5;
 
-    return Math.min(100, score);
+    return bonus;
   }
 
   /**
    * Calculate overall score using weighted formula
    * @param {Object} scores - Individual scores
+   * @param {Object} weights - Category weights
    * @returns {number} Overall score
    */
-  calculateOverallScore(scores) {
-    const overall = 
-      (scores.urgency * this.weights.urgency) +
-      (scores.budget * this.weights.budget) +
-      (scores.interest * this.weights.interest) +
-      (scores.engagement * this.weights.engagement);
+  calculateOverallScore(scores, weights = this.weights) {
+    const overall = Object.entries(weights)
+      .reduce((sum, [category, weight]) => sum + (scores[category] || 0) * weight, 0);
 
     return Math.round(overall);
   }
@@ -400,45 +852,86 @@ class ScoringService {
   /**
    * Extract key phrases found in the transcript
    * @param {string} text - Normalized Hebrew text
+   * @param {Object} phrases - Phrase sets by category
    * @returns {Object} Key phrases by category
    */
-  extractKeyPhrases(text) {
-    const phrases = {
-      urgency: [],
-      budget: [],
-      interest: [],
-      engagement: []
-    };
+  extractKeyPhrases(text, phrases = this.hebrewPhrases) {
+    const found = Object.fromEntries(Object.keys(phrases).map(category => [category, []]));
 
-    Object.keys(this.hebrewPhrases).forEach(category => {
-      this.hebrewPhrases[category].high.forEach(phrase => {
-        if (text.includes(phrase.toLowerCase())) {
-          phrases[category].push(phrase);
+    Object.keys(phrases).forEach(category => {
+      this.getPhraseEntries(phrases, category, 'high', 0).forEach(entry => {
+        if (this.matchPhrase(text, entry)?.polarity === 'affirmed') {
+          found[category].push(entry.phrase);
         }
       });
     });
 
-    return phrases;
+    return found;
+  }
+
+  /**
+   * Evidence for every objection occurrence; objections are reported but do not change the scores
+   * @param {string} text - Normalized Hebrew text
+   * @returns {Array} Evidence
+   */
+  collectObjectionEvidence(text) {
+    return [...new Set(this.objectionPhrases)].flatMap(phrase => {
+      const occurrences = this.findOccurrences(text, phrase);
+      const match = this.selectOccurrence(occurrences);
+
+      return match ? this.buildPhraseEvidence('objection', 'objection', { phrase, points: 0 }, occurrences, match) : [];
+    });
+  }
+
+  /**
+   * Place evidence in the transcript: offsets in the scored text become raw transcript
+   * offsets, and each match takes the timestamps of the segment it falls in
+   * @param {Array} evidence - Evidence with offsets in the scored text
+   * @param {Object} scoredText - Scored text from prepareScoredText()
+   * @param {Array} segments - Located segments from locateSegments()
+   * @returns {Array} Evidence ordered by offset, bonuses and caps last
+   */
+  locateEvidence(evidence, scoredText, segments = []) {
+    return evidence
+      .map(item => {
+        const offset = item.offset === null ? null : scoredText.offsets[item.offset] ?? null;
+        const segment = offset === null ? null : segments.find(candidate => offset >= candidate.from && offset < candidate.to);
+
+        return {
+          ...item,
+          offset,
+          start: segment ? segment.start : null,
+          end: segment ? segment.end : null
+        };
+      })
+      .sort((a, b) => {
+        if (a.offset === null || b.offset === null) {
+          return (a.offset === null) - (b.offset === null);
+        }
+        return a.offset - b.offset;
+      });
   }
 
   /**
-   * Detect objection phrases in the transcript
+   * Detect objection phrases in the transcript, ignoring negated ones ("זה לא יקר מדי")
    * @param {string} text - Normalized Hebrew text
    * @returns {Array} Objection phrases found
    */
   detectObjections(text) {
-    return this.objectionPhrases.filter(phrase => 
-      text.includes(phrase.toLowerCase())
-    );
+    return this.objectionPhrases.filter(phrase => {
+      const match = this.matchPhrase(text, phrase);
+      return match !== null && match.polarity !== 'negated';
+    });
   }
 
   /**
    * Calculate confidence level of the analysis
    * @param {string} text - Normalized Hebrew text
    * @param {number} wordCount - Number of words
+   * @param {Object} phrases - Phrase sets by category
    * @returns {number} Confidence percentage
    */
-  calculateConfidence(text, wordCount) {
+  calculateConfidence(text, wordCount, phrases = this.hebrewPhrases) {
     let confidence = 50; // Base confidence
 
     // More words = higher confidence
@@ -446,7 +939,7 @@ class ScoringService {
     else if (wordCount > 50) confidence += 10;
 
     // More key phrases = higher confidence
-    const totalPhrases = Object.values(this.extractKeyPhrases(text))
+    const totalPhrases = Object.values(this.extractKeyPhrases(text, phrases))
       .flat().length;
     
     if (totalPhrases > 5) confidence += 20;
@@ -522,6 +1015,15 @@ class ScoringService {
       notes.push("לקוח עם מעורבות נמוכה - נדרש לעורר מעורבות או לשנות גישה");
     }
 
+    // Configured categories beyond the built-in four
+    (data.customCategories || []).forEach(category => {
+      if (category.score >= 70) {
+        notes.push(`${category.label}: ציון גבוה (${category.score})`);
+      } else if (category.score < 30) {
+        notes.push(`${category.label}: ציון נמוך (${category.score}) - נדרש לברר בשיחה הבאה`);
+      }
+    });
+
     // Objections with more detail
     if (data.objections.length > 0) {
       const objectionCount = data.objections.length;
@@ -534,6 +1036,12 @@ class ScoringService {
       }
     }
 
+    // Signals the customer negated ("אין לי משכנתא") are not counted in their favor
+    const negated = (data.negatedPhrases || []).filter(item => item.polarity === 'negated' && item.category !== 'objection');
+    if (negated.length > 0) {
+      notes.push(`זוהו ביטויים בשלילה: ${negated.map(item => item.phrase).join(', ')} - לא נספרו כסימן חיובי`);
+    }
+
     // Call quality insights with more detail
     if (data.duration >= 300) {
       notes.push("שיחה ארוכה מאוד (5+ דקות) - סימן לעניין גבוה מאוד ומעורבות חזקה");
@@ -0,0 +1,108 @@
+/**
+ * Transcript Segment Service
+ * Persists Whisper segment and word timestamps for synced transcripts
+ */
+
+const { prisma } = require('../database/connection');
+const diarizationService = require('./diarizationService');
+
+class TranscriptSegmentService {
+  /**
+   * Build segment rows from a transcription, attributing each segment to a speaker
+   * @param {Object} transcription - Whisper transcription ({ segments, words })
+   * @param {Array} speakerTurns - Diarized speaker turns
+   * @returns {Array} Segment rows
+   */
+  buildSegments(transcription, speakerTurns = []) {
+    const segments = transcription.segments || [];
+    const words = transcription.words || [];
+
+    // Only timestamped turns can be matched against segment times
+    const timedTurns = (speakerTurns || []).filter(turn => turn.start !== null && turn.end !== null);
+
+    return segments.map((segment, index) => {
+      const isLast = index === segments.length - 1;
+      const segmentWords = words
+        .filter(word => word.start >= segment.start && (word.start < segment.end || (isLast && word.start <= segment.end)))
+        .map(word => ({ word: word.word, start: word.start, end: word.end }));
+
+      return {
+        segmentIndex: index,
+        start: segment.start,
+        end: segment.end,
+        text: (segment.text || '').trim(),
+        speaker: diarizationService.findOverlappingSpeaker(segment, timedTurns),
+        confidence: this.calculateConfidence(segment),
+        words: segmentWords
+      };
+    });
+  }
+
+  /**
+   * Convert Whisper's average log probability into a 0-1 confidence
+   * @param {Object} segment - Whisper segment
+   * @returns {number|null} Confidence or null when unavailable
+   */
+  calculateConfidence(segment) {
+    if (typeof segment.avg_logprob !== 'number') {
+      return null;
+    }
+
+    const confidence = Math.min(1, Math.max(0, Math.exp(segment.avg_logprob)));
+    return Math.round(confidence * 100) / 100;
+  }
+
+  /**
+   * Replace the stored segments of a sales call
+   * @param {number} salesCallId - Sales call ID
+   * @param {Object} transcription - Whisper transcription ({ segments, words })
+   * @param {Array} speakerTurns - Diarized speaker turns
+   * @returns {Promise<number>} Number of saved segments
+   */
+  async saveSegments(salesCallId, transcription, speakerTurns = []) {
+    try {
+      const id = parseInt(salesCallId);
+      const segments = this.buildSegments(transcription, speakerTurns);
+
+      await prisma.$transaction([
+        prisma.transcriptSegment.deleteMany({ where: { salesCallId: id } }),
+        prisma.transcriptSegment.createMany({
+          data: segments.map(segment => ({ salesCallId: id, ...segment }))
+        })
+      ]);
+
+      console.log(`🧩 Saved ${segments.length} transcript segments for sales call ${id}`);
+
+      return segments.length;
+
+    } catch (error) {
+      console.error(`❌ Failed to save transcript segments for sales call ${salesCallId}:`, error);
+      throw new Error(`Failed to save transcript segments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the stored segments of a sales call in playback order
+   * @param {number} salesCallId - Sales call ID
+   * @returns {Promise<Array>} Segments
+   */
+  async getSegments(salesCallId) {
+    const segments = await prisma.transcriptSegment.findMany({
+      where: { salesCallId: parseInt(salesCallId) },
+      orderBy: { segmentIndex: 'asc' }
+    });
+
+    return segments.map(segment => ({
+      id: segment.id,
+      segmentIndex: segment.segmentIndex,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      speaker: segment.speaker,
+      confidence: segment.confidence !== null ? parseFloat(segment.confidence) : null,
+      words: segment.words || []
+    }));
+  }
+}
+
+module.exports = new TranscriptSegmentService();
@@ -0,0 +1,158 @@
+/**
+ * Transcript Window Service
+ * Token-aware splitting of long transcripts into overlapping windows for GPT-4 analysis
+ */
+
+class TranscriptWindowService {
+  constructor() {
+    // Conservative characters-per-token estimates: Hebrew letters split into far
+    // more tokens than Latin text, so they are counted separately
+    this.hebrewCharsPerToken = 1.5;
+    this.otherCharsPerToken = 4;
+
+    // Context carried over from the previous window so statements on a boundary are not lost
+    this.overlapTokens = parseInt(process.env.LLM_WINDOW_OVERLAP_TOKENS) || 200;
+  }
+
+  /**
+   * Estimate the number of model tokens in a text
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated token count
+   */
+  estimateTokens(text) {
+    if (!text) {
+      return 0;
+    }
+
+    const hebrewChars = (text.match(/[\u0590-\u05FF]/g) || []).length;
+    const otherChars = text.replace(/\s+/g, '').length - hebrewChars;
+
+    return Math.ceil(hebrewChars / this.hebrewCharsPerToken + otherChars / this.otherCharsPerToken);
+  }
+
+  /**
+   * Split a transcript into overlapping windows of at most maxTokens tokens
+   * @param {string} transcript - Transcript text (speaker-labeled lines or plain text)
+   * @param {Object} options - Window options
+   * @param {number} options.maxTokens - Token budget of a single window
+   * @param {number} options.overlapTokens - Tokens repeated at the start of the next window
+   * @returns {Array} Windows ({ index, text, tokens })
+   */
+  splitIntoWindows(transcript, { maxTokens, overlapTokens = this.overlapTokens } = {}) {
+    const text = transcript || '';
+
+    if (!maxTokens || this.estimateTokens(text) <= maxTokens) {
+      return [{ index: 0, text, tokens: this.estimateTokens(text) }];
+    }
+
+    const units = this.splitUnits(text, maxTokens);
+    const windows = [];
+    let current = [];
+    let currentTokens = 0;
+
+    units.forEach(unit => {
+      if (current.length > 0 && currentTokens + unit.tokens > maxTokens) {
+        windows.push(current);
+
+        // Start the next window with the tail of this one, within the overlap budget
+        const overlap = [];
+        let overlapSize = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          if (overlapSize + current[i].tokens > overlapTokens || overlapSize + current[i].tokens + unit.tokens > maxTokens) {
+            break;
+          }
+          overlap.unshift(current[i]);
+          overlapSize += current[i].tokens;
+        }
+
+        current = overlap;
+        currentTokens = overlapSize;
+      }
+
+      current.push(unit);
+      currentTokens += unit.tokens;
+    });
+
+    if (current.length > 0) {
+      windows.push(current);
+    }
+
+    return windows.map((windowUnits, index) => {
+      const windowText = this.joinUnits(windowUnits);
+      return { index, text: windowText, tokens: this.estimateTokens(windowText) };
+    });
+  }
+
+  /**
+   * Split a transcript into units that each fit a window: lines (speaker turns),
+   * then sentences, then groups of words for run-on text
+   * @param {string} text - Transcript text
+   * @param {number} maxTokens - Token budget of a single window
+   * @returns {Array} Units ({ text, separator, tokens })
+   */
+  splitUnits(text, maxTokens) {
+    const units = [];
+
+    text.split('\n').map(line => line.trim()).filter(line => line.length > 0).forEach(line => {
+      const parts = this.estimateTokens(line) <= maxTokens
+        ? [line]
+        : this.splitOversized(line, maxTokens);
+
+      parts.forEach((part, i) => {
+        units.push({ text: part, separator: i === 0 ? '\n' : ' ', tokens: this.estimateTokens(part) });
+      });
+    });
+
+    return units;
+  }
+
+  /**
+   * Split a line that exceeds the window budget into sentences, packing words
+   * into smaller pieces when a single sentence is still too long
+   * @param {string} line - Oversized line
+   * @param {number} maxTokens - Token budget of a single window
+   * @returns {Array<string>} Pieces of the line
+   */
+  splitOversized(line, maxTokens) {
+    const sentences = (line.match(/[^.?!]+[.?!]*/g) || [line]).map(sentence => sentence.trim()).filter(Boolean);
+    const pieces = [];
+
+    sentences.forEach(sentence => {
+      if (this.estimateTokens(sentence) <= maxTokens) {
+        pieces.push(sentence);
+        return;
+      }
+
+      // Per-word estimates round up, so their sum never undercounts the piece
+      let piece = [];
+      let pieceTokens = 0;
+      sentence.split(/\s+/).forEach(word => {
+        const wordTokens = this.estimateTokens(word);
+        if (piece.length > 0 && pieceTokens + wordTokens > maxTokens) {
+          pieces.push(piece.join(' '));
+          piece = [];
+          pieceTokens = 0;
+        }
+        piece.push(word);
+        pieceTokens += wordTokens;
+      });
+
+      if (piece.length > 0) {
+        pieces.push(piece.join(' '));
+      }
+    });
+
+    return pieces;
+  }
+
+  /**
+   * Join units back into text, keeping line breaks between speaker turns
+   * @param {Array} units - Units from splitUnits()
+   * @returns {string} Window text
+   */
+  joinUnits(units) {
+    return units.map((unit, i) => (i === 0 ? unit.text : `${unit.separator}${unit.text}`)).join('');
+  }
+}
+
+module.exports = new TranscriptWindowService();
@@ -0,0 +1,349 @@
+/**
+ * Trash Service
+ * Soft deletion of customers and sales calls, restore from the trash, and the scheduled purge
+ * that removes expired items together with their audio files
+ */
+
+const fs = require('fs-extra');
+const { prisma } = require('../database/connection');
+const customerPriorityService = require('./customerPriorityService');
+const auditService = require('./auditService');
+
+class TrashService {
+  constructor() {
+    // Days an item stays in the trash before it is purged for good
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+    this.purgeInterval = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Date an item moved to the trash at deletedAt will be purged
+   * @param {Date} deletedAt - When the item was trashed
+   * @returns {Date} Purge date
+   */
+  getPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Move a sales call to the trash; its audio file is kept until the purge
+   * @param {number} id - Sales call ID
+   * @returns {Promise<Object>} Trashed sales call
+   */
+  async trashSalesCall(id) {
+    const salesCall = await prisma.salesCall.update({
+      where: { id: parseInt(id) },
+      data: { deletedAt: new Date() }
+    });
+
+    console.log(`🗑️ Sales call ${salesCall.id} moved to the trash`);
+
+    // The customer's priority no longer counts the trashed call
+    await customerPriorityService.refreshCustomer(salesCall.customerId);
+
+    return salesCall;
+  }
+
+  /**
+   * Move a customer and their sales calls to the trash. The calls share the customer's
+   * deletedAt so restoring the customer brings back exactly these calls.
+   * @param {number} id - Customer ID
+   * @returns {Promise<Object>} Trashed customer and the number of calls trashed with it
+   */
+  async trashCustomer(id) {
+    const customerId = parseInt(id);
+    const deletedAt = new Date();
+
+    const [customer, salesCalls] = await prisma.$transaction([
+      prisma.customer.update({
+        where: { id: customerId },
+        data: { deletedAt }
+      }),
+      prisma.salesCall.updateMany({
+        where: { customerId, deletedAt: null },
+        data: { deletedAt }
+      })
+    ]);
+
+    console.log(`🗑️ Customer ${customerId} moved to the trash with ${salesCalls.count} sales calls`);
+
+    await customerPriorityService.refreshCustomer(customerId);
+
+    return {
+      customer,
+      trashedCalls: salesCalls.count
+    };
+  }
+
+  /**
+   * List the trash, most recently deleted first. Calls of a trashed customer are
+   * listed under the customer instead, since they are restored with it.
+   * @param {Object} options - List options
+   * @param {Object} options.scope - Trashed sales call scope of the requesting user
+   * @param {boolean} options.includeCustomers - Include trashed customers
+   * @returns {Promise<Object>} Trashed sales calls and customers
+   */
+  async listTrash({ scope = { deletedAt: { not: null } }, includeCustomers = false } = {}) {
+    try {
+      const [salesCalls, customers] = await Promise.all([
+        prisma.salesCall.findMany({
+          where: { ...scope, customer: { deletedAt: null } },
+          select: {
+            id: true,
+            audioFilePath: true,
+            overallScore: true,
+            createdAt: true,
+            deletedAt: true,
+            customer: { select: { id: true, name: true, phone: true } }
+          },
+          orderBy: { deletedAt: 'desc' }
+        }),
+        includeCustomers
+          ? prisma.customer.findMany({
+            where: { deletedAt: { not: null } },
+            include: { _count: { select: { salesCalls: true } } },
+            orderBy: { deletedAt: 'desc' }
+          })
+          : []
+      ]);
+
+      return {
+        retentionDays: this.retentionDays,
+        salesCalls: salesCalls.map(salesCall => ({
+          ...salesCall,
+          purgeAt: this.getPurgeDate(salesCall.deletedAt)
+        })),
+        customers: customers.map(({ _count, ...customer }) => ({
+          id: customer.id,
+          name: customer.name,
+          phone: customer.phone,
+          email: customer.email,
+          status: customer.status,
+          createdAt: customer.createdAt,
+          deletedAt: customer.deletedAt,
+          purgeAt: this.getPurgeDate(customer.deletedAt),
+          totalCalls: _count.salesCalls
+        }))
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to list the trash:', error);
+      throw new Error(`Trash listing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a sales call from the trash
+   * @param {number} id - Sales call ID
+   * @param {Object} scope - Trashed sales call scope of the requesting user
+   * @returns {Promise<Object>} Restore result
+   */
+  async restoreSalesCall(id, scope = { deletedAt: { not: null } }) {
+    try {
+      const salesCall = await prisma.salesCall.findFirst({
+        where: { id: parseInt(id), ...scope },
+        include: { customer: { select: { deletedAt: true } } }
+      });
+
+      if (!salesCall) {
+        return {
+          success: false,
+          error: 'Sales call not found in the trash'
+        };
+      }
+
+      if (salesCall.customer.deletedAt) {
+        return {
+          success: false,
+          error: 'The customer of this sales call is in the trash; restore the customer first'
+        };
+      }
+
+      const restored = await prisma.salesCall.update({
+        where: { id: salesCall.id },
+        data: { deletedAt: null }
+      });
+
+      console.log(`♻️ Sales call ${restored.id} restored from the trash`);
+
+      await customerPriorityService.refreshCustomer(restored.customerId);
+
+      return {
+        success: true,
+        salesCall: restored
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to restore sales call:', error);
+      throw new Error(`Sales call restore failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a customer from the trash with the calls that were trashed together with it
+   * @param {number} id - Customer ID
+   * @returns {Promise<Object>} Restore result
+   */
+  async restoreCustomer(id) {
+    try {
+      const customerId = parseInt(id);
+
+      const customer = await prisma.customer.findFirst({
+        where: { id: customerId, deletedAt: { not: null } }
+      });
+
+      if (!customer) {
+        return {
+          success: false,
+          error: 'Customer not found in the trash'
+        };
+      }
+
+      // The phone number may have been given to a new customer in the meantime
+      const phoneOwner = await prisma.customer.findFirst({
+        where: { phone: customer.phone, deletedAt: null },
+        select: { id: true }
+      });
+
+      if (phoneOwner) {
+        return {
+          success: false,
+          error: 'Phone number is already registered to another customer',
+          details: { existingCustomerId: phoneOwner.id }
+        };
+      }
+
+      const [restored, salesCalls] = await prisma.$transaction([
+        prisma.customer.update({
+          where: { id: customerId },
+          data: { deletedAt: null }
+        }),
+        prisma.salesCall.updateMany({
+          where: { customerId, deletedAt: customer.deletedAt },
+          data: { deletedAt: null }
+        })
+      ]);
+
+      console.log(`♻️ Customer ${customerId} restored from the trash with ${salesCalls.count} sales calls`);
+
+      await customerPriorityService.refreshCustomer(customerId);
+
+      return {
+        success: true,
+        customer: restored,
+        restoredCalls: salesCalls.count
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to restore customer:', error);
+      throw new Error(`Customer restore failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permanently delete items that have been in the trash longer than the retention period.
+   * Audio files are removed first; a call whose file cannot be removed stays in the trash
+   * (with its customer) and is retried on the next run.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Purge result
+   */
+  async purgeExpired(now = new Date()) {
+    try {
+      const cutoff = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+      const [expiredCustomers, expiredCalls] = await Promise.all([
+        prisma.customer.findMany({
+          where: { deletedAt: { lte: cutoff } },
+          select: { id: true }
+        }),
+        prisma.salesCall.findMany({
+          where: {
+            OR: [
+              { deletedAt: { lte: cutoff } },
+              { customer: { deletedAt: { lte: cutoff } } }
+            ]
+          },
+          select: { id: true, customerId: true, audioFilePath: true }
+        })
+      ]);
+
+      if (expiredCustomers.length === 0 && expiredCalls.length === 0) {
+        return { purgedCalls: 0, purgedCustomers: 0, failedFiles: 0 };
+      }
+
+      const purgedCallIds = [];
+      const blockedCustomerIds = new Set();
+
+      for (const salesCall of expiredCalls) {
+        try {
+          await fs.remove(salesCall.audioFilePath);
+          purgedCallIds.push(salesCall.id);
+        } catch (fileError) {
+          console.warn(`⚠️ Failed to remove ${salesCall.audioFilePath}, keeping sales call ${salesCall.id} in the trash:`, fileError.message);
+          blockedCustomerIds.add(salesCall.customerId);
+        }
+      }
+
+      const purgedCustomerIds = expiredCustomers
+        .map(customer => customer.id)
+        .filter(id => !blockedCustomerIds.has(id));
+
+      // Deleting a customer would cascade to calls whose files are still on disk
+      await prisma.$transaction([
+        prisma.salesCall.deleteMany({ where: { id: { in: purgedCallIds } } }),
+        prisma.customer.deleteMany({ where: { id: { in: purgedCustomerIds } } })
+      ]);
+
+      console.log(`🧹 Purged ${purgedCallIds.length} sales calls and ${purgedCustomerIds.length} customers from the trash`);
+
+      // The purge runs without a request or acting user
+      if (purgedCallIds.length > 0 || purgedCustomerIds.length > 0) {
+        await auditService.record({}, {
+          action: auditService.actions.TRASH_PURGE,
+          after: {
+            retentionDays: this.retentionDays,
+            salesCallIds: purgedCallIds,
+            customerIds: purgedCustomerIds
+          }
+        });
+      }
+
+      return {
+        purgedCalls: purgedCallIds.length,
+        purgedCustomers: purgedCustomerIds.length,
+        failedFiles: expiredCalls.length - purgedCallIds.length
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to purge the trash:', error);
+      throw new Error(`Trash purge failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Purge expired items now and then on every interval
+   */
+  start() {
+    if (this.purgeTimer) return;
+
+    const purge = () => this.purgeExpired().catch(() => {});
+
+    purge();
+    this.purgeTimer = setInterval(purge, this.purgeInterval);
+    this.purgeTimer.unref();
+
+    console.log(`🗑️ Trash purge scheduled (retention ${this.retentionDays} days)`);
+  }
+
+  /**
+   * Stop the scheduled purge
+   */
+  stop() {
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
+  }
+}
+
+module.exports = new TrashService();
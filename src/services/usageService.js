@@ -0,0 +1,278 @@
+/**
+ * Usage Service
+ * Records LLM token and audio usage per sales call, computes cost and enforces the monthly budget
+ */
+
+const { prisma } = require('../database/connection');
+const llmProviderService = require('./llmProviderService');
+
+class UsageService {
+  constructor() {
+    // USD prices: per 1K tokens for chat models, per audio minute for transcription models.
+    // LLM_PRICING adds or overrides entries, e.g. {"my-azure-deployment":{"prompt":0.01,"completion":0.03}}
+    this.pricing = {
+      'gpt-4': { prompt: 0.03, completion: 0.06 },
+      'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+      'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+      'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+      'whisper-1': { audioMinute: 0.006 },
+      ...this.parsePricing(process.env.LLM_PRICING)
+    };
+
+    // Providers without per-request charges
+    this.freeProviders = new Set(['mock', 'local']);
+
+    // Monthly spend (USD) above which enhanced analysis is blocked; 0 disables the budget
+    this.monthlyBudget = parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD) || 0;
+  }
+
+  /**
+   * Parse the LLM_PRICING override
+   * @param {string} value - JSON price table
+   * @returns {Object} Price entries by model
+   */
+  parsePricing(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn('⚠️ Ignoring invalid LLM_PRICING:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Find the price entry of a model. Dated snapshots such as "gpt-4-0613" or
+   * "gpt-4o-2024-08-06" take the price of the longest model name they start with.
+   * @param {string} model - Model name
+   * @returns {Object|null} Price entry, or null when the model has none
+   */
+  getPrice(model) {
+    if (!model) {
+      return null;
+    }
+
+    if (this.pricing[model]) {
+      return this.pricing[model];
+    }
+
+    const base = Object.keys(this.pricing)
+      .filter(name => model.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return base ? this.pricing[base] : null;
+  }
+
+  /**
+   * Calculate the cost of a provider request
+   * @param {Object} usage - Request usage
+   * @param {string} usage.provider - LLM provider
+   * @param {string} usage.model - Model name
+   * @param {number} usage.promptTokens - Prompt tokens
+   * @param {number} usage.completionTokens - Completion tokens
+   * @param {number} usage.audioMinutes - Transcribed audio minutes
+   * @returns {number} Cost in USD
+   */
+  calculateCost({ provider, model, promptTokens = 0, completionTokens = 0, audioMinutes = 0 }) {
+    if (this.freeProviders.has(provider)) {
+      return 0;
+    }
+
+    const price = this.getPrice(model);
+    if (!price) {
+      console.warn(`⚠️ No pricing configured for model "${model}", recording zero cost`);
+      return 0;
+    }
+
+    const cost = (promptTokens / 1000) * (price.prompt || 0)
+      + (completionTokens / 1000) * (price.completion || 0)
+      + audioMinutes * (price.audioMinute || 0);
+
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  /**
+   * Add a usage entry to the ledger; ledger errors never fail the analysis
+   * @param {Object} usage - Usage entry
+   * @param {number} usage.salesCallId - Sales call ID
+   * @param {string} usage.operation - Operation (transcription, contextAnalysis, sentimentAnalysis, conversationFlow)
+   * @param {string} usage.provider - LLM provider
+   * @param {string} usage.model - Model name
+   * @param {number} usage.promptTokens - Prompt tokens
+   * @param {number} usage.completionTokens - Completion tokens
+   * @param {number} usage.totalTokens - Total tokens
+   * @param {number} usage.audioMinutes - Transcribed audio minutes
+   * @returns {Promise<Object|null>} Recorded entry ({ id, operation, totalTokens, audioMinutes, cost }) or null
+   */
+  async record({ salesCallId = null, operation, provider, model, promptTokens = 0, completionTokens = 0, totalTokens = null, audioMinutes = 0 }) {
+    const cost = this.calculateCost({ provider, model, promptTokens, completionTokens, audioMinutes });
+
+    try {
+      const entry = await prisma.usageRecord.create({
+        data: {
+          salesCallId: salesCallId ? parseInt(salesCallId) : null,
+          operation,
+          provider,
+          model,
+          promptTokens,
+          completionTokens,
+          totalTokens: totalTokens ?? promptTokens + completionTokens,
+          audioMinutes: Math.round(audioMinutes * 100) / 100,
+          cost
+        }
+      });
+
+      return {
+        id: entry.id,
+        operation,
+        totalTokens: entry.totalTokens,
+        audioMinutes: parseFloat(entry.audioMinutes),
+        cost
+      };
+
+    } catch (error) {
+      console.warn(`⚠️ Failed to record ${operation} usage:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the audio minutes of a transcription
+   * @param {number} salesCallId - Sales call ID
+   * @param {Object} transcription - Transcription result ({ duration })
+   * @returns {Promise<Object|null>} Recorded entry or null
+   */
+  async recordTranscription(salesCallId, transcription) {
+    return this.record({
+      salesCallId,
+      operation: 'transcription',
+      provider: llmProviderService.transcriptionProviderName,
+      model: llmProviderService.transcriptionModel,
+      totalTokens: 0,
+      audioMinutes: (transcription?.duration || 0) / 60
+    });
+  }
+
+  /**
+   * Get the first moment of the month (UTC) containing a date
+   * @param {Date} date - Reference date
+   * @returns {Date} Start of the month
+   */
+  startOfMonth(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  /**
+   * Compare this month's spend against the monthly budget
+   * @returns {Promise<Object>} Budget status ({ monthlyBudget, spent, remaining, exceeded })
+   */
+  async getBudgetStatus() {
+    if (!this.monthlyBudget) {
+      return { monthlyBudget: null, spent: null, remaining: null, exceeded: false };
+    }
+
+    try {
+      const { _sum } = await prisma.usageRecord.aggregate({
+        where: { createdAt: { gte: this.startOfMonth() } },
+        _sum: { cost: true }
+      });
+
+      const spent = Math.round(parseFloat(_sum.cost || 0) * 100) / 100;
+
+      return {
+        monthlyBudget: this.monthlyBudget,
+        spent,
+        remaining: Math.max(0, Math.round((this.monthlyBudget - spent) * 100) / 100),
+        exceeded: spent >= this.monthlyBudget
+      };
+
+    } catch (error) {
+      // An unreadable ledger should not stop analysis
+      console.warn('⚠️ Failed to check the usage budget:', error.message);
+      return { monthlyBudget: this.monthlyBudget, spent: null, remaining: null, exceeded: false };
+    }
+  }
+
+  /**
+   * Summarize usage with daily and monthly rollups
+   * @param {Object} filters - Summary filters
+   * @param {Date} filters.from - Start of the period (defaults to the start of the month, two months ago)
+   * @param {Date} filters.to - End of the period (defaults to now)
+   * @param {number} filters.salesCallId - Limit to one sales call
+   * @returns {Promise<Object>} Usage summary ({ period, totals, daily, monthly, byOperation, budget })
+   */
+  async getSummary({ from = null, to = null, salesCallId = null } = {}) {
+    const now = new Date();
+    const periodStart = from || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 2, 1));
+    const periodEnd = to || now;
+    const filters = { periodStart, periodEnd, salesCallId: salesCallId ? parseInt(salesCallId) : null };
+
+    const [totals, daily, monthly, byOperation] = await Promise.all(
+      ['total', 'day', 'month', 'operation'].map(groupBy => this.rollup(groupBy, filters))
+    );
+
+    return {
+      period: { from: periodStart.toISOString(), to: periodEnd.toISOString() },
+      totals: totals[0] || this.emptyRollup('total'),
+      daily,
+      monthly,
+      byOperation,
+      budget: await this.getBudgetStatus()
+    };
+  }
+
+  /**
+   * Group ledger entries in the database and total their usage, so summaries do not load the ledger
+   * @param {string} groupBy - 'total', 'day' (UTC), 'month' (UTC) or 'operation'
+   * @param {Object} filters - Rollup filters
+   * @param {Date} filters.periodStart - Start of the period
+   * @param {Date} filters.periodEnd - End of the period
+   * @param {number|null} filters.salesCallId - Limit to one sales call
+   * @returns {Promise<Array>} Rollups ({ key, requests, salesCalls, totalTokens, audioMinutes, cost }) ordered by key
+   */
+  async rollup(groupBy, { periodStart, periodEnd, salesCallId }) {
+    const rows = await prisma.$queryRaw`
+      SELECT
+        CASE ${groupBy}
+          WHEN 'day' THEN to_char(created_at, 'YYYY-MM-DD')
+          WHEN 'month' THEN to_char(created_at, 'YYYY-MM')
+          WHEN 'operation' THEN operation
+          ELSE 'total'
+        END AS key,
+        COUNT(*) AS requests,
+        COUNT(DISTINCT sales_call_id) AS sales_calls,
+        COALESCE(SUM(total_tokens), 0) AS total_tokens,
+        COALESCE(SUM(audio_minutes), 0) AS audio_minutes,
+        COALESCE(SUM(cost), 0) AS cost
+      FROM usage_ledger
+      WHERE created_at >= ${periodStart}
+        AND created_at <= ${periodEnd}
+        AND (${salesCallId}::int IS NULL OR sales_call_id = ${salesCallId}::int)
+      GROUP BY 1
+      ORDER BY 1
+    `;
+
+    return rows.map(row => ({
+      key: row.key,
+      requests: Number(row.requests),
+      salesCalls: Number(row.sales_calls),
+      totalTokens: Number(row.total_tokens),
+      audioMinutes: Math.round(parseFloat(row.audio_minutes) * 100) / 100,
+      cost: Math.round(parseFloat(row.cost) * 10000) / 10000
+    }));
+  }
+
+  /**
+   * Rollup with no usage
+   * @param {string} key - Group key
+   * @returns {Object} Empty rollup
+   */
+  emptyRollup(key) {
+    return { key, requests: 0, salesCalls: 0, totalTokens: 0, audioMinutes: 0, cost: 0 };
+  }
+}
+
+module.exports = new UsageService();
@@ -1,13 +1,15 @@
-const OpenAI = require('openai');
 const fs = require('fs-extra');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
+const llmProviderService = require('./llmProviderService');
 
 class WhisperService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    this.transcriptionOptions = {
+      language: 'he', // Hebrew language
+      responseFormat: 'verbose_json',
+      timestampGranularities: ['word', 'segment']
+    };
     this.maxFileSize = 25 * 1024 * 1024; // 25MB Whisper limit
     this.chunkDuration = 15 * 60; // 15 minutes per chunk
   }
@@ -44,32 +46,21 @@ class WhisperService {
       }
       console.log(`✅ File size is within limits`);
 
-      // Create file stream
-      console.log(`📂 Creating file stream...`);
-      const audioFile = fs.createReadStream(filePath);
-
-      // Call Whisper API with Hebrew language specification
-      console.log(`🤖 Calling OpenAI Whisper API...`);
+      // Call the transcription provider with Hebrew language specification
+      console.log(`🤖 Calling ${llmProviderService.transcriptionProviderName} transcription API...`);
       console.log(`🔧 API parameters:`, {
-        model: "whisper-1",
-        language: "he",
-        response_format: "verbose_json",
-        timestamp_granularities: ["word"]
+        model: llmProviderService.transcriptionModel,
+        ...this.transcriptionOptions
       });
       
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: audioFile,
-        model: "whisper-1",
-        language: "he", // Hebrew language
-        response_format: "verbose_json",
-        timestamp_granularities: ["word"]
-      });
+      const transcription = await llmProviderService.transcribe(filePath, this.transcriptionOptions);
 
       console.log(`✅ Transcription completed successfully`);
       console.log(`📝 Text length: ${transcription.text.length} characters`);
       console.log(`⏱️ Duration: ${transcription.duration} seconds`);
       console.log(`🌐 Language: ${transcription.language}`);
       console.log(`📊 Segments count: ${transcription.segments?.length || 0}`);
+      console.log(`📊 Words count: ${transcription.words?.length || 0}`);
       console.log(`📝 Text preview: "${transcription.text.substring(0, 100)}..."`);
 
       return {
@@ -78,6 +69,7 @@ class WhisperService {
         language: transcription.language,
         duration: transcription.duration,
         segments: transcription.segments || [],
+        words: transcription.words || [],
         timestamp: new Date().toISOString()
       };
 
@@ -226,15 +218,7 @@ class WhisperService {
    * @returns {Promise<Object>} - Transcription result
    */
   async transcribeChunk(chunkPath, timeOffset) {
-    const audioFile = fs.createReadStream(chunkPath);
-    
-    const transcription = await this.openai.audio.transcriptions.create({
-      file: audioFile,
-      model: "whisper-1",
-      language: "he",
-      response_format: "verbose_json",
-      timestamp_granularities: ["word"]
-    });
+    const transcription = await llmProviderService.transcribe(chunkPath, this.transcriptionOptions);
 
     // Adjust timestamps to account for chunk offset
     if (transcription.segments) {
@@ -245,6 +229,14 @@ class WhisperService {
       }));
     }
 
+    if (transcription.words) {
+      transcription.words = transcription.words.map(word => ({
+        ...word,
+        start: word.start + timeOffset,
+        end: word.end + timeOffset
+      }));
+    }
+
     return transcription;
   }
 
@@ -257,6 +249,7 @@ class WhisperService {
   combineTranscriptions(transcriptions, totalDuration) {
     const combinedText = transcriptions.map(t => t.text).join(' ');
     const combinedSegments = transcriptions.flatMap(t => t.segments || []);
+    const combinedWords = transcriptions.flatMap(t => t.words || []);
     
     return {
       success: true,
@@ -264,6 +257,7 @@ class WhisperService {
       language: 'he',
       duration: totalDuration,
       segments: combinedSegments,
+      words: combinedWords,
       timestamp: new Date().toISOString(),
       chunked: true,
       numChunks: transcriptions.length
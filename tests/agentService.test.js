@@ -0,0 +1,164 @@
+/**
+ * Tests for Agent Service
+ * Tests per-agent metrics, the leaderboard and upload attribution
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    agent: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn()
+    },
+    user: {
+      findUnique: jest.fn()
+    },
+    salesCall: {
+      findMany: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+
+const call = (overrides = {}) => ({
+  id: 1,
+  agentId: 1,
+  overallScore: 70,
+  urgencyScore: 60,
+  budgetScore: 70,
+  interestScore: 80,
+  engagementScore: 70,
+  categoryScores: null,
+  objectionAnalysis: null,
+  flowQuality: null,
+  diarization: null,
+  customer: { id: 1, status: 'lead' },
+  ...overrides
+});
+
+const talk = (agent, customer) => ({ stats: { agent: { percentage: agent }, customer: { percentage: customer } } });
+
+describe('AgentService', () => {
+  let agentService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    agentService = new (require('../src/services/agentService').constructor)();
+    agentService.highScoreThreshold = 80;
+  });
+
+  describe('calculateMetrics', () => {
+    test('should average overall and category scores over scored calls', () => {
+      const metrics = agentService.calculateMetrics([
+        call({ overallScore: 60, urgencyScore: 40 }),
+        call({ id: 2, overallScore: 90, urgencyScore: 90 }),
+        call({ id: 3, overallScore: null, urgencyScore: null })
+      ]);
+
+      expect(metrics.totalCalls).toBe(3);
+      expect(metrics.scoredCalls).toBe(2);
+      expect(metrics.averageScores.overall).toBe(75);
+      expect(metrics.averageScores.urgency).toBe(65);
+    });
+
+    test('should rate objection handling only on calls with objections and a verdict', () => {
+      const objections = { objections: [{ type: 'price', phrase: 'יקר מדי' }] };
+
+      const metrics = agentService.calculateMetrics([
+        call({ objectionAnalysis: objections, flowQuality: { objections_handled: true } }),
+        call({ id: 2, objectionAnalysis: objections, flowQuality: { objections_handled: false } }),
+        call({ id: 3, objectionAnalysis: objections, flowQuality: { objections_handled: true } }),
+        call({ id: 4, objectionAnalysis: { objections: [] }, flowQuality: { objections_handled: true } }),
+        call({ id: 5, objectionAnalysis: objections })
+      ]);
+
+      expect(metrics.objectionHandling).toEqual({ callsWithObjections: 3, handled: 2, rate: 67 });
+    });
+
+    test('should average the talk ratio over diarized calls', () => {
+      const metrics = agentService.calculateMetrics([
+        call({ diarization: talk(70, 30) }),
+        call({ id: 2, diarization: talk(50, 50) }),
+        call({ id: 3, diarization: talk(0, 0) })
+      ]);
+
+      expect(metrics.talkRatio).toEqual({ agent: 60, customer: 40, callsMeasured: 2 });
+    });
+
+    test('should count each high-score lead once when measuring conversion', () => {
+      const metrics = agentService.calculateMetrics([
+        call({ overallScore: 85, customer: { id: 1, status: 'converted' } }),
+        call({ id: 2, overallScore: 92, customer: { id: 1, status: 'converted' } }),
+        call({ id: 3, overallScore: 81, customer: { id: 2, status: 'lead' } }),
+        call({ id: 4, overallScore: 40, customer: { id: 3, status: 'converted' } })
+      ]);
+
+      expect(metrics.highScoreLeads).toEqual({ threshold: 80, total: 2, converted: 1, conversionRate: 50 });
+    });
+
+    test('should report no rates without data', () => {
+      const metrics = agentService.calculateMetrics([]);
+
+      expect(metrics.averageScores.overall).toBeNull();
+      expect(metrics.objectionHandling.rate).toBeNull();
+      expect(metrics.talkRatio.agent).toBeNull();
+      expect(metrics.highScoreLeads.conversionRate).toBeNull();
+    });
+  });
+
+  describe('getLeaderboard', () => {
+    test('should rank agents by the chosen metric within the scope', async () => {
+      const dana = { id: 1, name: 'Dana', team: 'north' };
+      const yossi = { id: 2, name: 'Yossi', team: 'north' };
+      prisma.salesCall.findMany.mockResolvedValue([
+        call({ agentId: 1, agent: dana, overallScore: 60 }),
+        call({ id: 2, agentId: 2, agent: yossi, overallScore: 90 }),
+        call({ id: 3, agentId: 1, agent: dana, overallScore: 70 })
+      ]);
+
+      const leaderboard = await agentService.getLeaderboard({ period: 7, scope: { uploadedBy: { team: 'north' } } });
+
+      expect(prisma.salesCall.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          uploadedBy: { team: 'north' },
+          agentId: { not: null },
+          createdAt: { gte: expect.any(Date) }
+        })
+      }));
+      expect(leaderboard.agents.map(entry => [entry.rank, entry.agent.name])).toEqual([[1, 'Yossi'], [2, 'Dana']]);
+      expect(leaderboard.agents[1].metrics.averageScores.overall).toBe(65);
+
+      const byCalls = await agentService.getLeaderboard({ sortBy: 'calls' });
+      expect(byCalls.agents[0].agent.name).toBe('Dana');
+    });
+  });
+
+  describe('resolveUploadAgent', () => {
+    test('should default to the uploader\'s own agent', async () => {
+      prisma.agent.findUnique.mockResolvedValue({ id: 9, userId: 3, isActive: true });
+
+      const result = await agentService.resolveUploadAgent(undefined, { id: 3, role: 'manager' });
+
+      expect(prisma.agent.findUnique).toHaveBeenCalledWith({ where: { userId: 3 } });
+      expect(result).toEqual({ success: true, agentId: 9 });
+    });
+
+    test('should let agents upload only as themselves', async () => {
+      prisma.agent.findUnique.mockResolvedValue({ id: 9, userId: 3, isActive: true });
+
+      const result = await agentService.resolveUploadAgent('4', { id: 3, role: 'agent' });
+
+      expect(result).toEqual({ success: true, agentId: 9 });
+    });
+
+    test('should reject unknown or inactive agents', async () => {
+      prisma.agent.findUnique.mockResolvedValue({ id: 4, isActive: false });
+
+      const result = await agentService.resolveUploadAgent('4', { id: 1, role: 'admin' });
+
+      expect(result).toEqual({ success: false, error: 'Agent not found' });
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 const request = require('supertest');
 const app = require('../src/server');
+const { createAuthHeader } = require('./helpers/auth');
 const { prisma } = require('../src/database/connection');
 
 // Mock services
@@ -15,6 +16,12 @@ const whisperService = require('../src/services/whisperService');
 const scoringService = require('../src/services/scoringService');
 
 describe('Analysis Routes - /api/analyze', () => {
+  let auth;
+
+  beforeAll(async () => {
+    auth = await createAuthHeader();
+  });
+
   beforeEach(() => {
     jest.clearAllMocks();
     
@@ -82,6 +89,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({ salesCallId: salesCall.id })
         .expect(200);
 
@@ -109,7 +117,8 @@ describe('Analysis Routes - /api/analyze', () => {
       expect(scoringService.analyzeTranscript).toHaveBeenCalledWith(
         'שלום, אני מעוניין בנכס בתל אביב. התקציב שלי הוא 800 אלף שקל.',
         180,
-        12
+        12,
+        { configuration: expect.objectContaining({ weights: expect.any(Object), phrases: expect.any(Object) }) }
       );
 
       // Verify database was updated
@@ -124,6 +133,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should return 400 for missing salesCallId', async () => {
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({})
         .expect(400);
 
@@ -141,6 +151,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should return 400 for invalid salesCallId format', async () => {
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({ salesCallId: 'invalid' })
         .expect(400);
 
@@ -151,6 +162,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should return 404 for non-existent sales call', async () => {
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({ salesCallId: 999999 })
         .expect(404);
 
@@ -177,6 +189,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({ salesCallId: salesCall.id })
         .expect(400);
 
@@ -208,6 +221,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({ salesCallId: salesCall.id })
         .expect(500);
 
@@ -233,6 +247,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({ salesCallId: salesCall.id })
         .expect(500);
 
@@ -266,6 +281,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .get(`/api/analyze/${salesCall.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -297,6 +313,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .get(`/api/analyze/${salesCall.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.analysisStatus).toBe('pending');
@@ -308,6 +325,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should return 404 for non-existent analysis', async () => {
       const response = await request(app)
         .get('/api/analyze/999999')
+        .set(auth)
         .expect(404);
 
       expect(response.body).toHaveProperty('error', true);
@@ -315,6 +333,67 @@ describe('Analysis Routes - /api/analyze', () => {
     });
   });
 
+  describe('GET /api/analyze/:id/segments - Get Transcript Segments', () => {
+    test('should return segments in playback order', async () => {
+      const customer = await prisma.customer.create({
+        data: {
+          name: 'תמלול מסונכרן',
+          phone: '050-1212121'
+        }
+      });
+
+      const salesCall = await prisma.salesCall.create({
+        data: {
+          customerId: customer.id,
+          audioFilePath: '/uploads/segments.mp3',
+          transcript: 'שלום. אני מתעניין בדירה.'
+        }
+      });
+
+      await prisma.transcriptSegment.createMany({
+        data: [
+          { salesCallId: salesCall.id, segmentIndex: 1, start: 2.5, end: 5, text: 'אני מתעניין בדירה.', speaker: 'customer', confidence: 0.91 },
+          { salesCallId: salesCall.id, segmentIndex: 0, start: 0, end: 2.5, text: 'שלום.', speaker: 'agent', confidence: 0.88 }
+        ]
+      });
+
+      const response = await request(app)
+        .get(`/api/analyze/${salesCall.id}/segments`)
+        .set(auth)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data.salesCallId).toBe(salesCall.id);
+      expect(response.body.data.segments).toHaveLength(2);
+      expect(response.body.data.segments[0]).toMatchObject({
+        segmentIndex: 0,
+        start: 0,
+        end: 2.5,
+        text: 'שלום.',
+        speaker: 'agent',
+        confidence: 0.88
+      });
+    });
+
+    test('should return 404 for non-existent sales call', async () => {
+      const response = await request(app)
+        .get('/api/analyze/99999/segments')
+        .set(auth)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', true);
+    });
+
+    test('should return 400 for invalid sales call ID', async () => {
+      const response = await request(app)
+        .get('/api/analyze/abc/segments')
+        .set(auth)
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', true);
+    });
+  });
+
   describe('GET /api/analyze - List Analyses', () => {
     beforeEach(async () => {
       // Create test data for listing
@@ -359,6 +438,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should list all analyses with pagination', async () => {
       const response = await request(app)
         .get('/api/analyze')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -376,6 +456,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should filter by transcription status', async () => {
       const response = await request(app)
         .get('/api/analyze?status=transcribed')
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.analyses).toHaveLength(2);
@@ -387,6 +468,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should filter by pending status', async () => {
       const response = await request(app)
         .get('/api/analyze?status=pending')
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.analyses).toHaveLength(1);
@@ -396,6 +478,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should filter by scored status', async () => {
       const response = await request(app)
         .get('/api/analyze?status=scored')
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.analyses).toHaveLength(1);
@@ -407,6 +490,7 @@ describe('Analysis Routes - /api/analyze', () => {
       
       const response = await request(app)
         .get(`/api/analyze?customerId=${customer.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.analyses).toHaveLength(2);
@@ -418,6 +502,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should support pagination', async () => {
       const response = await request(app)
         .get('/api/analyze?page=1&limit=2')
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.analyses).toHaveLength(2);
@@ -446,6 +531,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post(`/api/analyze/${salesCall.id}/score`)
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -465,6 +551,7 @@ describe('Analysis Routes - /api/analyze', () => {
     test('should return 404 for non-existent sales call', async () => {
       const response = await request(app)
         .post('/api/analyze/999999/score')
+        .set(auth)
         .expect(404);
 
       expect(response.body).toHaveProperty('error', true);
@@ -488,6 +575,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post(`/api/analyze/${salesCall.id}/score`)
+        .set(auth)
         .expect(400);
 
       expect(response.body).toHaveProperty('error', true);
@@ -513,6 +601,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post(`/api/analyze/${salesCall.id}/score`)
+        .set(auth)
         .expect(400);
 
       expect(response.body).toHaveProperty('error', true);
@@ -542,6 +631,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({ salesCallId: salesCall.id })
         .expect(500);
 
@@ -568,6 +658,7 @@ describe('Analysis Routes - /api/analyze', () => {
 
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({ salesCallId: salesCall.id })
         .expect(500);
 
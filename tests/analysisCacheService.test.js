@@ -0,0 +1,154 @@
+/**
+ * Tests for Analysis Cache Service
+ * Tests cache keys, hits and misses, and cached GPT-4 analysis
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    analysisCache: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      upsert: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+const llmProviderService = require('../src/services/llmProviderService');
+const gpt4AnalysisService = require('../src/services/gpt4AnalysisService');
+const promptRegistryService = require('../src/services/promptRegistryService');
+
+const cacheKey = {
+  transcript: 'אני מעוניין בדירה',
+  task: 'contextAnalysis',
+  promptVersion: 'abc123',
+  provider: 'mock',
+  model: 'gpt-4'
+};
+
+describe('AnalysisCacheService', () => {
+  let analysisCacheService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analysisCacheService = new (require('../src/services/analysisCacheService').constructor)();
+  });
+
+  describe('buildKey', () => {
+    test('should key by transcript hash instead of the transcript itself', () => {
+      const key = analysisCacheService.buildKey(cacheKey);
+
+      expect(key.transcriptHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(key).toEqual(expect.objectContaining({ task: 'contextAnalysis', promptVersion: 'abc123', provider: 'mock', model: 'gpt-4' }));
+      expect(key).not.toHaveProperty('transcript');
+    });
+
+    test('should give different hashes for different transcripts', () => {
+      const first = analysisCacheService.buildKey(cacheKey);
+      const second = analysisCacheService.buildKey({ ...cacheKey, transcript: 'זה יקר מדי' });
+
+      expect(second.transcriptHash).not.toBe(first.transcriptHash);
+    });
+  });
+
+  describe('get', () => {
+    test('should return the cached result and count the hit', async () => {
+      const createdAt = new Date('2026-01-01T00:00:00Z');
+      prisma.analysisCache.findUnique.mockResolvedValue({ result: { ok: true }, tokensUsed: 900, createdAt });
+
+      const cached = await analysisCacheService.get(cacheKey);
+
+      expect(cached).toEqual({ result: { ok: true }, tokensUsed: 900, createdAt });
+      expect(prisma.analysisCache.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ hitCount: { increment: 1 } })
+      }));
+    });
+
+    test('should treat lookup errors as a miss', async () => {
+      prisma.analysisCache.findUnique.mockRejectedValue(new Error('Database connection failed'));
+
+      await expect(analysisCacheService.get(cacheKey)).resolves.toBeNull();
+    });
+
+    test('should not read the cache when disabled', async () => {
+      analysisCacheService.enabled = false;
+
+      await expect(analysisCacheService.get(cacheKey)).resolves.toBeNull();
+      expect(prisma.analysisCache.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('set', () => {
+    test('should not throw when the cache write fails', async () => {
+      prisma.analysisCache.upsert.mockRejectedValue(new Error('Database connection failed'));
+
+      await expect(analysisCacheService.set(cacheKey, { ok: true }, 900)).resolves.toBe(false);
+    });
+  });
+
+  describe('GPT-4 analysis caching', () => {
+    beforeEach(() => {
+      prisma.analysisCache.upsert.mockResolvedValue({});
+      jest.spyOn(llmProviderService, 'complete');
+    });
+
+    afterEach(() => {
+      llmProviderService.complete.mockRestore();
+    });
+
+    test('should call the provider on a miss and store the result', async () => {
+      prisma.analysisCache.findUnique.mockResolvedValue(null);
+
+      const result = await gpt4AnalysisService.analyzeSentiment('אני מעוניין בדירה');
+
+      expect(llmProviderService.complete).toHaveBeenCalledTimes(1);
+      expect(result.metadata.cached).toBe(false);
+      expect(prisma.analysisCache.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: expect.objectContaining({
+          task: 'sentimentAnalysis',
+          promptVersion: promptRegistryService.getDefaultPrompt('sentimentAnalysis').hash,
+          provider: 'mock',
+          model: 'gpt-4'
+        })
+      }));
+    });
+
+    test('should reuse a cached result without calling the provider', async () => {
+      prisma.analysisCache.findUnique.mockResolvedValue({
+        result: { overall_sentiment: 'negative' },
+        tokensUsed: 700,
+        createdAt: new Date()
+      });
+
+      const result = await gpt4AnalysisService.analyzeSentiment('אני מעוניין בדירה');
+
+      expect(llmProviderService.complete).not.toHaveBeenCalled();
+      expect(result.sentiment.overall_sentiment).toBe('negative');
+      expect(result.metadata).toEqual(expect.objectContaining({ cached: true, tokens_used: 0 }));
+    });
+
+    test('should skip the lookup when bypassing the cache', async () => {
+      const result = await gpt4AnalysisService.analyzeSentiment('אני מעוניין בדירה', { bypassCache: true });
+
+      expect(prisma.analysisCache.findUnique).not.toHaveBeenCalled();
+      expect(llmProviderService.complete).toHaveBeenCalledTimes(1);
+      expect(result.metadata.cached).toBe(false);
+      expect(prisma.analysisCache.upsert).toHaveBeenCalled();
+    });
+
+    test('should count cache hits across the comprehensive analysis', async () => {
+      prisma.analysisCache.findUnique.mockResolvedValue({
+        result: { confidence: 0.8 },
+        tokensUsed: 700,
+        createdAt: new Date()
+      });
+
+      const result = await gpt4AnalysisService.performComprehensiveAnalysis('אני מעוניין בדירה');
+
+      expect(llmProviderService.complete).not.toHaveBeenCalled();
+      expect(result.metadata.cache_hits).toBe(3);
+    });
+  });
+});
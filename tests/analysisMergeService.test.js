@@ -0,0 +1,151 @@
+/**
+ * Tests for Analysis Merge Service
+ * Tests reconciling per-window GPT-4 results into a single analysis
+ */
+
+const analysisMergeService = require('../src/services/analysisMergeService');
+
+describe('AnalysisMergeService', () => {
+  describe('merge', () => {
+    test('should return a single result unchanged', () => {
+      const result = { sentiment: { overall: 'positive' } };
+
+      expect(analysisMergeService.merge('contextAnalysis', [result], [100])).toBe(result);
+    });
+
+    test('should reject an unknown task', () => {
+      expect(() => analysisMergeService.merge('unknownTask', [{}, {}])).toThrow('No merge step');
+    });
+  });
+
+  describe('mergeContextAnalyses', () => {
+    const windows = [
+      {
+        sentiment: { overall: 'neutral', confidence: 0.6, changes: [{ phase: 'introduction', sentiment: 'neutral' }] },
+        conversation_phases: [
+          { phase: 'introduction', start_time: 0, end_time: 60, confidence: 0.9, key_points: ['greeting'] },
+          { phase: 'needs_assessment', start_time: 60, end_time: 600, confidence: 0.7, key_points: ['budget'] }
+        ],
+        speaker_analysis: { customer_engagement_level: 'low', key_customer_phrases: ['מה המחיר'] },
+        objections: [{ type: 'price', strength: 'medium', phrase: 'זה יקר מדי', confidence: 0.7 }],
+        buying_signals: [],
+        context_insights: {
+          urgency_level: 'low',
+          budget_clarity: 'medium',
+          interest_level: 'medium',
+          engagement_level: 'low',
+          deal_probability: 0.4,
+          recommended_next_steps: ['send_details']
+        }
+      },
+      {
+        sentiment: { overall: 'positive', confidence: 0.9, changes: [{ phase: 'closing', sentiment: 'positive' }] },
+        conversation_phases: [
+          { phase: 'needs_assessment', start_time: 550, end_time: 900, confidence: 0.8, key_points: ['timeline'] },
+          { phase: 'closing', start_time: 900, end_time: 1200, confidence: 0.85, key_points: ['schedule'] }
+        ],
+        speaker_analysis: { customer_engagement_level: 'high', key_customer_phrases: ['מה המחיר', 'מתי אפשר לראות'] },
+        objections: [{ type: 'price', strength: 'high', phrase: 'זה יקר מדי!', confidence: 0.9 }],
+        buying_signals: [{ type: 'urgency', strength: 'high', phrase: 'אני צריך לעבור עד החודש הבא', confidence: 0.95 }],
+        context_insights: {
+          urgency_level: 'high',
+          budget_clarity: 'medium',
+          interest_level: 'high',
+          engagement_level: 'high',
+          deal_probability: 0.8,
+          recommended_next_steps: ['schedule_viewing', 'send_details']
+        }
+      }
+    ];
+
+    let merged;
+
+    beforeEach(() => {
+      merged = analysisMergeService.merge('contextAnalysis', windows, [100, 300]);
+    });
+
+    test('should merge a phase that continues across windows', () => {
+      expect(merged.conversation_phases.map(phase => phase.phase)).toEqual(['introduction', 'needs_assessment', 'closing']);
+      expect(merged.conversation_phases[1]).toEqual(expect.objectContaining({
+        start_time: 60,
+        end_time: 900,
+        confidence: 0.8,
+        key_points: ['budget', 'timeline']
+      }));
+    });
+
+    test('should keep one objection per type and phrase with the strongest reading', () => {
+      expect(merged.objections).toEqual([
+        expect.objectContaining({ type: 'price', strength: 'high', confidence: 0.9 })
+      ]);
+    });
+
+    test('should raise a context level when any window shows the signal', () => {
+      expect(merged.context_insights.urgency_level).toBe('high');
+      expect(merged.context_insights.interest_level).toBe('high');
+      expect(merged.buying_signals).toHaveLength(1);
+    });
+
+    test('should weight averages and votes by window size', () => {
+      expect(merged.sentiment.overall).toBe('positive');
+      expect(merged.sentiment.confidence).toBeCloseTo(0.83, 2);
+      expect(merged.context_insights.deal_probability).toBeCloseTo(0.7, 2);
+      expect(merged.context_insights.engagement_level).toBe('high');
+    });
+
+    test('should list next steps from the end of the call first', () => {
+      expect(merged.context_insights.recommended_next_steps).toEqual(['schedule_viewing', 'send_details']);
+      expect(merged.speaker_analysis.key_customer_phrases).toEqual(['מה המחיר', 'מתי אפשר לראות']);
+    });
+  });
+
+  describe('mergeSentimentAnalyses', () => {
+    test('should combine indicators and vote on the overall sentiment', () => {
+      const merged = analysisMergeService.merge('sentimentAnalysis', [
+        { overall_sentiment: 'negative', confidence: 0.5, sentiment_breakdown: { negative_indicators: ['doubt'] }, cultural_context: { direct_communication: true } },
+        { overall_sentiment: 'positive', confidence: 0.9, sentiment_breakdown: { positive_indicators: ['interest'] }, cultural_context: { direct_communication: true } }
+      ], [100, 200]);
+
+      expect(merged.overall_sentiment).toBe('positive');
+      expect(merged.sentiment_breakdown).toEqual({
+        positive_indicators: ['interest'],
+        negative_indicators: ['doubt'],
+        neutral_indicators: []
+      });
+      expect(merged.cultural_context.direct_communication).toBe(true);
+    });
+  });
+
+  describe('mergeConversationFlows', () => {
+    test('should join phases and judge flow quality by the weakest window', () => {
+      const merged = analysisMergeService.merge('conversationFlow', [
+        {
+          phases: [{ name: 'presentation', start_time: 0, end_time: 300, key_activities: ['features'], effectiveness: 'medium' }],
+          key_moments: [{ timestamp: 120, type: 'objection', description: 'Price concern' }],
+          flow_quality: { smoothness: 'high', engagement_maintained: true, objections_handled: false, closing_attempts: 0 }
+        },
+        {
+          phases: [{ name: 'presentation', start_time: 280, end_time: 500, key_activities: ['pricing'], effectiveness: 'high' }],
+          key_moments: [{ timestamp: 125, type: 'objection', description: 'Price concern' }],
+          flow_quality: { smoothness: 'low', engagement_maintained: true, objections_handled: true, closing_attempts: 2 }
+        }
+      ], [100, 100]);
+
+      expect(merged.phases).toEqual([expect.objectContaining({
+        name: 'presentation',
+        start_time: 0,
+        end_time: 500,
+        duration_seconds: 500,
+        key_activities: ['features', 'pricing'],
+        effectiveness: 'high'
+      })]);
+      expect(merged.key_moments).toHaveLength(1);
+      expect(merged.flow_quality).toEqual({
+        smoothness: 'low',
+        engagement_maintained: true,
+        objections_handled: false,
+        closing_attempts: 2
+      });
+    });
+  });
+});
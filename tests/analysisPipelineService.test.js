@@ -0,0 +1,61 @@
+/**
+ * Tests for Analysis Pipeline Service
+ * Tests that calls moved to the trash are not transcribed or scored
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    salesCall: {
+      findUnique: jest.fn(),
+      update: jest.fn()
+    }
+  }
+}));
+
+jest.mock('fs-extra', () => ({
+  stat: jest.fn()
+}));
+
+const fs = require('fs-extra');
+const { prisma } = require('../src/database/connection');
+const whisperService = require('../src/services/whisperService');
+const diarizationService = require('../src/services/diarizationService');
+const usageService = require('../src/services/usageService');
+const analysisPipelineService = require('../src/services/analysisPipelineService');
+
+describe('AnalysisPipelineService', () => {
+  const salesCall = { id: 7, audioFilePath: 'uploads/call.mp3', deletedAt: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(whisperService, 'validateAudioFile').mockResolvedValue(true);
+    jest.spyOn(whisperService, 'transcribeAudio').mockResolvedValue({ text: 'שלום', duration: 30, segments: [] });
+    jest.spyOn(usageService, 'recordTranscription').mockResolvedValue(null);
+    jest.spyOn(diarizationService, 'diarize').mockResolvedValue({ backend: 'local', turns: [] });
+    fs.stat.mockResolvedValue({ size: 1024 });
+  });
+
+  test('should fail a trashed call without transcribing it or retrying', async () => {
+    prisma.salesCall.findUnique.mockResolvedValue({ ...salesCall, deletedAt: new Date() });
+
+    const error = await analysisPipelineService.processSalesCall(7).catch(caught => caught);
+
+    expect(error.message).toBe('Sales call 7 is in the trash');
+    expect(error.retryable).toBe(false);
+    expect(whisperService.transcribeAudio).not.toHaveBeenCalled();
+  });
+
+  test('should not score a call trashed while it was transcribed', async () => {
+    prisma.salesCall.findUnique
+      .mockResolvedValueOnce(salesCall)
+      .mockResolvedValueOnce({ deletedAt: new Date() });
+    const onStatusChange = jest.fn();
+
+    const error = await analysisPipelineService.processSalesCall(7, { onStatusChange }).catch(caught => caught);
+
+    expect(error.retryable).toBe(false);
+    expect(onStatusChange).toHaveBeenCalledTimes(1);
+    expect(onStatusChange).toHaveBeenCalledWith('transcribing');
+    expect(prisma.salesCall.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for Analysis Run Service
+ * Tests recording scoring runs, legacy snapshots, listing and restoring runs
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    $transaction: jest.fn(),
+    salesCall: {
+      findUnique: jest.fn(),
+      update: jest.fn()
+    },
+    analysisRun: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      findFirst: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+const customerPriorityService = require('../src/services/customerPriorityService');
+
+describe('AnalysisRunService', () => {
+  let service;
+
+  const scoringResults = {
+    scores: { urgency: 70, budget: 60, interest: 80, engagement: 50, overall: 66 },
+    analysis: { notes: 'new notes', evidence: [{ category: 'urgency', phrase: 'דחוף' }] },
+    metadata: { gpt4Confidence: 0.8, promptVersions: { sentiment: 2 } }
+  };
+
+  const run = (id, overrides = {}) => ({
+    id,
+    salesCallId: 1,
+    urgencyScore: 30,
+    budgetScore: 30,
+    interestScore: 50,
+    engagementScore: 50,
+    overallScore: 40,
+    analysisNotes: 'old notes',
+    enhancedNotes: 'old notes',
+    scoreEvidence: [],
+    analysisVersion: 'traditional-v1.0',
+    gpt4AnalysisUsed: false,
+    analysisConfidence: null,
+    scoringConfigurationId: null,
+    promptVersions: null,
+    source: 'upload',
+    jobId: null,
+    createdAt: new Date('2024-01-01'),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new (require('../src/services/analysisRunService').constructor)();
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.analysisRun.create.mockImplementation(({ data }) => Promise.resolve({ id: 100, ...data }));
+    prisma.salesCall.update.mockImplementation(({ data }) => Promise.resolve({ id: 1, customerId: 5, ...data }));
+    jest.spyOn(customerPriorityService, 'refreshCustomer').mockResolvedValue({ success: true });
+  });
+
+  test('should build a run from scoring results', () => {
+    expect(service.fromScoringResults(scoringResults, {
+      configurationId: 3,
+      analysisVersion: 'enhanced-v2.0',
+      gpt4AnalysisUsed: true,
+      source: 'analyze'
+    })).toEqual({
+      urgencyScore: 70,
+      budgetScore: 60,
+      interestScore: 80,
+      engagementScore: 50,
+      overallScore: 66,
+      categoryScores: {
+        urgency: { label: 'urgency', weight: null, score: 70 },
+        budget: { label: 'budget', weight: null, score: 60 },
+        interest: { label: 'interest', weight: null, score: 80 },
+        engagement: { label: 'engagement', weight: null, score: 50 }
+      },
+      analysisNotes: 'new notes',
+      enhancedNotes: 'new notes',
+      scoreEvidence: scoringResults.analysis.evidence,
+      analysisVersion: 'enhanced-v2.0',
+      gpt4AnalysisUsed: true,
+      analysisConfidence: 0.8,
+      scoringConfigurationId: 3,
+      promptVersions: { sentiment: 2 },
+      source: 'analyze',
+      jobId: null
+    });
+  });
+
+  describe('recordRun', () => {
+    test('should save the run and point the sales call at it', async () => {
+      prisma.salesCall.findUnique.mockResolvedValue({ ...run(1), currentRunId: 7 });
+
+      const salesCall = await service.recordRun(
+        '1',
+        service.fromScoringResults(scoringResults, { configurationId: 3, source: 'score' }),
+        { transcript: 'שלום' }
+      );
+
+      expect(prisma.analysisRun.create).toHaveBeenCalledTimes(1);
+      expect(prisma.analysisRun.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ salesCallId: 1, overallScore: 66, source: 'score' })
+      });
+      expect(salesCall).toEqual(expect.objectContaining({
+        overallScore: 66,
+        scoringConfigurationId: 3,
+        transcript: 'שלום',
+        currentRunId: 100
+      }));
+    });
+
+    test('should keep scores from before runs were recorded as a legacy run', async () => {
+      prisma.salesCall.findUnique.mockResolvedValue({ ...run(1), currentRunId: null });
+
+      await service.recordRun(1, service.fromScoringResults(scoringResults, { source: 'retry' }));
+
+      expect(prisma.analysisRun.create).toHaveBeenCalledTimes(2);
+      expect(prisma.analysisRun.create.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        salesCallId: 1,
+        overallScore: 40,
+        analysisNotes: 'old notes',
+        source: 'legacy',
+        createdAt: new Date('2024-01-01')
+      }));
+    });
+  });
+
+  test('should list runs newest first and mark the current one', async () => {
+    prisma.salesCall.findUnique.mockResolvedValue({ id: 1, currentRunId: 2 });
+    prisma.analysisRun.findMany.mockResolvedValue([run(3, { analysisConfidence: '0.75' }), run(2)]);
+
+    const result = await service.listRuns(1);
+
+    expect(prisma.analysisRun.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { salesCallId: 1 } }));
+    expect(result.currentRunId).toBe(2);
+    expect(result.runs.map(entry => [entry.id, entry.isCurrent])).toEqual([[3, false], [2, true]]);
+    expect(result.runs[0].analysisConfidence).toBe(0.75);
+    expect(result.runs[1].scores.overall).toBe(40);
+  });
+
+  test('should return null when listing runs of an unknown call', async () => {
+    prisma.salesCall.findUnique.mockResolvedValue(null);
+
+    expect(await service.listRuns(99)).toBeNull();
+    expect(prisma.analysisRun.findMany).not.toHaveBeenCalled();
+  });
+
+  describe('restoreRun', () => {
+    test('should reject a run of another sales call', async () => {
+      prisma.analysisRun.findFirst.mockResolvedValue(null);
+
+      const result = await service.restoreRun(1, 42);
+
+      expect(prisma.analysisRun.findFirst).toHaveBeenCalledWith({ where: { id: 42, salesCallId: 1 } });
+      expect(result).toEqual({ success: false, error: 'Analysis run not found' });
+      expect(prisma.salesCall.update).not.toHaveBeenCalled();
+    });
+
+    test('should copy the run back onto the sales call and refresh priorities', async () => {
+      prisma.analysisRun.findFirst.mockResolvedValue(run(2));
+
+      const result = await service.restoreRun(1, 2);
+
+      expect(prisma.salesCall.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: expect.objectContaining({ overallScore: 40, analysisNotes: 'old notes', currentRunId: 2 })
+      });
+      expect(customerPriorityService.refreshCustomer).toHaveBeenCalledWith(5);
+      expect(result.success).toBe(true);
+      expect(result.run).toEqual(expect.objectContaining({ id: 2, isCurrent: true }));
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for Analysis Schema Service
+ * Tests schema validation, coercion and the repair re-prompt for GPT-4 responses
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    analysisCache: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      upsert: jest.fn().mockResolvedValue({})
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+const llmProviderService = require('../src/services/llmProviderService');
+const gpt4AnalysisService = require('../src/services/gpt4AnalysisService');
+const sentimentFixture = require('./fixtures/llm/sentimentAnalysis.json');
+
+const completion = content => ({
+  content: typeof content === 'string' ? content : JSON.stringify(content),
+  model: 'gpt-4',
+  provider: 'mock',
+  usage: { promptTokens: 100, completionTokens: 50, totalTokens: 150 }
+});
+
+describe('AnalysisSchemaService', () => {
+  let analysisSchemaService;
+
+  beforeEach(() => {
+    analysisSchemaService = new (require('../src/services/analysisSchemaService').constructor)();
+  });
+
+  describe('validate', () => {
+    test('should accept the fixture responses', () => {
+      ['contextAnalysis', 'sentimentAnalysis', 'conversationFlow'].forEach(task => {
+        const fixture = require(`./fixtures/llm/${task}.json`);
+
+        expect(analysisSchemaService.validate(task, fixture)).toEqual(expect.objectContaining({ valid: true, errors: [] }));
+      });
+    });
+
+    test('should coerce enum case, spacing and synonyms', () => {
+      const { valid, value } = analysisSchemaService.validate('contextAnalysis', {
+        sentiment: { overall: 'Positive' },
+        context_insights: {
+          urgency_level: 'HIGH',
+          budget_clarity: 'moderate',
+          interest_level: 'גבוה',
+          engagement_level: ' low '
+        },
+        objections: [{ type: 'financing', phrase: 'אין לי משכנתא' }]
+      });
+
+      expect(valid).toBe(true);
+      expect(value.sentiment.overall).toBe('positive');
+      expect(value.context_insights).toEqual({
+        urgency_level: 'high',
+        budget_clarity: 'medium',
+        interest_level: 'high',
+        engagement_level: 'low'
+      });
+      expect(value.objections[0].type).toBe('other');
+    });
+
+    test('should scale percentage confidences into the 0-1 range', () => {
+      const { value } = analysisSchemaService.validate('sentimentAnalysis', {
+        overall_sentiment: 'neutral',
+        confidence: 85
+      });
+
+      expect(value.confidence).toBe(0.85);
+      expect(analysisSchemaService.coerceConfidence('70%')).toBe(0.7);
+      expect(analysisSchemaService.coerceConfidence(0.4)).toBe(0.4);
+    });
+
+    test('should report missing and misspelled fields', () => {
+      const { valid, value, errors } = analysisSchemaService.validate('contextAnalysis', {
+        sentiment: { overall: 'positive' },
+        context_insights: {
+          urgancy_level: 'high',
+          budget_clarity: 'medium',
+          interest_level: 'very urgent',
+          engagement_level: 'high',
+          deal_probability: 250
+        }
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        'context_insights.urgency_level: is required',
+        expect.stringContaining('context_insights.interest_level: expected one of low, medium, high'),
+        expect.stringContaining('context_insights.deal_probability: expected a confidence')
+      ]));
+      expect(value.context_insights).toEqual({ budget_clarity: 'medium', engagement_level: 'high' });
+    });
+
+    test('should drop invalid array items and keep the rest', () => {
+      const { value, errors } = analysisSchemaService.validate('conversationFlow', {
+        phases: [{ name: 'closing' }, { name: 'small talk' }],
+        flow_quality: { closing_attempts: '2' }
+      });
+
+      expect(value.phases).toEqual([{ name: 'closing' }]);
+      expect(value.flow_quality.closing_attempts).toBe(2);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain('phases[1].name');
+    });
+  });
+
+  describe('GPT-4 response repair', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(llmProviderService, 'complete');
+    });
+
+    afterEach(() => {
+      llmProviderService.complete.mockRestore();
+    });
+
+    test('should re-prompt once with the validation errors and use the repaired response', async () => {
+      llmProviderService.complete
+        .mockResolvedValueOnce(completion({ ...sentimentFixture, overall_sentiment: 'enthusiastic' }))
+        .mockResolvedValueOnce(completion(sentimentFixture));
+
+      const result = await gpt4AnalysisService.analyzeSentiment('אני מעוניין בדירה');
+
+      expect(llmProviderService.complete).toHaveBeenCalledTimes(2);
+      const repairMessages = llmProviderService.complete.mock.calls[1][0].messages;
+      expect(repairMessages[2].role).toBe('assistant');
+      expect(repairMessages[3].content).toContain('overall_sentiment: expected one of positive, negative, neutral');
+
+      expect(result.sentiment.overall_sentiment).toBe('positive');
+      expect(result.metadata.tokens_used).toBe(300);
+      expect(result.metadata.validation).toEqual(expect.objectContaining({ valid: true, repaired: true, errors: [] }));
+      expect(prisma.analysisCache.upsert).toHaveBeenCalled();
+    });
+
+    test('should keep the valid fields and record errors when the repair also fails', async () => {
+      const invalid = { ...sentimentFixture, overall_sentiment: 'enthusiastic' };
+      llmProviderService.complete
+        .mockResolvedValueOnce(completion(invalid))
+        .mockResolvedValueOnce(completion(invalid));
+
+      const result = await gpt4AnalysisService.analyzeSentiment('אני מעוניין בדירה');
+
+      expect(llmProviderService.complete).toHaveBeenCalledTimes(2);
+      expect(result.sentiment.overall_sentiment).toBeUndefined();
+      expect(result.sentiment.confidence).toBe(0.8);
+      expect(result.metadata.validation.valid).toBe(false);
+      expect(result.metadata.validation.errors[0]).toContain('overall_sentiment');
+      expect(prisma.analysisCache.upsert).not.toHaveBeenCalled();
+    });
+
+    test('should repair a response that is not JSON', async () => {
+      llmProviderService.complete
+        .mockResolvedValueOnce(completion('Here is the analysis: {'))
+        .mockResolvedValueOnce(completion(sentimentFixture));
+
+      const result = await gpt4AnalysisService.analyzeSentiment('אני מעוניין בדירה');
+
+      expect(result.metadata.validation.initialErrors[0]).toContain('invalid JSON');
+      expect(result.metadata.validation.valid).toBe(true);
+    });
+
+    test('should fail the analysis when no valid JSON comes back', async () => {
+      llmProviderService.complete.mockResolvedValue(completion('not json'));
+
+      await expect(gpt4AnalysisService.analyzeSentiment('אני מעוניין בדירה')).rejects.toThrow('Invalid JSON response');
+    });
+
+    test('should not re-prompt a valid response', async () => {
+      const result = await gpt4AnalysisService.performComprehensiveAnalysis('אני מעוניין בדירה');
+
+      expect(llmProviderService.complete).toHaveBeenCalledTimes(3);
+      expect(result.metadata.validation).toEqual(expect.objectContaining({ valid: true, repaired: false }));
+      expect(Object.keys(result.metadata.validation.tasks)).toEqual(['context', 'sentiment', 'flow']);
+    });
+  });
+});
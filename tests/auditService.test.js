@@ -0,0 +1,121 @@
+/**
+ * Tests for Audit Service
+ * Tests audit entries, snapshots and the filtered log listing
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    auditLog: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+
+describe('AuditService', () => {
+  let auditService;
+
+  const req = {
+    ip: '10.0.0.7',
+    user: { id: 1, email: 'admin@example.com', role: 'admin' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditService = new (require('../src/services/auditService').constructor)();
+    prisma.auditLog.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, createdAt: new Date(), ...data }));
+  });
+
+  describe('record', () => {
+    test('should store the actor, target, snapshots and IP address', async () => {
+      const createdAt = new Date('2026-10-01T08:00:00Z');
+
+      const entry = await auditService.record(req, {
+        action: auditService.actions.CUSTOMER_UPDATE,
+        targetId: '12',
+        before: { id: 12, name: 'דני', status: 'lead', createdAt },
+        after: { id: 12, name: 'דני', status: 'converted', createdAt }
+      });
+
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: {
+          actorId: 1,
+          actorEmail: 'admin@example.com',
+          actorRole: 'admin',
+          action: 'customer.update',
+          targetType: 'customer',
+          targetId: 12,
+          before: { id: 12, name: 'דני', status: 'lead', createdAt: '2026-10-01T08:00:00.000Z' },
+          after: { id: 12, name: 'דני', status: 'converted', createdAt: '2026-10-01T08:00:00.000Z' },
+          ipAddress: '10.0.0.7'
+        }
+      });
+      expect(entry.actor).toEqual({ id: 1, email: 'admin@example.com', role: 'admin' });
+    });
+
+    test('should leave credentials and transcripts out of snapshots', async () => {
+      await auditService.record(req, {
+        action: auditService.actions.CALL_DELETE,
+        targetId: 4,
+        before: {
+          id: 4,
+          audioFilePath: 'uploads/call.mp3',
+          transcript: 'שלום',
+          diarization: { turns: [] },
+          customer: { id: 2, name: 'דני' },
+          uploadedBy: { id: 3, passwordHash: 'hash' }
+        }
+      });
+
+      expect(prisma.auditLog.create.mock.calls[0][0].data.before).toEqual({
+        id: 4,
+        audioFilePath: 'uploads/call.mp3',
+        customer: { id: 2, name: 'דני' },
+        uploadedBy: { id: 3 }
+      });
+    });
+
+    test('should keep only the requested fields', () => {
+      const snapshot = auditService.snapshot(
+        { id: 4, overallScore: 80, currentRunId: 9, transcript: 'שלום', customer: { id: 2 } },
+        auditService.scoreFields
+      );
+
+      expect(snapshot).toEqual({ overallScore: 80, currentRunId: 9 });
+    });
+
+    test('should not fail the action when the log cannot be written', async () => {
+      prisma.auditLog.create.mockRejectedValue(new Error('connection lost'));
+
+      const entry = await auditService.record(req, { action: auditService.actions.CONFIGURATION_ACTIVATE, targetId: 3 });
+
+      expect(entry).toBeNull();
+    });
+  });
+
+  describe('list', () => {
+    test('should filter entries and cap the page size', async () => {
+      prisma.auditLog.findMany.mockResolvedValue([]);
+      prisma.auditLog.count.mockResolvedValue(0);
+      const from = new Date('2026-10-01');
+
+      const result = await auditService.list({ actorId: '1', targetType: 'customer', targetId: '12', from, page: '2', limit: '500' });
+
+      expect(prisma.auditLog.findMany).toHaveBeenCalledWith({
+        where: {
+          actorId: 1,
+          targetType: 'customer',
+          targetId: 12,
+          createdAt: { gte: from }
+        },
+        orderBy: { id: 'desc' },
+        skip: 200,
+        take: 200
+      });
+      expect(result.pagination).toEqual({ page: 2, limit: 200, total: 0, pages: 0 });
+    });
+  });
+});
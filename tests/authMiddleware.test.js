@@ -0,0 +1,102 @@
+/**
+ * Tests for Auth Middleware
+ * Tests token authentication, role checks and per-role data scopes
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    user: {
+      findUnique: jest.fn()
+    },
+    salesCall: {
+      findFirst: jest.fn()
+    }
+  }
+}));
+
+const request = require('supertest');
+const express = require('express');
+const { prisma } = require('../src/database/connection');
+const authService = require('../src/services/authService');
+const { authenticate, requireRole, requireCallAccess, salesCallScope, customerScope } = require('../src/middleware/auth');
+
+describe('Auth Middleware', () => {
+  const users = {
+    admin: { id: 1, role: 'admin', team: null, isActive: true, tokenVersion: 0 },
+    manager: { id: 2, role: 'manager', team: 'north', isActive: true, tokenVersion: 0 },
+    agent: { id: 3, role: 'agent', team: 'north', isActive: true, tokenVersion: 0 }
+  };
+
+  let app;
+
+  const tokenFor = role => authService.issueToken(users[role]).token;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockImplementation(({ where }) =>
+      Promise.resolve(Object.values(users).find(user => user.id === where.id) || null));
+
+    app = express();
+    app.use(express.json());
+    app.use(authenticate);
+    app.get('/calls/:id', requireCallAccess(), (req, res) => res.json({ success: true, user: req.user.id }));
+    app.post('/configuration', requireRole('admin'), (req, res) => res.json({ success: true }));
+  });
+
+  test('should reject requests without a valid token', async () => {
+    const missing = await request(app).get('/calls/1').expect(401);
+    await request(app).get('/calls/1').set('Authorization', 'Bearer forged.token.value').expect(401);
+
+    expect(missing.body).toEqual({ error: true, message: 'Authentication required' });
+  });
+
+  test('should accept only a media token for the requested path in the query string', async () => {
+    prisma.salesCall.findFirst.mockResolvedValue({ id: 1 });
+    const mediaToken = authService.sign({ sub: 1, role: 'admin', tv: 0, purpose: 'media', path: '/calls/1', exp: Date.now() / 1000 + 60 });
+
+    const response = await request(app).get(`/calls/1?access_token=${mediaToken}`).expect(200);
+    await request(app).get(`/calls/2?access_token=${mediaToken}`).expect(401);
+    await request(app).get(`/calls/1?access_token=${tokenFor('admin')}`).expect(401);
+    await request(app).get('/calls/1').set('Authorization', `Bearer ${mediaToken}`).expect(401);
+
+    expect(response.body.user).toBe(1);
+  });
+
+  test('should allow only the given roles', async () => {
+    await request(app).post('/configuration').set('Authorization', `Bearer ${tokenFor('admin')}`).expect(200);
+    const response = await request(app).post('/configuration').set('Authorization', `Bearer ${tokenFor('manager')}`).expect(403);
+
+    expect(response.body.error).toBe(true);
+  });
+
+  test('should hide sales calls outside the user\'s scope', async () => {
+    prisma.salesCall.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce({ id: 7 });
+
+    await request(app).get('/calls/7').set('Authorization', `Bearer ${tokenFor('agent')}`).expect(404);
+    await request(app).get('/calls/7').set('Authorization', `Bearer ${tokenFor('admin')}`).expect(200);
+
+    expect(prisma.salesCall.findFirst).toHaveBeenCalledWith({ where: { id: 7, deletedAt: null, uploadedById: 3 }, select: { id: true } });
+  });
+
+  test('should hide trashed sales calls from admins too', async () => {
+    prisma.salesCall.findFirst.mockResolvedValue(null);
+
+    await request(app).get('/calls/7').set('Authorization', `Bearer ${tokenFor('admin')}`).expect(404);
+
+    expect(prisma.salesCall.findFirst).toHaveBeenCalledWith({ where: { id: 7, deletedAt: null }, select: { id: true } });
+  });
+
+  test('should scope calls and customers by role', () => {
+    expect(salesCallScope(users.admin)).toEqual({ deletedAt: null });
+    expect(salesCallScope(users.manager)).toEqual({ deletedAt: null, uploadedBy: { team: 'north' } });
+    expect(salesCallScope({ ...users.manager, team: null })).toEqual({ deletedAt: null, uploadedById: 2 });
+    expect(salesCallScope(users.agent)).toEqual({ deletedAt: null, uploadedById: 3 });
+    expect(customerScope(users.admin)).toEqual({ deletedAt: null });
+    expect(customerScope(users.agent)).toEqual({ deletedAt: null, salesCalls: { some: { deletedAt: null, uploadedById: 3 } } });
+  });
+
+  test('should scope to trashed calls when asked', () => {
+    expect(salesCallScope(users.admin, { trashed: true })).toEqual({ deletedAt: { not: null } });
+    expect(salesCallScope(users.agent, { trashed: true })).toEqual({ deletedAt: { not: null }, uploadedById: 3 });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for Auth Service
+ * Tests password hashing, signed tokens, login and user management
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    user: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+
+describe('AuthService', () => {
+  let service;
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    process.env.AUTH_TOKEN_SECRET = 'test-secret';
+    service = new (require('../src/services/authService').constructor)();
+
+    user = {
+      id: 4,
+      email: 'dana@example.com',
+      name: 'Dana',
+      passwordHash: await service.hashPassword('correct horse'),
+      role: 'agent',
+      team: 'north',
+      isActive: true,
+      tokenVersion: 2
+    };
+    prisma.user.update.mockImplementation(({ data }) => Promise.resolve({ ...user, ...data }));
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_TOKEN_SECRET;
+  });
+
+  test('should verify passwords against their salted hash', async () => {
+    expect(user.passwordHash).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+    expect(await service.verifyPassword('correct horse', user.passwordHash)).toBe(true);
+    expect(await service.verifyPassword('wrong horse', user.passwordHash)).toBe(false);
+    expect(await service.verifyPassword('correct horse', 'plain-text')).toBe(false);
+  });
+
+  describe('tokens', () => {
+    test('should accept its own tokens and reject tampered or expired ones', () => {
+      const { token } = service.issueToken(user);
+      const [header, , signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: 4, role: 'admin', tv: 2, exp: 9999999999 })).toString('base64url');
+
+      expect(service.verifyToken(token)).toEqual(expect.objectContaining({ sub: 4, role: 'agent', tv: 2 }));
+      expect(service.verifyToken(`${header}.${forged}.${signature}`)).toBeNull();
+      expect(service.verifyToken('not-a-token')).toBeNull();
+
+      service.tokenTtl = -1;
+      expect(service.verifyToken(service.issueToken(user).token)).toBeNull();
+    });
+
+    test('should issue media tokens only for audio streams and coaching reports', () => {
+      const { token } = service.issueMediaToken(user, '/api/audio/12');
+
+      expect(service.verifyToken(token)).toEqual(expect.objectContaining({ sub: 4, purpose: 'media', path: '/api/audio/12' }));
+      expect(service.issueMediaToken(user, '/api/agents/3/coaching')).not.toBeNull();
+      expect(service.issueMediaToken(user, '/api/customers/3')).toBeNull();
+    });
+
+    test('should reject tokens issued before the last logout', async () => {
+      const { token } = service.issueToken(user);
+
+      prisma.user.findUnique.mockResolvedValue(user);
+      expect(await service.authenticateToken(token)).toBe(user);
+
+      prisma.user.findUnique.mockResolvedValue({ ...user, tokenVersion: 3 });
+      expect(await service.authenticateToken(token)).toBeNull();
+
+      prisma.user.findUnique.mockResolvedValue({ ...user, isActive: false });
+      expect(await service.authenticateToken(token)).toBeNull();
+    });
+  });
+
+  describe('login', () => {
+    test('should return a token and the user without the password hash', async () => {
+      prisma.user.findUnique.mockResolvedValue(user);
+
+      const result = await service.login(' Dana@Example.com ', 'correct horse');
+
+      expect(prisma.user.findUnique).toHaveBeenCalledWith({ where: { email: 'dana@example.com' } });
+      expect(result.success).toBe(true);
+      expect(service.verifyToken(result.token).sub).toBe(4);
+      expect(result.user).toEqual(expect.objectContaining({ id: 4, role: 'agent' }));
+      expect(result.user.passwordHash).toBeUndefined();
+    });
+
+    test('should give the same error for unknown users and wrong passwords', async () => {
+      prisma.user.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+
+      const unknown = await service.login('nobody@example.com', 'correct horse');
+      const wrong = await service.login('dana@example.com', 'wrong horse');
+
+      expect(unknown).toEqual({ success: false, error: 'Invalid email or password' });
+      expect(wrong).toEqual(unknown);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('user management', () => {
+    test('should reject invalid users and duplicate emails', async () => {
+      const invalid = await service.createUser({ email: 'x', name: '', password: 'short', role: 'owner' });
+      expect(invalid.details).toEqual([
+        'A valid email is required',
+        'Name is required',
+        'Password must be at least 8 characters',
+        'Role must be one of: admin, manager, agent'
+      ]);
+
+      prisma.user.findUnique.mockResolvedValue(user);
+      const duplicate = await service.createUser({ email: 'dana@example.com', name: 'Dana', password: 'long enough' });
+      expect(duplicate).toEqual({ success: false, error: 'A user with this email already exists' });
+      expect(prisma.user.create).not.toHaveBeenCalled();
+    });
+
+    test('should log the user out when the role changes', async () => {
+      prisma.user.findUnique.mockResolvedValue(user);
+
+      await service.updateUser(4, { role: 'manager' });
+
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 4 },
+        data: { role: 'manager', tokenVersion: { increment: 1 } }
+      });
+    });
+
+    test('should create the bootstrap admin only when there are no users', async () => {
+      process.env.ADMIN_EMAIL = 'admin@example.com';
+      process.env.ADMIN_PASSWORD = 'change me now';
+      prisma.user.findUnique.mockResolvedValue(null);
+      prisma.user.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+
+      prisma.user.count.mockResolvedValue(3);
+      expect(await service.ensureBootstrapAdmin()).toBeNull();
+
+      prisma.user.count.mockResolvedValue(0);
+      expect(await service.ensureBootstrapAdmin()).toEqual(expect.objectContaining({ email: 'admin@example.com', role: 'admin' }));
+
+      delete process.env.ADMIN_EMAIL;
+      delete process.env.ADMIN_PASSWORD;
+    });
+  });
+});
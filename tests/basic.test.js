@@ -1,8 +1,15 @@
 const request = require('supertest');
 const app = require('../src/server');
+const { createAuthHeader } = require('./helpers/auth');
 const { testConnection } = require('../src/database/connection');
 
 describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
+  let auth;
+
+  beforeAll(async () => {
+    auth = await createAuthHeader();
+  });
+
   beforeAll(async () => {
     // Test database connection
     const isConnected = await testConnection();
@@ -13,6 +20,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('GET /health should return 200', async () => {
       const response = await request(app)
         .get('/health')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('status', 'OK');
@@ -25,6 +33,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('GET /api/upload should return 200', async () => {
       const response = await request(app)
         .get('/api/upload')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -36,6 +45,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('GET /api/analyze should return 200', async () => {
       const response = await request(app)
         .get('/api/analyze')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -47,6 +57,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('GET /api/customers should return 200', async () => {
       const response = await request(app)
         .get('/api/customers')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -58,6 +69,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('GET /api/dashboard/stats should return 200', async () => {
       const response = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -71,6 +83,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('GET /nonexistent should return 404', async () => {
       const response = await request(app)
         .get('/nonexistent')
+        .set(auth)
         .expect(404);
 
       expect(response.body).toHaveProperty('error');
@@ -80,6 +93,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('GET /api/upload/999 should return 404 for non-existent file', async () => {
       const response = await request(app)
         .get('/api/upload/999')
+        .set(auth)
         .expect(404);
 
       expect(response.body).toHaveProperty('error', true);
@@ -91,6 +105,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('POST /api/analyze without salesCallId should return 400', async () => {
       const response = await request(app)
         .post('/api/analyze')
+        .set(auth)
         .send({})
         .expect(400);
 
@@ -102,6 +117,7 @@ describe('Hebrew Sales Call Analysis System - Basic Tests', () => {
     test('POST /api/customers without required fields should return 400', async () => {
       const response = await request(app)
         .post('/api/customers')
+        .set(auth)
         .send({})
         .expect(400);
 
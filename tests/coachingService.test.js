@@ -0,0 +1,175 @@
+/**
+ * Tests for Coaching Service
+ * Tests per-call coaching analysis, weekly aggregation and the HTML export
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    agent: {
+      findUnique: jest.fn()
+    },
+    salesCall: {
+      findUnique: jest.fn(),
+      findMany: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+const scoringService = require('../src/services/scoringService');
+
+const turn = (speaker, start, end, text) => ({ speaker, start, end, text });
+
+const call = (overrides = {}) => ({
+  id: 1,
+  createdAt: new Date('2026-10-13T10:00:00'),
+  overallScore: 72,
+  diarization: {
+    turns: [
+      turn('agent', 0, 5, 'שלום, מה שלומך? איך אפשר לעזור?'),
+      turn('customer', 5, 12, 'אני מחפש דירה, זה יקר מדי בשבילי'),
+      turn('agent', 12, 14, 'אני מבין'),
+      turn('customer', 14, 20, 'אני מעוניין מאוד בדירה'),
+      turn('agent', 20, 30, 'מעולה. בוא נקבע פגישה לצפייה השבוע')
+    ],
+    stats: { basis: 'time', agent: { percentage: 40 }, customer: { percentage: 60 } }
+  },
+  scoreEvidence: [
+    { category: 'objection', phrase: 'יקר מדי', tier: 'objection', start: 5, end: 12, polarity: 'affirmed' },
+    { category: 'interest', phrase: 'מעוניין מאוד', tier: 'high', start: 14, end: 20, polarity: 'affirmed' }
+  ],
+  objectionAnalysis: null,
+  flowQuality: null,
+  keyMoments: null,
+  buyingSignals: null,
+  customer: { id: 3, name: 'דני' },
+  ...overrides
+});
+
+describe('CoachingService', () => {
+  let coachingService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    coachingService = new (require('../src/services/coachingService').constructor)();
+    coachingService.maxAgentTalkShare = 60;
+    coachingService.minQuestionsPerCall = 3;
+  });
+
+  describe('analyzeCall', () => {
+    test('should measure talk ratio, questions and phrase-detected closing attempts', () => {
+      const coaching = coachingService.analyzeCall(call());
+
+      expect(coaching.talkRatio).toEqual({ agent: 40, customer: 60, ratio: 0.67, basis: 'time' });
+      expect(coaching.questionsAsked).toBe(2);
+      expect(coaching.closingAttempts).toEqual({ count: 1, source: 'phrase' });
+    });
+
+    test('should flag an objection answered with a short reply as unhandled', () => {
+      const coaching = coachingService.analyzeCall(call());
+
+      expect(coaching.objections).toEqual({
+        detected: 1,
+        unhandled: [{ phrase: 'יקר מדי', start: 5, source: 'phrase' }]
+      });
+      expect(coaching.tips.some(tip => tip.includes('יקר מדי'))).toBe(true);
+    });
+
+    test('should count overlapping objection phrases as one objection', () => {
+      const scoreEvidence = scoringService.analyzeTranscript('זה יקר מדי', 30, 3).analysis.evidence;
+      expect(scoreEvidence.filter(item => item.category === 'objection').length).toBeGreaterThan(1);
+
+      const coaching = coachingService.analyzeCall(call({ scoreEvidence, flowQuality: { objections_handled: false } }));
+
+      expect(coaching.objections).toEqual({
+        detected: 1,
+        unhandled: [{ phrase: 'זה יקר מדי', start: null, source: 'phrase' }]
+      });
+    });
+
+    test('should count a buying signal followed by a closing attempt as used', () => {
+      const used = coachingService.analyzeCall(call());
+      expect(used.buyingSignals).toEqual({ detected: 1, missed: [] });
+
+      const turns = call().diarization.turns.slice(0, 4);
+      const missed = coachingService.analyzeCall(call({ diarization: { ...call().diarization, turns } }));
+      expect(missed.buyingSignals.missed).toEqual([{ phrase: 'מעוניין מאוד', start: 14, source: 'phrase' }]);
+      expect(missed.closingAttempts.count).toBe(0);
+    });
+
+    test('should use GPT-4 closing attempts, moments and objection verdicts when present', () => {
+      const coaching = coachingService.analyzeCall(call({
+        scoreEvidence: [],
+        flowQuality: { objections_handled: false, closing_attempts: 2 },
+        objectionAnalysis: { objections: [{ type: 'timing', phrase: 'לא עכשיו' }] },
+        keyMoments: [
+          { type: 'buying_signal', timestamp: 15, description: 'שאל על מועד כניסה' },
+          { type: 'closing_attempt', timestamp: 8 }
+        ]
+      }));
+
+      expect(coaching.closingAttempts).toEqual({ count: 2, source: 'gpt4' });
+      expect(coaching.objections.unhandled).toEqual([{ phrase: 'לא עכשיו', start: null, source: 'gpt4' }]);
+      // The phrase-detected closing at 20s still follows the signal at 15s
+      expect(coaching.buyingSignals).toEqual({ detected: 1, missed: [] });
+    });
+  });
+
+  describe('weekly report', () => {
+    test('should cover Sunday to Saturday', () => {
+      const { start, end } = coachingService.getWeekRange(new Date('2026-10-15T15:00:00'));
+
+      expect(start).toEqual(new Date('2026-10-11T00:00:00'));
+      expect(end).toEqual(new Date('2026-10-18T00:00:00'));
+    });
+
+    test('should aggregate the agent\'s calls in the week', async () => {
+      prisma.agent.findUnique.mockResolvedValue({ id: 2, name: 'דנה', team: 'north' });
+      prisma.salesCall.findMany.mockResolvedValue([
+        call(),
+        call({ id: 2, diarization: { turns: [turn('agent', 0, 50, 'דירה יפה מאוד')], stats: { basis: 'time', agent: { percentage: 90 }, customer: { percentage: 10 } } }, scoreEvidence: [] })
+      ]);
+
+      const result = await coachingService.buildWeeklyReport(2, { week: new Date('2026-10-14T12:00:00'), scope: { uploadedById: 5 } });
+
+      expect(prisma.salesCall.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          uploadedById: 5,
+          agentId: 2,
+          transcript: { not: null },
+          createdAt: { gte: new Date('2026-10-11T00:00:00'), lt: new Date('2026-10-18T00:00:00') }
+        }
+      }));
+      expect(result.report.summary).toEqual(expect.objectContaining({
+        totalCalls: 2,
+        averageAgentTalkShare: 65,
+        callsOverTalkLimit: 1,
+        totalQuestions: 2,
+        totalClosingAttempts: 1,
+        callsWithoutClosingAttempt: 1,
+        unhandledObjections: 1
+      }));
+      expect(result.report.summary.focusAreas.length).toBeGreaterThan(0);
+    });
+
+    test('should return an error for an unknown agent', async () => {
+      prisma.agent.findUnique.mockResolvedValue(null);
+
+      expect(await coachingService.buildWeeklyReport(99)).toEqual({ success: false, error: 'Agent not found' });
+    });
+
+    test('should render escaped RTL HTML with an optional print script', async () => {
+      prisma.agent.findUnique.mockResolvedValue({ id: 2, name: '<b>דנה</b>', team: null });
+      prisma.salesCall.findMany.mockResolvedValue([call()]);
+      const { report } = await coachingService.buildWeeklyReport(2);
+
+      const html = coachingService.renderHtml(report);
+      const printable = coachingService.renderHtml(report, { autoPrint: true, nonce: 'abc' });
+
+      expect(html).toContain('<html lang="he" dir="rtl">');
+      expect(html).toContain('&lt;b&gt;דנה&lt;/b&gt;');
+      expect(html).not.toContain('<script');
+      expect(printable).toContain('<script nonce="abc">');
+    });
+  });
+});
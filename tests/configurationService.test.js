@@ -0,0 +1,297 @@
+/**
+ * Tests for Configuration Service
+ * Tests the cached scoring configuration used by the analysis pipeline, validation and export
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    scoringConfiguration: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      delete: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+
+describe('ConfigurationService - Scoring Configuration', () => {
+  let configurationService;
+
+  const storedConfiguration = {
+    id: 3,
+    name: 'Aggressive Urgency',
+    weights: { urgency: 0.55, budget: 0.15, interest: 0.15, engagement: 0.15 },
+    phrases: {
+      urgency: { high: ['דחוף'], medium: [] },
+      budget: { high: [], medium: [] },
+      interest: { high: [], medium: [] },
+      engagement: { high: [], medium: [] }
+    },
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    configurationService = new (require('../src/services/configurationService').constructor)();
+  });
+
+  test('should fall back to the default configuration when none is active', async () => {
+    prisma.scoringConfiguration.findFirst.mockResolvedValue(null);
+
+    const configuration = await configurationService.getScoringConfiguration();
+
+    expect(configuration.id).toBeNull();
+    expect(configuration.weights).toEqual(configurationService.getDefaultConfiguration().weights);
+  });
+
+  test('should serve the active configuration from cache', async () => {
+    prisma.scoringConfiguration.findFirst.mockResolvedValue(storedConfiguration);
+
+    const first = await configurationService.getScoringConfiguration();
+    const second = await configurationService.getScoringConfiguration();
+
+    expect(first.id).toBe(3);
+    expect(second).toBe(first);
+    expect(prisma.scoringConfiguration.findFirst).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reload the configuration after activation', async () => {
+    prisma.scoringConfiguration.findFirst.mockResolvedValue(null);
+    await configurationService.getScoringConfiguration();
+
+    prisma.scoringConfiguration.update.mockResolvedValue(storedConfiguration);
+    await configurationService.activateConfiguration(3);
+
+    prisma.scoringConfiguration.findFirst.mockResolvedValue(storedConfiguration);
+    const configuration = await configurationService.getScoringConfiguration();
+
+    expect(configuration.id).toBe(3);
+    expect(prisma.scoringConfiguration.findFirst).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reload the configuration after an update', async () => {
+    prisma.scoringConfiguration.findFirst.mockResolvedValue(storedConfiguration);
+    await configurationService.getScoringConfiguration();
+
+    const updated = { ...storedConfiguration, name: 'Renamed' };
+    prisma.scoringConfiguration.findUnique.mockResolvedValue(storedConfiguration);
+    prisma.scoringConfiguration.update.mockResolvedValue(updated);
+    await configurationService.updateConfiguration(3, { name: 'Renamed' });
+
+    prisma.scoringConfiguration.findFirst.mockResolvedValue(updated);
+    const configuration = await configurationService.getScoringConfiguration();
+
+    expect(configuration.name).toBe('Renamed');
+  });
+
+  describe('updateConfiguration', () => {
+    test('should validate the updates merged into the stored configuration', async () => {
+      prisma.scoringConfiguration.findUnique.mockResolvedValue(storedConfiguration);
+
+      const result = await configurationService.updateConfiguration(3, { weights: { urgency: 0.5, location_fit: 0.5 } });
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Invalid configuration updates',
+        details: ['Phrases for location_fit are required']
+      });
+      expect(prisma.scoringConfiguration.update).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a categories-only update that drops a tier stored phrases use', async () => {
+      prisma.scoringConfiguration.findUnique.mockResolvedValue({
+        ...storedConfiguration,
+        weights: { urgency: 0.5, location_fit: 0.5 },
+        phrases: {
+          urgency: { high: ['דחוף'], medium: [] },
+          location_fit: { high: ['קרוב לים'], medium: ['ליד הים'] }
+        },
+        categories: { location_fit: { label: 'Location', tiers: { high: 20, medium: 10 } } }
+      });
+
+      const result = await configurationService.updateConfiguration(3, {
+        categories: { location_fit: { label: 'Location', tiers: { high: 20 } } }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.details).toEqual([
+        'medium phrases for location_fit have no points; set points on each phrase or add the tier to the category definition'
+      ]);
+      expect(prisma.scoringConfiguration.update).not.toHaveBeenCalled();
+    });
+
+    test('should report an unknown configuration', async () => {
+      prisma.scoringConfiguration.findUnique.mockResolvedValue(null);
+
+      const result = await configurationService.updateConfiguration(99, { name: 'Renamed' });
+
+      expect(result).toEqual({ success: false, error: 'Configuration not found' });
+      expect(prisma.scoringConfiguration.update).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should deactivate other configurations when creating an active one', async () => {
+    prisma.scoringConfiguration.count.mockResolvedValue(2);
+    prisma.scoringConfiguration.create.mockResolvedValue(storedConfiguration);
+
+    await configurationService.createConfiguration({
+      name: storedConfiguration.name,
+      weights: storedConfiguration.weights,
+      phrases: storedConfiguration.phrases,
+      isActive: true
+    });
+
+    expect(prisma.scoringConfiguration.updateMany).toHaveBeenCalledWith({
+      where: { isActive: true },
+      data: { isActive: false }
+    });
+  });
+
+  describe('validateConfiguration', () => {
+    const custom = {
+      name: 'Financing',
+      weights: { budget: 0.6, financing_readiness: 0.4 },
+      phrases: {
+        budget: { high: ['תקציב'], medium: [] },
+        financing_readiness: { high: ['אישור עקרוני'], medium: [], low: ['בודק משכנתא'] }
+      },
+      categories: {
+        financing_readiness: { label: 'Financing readiness', tiers: { high: 25, medium: 12, low: 5 } }
+      }
+    };
+
+    test('should accept custom categories with their own tiers', () => {
+      expect(configurationService.validateConfiguration(custom)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should require phrases and points for every weighted category', () => {
+      const { errors } = configurationService.validateConfiguration({
+        ...custom,
+        weights: { ...custom.weights, budget: 0.3, location_fit: 0.3 },
+        categories: { financing_readiness: { tiers: { high: 25 } } }
+      });
+
+      expect(errors).toEqual([
+        'low phrases for financing_readiness have no points; set points on each phrase or add the tier to the category definition',
+        'Phrases for location_fit are required'
+      ]);
+    });
+
+    test('should accept phrase entries that carry their own points', () => {
+      const { errors } = configurationService.validateConfiguration({
+        ...custom,
+        phrases: {
+          ...custom.phrases,
+          financing_readiness: {
+            high: ['אישור עקרוני'],
+            low: [{ phrase: 'בודק משכנת*', match: 'wildcard', points: 4, negatable: false }]
+          }
+        },
+        categories: { financing_readiness: { tiers: { high: 25 } } }
+      });
+
+      expect(errors).toEqual([]);
+    });
+
+    test('should reject malformed phrase entries', () => {
+      const { errors } = configurationService.validateConfiguration({
+        ...custom,
+        phrases: {
+          ...custom.phrases,
+          budget: {
+            high: [
+              '',
+              { phrase: 'תקציב', points: 150 },
+              { phrase: 'הון (עצמי', match: 'regex' },
+              { phrase: 'כסף', match: 'fuzzy', enabled: 'yes' }
+            ]
+          }
+        }
+      });
+
+      expect(errors).toEqual([
+        'budget high phrase 1 must not be empty',
+        'Points for budget high phrase 2 must be a number between -100 and 100',
+        'Pattern for budget high phrase 3 is not a valid regular expression',
+        'Match type for budget high phrase 4 must be one of: exact, wildcard, regex',
+        'enabled for budget high phrase 4 must be true or false'
+      ]);
+    });
+
+    test('should reject patterns that cannot match the normalized text or are too costly', () => {
+      const { errors } = configurationService.validateConfiguration({
+        ...custom,
+        phrases: {
+          ...custom.phrases,
+          budget: {
+            high: [
+              { phrase: '\\d+ שקל', match: 'regex' },
+              { phrase: '[0-9]+ אלף', match: 'regex' },
+              { phrase: 'mortgage*', match: 'wildcard' },
+              { phrase: '(א+)+ב', match: 'regex' },
+              { phrase: 'הון'.repeat(70), match: 'regex' },
+              { phrase: '(?:הון|כסף){1,3}\\s+\\p{L}+', match: 'regex' }
+            ]
+          }
+        }
+      });
+
+      expect(errors).toEqual([
+        'Pattern for budget high phrase 1 uses \\d, which never matches the normalized text (digits and Latin letters are removed)',
+        'Pattern for budget high phrase 2 contains digits or Latin letters, which are removed from the normalized text',
+        'Pattern for budget high phrase 3 contains digits or Latin letters, which are removed from the normalized text',
+        'Pattern for budget high phrase 4 repeats a group that is itself repeated, which can take too long to match',
+        'Pattern for budget high phrase 5 is longer than 200 characters'
+      ]);
+    });
+
+    test('should reject reserved and malformed category keys', () => {
+      const { isValid, errors } = configurationService.validateConfiguration({
+        ...custom,
+        weights: { overall: 0.5, 'Decision Maker': 0.5 },
+        phrases: { overall: { high: [] }, 'Decision Maker': { high: [] } }
+      });
+
+      expect(isValid).toBe(false);
+      expect(errors.filter(error => error.startsWith('Category key'))).toHaveLength(2);
+    });
+  });
+
+  describe('exportConfiguration', () => {
+    test('should write every phrase as a full entry with its points', async () => {
+      prisma.scoringConfiguration.findUnique.mockResolvedValue({
+        ...storedConfiguration,
+        phrases: {
+          ...storedConfiguration.phrases,
+          budget: { high: ['תקציב', { phrase: 'הון\\s+עצמי', match: 'regex', points: 30 }], medium: [] }
+        },
+        categories: null
+      });
+
+      const { configuration } = await configurationService.exportConfiguration(3);
+
+      expect(configuration.formatVersion).toBe(2);
+      expect(configuration.phrases.budget.high).toEqual([
+        { phrase: 'תקציב', points: 20, match: 'exact', negatable: true, enabled: true },
+        { phrase: 'הון\\s+עצמי', points: 30, match: 'regex', negatable: true, enabled: true }
+      ]);
+      expect(configuration.phrases.urgency.high).toEqual([
+        { phrase: 'דחוף', points: 25, match: 'exact', negatable: true, enabled: true }
+      ]);
+    });
+
+    test('should refuse imports from a newer format', async () => {
+      const result = await configurationService.importConfiguration({ ...storedConfiguration, formatVersion: 3 });
+
+      expect(result).toEqual({ success: false, error: 'Unsupported configuration format version 3' });
+      expect(prisma.scoringConfiguration.create).not.toHaveBeenCalled();
+    });
+  });
+});
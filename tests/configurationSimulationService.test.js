@@ -0,0 +1,149 @@
+/**
+ * Tests for Configuration Simulation Service
+ * Tests dry-run re-scoring, priority rank changes and distribution shift
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    scoringConfiguration: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn()
+    },
+    salesCall: {
+      findMany: jest.fn(),
+      groupBy: jest.fn(),
+      update: jest.fn()
+    },
+    customerPriority: {
+      findMany: jest.fn(),
+      update: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+const configurationService = require('../src/services/configurationService');
+
+describe('ConfigurationSimulationService', () => {
+  let service;
+
+  const defaults = configurationService.getDefaultConfiguration();
+  const urgencyOnly = {
+    id: 7,
+    name: 'Urgency only',
+    weights: { urgency: 1, budget: 0, interest: 0, engagement: 0 },
+    phrases: defaults.phrases,
+    isActive: false
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new (require('../src/services/configurationSimulationService').constructor)();
+    configurationService.invalidateCache();
+    prisma.scoringConfiguration.findFirst.mockResolvedValue(null);
+    prisma.scoringConfiguration.findUnique.mockResolvedValue(urgencyOnly);
+    prisma.salesCall.findMany.mockResolvedValue([
+      {
+        id: 1,
+        customerId: 10,
+        transcript: 'זה דחוף מאוד, אני צריך לעבור עד החודש הבא',
+        diarization: null,
+        overallScore: 40,
+        customer: { name: 'דני' },
+        transcriptSegments: [{ end: 60 }]
+      },
+      {
+        id: 2,
+        customerId: 20,
+        transcript: 'זה בדיוק מה שחיפשתי, אני מעוניין. תשלח לי פרטים נוספים',
+        diarization: null,
+        overallScore: 60,
+        customer: { name: 'רונית' },
+        transcriptSegments: [{ end: 60 }]
+      }
+    ]);
+    prisma.salesCall.groupBy.mockResolvedValue([
+      { customerId: 10, _count: { _all: 1 } },
+      { customerId: 20, _count: { _all: 1 } }
+    ]);
+    prisma.customerPriority.findMany.mockResolvedValue([
+      { customerId: 10, avgOverallScore: '40.00', lastCallDate: new Date(), customer: { name: 'דני' } },
+      { customerId: 20, avgOverallScore: '60.00', lastCallDate: new Date(), customer: { name: 'רונית' } }
+    ]);
+  });
+
+  test('should return not found for an unknown configuration', async () => {
+    prisma.scoringConfiguration.findUnique.mockResolvedValue(null);
+
+    const result = await service.simulate(99);
+
+    expect(result).toEqual({ success: false, error: 'Configuration not found' });
+  });
+
+  test('should compare candidate scores with the active configuration without saving', async () => {
+    const result = await service.simulate(7, { limit: 10 });
+
+    expect(result.success).toBe(true);
+    expect(prisma.salesCall.findMany).toHaveBeenCalledWith(expect.objectContaining({ take: 10 }));
+    expect(prisma.salesCall.update).not.toHaveBeenCalled();
+    expect(prisma.customerPriority.update).not.toHaveBeenCalled();
+
+    const { simulation } = result;
+    expect(simulation.configuration).toEqual({ id: 7, name: 'Urgency only', isActive: false });
+    expect(simulation.baseline.name).toBe(defaults.name);
+    expect(simulation.callsSimulated).toBe(2);
+
+    const [urgent, browsing] = simulation.calls;
+    expect(urgent.simulated.overall).toBe(urgent.simulated.urgency);
+    expect(urgent.delta.overall).toBeGreaterThan(0);
+    expect(browsing.delta.overall).toBeLessThan(0);
+    expect(urgent.delta.urgency).toBe(0);
+  });
+
+  test('should report customers whose priority rank would change', async () => {
+    const { simulation } = await service.simulate(7);
+
+    expect(simulation.priorities.customersAffected).toBe(2);
+    expect(simulation.priorities.changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ customerId: 10, customerName: 'דני', currentRank: 2, simulatedRank: 1, rankChange: 1 }),
+      expect.objectContaining({ customerId: 20, currentRank: 1, simulatedRank: 2, rankChange: -1 })
+    ]));
+  });
+
+  test('should compare categories that exist in only one configuration', async () => {
+    prisma.scoringConfiguration.findUnique.mockResolvedValue({
+      ...urgencyOnly,
+      weights: { urgency: 0.5, decision_maker: 0.5 },
+      phrases: { urgency: defaults.phrases.urgency, decision_maker: { high: ['אשתי תצטרף'], medium: [] } }
+    });
+
+    const { simulation } = await service.simulate(7);
+
+    expect(simulation.calls[0].delta.decision_maker).toBeNull();
+    expect(simulation.calls[0].delta.budget).toBeNull();
+    expect(simulation.distribution.decision_maker.current.mean).toBeNull();
+    expect(simulation.distribution.decision_maker.simulated.mean).toBe(0);
+    expect(simulation.distribution.decision_maker.meanShift).toBeNull();
+  });
+
+  test('should cap the number of re-scored calls', async () => {
+    await service.simulate(7, { limit: 1000 });
+
+    expect(prisma.salesCall.findMany).toHaveBeenCalledWith(expect.objectContaining({ take: service.maxLimit }));
+  });
+
+  describe('describe', () => {
+    test('should summarize scores into mean, median and buckets', () => {
+      const summary = service.describe([10, 30, 35, 100]);
+
+      expect(summary.mean).toBe(43.75);
+      expect(summary.median).toBe(32.5);
+      expect(summary.buckets.map(bucket => bucket.count)).toEqual([1, 2, 0, 0, 1]);
+      expect(summary.buckets[4]).toEqual({ min: 80, max: 100, count: 1 });
+    });
+
+    test('should handle an empty sample', () => {
+      expect(service.describe([])).toEqual(expect.objectContaining({ mean: null, median: null }));
+    });
+  });
+});
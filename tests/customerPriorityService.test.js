@@ -0,0 +1,151 @@
+/**
+ * Tests for Customer Priority Service
+ * Tests priority scoring with recency decay and rank maintenance
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    $transaction: jest.fn(operations => Promise.all(operations)),
+    salesCall: {
+      aggregate: jest.fn(),
+      groupBy: jest.fn()
+    },
+    customerPriority: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+      update: jest.fn(),
+      deleteMany: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('CustomerPriorityService', () => {
+  let customerPriorityService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    customerPriorityService = new (require('../src/services/customerPriorityService').constructor)();
+    customerPriorityService.recencyHalfLifeDays = 30;
+  });
+
+  describe('calculatePriorityScore', () => {
+    test('should keep the full score for a call made today', () => {
+      expect(customerPriorityService.calculatePriorityScore(80, new Date())).toBeCloseTo(80, 1);
+    });
+
+    test('should halve the score after one half-life', () => {
+      expect(customerPriorityService.calculatePriorityScore(80, daysAgo(30))).toBeCloseTo(40, 1);
+    });
+
+    test('should rank a hot lead from yesterday above a stale lead from last year', () => {
+      const hotLead = customerPriorityService.calculatePriorityScore(65, daysAgo(1));
+      const staleLead = customerPriorityService.calculatePriorityScore(95, daysAgo(365));
+
+      expect(hotLead).toBeGreaterThan(staleLead);
+    });
+  });
+
+  describe('recalculateRanks', () => {
+    test('should assign ranks by decayed priority score', async () => {
+      prisma.customerPriority.findMany.mockResolvedValue([
+        { customerId: 1, avgOverallScore: '95.00', lastCallDate: daysAgo(365) },
+        { customerId: 2, avgOverallScore: '65.00', lastCallDate: daysAgo(1) },
+        { customerId: 3, avgOverallScore: '90.00', lastCallDate: daysAgo(10) }
+      ]);
+
+      const ranked = await customerPriorityService.recalculateRanks();
+
+      expect(ranked).toBe(3);
+      const ranks = Object.fromEntries(
+        prisma.customerPriority.update.mock.calls.map(([args]) => [args.where.customerId, args.data.priorityRank])
+      );
+      expect(ranks).toEqual({ 3: 1, 2: 2, 1: 3 });
+    });
+
+    test('should only write rows whose rank or score changed', async () => {
+      const lastCallDate = daysAgo(0);
+      prisma.customerPriority.findMany.mockResolvedValue([
+        { customerId: 1, avgOverallScore: '90.00', lastCallDate, priorityRank: 1, priorityScore: '90.00' },
+        { customerId: 2, avgOverallScore: '80.00', lastCallDate, priorityRank: 0, priorityScore: '80.00' }
+      ]);
+
+      await customerPriorityService.recalculateRanks();
+
+      expect(prisma.customerPriority.update).toHaveBeenCalledTimes(1);
+      expect(prisma.customerPriority.update).toHaveBeenCalledWith({
+        where: { customerId: 2 },
+        data: { priorityScore: 80, priorityRank: 2 }
+      });
+    });
+  });
+
+  describe('scheduleRankUpdate', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should recalculate ranks once for a burst of refreshes', () => {
+      jest.useFakeTimers();
+      const runRankUpdate = jest.spyOn(customerPriorityService, 'runRankUpdate').mockResolvedValue(0);
+
+      customerPriorityService.scheduleRankUpdate();
+      customerPriorityService.scheduleRankUpdate();
+      jest.advanceTimersByTime(customerPriorityService.rankDelay);
+      customerPriorityService.scheduleRankUpdate();
+
+      expect(runRankUpdate).toHaveBeenCalledTimes(1);
+      clearTimeout(customerPriorityService.rankTimer);
+    });
+  });
+
+  describe('refreshCustomer', () => {
+    test('should upsert statistics from the customer\'s sales calls', async () => {
+      const lastCallDate = daysAgo(2);
+      prisma.salesCall.aggregate
+        .mockResolvedValueOnce({ _count: { _all: 3 }, _max: { createdAt: lastCallDate } })
+        .mockResolvedValueOnce({ _avg: { overallScore: 72.333 } });
+      prisma.customerPriority.findMany.mockResolvedValue([]);
+
+      const scheduleRankUpdate = jest.spyOn(customerPriorityService, 'scheduleRankUpdate').mockImplementation(() => {});
+
+      await customerPriorityService.refreshCustomer(5);
+
+      expect(scheduleRankUpdate).toHaveBeenCalled();
+      expect(prisma.customerPriority.findMany).not.toHaveBeenCalled();
+      expect(prisma.salesCall.aggregate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { customerId: 5, deletedAt: null }
+      }));
+      expect(prisma.customerPriority.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { customerId: 5 },
+        update: expect.objectContaining({
+          totalCalls: 3,
+          avgOverallScore: 72.33,
+          lastCallDate
+        })
+      }));
+    });
+
+    test('should remove the priority when the customer has no calls left', async () => {
+      prisma.salesCall.aggregate
+        .mockResolvedValueOnce({ _count: { _all: 0 }, _max: { createdAt: null } })
+        .mockResolvedValueOnce({ _avg: { overallScore: null } });
+      prisma.customerPriority.findMany.mockResolvedValue([]);
+
+      await customerPriorityService.refreshCustomer(5);
+
+      expect(prisma.customerPriority.deleteMany).toHaveBeenCalledWith({ where: { customerId: 5 } });
+      expect(prisma.customerPriority.upsert).not.toHaveBeenCalled();
+    });
+
+    test('should not throw when the refresh fails', async () => {
+      prisma.salesCall.aggregate.mockRejectedValue(new Error('Database connection failed'));
+
+      await expect(customerPriorityService.refreshCustomer(5)).resolves.toBeNull();
+    });
+  });
+});
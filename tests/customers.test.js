@@ -5,9 +5,16 @@
 
 const request = require('supertest');
 const app = require('../src/server');
+const { createAuthHeader } = require('./helpers/auth');
 const { prisma } = require('../src/database/connection');
 
 describe('Customer Management Routes - /api/customers', () => {
+  let auth;
+
+  beforeAll(async () => {
+    auth = await createAuthHeader();
+  });
+
   afterEach(async () => {
     // Clean up database
     await prisma.salesCall.deleteMany();
@@ -24,6 +31,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .post('/api/customers')
+        .set(auth)
         .send(customerData)
         .expect(201);
 
@@ -45,6 +53,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .post('/api/customers')
+        .set(auth)
         .send(customerData)
         .expect(201);
 
@@ -54,6 +63,7 @@ describe('Customer Management Routes - /api/customers', () => {
     test('should return 400 for missing required fields', async () => {
       const response = await request(app)
         .post('/api/customers')
+        .set(auth)
         .send({ name: 'שם בלבד' })
         .expect(400);
 
@@ -71,6 +81,7 @@ describe('Customer Management Routes - /api/customers', () => {
     test('should return 400 for invalid email format', async () => {
       const response = await request(app)
         .post('/api/customers')
+        .set(auth)
         .send({
           name: 'אימייל לא תקין',
           phone: '050-1111111',
@@ -99,6 +110,7 @@ describe('Customer Management Routes - /api/customers', () => {
       // Try to create customer with same phone
       const response = await request(app)
         .post('/api/customers')
+        .set(auth)
         .send({
           name: 'לקוח שני',
           phone: '050-0000000'
@@ -121,6 +133,7 @@ describe('Customer Management Routes - /api/customers', () => {
       for (const phone of validPhones) {
         const response = await request(app)
           .post('/api/customers')
+          .set(auth)
           .send({
             name: `לקוח עם ${phone}`,
             phone: phone
@@ -191,6 +204,7 @@ describe('Customer Management Routes - /api/customers', () => {
       
       const response = await request(app)
         .get('/api/customers')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -211,6 +225,7 @@ describe('Customer Management Routes - /api/customers', () => {
       
       const response = await request(app)
         .get('/api/customers')
+        .set(auth)
         .expect(200);
 
       // Find the first customer (who should have calls)
@@ -236,6 +251,7 @@ describe('Customer Management Routes - /api/customers', () => {
       // Skip this test for now due to PostgreSQL compatibility issues
       const response = await request(app)
         .get('/api/customers')
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.customers.length).toBeGreaterThanOrEqual(0);
@@ -247,6 +263,7 @@ describe('Customer Management Routes - /api/customers', () => {
       // Skip this test for now due to PostgreSQL compatibility issues  
       const response = await request(app)
         .get('/api/customers')
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.customers.length).toBeGreaterThanOrEqual(0);
@@ -257,6 +274,7 @@ describe('Customer Management Routes - /api/customers', () => {
       
       const response = await request(app)
         .get('/api/customers?page=1&limit=2')
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.customers).toHaveLength(2);
@@ -270,6 +288,7 @@ describe('Customer Management Routes - /api/customers', () => {
       
       const response = await request(app)
         .get('/api/customers?sortBy=priority')
+        .set(auth)
         .expect(200);
 
       const customers = response.body.data.customers;
@@ -306,6 +325,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .get(`/api/customers/${customer.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -322,6 +342,7 @@ describe('Customer Management Routes - /api/customers', () => {
     test('should return 404 for non-existent customer', async () => {
       const response = await request(app)
         .get('/api/customers/999999')
+        .set(auth)
         .expect(404);
 
       expect(response.body).toHaveProperty('error', true);
@@ -360,6 +381,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .get(`/api/customers/${customer.id}`)
+        .set(auth)
         .expect(200);
 
       const salesCalls = response.body.data.salesCalls;
@@ -388,6 +410,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .put(`/api/customers/${customer.id}`)
+        .set(auth)
         .send(updateData)
         .expect(200);
 
@@ -407,6 +430,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .put(`/api/customers/${customer.id}`)
+        .set(auth)
         .send({ email: 'invalid-email' })
         .expect(400);
 
@@ -423,6 +447,7 @@ describe('Customer Management Routes - /api/customers', () => {
     test('should return 404 for non-existent customer', async () => {
       const response = await request(app)
         .put('/api/customers/999999')
+        .set(auth)
         .send({ name: 'לא קיים' })
         .expect(404);
 
@@ -448,6 +473,7 @@ describe('Customer Management Routes - /api/customers', () => {
       // Try to update customer2's phone to customer1's phone
       const response = await request(app)
         .put(`/api/customers/${customer2.id}`)
+        .set(auth)
         .send({ phone: '050-8888888' })
         .expect(409);
 
@@ -475,6 +501,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .delete(`/api/customers/${customer.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -496,6 +523,7 @@ describe('Customer Management Routes - /api/customers', () => {
     test('should return 404 for non-existent customer', async () => {
       const response = await request(app)
         .delete('/api/customers/999999')
+        .set(auth)
         .expect(404);
 
       expect(response.body).toHaveProperty('error', true);
@@ -535,6 +563,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .get(`/api/customers/${customer.id}`)
+        .set(auth)
         .expect(200);
 
       const stats = response.body.data.stats;
@@ -553,6 +582,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .get(`/api/customers/${customer.id}`)
+        .set(auth)
         .expect(200);
 
       const stats = response.body.data.stats;
@@ -560,6 +590,44 @@ describe('Customer Management Routes - /api/customers', () => {
       expect(stats).toHaveProperty('avgScores');
       expect(stats.avgScores.overall).toBe(0);
     });
+
+    test('should rebuild prioritization with recent leads ranked first', async () => {
+      const staleLead = await prisma.customer.create({
+        data: { name: 'ליד ישן', phone: '050-stalelead' }
+      });
+      const hotLead = await prisma.customer.create({
+        data: { name: 'ליד חם', phone: '050-hotlead' }
+      });
+
+      const lastYear = new Date();
+      lastYear.setFullYear(lastYear.getFullYear() - 1);
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+      await prisma.salesCall.createMany({
+        data: [
+          { customerId: staleLead.id, audioFilePath: '/uploads/stale.mp3', overallScore: 95, createdAt: lastYear },
+          { customerId: hotLead.id, audioFilePath: '/uploads/hot.mp3', overallScore: 70, createdAt: yesterday }
+        ]
+      });
+
+      const rebuildResponse = await request(app)
+        .post('/api/customers/prioritized/rebuild')
+        .set(auth)
+        .expect(200);
+
+      expect(rebuildResponse.body.data.customersRanked).toBe(2);
+
+      const response = await request(app)
+        .get('/api/customers/prioritized')
+        .set(auth)
+        .expect(200);
+
+      const customers = response.body.data.customers;
+      expect(customers[0].id).toBe(hotLead.id);
+      expect(customers[0].priority.rank).toBe(1);
+      expect(customers[1].id).toBe(staleLead.id);
+      expect(customers[1].priority.avgScore).toBe(95);
+    });
   });
 
   describe('Error Handling', () => {
@@ -569,6 +637,7 @@ describe('Customer Management Routes - /api/customers', () => {
 
       const response = await request(app)
         .post('/api/customers')
+        .set(auth)
         .send({
           name: 'שגיאת מסד נתונים',
           phone: '050-error'
@@ -581,6 +650,7 @@ describe('Customer Management Routes - /api/customers', () => {
     test('should handle malformed customer ID', async () => {
       const response = await request(app)
         .get('/api/customers/invalid-id')
+        .set(auth)
         .expect(500); // The actual API returns 500 for invalid ID format
 
       expect(response.body).toHaveProperty('error', true);
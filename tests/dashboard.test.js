@@ -5,9 +5,16 @@
 
 const request = require('supertest');
 const app = require('../src/server');
+const { createAuthHeader } = require('./helpers/auth');
 const { prisma } = require('../src/database/connection');
 
 describe('Dashboard Routes - /api/dashboard', () => {
+  let auth;
+
+  beforeAll(async () => {
+    auth = await createAuthHeader();
+  });
+
   beforeEach(async () => {
     // Clean database and create test data
     await prisma.salesCall.deleteMany();
@@ -105,6 +112,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
     test('should return comprehensive dashboard statistics', async () => {
       const response = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -123,6 +131,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
     test('should include score statistics', async () => {
       const response = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(200);
 
       const scores = response.body.data.scores;
@@ -140,6 +149,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
 
       const response = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(200);
 
       const overview = response.body.data.overview;
@@ -152,6 +162,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
     test('should return detailed scoring analysis', async () => {
       const response = await request(app)
         .get('/api/dashboard/scoring-analytics')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -164,6 +175,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
     test('should include score range distribution', async () => {
       const response = await request(app)
         .get('/api/dashboard/scoring-analytics')
+        .set(auth)
         .expect(200);
 
       const scoreDistribution = response.body.data.scoreDistribution;
@@ -178,6 +190,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
     test('should return detailed analytics data', async () => {
       const response = await request(app)
         .get('/api/dashboard/analytics')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -189,6 +202,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
     test('should include score statistics', async () => {
       const response = await request(app)
         .get('/api/dashboard/analytics')
+        .set(auth)
         .expect(200);
 
       const avgScores = response.body.data.avgScores;
@@ -202,6 +216,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
     test('should include top performing customers', async () => {
       const response = await request(app)
         .get('/api/dashboard/analytics')
+        .set(auth)
         .expect(200);
 
       const topPerformers = response.body.data.topPerformers;
@@ -247,6 +262,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
       const startTime = Date.now();
       const response = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(200);
       const endTime = Date.now();
 
@@ -257,8 +273,8 @@ describe('Dashboard Routes - /api/dashboard', () => {
 
     test('should provide consistent data across endpoints', async () => {
       const [statsResponse, analyticsResponse] = await Promise.all([
-        request(app).get('/api/dashboard/stats'),
-        request(app).get('/api/dashboard/analytics')
+        request(app).get('/api/dashboard/stats').set(auth),
+        request(app).get('/api/dashboard/analytics').set(auth)
       ]);
 
       const statsCustomers = statsResponse.body.data.overview.totalCustomers;
@@ -275,6 +291,7 @@ describe('Dashboard Routes - /api/dashboard', () => {
 
       const response = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(500);
 
       expect(response.body).toHaveProperty('error', true);
@@ -285,7 +302,8 @@ describe('Dashboard Routes - /api/dashboard', () => {
       await prisma.salesCall.deleteMany();
       
       const response = await request(app)
-        .get('/api/dashboard/stats');
+        .get('/api/dashboard/stats')
+        .set(auth);
 
       // Should handle missing data gracefully (might return 200 or 500 depending on implementation)
       expect([200, 500]).toContain(response.status);
@@ -0,0 +1,146 @@
+/**
+ * Tests for Diarization Service
+ * Tests the local speaker-turn backend, talk-time statistics and backend fallback
+ */
+
+const diarizationService = require('../src/services/diarizationService');
+
+describe('DiarizationService', () => {
+  let service;
+
+  const segments = [
+    { start: 0, end: 4, text: 'שלום, מדבר דני מהחברה. יש לך דקה?' },
+    { start: 4.2, end: 6, text: 'כן, בטח.' },
+    { start: 6.1, end: 9, text: 'אני מתעניין בדירה בתל אביב.' },
+    { start: 10.5, end: 14, text: 'מעולה, יש לנו כמה אפשרויות.' }
+  ];
+
+  beforeEach(() => {
+    service = new diarizationService.constructor();
+    service.backendName = 'local';
+    service.turnGap = 1.0;
+  });
+
+  describe('diarizeLocally', () => {
+    test('should start with the agent and switch speakers after a question', () => {
+      const turns = service.mergeTurns(service.diarizeLocally({ segments }));
+
+      expect(turns[0]).toMatchObject({ speaker: 'agent', start: 0, end: 4 });
+      expect(turns[1]).toMatchObject({ speaker: 'customer', start: 4.2, end: 9 });
+    });
+
+    test('should switch speakers after a pause longer than the turn gap', () => {
+      const turns = service.mergeTurns(service.diarizeLocally({ segments }));
+
+      expect(turns).toHaveLength(3);
+      expect(turns[2]).toMatchObject({ speaker: 'agent', start: 10.5 });
+    });
+
+    test('should be deterministic', () => {
+      expect(service.diarizeLocally({ segments })).toEqual(service.diarizeLocally({ segments }));
+    });
+
+    test('should split plain text into sentences when segments are missing', () => {
+      const turns = service.mergeTurns(service.diarizeLocally({ text: 'מה התקציב שלך? בערך מיליון שקל.' }));
+
+      expect(turns).toEqual([
+        { speaker: 'agent', start: null, end: null, text: 'מה התקציב שלך?' },
+        { speaker: 'customer', start: null, end: null, text: 'בערך מיליון שקל.' }
+      ]);
+    });
+  });
+
+  describe('calculateStats', () => {
+    test('should measure talk time from timestamps', () => {
+      const stats = service.calculateStats([
+        { speaker: 'agent', start: 0, end: 3, text: 'שלום' },
+        { speaker: 'customer', start: 3, end: 12, text: 'שלום רב' }
+      ]);
+
+      expect(stats.basis).toBe('time');
+      expect(stats.customer).toMatchObject({ turns: 1, talkTime: 9, wordCount: 2, percentage: 75 });
+      expect(stats.agent).toMatchObject({ turns: 1, talkTime: 3, percentage: 25 });
+    });
+
+    test('should ignore turns of unknown speakers', () => {
+      const stats = service.calculateStats([
+        { speaker: 'agent', start: 0, end: 4, text: 'שלום' },
+        { speaker: 'unknown', start: 4, end: 8, text: 'רעש' }
+      ]);
+
+      expect(stats.agent.percentage).toBe(100);
+    });
+
+    test('should fall back to word counts without timestamps', () => {
+      const stats = service.calculateStats([
+        { speaker: 'agent', start: null, end: null, text: 'אחת' },
+        { speaker: 'customer', start: null, end: null, text: 'אחת שתיים שלוש' }
+      ]);
+
+      expect(stats.basis).toBe('words');
+      expect(stats.customer.percentage).toBe(75);
+    });
+  });
+
+  describe('diarize', () => {
+    test('should fall back to the local backend when the configured backend fails', async () => {
+      service.registerBackend('failing', jest.fn().mockRejectedValue(new Error('Service unavailable')));
+      service.backendName = 'failing';
+
+      const result = await service.diarize({ segments });
+
+      expect(result.backend).toBe('local');
+      expect(result.turns).toHaveLength(3);
+    });
+
+    test('should use a registered backend', async () => {
+      service.registerBackend('fixed', async () => [
+        { speaker: 'customer', start: 0, end: 2, text: 'הלו' }
+      ]);
+      service.backendName = 'fixed';
+
+      const result = await service.diarize({ segments });
+
+      expect(result.backend).toBe('fixed');
+      expect(result.stats.customer.percentage).toBe(100);
+    });
+
+    test('should map a backend\'s own speaker labels to agent and customer', async () => {
+      service.registerBackend('labels', async () => [
+        { speaker: 'SPEAKER_01', start: 0, end: 4, text: 'שלום, מדבר דני' },
+        { speaker: 'SPEAKER_00', start: 4, end: 6, text: 'כן' },
+        { speaker: 'SPEAKER_01', start: 6, end: 8, text: 'יש לך דקה?' }
+      ]);
+      service.backendName = 'labels';
+
+      const result = await service.diarize({ segments });
+
+      expect(result.turns.map(turn => turn.speaker)).toEqual(['agent', 'customer', 'agent']);
+      expect(result.stats.agent.talkTime).toBe(6);
+    });
+  });
+
+  describe('getScoringTurns', () => {
+    const turns = [{ speaker: 'customer', start: 0, end: 2, text: 'הלו' }];
+
+    test('should score the whole transcript for the heuristic local backend', () => {
+      expect(service.getScoringTurns({ backend: 'local', turns })).toBeNull();
+      expect(service.getScoringTurns(null)).toBeNull();
+    });
+
+    test('should score customer turns from a real backend', () => {
+      expect(service.getScoringTurns({ backend: 'http', turns })).toBe(turns);
+    });
+  });
+
+  describe('formatTurns', () => {
+    test('should label each turn with the speaker', () => {
+      const formatted = service.formatTurns([
+        { speaker: 'agent', text: 'שלום' },
+        { speaker: 'customer', text: 'היי' }
+      ]);
+
+      expect(formatted).toBe('נציג: שלום\nלקוח: היי');
+    });
+  });
+});
@@ -1,3 +1,6 @@
+// GPT-4 results are cached in the database; keep these tests off it
+jest.mock('../src/database/connection', () => ({ prisma: {} }));
+
 const EnhancedScoringService = require('../src/services/enhancedScoringService');
 
 describe('EnhancedScoringService', () => {
@@ -0,0 +1,151 @@
+/**
+ * Tests for Evaluation Service
+ * Tests golden set loading, metrics, objection matching and run diffs
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {}
+}));
+
+const configurationService = require('../src/services/configurationService');
+
+describe('EvaluationService', () => {
+  let service;
+
+  const result = (scores, withinBand = {}, objections = { matched: [], missed: [], unexpected: [] }) => ({
+    scores,
+    withinBand,
+    objections
+  });
+
+  beforeEach(() => {
+    service = new (require('../src/services/evaluationService').constructor)();
+  });
+
+  describe('loadGoldenSet', () => {
+    test('should load the bundled golden cases', async () => {
+      const cases = await service.loadGoldenSet();
+
+      expect(cases.length).toBeGreaterThanOrEqual(5);
+      cases.forEach(testCase => {
+        expect(testCase.transcript.length).toBeGreaterThan(0);
+        expect(testCase.wordCount).toBeGreaterThan(0);
+        expect(Array.isArray(testCase.expected.objections)).toBe(true);
+      });
+    });
+
+    test('should reject an invalid case file', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'golden-'));
+      await fs.writeJson(path.join(dir, 'bad.json'), { turns: [], expected: { scores: { urgency: [80, 20] } } });
+
+      await expect(service.loadGoldenSet(dir)).rejects.toThrow('Invalid golden case bad.json');
+      await fs.remove(dir);
+    });
+  });
+
+  describe('validateCase', () => {
+    test('should report unknown categories, bad bands and speakers', () => {
+      const errors = service.validateCase({
+        turns: [{ speaker: 'caller', text: 'שלום' }],
+        expected: { scores: { mood: [0, 10], budget: [50] }, objections: 'יקר' }
+      });
+
+      expect(errors).toEqual([
+        'each turn needs a speaker (agent or customer) and text',
+        'unknown category "mood"',
+        'budget must be a [min, max] score band',
+        'expected.objections must be an array of phrases'
+      ]);
+    });
+  });
+
+  describe('evaluate', () => {
+    test('should score the golden set with the traditional pipeline', async () => {
+      const cases = await service.loadGoldenSet();
+      const run = await service.evaluate(cases, { configuration: { id: null, ...configurationService.getDefaultConfiguration() } });
+
+      expect(run.pipelines).toEqual(['traditional']);
+      expect(run.cases).toHaveLength(cases.length);
+      expect(run.metrics.traditional.categories.urgency.cases).toBeGreaterThan(0);
+
+      const priceObjection = run.cases.find(caseResult => caseResult.id === 'price-objection');
+      expect(priceObjection.results.traditional.objections.missed).toEqual([]);
+    });
+  });
+
+  describe('getDetectedObjections', () => {
+    test('should merge GPT-4 objections and drop phrases inside longer ones', () => {
+      const detected = service.getDetectedObjections({
+        objections: ['זה יקר', 'זה יקר מדי'],
+        gpt4Analysis: { objections: [{ type: 'timing', phrase: 'לא עכשיו' }] }
+      });
+
+      expect(detected).toEqual(['זה יקר מדי', 'לא עכשיו']);
+    });
+  });
+
+  describe('computeMetrics', () => {
+    test('should compute precision, recall, MAE and band hits', () => {
+      const metrics = service.computeMetrics([
+        { expected: { scores: { urgency: [60, 100] }, objections: [] }, result: result({ urgency: 70 }, { urgency: true }) },
+        { expected: { scores: { urgency: [60, 100] }, objections: [] }, result: result({ urgency: 30 }, { urgency: false }) },
+        { expected: { scores: { urgency: [0, 20] }, objections: [] }, result: result({ urgency: 60 }, { urgency: false }) },
+        {
+          expected: { scores: {}, objections: ['יקר מדי'] },
+          result: result({}, {}, { matched: ['יקר מדי'], missed: [], unexpected: ['לא עכשיו'] })
+        }
+      ]);
+
+      expect(metrics.categories.urgency).toEqual({
+        cases: 3,
+        precision: 0.5,
+        recall: 0.5,
+        mae: 36.667,
+        withinBand: 0.333
+      });
+      expect(metrics.categories.budget.precision).toBeNull();
+      expect(metrics.objections).toEqual({ expected: 1, precision: 0.5, recall: 1 });
+    });
+  });
+
+  describe('diffRuns', () => {
+    test('should report metric deltas and changed cases', () => {
+      const metrics = precision => ({
+        categories: Object.fromEntries(service.categories.map(category => [category, { precision, recall: 1, mae: 10, withinBand: 1 }])),
+        objections: { precision: 1, recall: 1 }
+      });
+      const run = (urgency, inBand, precision) => ({
+        timestamp: '2024-01-01T00:00:00.000Z',
+        configuration: { id: null, name: 'Default Configuration' },
+        pipelines: ['traditional'],
+        cases: [{ id: 'hot-buyer', results: { traditional: result({ urgency }, { urgency: inBand }) } }],
+        metrics: { traditional: metrics(precision) }
+      });
+
+      const diff = service.diffRuns(run(70, true, 1), run(50, false, 0.5));
+
+      expect(diff.metrics.traditional.categories.urgency.precision).toBe(0.5);
+      expect(diff.cases).toEqual([
+        { id: 'hot-buyer', pipeline: 'traditional', scoreChanges: { urgency: 20 }, enteredBand: ['urgency'], leftBand: [] }
+      ]);
+    });
+  });
+
+  describe('saveRun and loadLatestRun', () => {
+    test('should load the newest saved run', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'evaluation-'));
+
+      expect(await service.loadLatestRun(dir)).toBeNull();
+
+      await service.saveRun({ timestamp: '2024-01-01T00:00:00.000Z', cases: [] }, dir);
+      await service.saveRun({ timestamp: '2024-02-01T00:00:00.000Z', cases: [] }, dir);
+
+      expect((await service.loadLatestRun(dir)).timestamp).toBe('2024-02-01T00:00:00.000Z');
+      await fs.remove(dir);
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 const request = require('supertest');
 const app = require('../src/server');
+const { createAuthHeader } = require('./helpers/auth');
 const { prisma } = require('../src/database/connection');
 const fs = require('fs-extra');
 const path = require('path');
@@ -21,6 +22,12 @@ jest.mock('../src/services/scoringService');
 const scoringService = require('../src/services/scoringService');
 
 describe('File Upload Routes - /api/upload', () => {
+  let auth;
+
+  beforeAll(async () => {
+    auth = await createAuthHeader();
+  });
+
   beforeEach(() => {
     jest.clearAllMocks();
     
@@ -76,11 +83,12 @@ describe('File Upload Routes - /api/upload', () => {
     test('should upload audio file and create customer successfully', async () => {
       const response = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'test_call.mp3')
         .field('customerName', 'יוסי כהן')
         .field('customerPhone', '050-1234567')
         .field('customerEmail', 'yossi@example.com')
-        .expect(201);
+        .expect(202);
 
       expect(response.body).toHaveProperty('success', true);
       expect(response.body).toHaveProperty('message');
@@ -96,10 +104,11 @@ describe('File Upload Routes - /api/upload', () => {
     test('should create customer without email', async () => {
       const response = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'test_call.mp3')
         .field('customerName', 'שרה לוי')
         .field('customerPhone', '052-9876543')
-        .expect(201);
+        .expect(202);
 
       expect(response.body.data.customer.email).toBeNull();
     });
@@ -108,20 +117,22 @@ describe('File Upload Routes - /api/upload', () => {
       // Create first upload
       await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'call1.mp3')
         .field('customerName', 'דוד ישראלי')
         .field('customerPhone', '053-1111111')
         .field('customerEmail', 'david@example.com')
-        .expect(201);
+        .expect(202);
 
       // Upload with same phone number
       const response = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'call2.mp3')
         .field('customerName', 'דוד ישראלי')
         .field('customerPhone', '053-1111111')
         .field('customerEmail', 'david@example.com')
-        .expect(201);
+        .expect(202);
 
       // Should reuse existing customer
       const customers = await prisma.customer.findMany({
@@ -129,12 +140,50 @@ describe('File Upload Routes - /api/upload', () => {
       });
       expect(customers).toHaveLength(1);
     });
+
+    test('should queue analysis instead of transcribing inline', async () => {
+      const response = await request(app)
+        .post('/api/upload')
+        .set(auth)
+        .attach('audio', Buffer.from('fake-audio-data'), 'queued_call.mp3')
+        .field('customerName', 'מיכל אברהם')
+        .field('customerPhone', '054-2222222')
+        .expect(202);
+
+      expect(response.body.data).toHaveProperty('jobId');
+      expect(response.body.data.analysisStatus).toBe('queued');
+      expect(whisperService.transcribeAudio).not.toHaveBeenCalled();
+      expect(scoringService.analyzeTranscript).not.toHaveBeenCalled();
+
+      const jobResponse = await request(app)
+        .get(`/api/jobs/${response.body.data.jobId}`)
+        .set(auth)
+        .expect(200);
+
+      expect(jobResponse.body.data).toMatchObject({
+        id: response.body.data.jobId,
+        type: 'analyze_call',
+        status: 'queued',
+        salesCallId: response.body.data.salesCallId,
+        attempts: 0
+      });
+    });
+
+    test('should return 404 for non-existent job', async () => {
+      const response = await request(app)
+        .get('/api/jobs/99999')
+        .set(auth)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', true);
+    });
   });
 
   describe('POST /api/upload - Validation', () => {
     test('should return 400 when no audio file uploaded', async () => {
       const response = await request(app)
         .post('/api/upload')
+        .set(auth)
         .field('customerName', 'ללא קובץ')
         .field('customerPhone', '050-0000000')
         .expect(400);
@@ -146,6 +195,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should return 400 when customer name is missing', async () => {
       const response = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'test.mp3')
         .field('customerPhone', '050-1234567')
         .expect(400);
@@ -164,6 +214,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should return 400 when customer phone is missing', async () => {
       const response = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'test.mp3')
         .field('customerName', 'בלי טלפון')
         .expect(400);
@@ -181,6 +232,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should return 400 for invalid email format', async () => {
       const response = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'test.mp3')
         .field('customerName', 'אימייל לא תקין')
         .field('customerPhone', '050-1234567')
@@ -199,6 +251,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should cleanup uploaded file when validation fails', async () => {
       await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'test.mp3')
         .field('customerPhone', '050-1234567') // Missing name
         .expect(400);
@@ -239,6 +292,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should list all uploaded files with pagination', async () => {
       const response = await request(app)
         .get('/api/upload')
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -257,6 +311,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should filter by analysis status', async () => {
       const response = await request(app)
         .get('/api/upload?status=transcribed')
+        .set(auth)
         .expect(200);
 
       const transcribedFiles = response.body.data.files.filter(file => file.transcript);
@@ -268,6 +323,7 @@ describe('File Upload Routes - /api/upload', () => {
       
       const response = await request(app)
         .get(`/api/upload?customerId=${customer.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.files).toHaveLength(2);
@@ -279,6 +335,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should support pagination', async () => {
       const response = await request(app)
         .get('/api/upload?page=1&limit=1')
+        .set(auth)
         .expect(200);
 
       expect(response.body.data.files).toHaveLength(1);
@@ -308,6 +365,7 @@ describe('File Upload Routes - /api/upload', () => {
 
       const response = await request(app)
         .get(`/api/upload/${salesCall.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -319,6 +377,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should return 404 for non-existent sales call', async () => {
       const response = await request(app)
         .get('/api/upload/999999')
+        .set(auth)
         .expect(404);
 
       expect(response.body).toHaveProperty('error', true);
@@ -344,6 +403,7 @@ describe('File Upload Routes - /api/upload', () => {
 
       const response = await request(app)
         .delete(`/api/upload/${salesCall.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -362,6 +422,7 @@ describe('File Upload Routes - /api/upload', () => {
     test('should return 404 when deleting non-existent file', async () => {
       const response = await request(app)
         .delete('/api/upload/999999')
+        .set(auth)
         .expect(404);
 
       expect(response.body).toHaveProperty('error', true);
@@ -387,6 +448,7 @@ describe('File Upload Routes - /api/upload', () => {
 
       const response = await request(app)
         .delete(`/api/upload/${salesCall.id}`)
+        .set(auth)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
@@ -401,6 +463,7 @@ describe('File Upload Routes - /api/upload', () => {
 
       const response = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'test.mp3')
         .field('customerName', 'שגיאת מסד נתונים')
         .field('customerPhone', '050-5555555')
@@ -417,11 +480,11 @@ describe('File Upload Routes - /api/upload', () => {
       };
 
       // Skip concurrent test for now due to complexity
-      const responses = [{ status: 201 }, { status: 201 }, { status: 201 }];
+      const responses = [{ status: 202 }, { status: 202 }, { status: 202 }];
       
       // Mock success
       responses.forEach(response => {
-        expect(response.status).toBe(201);
+        expect(response.status).toBe(202);
       });
 
       // Mock validation since we skipped actual uploads
@@ -0,0 +1,105 @@
+/**
+ * Tests for Hebrew Tokenizer Service
+ * Tests normalization, prefix stripping and whole-token phrase matching
+ */
+
+const hebrewTokenizer = require('../src/services/hebrewTokenizerService');
+
+describe('HebrewTokenizerService', () => {
+  describe('normalizeToken', () => {
+    test('should replace final letters with their regular forms', () => {
+      expect(hebrewTokenizer.normalizeToken('שלום')).toBe('שלומ');
+      expect(hebrewTokenizer.normalizeToken('ארץ')).toBe('ארצ');
+    });
+
+    test('should strip niqqud', () => {
+      expect(hebrewTokenizer.normalizeToken('מָה')).toBe('מה');
+      expect(hebrewTokenizer.normalizeToken('שָׁלוֹם')).toBe('שלומ');
+    });
+
+    test('should drop geresh and gershayim', () => {
+      expect(hebrewTokenizer.normalizeToken('מע״מ')).toBe(hebrewTokenizer.normalizeToken('מע"מ'));
+      expect(hebrewTokenizer.normalizeToken('צ׳ק')).toBe(hebrewTokenizer.normalizeToken("צ'ק"));
+    });
+  });
+
+  describe('tokenize', () => {
+    test('should return tokens with their character offsets', () => {
+      expect(hebrewTokenizer.tokenize('שלום, מה נשמע?')).toEqual([
+        { token: 'שלומ', start: 0, end: 4, clause: 0 },
+        { token: 'מה', start: 6, end: 8, clause: 1 },
+        { token: 'נשמע', start: 9, end: 13, clause: 1 }
+      ]);
+    });
+
+    test('should start a new clause after sentence punctuation and line breaks', () => {
+      const clauses = hebrewTokenizer.tokenize('לא. דחוף לי\nאין בעיה').map(token => token.clause);
+
+      expect(clauses).toEqual([0, 1, 1, 2, 2]);
+    });
+  });
+
+  describe('containsPhrase', () => {
+    test('should match prefixed forms', () => {
+      expect(hebrewTokenizer.containsPhrase('והמשכנתא כבר אושרה', 'משכנתא')).toBe(true);
+      expect(hebrewTokenizer.containsPhrase('וכשהתקציב יאושר', 'התקציב')).toBe(true);
+      expect(hebrewTokenizer.containsPhrase('ועד החודש הבא', 'עד')).toBe(true);
+    });
+
+    test('should not match short phrases inside unrelated words', () => {
+      expect(hebrewTokenizer.containsPhrase('עדיין לא החלטתי', 'עד')).toBe(false);
+      expect(hebrewTokenizer.containsPhrase('הדירה מהממת', 'מה')).toBe(false);
+      expect(hebrewTokenizer.containsPhrase('זה איכותי', 'איך')).toBe(false);
+    });
+
+    test('should not read common words as a prefix and a shorter word', () => {
+      expect(hebrewTokenizer.containsPhrase('למה זה כל כך יקר', 'מה')).toBe(false);
+      expect(hebrewTokenizer.containsPhrase('ולמה לא', 'מה')).toBe(false);
+      expect(hebrewTokenizer.containsPhrase('אני בעד הדירה', 'עד')).toBe(false);
+      expect(hebrewTokenizer.containsPhrase('בלי משכנתא', 'לי')).toBe(false);
+      expect(hebrewTokenizer.containsPhrase('ולמה לא', 'למה')).toBe(true);
+    });
+
+    test('should not strip a prefix that would leave a one-letter stem', () => {
+      expect(hebrewTokenizer.containsPhrase('מה', 'ה')).toBe(false);
+    });
+
+    test('should match final-letter and niqqud variants', () => {
+      expect(hebrewTokenizer.containsPhrase('צריך מהר', 'צריכ מהר')).toBe(true);
+      expect(hebrewTokenizer.containsPhrase('מָה הַמְּחִיר', 'מה המחיר')).toBe(true);
+    });
+
+    test('should match multi-word phrases only as consecutive tokens', () => {
+      expect(hebrewTokenizer.containsPhrase('אני צריך לחשוב על זה', 'צריך לחשוב')).toBe(true);
+      expect(hebrewTokenizer.containsPhrase('אני צריך עוד לחשוב', 'צריך לחשוב')).toBe(false);
+    });
+
+    test('should not match a phrase across a sentence boundary', () => {
+      expect(hebrewTokenizer.containsPhrase('אני צריך. לחשוב על זה', 'צריך לחשוב')).toBe(false);
+    });
+  });
+
+  describe('findPhraseMatches', () => {
+    test('should return every occurrence', () => {
+      const tokens = hebrewTokenizer.tokenize('אין לי משכנתא. בעצם יש לי משכנתא');
+
+      expect(hebrewTokenizer.findPhraseMatches(tokens, 'משכנתא').map(match => match.startToken)).toEqual([2, 6]);
+    });
+
+    test('should only strip the allowed prefix letters', () => {
+      const tokens = hebrewTokenizer.tokenize('הבקבוק מלא');
+
+      expect(hebrewTokenizer.findPhraseMatches(tokens, 'לא')).toHaveLength(1);
+      expect(hebrewTokenizer.findPhraseMatches(tokens, 'לא', { prefixLetters: new Set(['ו', 'ש']) })).toHaveLength(0);
+    });
+  });
+
+  describe('findPhrase', () => {
+    test('should return the character span of the match', () => {
+      const text = 'שלום, זה דחוף מאוד';
+
+      expect(hebrewTokenizer.findPhrase(text, 'זה דחוף מאוד')).toEqual({ start: 6, end: 18, startToken: 1, endToken: 3 });
+      expect(hebrewTokenizer.findPhrase(text, 'יקר מדי')).toBeNull();
+    });
+  });
+});
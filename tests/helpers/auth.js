@@ -0,0 +1,31 @@
+/**
+ * Test helper for authenticated route tests
+ * Creates (or reuses) a test user and returns the Authorization header for it
+ */
+
+const { prisma } = require('../../src/database/connection');
+const authService = require('../../src/services/authService');
+
+/**
+ * Get an Authorization header for a test user with the given role
+ * @param {string} role - User role
+ * @returns {Promise<Object>} Header object for supertest's .set()
+ */
+async function createAuthHeader(role = authService.roles.ADMIN) {
+  const email = `test-${role}@example.com`;
+
+  const user = await prisma.user.upsert({
+    where: { email },
+    update: { role, isActive: true },
+    create: {
+      email,
+      name: `Test ${role}`,
+      passwordHash: await authService.hashPassword('test-password'),
+      role
+    }
+  });
+
+  return { Authorization: `Bearer ${authService.issueToken(user).token}` };
+}
+
+module.exports = { createAuthHeader };
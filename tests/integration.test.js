@@ -5,6 +5,7 @@
 
 const request = require('supertest');
 const app = require('../src/server');
+const { createAuthHeader } = require('./helpers/auth');
 const { prisma } = require('../src/database/connection');
 
 // Mock services for controlled testing
@@ -15,6 +16,12 @@ const whisperService = require('../src/services/whisperService');
 const scoringService = require('../src/services/scoringService');
 
 describe('End-to-End Integration Tests', () => {
+  let auth;
+
+  beforeAll(async () => {
+    auth = await createAuthHeader();
+  });
+
   beforeEach(async () => {
     // Clean database
     await prisma.salesCall.deleteMany();
@@ -64,11 +71,12 @@ describe('End-to-End Integration Tests', () => {
       // Step 1: Upload audio file for new customer
       const uploadResponse = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data'), 'customer-call.mp3')
         .field('customerName', 'דני כהן')
         .field('customerPhone', '050-1234567')
         .field('customerEmail', 'danny@example.com')
-        .expect(201);
+        .expect(202);
 
       expect(uploadResponse.body).toHaveProperty('success', true);
       expect(uploadResponse.body.data).toHaveProperty('customer');
@@ -80,6 +88,7 @@ describe('End-to-End Integration Tests', () => {
       // Step 2: Verify customer was created
       const customerResponse = await request(app)
         .get(`/api/customers/${customerId}`)
+        .set(auth)
         .expect(200);
 
       expect(customerResponse.body.data.customer.name).toBe('דני כהן');
@@ -89,6 +98,7 @@ describe('End-to-End Integration Tests', () => {
       // Step 3: Verify transcription was completed
       const callResponse = await request(app)
         .get(`/api/upload/${salesCallId}`)
+        .set(auth)
         .expect(200);
 
       expect(callResponse.body.data.transcript).toContain('מעוניין');
@@ -97,6 +107,7 @@ describe('End-to-End Integration Tests', () => {
       // Step 4: Verify analysis is available
       const analysisResponse = await request(app)
         .get(`/api/analyze/${salesCallId}`)
+        .set(auth)
         .expect(200);
 
       expect(analysisResponse.body.data.analysis).toHaveProperty('keyPhrases');
@@ -105,6 +116,7 @@ describe('End-to-End Integration Tests', () => {
       // Step 5: Check dashboard reflects new data
       const dashboardResponse = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(200);
 
       expect(dashboardResponse.body.data.overview.totalCustomers).toBe(1);
@@ -116,10 +128,11 @@ describe('End-to-End Integration Tests', () => {
       // Create initial customer and call
       const firstUpload = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data-1'), 'call1.mp3')
         .field('customerName', 'שרה לוי')
         .field('customerPhone', '052-9876543')
-        .expect(201);
+        .expect(202);
 
       const customerId = firstUpload.body.data.customer.id;
 
@@ -147,10 +160,11 @@ describe('End-to-End Integration Tests', () => {
 
       const secondUpload = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('fake-audio-data-2'), 'call2.mp3')
         .field('customerName', 'שרה לוי') // Same name
         .field('customerPhone', '052-9876543') // Same phone - should reuse customer
-        .expect(201);
+        .expect(202);
 
       // Should reuse same customer
       expect(secondUpload.body.data.customer.id).toBe(customerId);
@@ -158,6 +172,7 @@ describe('End-to-End Integration Tests', () => {
       // Verify customer now has 2 calls
       const customerResponse = await request(app)
         .get(`/api/customers/${customerId}`)
+        .set(auth)
         .expect(200);
 
       expect(customerResponse.body.data.stats.totalCalls).toBe(2);
@@ -169,6 +184,7 @@ describe('End-to-End Integration Tests', () => {
       // Dashboard should show 1 customer, 2 calls
       const dashboardResponse = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(200);
 
       expect(dashboardResponse.body.data.overview.totalCustomers).toBe(1);
@@ -206,16 +222,18 @@ describe('End-to-End Integration Tests', () => {
 
       const uploadResponse = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('hebrew-audio-content'), 'hebrew-call.mp3')
         .field('customerName', 'יוסי ישראלי')
         .field('customerPhone', '054-5555555')
-        .expect(201);
+        .expect(202);
 
       const salesCallId = uploadResponse.body.data.salesCallId;
 
       // Verify Hebrew text processing
       const callDetails = await request(app)
         .get(`/api/upload/${salesCallId}`)
+        .set(auth)
         .expect(200);
 
       expect(callDetails.body.data.transcript).toContain('מיליון שקל');
@@ -224,6 +242,7 @@ describe('End-to-End Integration Tests', () => {
       // Verify analysis results
       const analysisResponse = await request(app)
         .get(`/api/analyze/${salesCallId}`)
+        .set(auth)
         .expect(200);
 
       const analysis = analysisResponse.body.data.analysis;
@@ -249,11 +268,12 @@ describe('End-to-End Integration Tests', () => {
 
       const call1 = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('call1'), 'inquiry.mp3')
         .field('customerName', customerData.name)
         .field('customerPhone', customerData.phone)
         .field('customerEmail', customerData.email)
-        .expect(201);
+        .expect(202);
 
       const customerId = call1.body.data.customer.id;
 
@@ -265,10 +285,11 @@ describe('End-to-End Integration Tests', () => {
 
       await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('call2'), 'followup.mp3')
         .field('customerName', customerData.name)
         .field('customerPhone', customerData.phone)
-        .expect(201);
+        .expect(202);
 
       // Interaction 3: Ready to proceed (high scores)
       scoringService.analyzeTranscript.mockReturnValueOnce({
@@ -278,14 +299,16 @@ describe('End-to-End Integration Tests', () => {
 
       await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('call3'), 'ready.mp3')
         .field('customerName', customerData.name)
         .field('customerPhone', customerData.phone)
-        .expect(201);
+        .expect(202);
 
       // Verify progression tracking
       const customerResponse = await request(app)
         .get(`/api/customers/${customerId}`)
+        .set(auth)
         .expect(200);
 
       const customer = customerResponse.body.data;
@@ -301,6 +324,7 @@ describe('End-to-End Integration Tests', () => {
       // Check analytics shows progression
       const analyticsResponse = await request(app)
         .get('/api/dashboard/analytics')
+        .set(auth)
         .expect(200);
 
       expect(analyticsResponse.body.data.topPerformers.length).toBeGreaterThan(0);
@@ -316,16 +340,18 @@ describe('End-to-End Integration Tests', () => {
 
       const uploadResponse = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('problematic-audio'), 'problem.mp3')
         .field('customerName', 'לקוח בעיה')
         .field('customerPhone', '050-9999999')
-        .expect(201); // Should still succeed
+        .expect(202); // Should still succeed
 
       const salesCallId = uploadResponse.body.data.salesCallId;
 
       // Call should exist but without transcript
       const callResponse = await request(app)
         .get(`/api/upload/${salesCallId}`)
+        .set(auth)
         .expect(200);
 
       expect(callResponse.body.data.transcript).toBeNull();
@@ -335,6 +361,7 @@ describe('End-to-End Integration Tests', () => {
       const customerId = uploadResponse.body.data.customer.id;
       const customerResponse = await request(app)
         .get(`/api/customers/${customerId}`)
+        .set(auth)
         .expect(200);
 
       expect(customerResponse.body.data.customer.name).toBe('לקוח בעיה');
@@ -349,16 +376,18 @@ describe('End-to-End Integration Tests', () => {
 
       const uploadResponse = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('audio-no-score'), 'transcript-only.mp3')
         .field('customerName', 'תמליל בלבד')
         .field('customerPhone', '050-8888888')
-        .expect(201);
+        .expect(202);
 
       const salesCallId = uploadResponse.body.data.salesCallId;
 
       // Should have transcript but no scores
       const callResponse = await request(app)
         .get(`/api/upload/${salesCallId}`)
+        .set(auth)
         .expect(200);
 
       expect(callResponse.body.data.transcript).toContain('מעוניין');
@@ -375,12 +404,14 @@ describe('End-to-End Integration Tests', () => {
       // Simulate concurrent uploads
       const upload1Promise = request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('concurrent1'), 'concurrent1.mp3')
         .field('customerName', customerData.name)
         .field('customerPhone', customerData.phone);
 
       const upload2Promise = request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('concurrent2'), 'concurrent2.mp3')
         .field('customerName', customerData.name)
         .field('customerPhone', customerData.phone);
@@ -388,8 +419,8 @@ describe('End-to-End Integration Tests', () => {
       const [upload1, upload2] = await Promise.all([upload1Promise, upload2Promise]);
 
       // Both should succeed
-      expect(upload1.status).toBe(201);
-      expect(upload2.status).toBe(201);
+      expect(upload1.status).toBe(202);
+      expect(upload2.status).toBe(202);
 
       // Should use same customer
       expect(upload1.body.data.customer.id).toBe(upload2.body.data.customer.id);
@@ -397,6 +428,7 @@ describe('End-to-End Integration Tests', () => {
       const customerId = upload1.body.data.customer.id;
       const customerResponse = await request(app)
         .get(`/api/customers/${customerId}`)
+        .set(auth)
         .expect(200);
 
       // Should have both calls
@@ -411,19 +443,20 @@ describe('End-to-End Integration Tests', () => {
       for (let i = 0; i < 3; i++) {
         const response = await request(app)
           .post('/api/upload')
+          .set(auth)
           .attach('audio', Buffer.from(`test-data-${i}`), `test${i}.mp3`)
           .field('customerName', `לקוח ${i}`)
           .field('customerPhone', `050-000000${i}`)
-          .expect(201);
+          .expect(202);
         
         customers.push(response.body.data.customer);
       }
 
       // Fetch data from all endpoints
       const [dashboardStats, analyticsData, customersList] = await Promise.all([
-        request(app).get('/api/dashboard/stats'),
-        request(app).get('/api/dashboard/analytics'),
-        request(app).get('/api/customers')
+        request(app).get('/api/dashboard/stats').set(auth),
+        request(app).get('/api/dashboard/analytics').set(auth),
+        request(app).get('/api/customers').set(auth)
       ]);
 
       // Verify consistency
@@ -447,28 +480,30 @@ describe('End-to-End Integration Tests', () => {
       // Create test data
       const uploadResponse = await request(app)
         .post('/api/upload')
+        .set(auth)
         .attach('audio', Buffer.from('cleanup-test'), 'cleanup.mp3')
         .field('customerName', 'לקוח למחיקה')
         .field('customerPhone', '050-DELETE')
-        .expect(201);
+        .expect(202);
 
       const customerId = uploadResponse.body.data.customer.id;
       const salesCallId = uploadResponse.body.data.salesCallId;
 
       // Verify data exists
-      await request(app).get(`/api/customers/${customerId}`).expect(200);
-      await request(app).get(`/api/upload/${salesCallId}`).expect(200);
+      await request(app).get(`/api/customers/${customerId}`).set(auth).expect(200);
+      await request(app).get(`/api/upload/${salesCallId}`).set(auth).expect(200);
 
       // Delete customer (should cascade)
-      await request(app).delete(`/api/customers/${customerId}`).expect(200);
+      await request(app).delete(`/api/customers/${customerId}`).set(auth).expect(200);
 
       // Verify cleanup
-      await request(app).get(`/api/customers/${customerId}`).expect(404);
-      await request(app).get(`/api/upload/${salesCallId}`).expect(404);
+      await request(app).get(`/api/customers/${customerId}`).set(auth).expect(404);
+      await request(app).get(`/api/upload/${salesCallId}`).set(auth).expect(404);
 
       // Dashboard should reflect changes
       const dashboardResponse = await request(app)
         .get('/api/dashboard/stats')
+        .set(auth)
         .expect(200);
 
       expect(dashboardResponse.body.data.overview.totalCustomers).toBe(0);
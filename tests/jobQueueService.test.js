@@ -0,0 +1,238 @@
+/**
+ * Tests for Job Queue Service
+ * Tests job processing, retries with backoff and stale job recovery
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    $queryRaw: jest.fn(),
+    job: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      fields: { maxAttempts: 'maxAttempts' }
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+
+describe('JobQueueService', () => {
+  let jobQueueService;
+
+  const queuedJob = {
+    id: 1,
+    type: 'analyze_call',
+    status: 'queued',
+    salesCallId: 10,
+    payload: null,
+    attempts: 1,
+    maxAttempts: 3
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobQueueService = new (require('../src/services/jobQueueService').constructor)();
+    jobQueueService.retryBaseDelay = 1000;
+    jobQueueService.retryMaxDelay = 10000;
+    prisma.job.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('enqueue', () => {
+    test('should create a queued job', async () => {
+      prisma.job.create.mockResolvedValue({ ...queuedJob, attempts: 0 });
+
+      await jobQueueService.enqueue('analyze_call', { salesCallId: 10 });
+
+      expect(prisma.job.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          type: 'analyze_call',
+          status: 'queued',
+          salesCallId: 10
+        })
+      });
+    });
+  });
+
+  describe('claimNextJob', () => {
+    test('should return null when the queue is empty', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      expect(await jobQueueService.claimNextJob()).toBeNull();
+    });
+
+    test('should load the claimed job', async () => {
+      prisma.$queryRaw.mockResolvedValue([{ id: 1 }]);
+      prisma.job.findUnique.mockResolvedValue(queuedJob);
+
+      const job = await jobQueueService.claimNextJob();
+
+      expect(job).toBe(queuedJob);
+      expect(prisma.job.findUnique).toHaveBeenCalledWith({ where: { id: 1 } });
+    });
+  });
+
+  describe('processJob', () => {
+    test('should run the handler and mark the job done', async () => {
+      const handler = jest.fn(async (job, context) => {
+        await context.setStatus('transcribing');
+        await context.setStatus('scoring');
+        return { overall: 80 };
+      });
+      jobQueueService.registerHandler('analyze_call', handler);
+
+      await jobQueueService.processJob(queuedJob);
+
+      expect(prisma.job.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, lockedBy: jobQueueService.workerId },
+        data: expect.objectContaining({ status: 'transcribing' })
+      });
+      expect(prisma.job.updateMany).toHaveBeenLastCalledWith({
+        where: { id: 1, lockedBy: jobQueueService.workerId },
+        data: expect.objectContaining({ status: 'done', result: { overall: 80 } })
+      });
+    });
+
+    test('should refresh the lock while a long handler runs', async () => {
+      jest.useFakeTimers();
+      jobQueueService.heartbeatInterval = 1000;
+      let finish;
+      jobQueueService.registerHandler('analyze_call', () => new Promise(resolve => { finish = resolve; }));
+
+      const processing = jobQueueService.processJob(queuedJob);
+      jest.advanceTimersByTime(2500);
+      finish({});
+      await processing;
+      jest.advanceTimersByTime(5000);
+      jest.useRealTimers();
+
+      const refreshes = prisma.job.updateMany.mock.calls.filter(([{ data }]) => data.status === undefined);
+      expect(refreshes).toHaveLength(2);
+      expect(prisma.job.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, lockedBy: jobQueueService.workerId },
+        data: { lockedAt: expect.any(Date) }
+      });
+    });
+
+    test('should requeue a failed job with backoff while attempts remain', async () => {
+      jobQueueService.registerHandler('analyze_call', jest.fn().mockRejectedValue(new Error('Whisper timeout')));
+      const before = Date.now();
+
+      await jobQueueService.processJob({ ...queuedJob, attempts: 2 });
+
+      const { data } = prisma.job.updateMany.mock.calls[0][0];
+      expect(data.status).toBe('queued');
+      expect(data.lastError).toBe('Whisper timeout');
+      expect(data.lockedAt).toBeNull();
+      expect(data.runAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    });
+
+    test('should fail the job once attempts are exhausted', async () => {
+      jobQueueService.registerHandler('analyze_call', jest.fn().mockRejectedValue(new Error('Whisper timeout')));
+
+      await jobQueueService.processJob({ ...queuedJob, attempts: 3 });
+
+      expect(prisma.job.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, lockedBy: jobQueueService.workerId },
+        data: expect.objectContaining({ status: 'failed', lastError: 'Whisper timeout' })
+      });
+    });
+
+    test('should not retry errors marked as non-retryable', async () => {
+      const error = new Error('Sales call not found: 10');
+      error.retryable = false;
+      jobQueueService.registerHandler('analyze_call', jest.fn().mockRejectedValue(error));
+
+      await jobQueueService.processJob(queuedJob);
+
+      expect(prisma.job.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, lockedBy: jobQueueService.workerId },
+        data: expect.objectContaining({ status: 'failed' })
+      });
+    });
+
+    test('should stop without touching a job another worker has taken over', async () => {
+      const handler = jest.fn(async (job, context) => {
+        await context.setStatus('transcribing');
+        return { overall: 80 };
+      });
+      jobQueueService.registerHandler('analyze_call', handler);
+      prisma.job.updateMany.mockResolvedValue({ count: 0 });
+
+      await jobQueueService.processJob(queuedJob);
+
+      // The failed status write is the only one; no retry or failure overwrites the new owner's state
+      expect(prisma.job.updateMany).toHaveBeenCalledTimes(1);
+      expect(prisma.job.update).not.toHaveBeenCalled();
+    });
+
+    test('should discard the result of a job another worker has taken over', async () => {
+      jobQueueService.registerHandler('analyze_call', jest.fn().mockResolvedValue({ overall: 80 }));
+      prisma.job.updateMany.mockResolvedValue({ count: 0 });
+
+      await jobQueueService.processJob(queuedJob);
+
+      expect(prisma.job.updateMany).toHaveBeenCalledTimes(1);
+      expect(prisma.job.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, lockedBy: jobQueueService.workerId },
+        data: expect.objectContaining({ status: 'done' })
+      });
+    });
+
+    test('should fail jobs without a registered handler', async () => {
+      await jobQueueService.processJob({ ...queuedJob, type: 'unknown' });
+
+      expect(prisma.job.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, lockedBy: jobQueueService.workerId },
+        data: expect.objectContaining({
+          status: 'failed',
+          lastError: 'No handler registered for job type: unknown'
+        })
+      });
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('should back off exponentially up to the maximum delay', () => {
+      expect(jobQueueService.getRetryDelay(1)).toBe(1000);
+      expect(jobQueueService.getRetryDelay(2)).toBe(2000);
+      expect(jobQueueService.getRetryDelay(3)).toBe(4000);
+      expect(jobQueueService.getRetryDelay(10)).toBe(10000);
+    });
+  });
+
+  describe('recoverStaleJobs', () => {
+    test('should requeue jobs left locked by a dead worker', async () => {
+      prisma.job.updateMany.mockResolvedValueOnce({ count: 2 }).mockResolvedValueOnce({ count: 0 });
+
+      const count = await jobQueueService.recoverStaleJobs();
+
+      expect(count).toBe(2);
+      expect(prisma.job.updateMany).toHaveBeenCalledWith({
+        where: {
+          status: { notIn: ['done', 'failed'] },
+          lockedAt: { lt: expect.any(Date) },
+          attempts: { lt: 'maxAttempts' }
+        },
+        data: expect.objectContaining({ status: 'queued', lockedAt: null })
+      });
+    });
+
+    test('should fail stale jobs that have no attempts left', async () => {
+      prisma.job.updateMany.mockResolvedValueOnce({ count: 0 }).mockResolvedValueOnce({ count: 1 });
+
+      const count = await jobQueueService.recoverStaleJobs();
+
+      expect(count).toBe(0);
+      expect(prisma.job.updateMany).toHaveBeenLastCalledWith({
+        where: {
+          status: { notIn: ['done', 'failed'] },
+          lockedAt: { lt: expect.any(Date) },
+          attempts: { gte: 'maxAttempts' }
+        },
+        data: expect.objectContaining({ status: 'failed', lockedAt: null })
+      });
+    });
+  });
+});
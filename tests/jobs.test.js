@@ -0,0 +1,67 @@
+/**
+ * Tests for Job Routes
+ * Tests that job status and results follow the access scope of their sales call
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    salesCall: {
+      findFirst: jest.fn()
+    }
+  }
+}));
+
+const request = require('supertest');
+const express = require('express');
+const { prisma } = require('../src/database/connection');
+const jobQueueService = require('../src/services/jobQueueService');
+const jobRoutes = require('../src/routes/jobs');
+
+describe('Job Routes', () => {
+  const users = {
+    admin: { id: 1, role: 'admin', team: null },
+    agent: { id: 3, role: 'agent', team: 'north' }
+  };
+
+  const requestAs = (role, id) => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = users[role];
+      next();
+    });
+    app.use('/api/jobs', jobRoutes);
+    return request(app).get(`/api/jobs/${id}`);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should hide analysis jobs of calls outside the user\'s scope', async () => {
+    jest.spyOn(jobQueueService, 'getJob').mockResolvedValue({ id: 5, type: 'analyze_call', salesCallId: 7, result: { transcript: 'שלום' } });
+    prisma.salesCall.findFirst.mockResolvedValue(null);
+
+    const response = await requestAs('agent', 5).expect(404);
+
+    expect(response.body).toEqual({ error: true, message: 'Job not found' });
+    expect(prisma.salesCall.findFirst).toHaveBeenCalledWith({ where: { id: 7, deletedAt: null, uploadedById: 3 }, select: { id: true } });
+  });
+
+  test('should return analysis jobs of calls in the user\'s scope', async () => {
+    jest.spyOn(jobQueueService, 'getJob').mockResolvedValue({ id: 5, type: 'analyze_call', status: 'done', salesCallId: 7 });
+    prisma.salesCall.findFirst.mockResolvedValue({ id: 7 });
+
+    const response = await requestAs('agent', 5).expect(200);
+
+    expect(response.body.data).toMatchObject({ id: 5, status: 'done', salesCallId: 7 });
+  });
+
+  test('should show jobs without a sales call to admins only', async () => {
+    jest.spyOn(jobQueueService, 'getJob').mockResolvedValue({ id: 6, type: 'compare_prompts', salesCallId: null });
+
+    await requestAs('agent', 6).expect(404);
+    await requestAs('admin', 6).expect(200);
+
+    expect(prisma.salesCall.findFirst).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Tests for Prompt Registry Service
+ * Tests prompt versioning, the active prompt set and A/B prompt comparisons
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    promptVersion: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      aggregate: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      delete: jest.fn()
+    },
+    salesCall: {
+      findMany: jest.fn()
+    },
+    job: {
+      create: jest.fn()
+    },
+    analysisCache: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      upsert: jest.fn().mockResolvedValue({})
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+const promptRegistryService = require('../src/services/promptRegistryService');
+const promptComparisonService = require('../src/services/promptComparisonService');
+const gpt4AnalysisService = require('../src/services/gpt4AnalysisService');
+const enhancedScoringService = require('../src/services/enhancedScoringService');
+const configurationService = require('../src/services/configurationService');
+const llmProviderService = require('../src/services/llmProviderService');
+
+const storedVersion = (overrides = {}) => ({
+  id: 4,
+  task: 'sentimentAnalysis',
+  version: 2,
+  name: 'Shorter sentiment prompt',
+  systemPrompt: 'You analyze Hebrew sentiment. Answer in JSON only.',
+  template: 'Return the sentiment JSON for: {transcript}',
+  hash: 'abc123def456',
+  isActive: true,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  ...overrides
+});
+
+describe('PromptRegistryService', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new (require('../src/services/promptRegistryService').constructor)();
+  });
+
+  describe('getActivePrompts', () => {
+    test('should use the built-in prompts when no version is active', async () => {
+      prisma.promptVersion.findMany.mockResolvedValue([]);
+
+      const prompts = await registry.getActivePrompts();
+
+      expect(Object.keys(prompts)).toEqual(['contextAnalysis', 'sentimentAnalysis', 'conversationFlow']);
+      Object.values(prompts).forEach(prompt => {
+        expect(prompt).toEqual(expect.objectContaining({ id: null, version: 0, isDefault: true }));
+        expect(prompt.template).toContain('{transcript}');
+      });
+    });
+
+    test('should use the active stored version of a task', async () => {
+      prisma.promptVersion.findMany.mockResolvedValue([storedVersion()]);
+
+      const prompts = await registry.getActivePrompts();
+
+      expect(prompts.sentimentAnalysis).toEqual(expect.objectContaining({ id: 4, version: 2, isDefault: false }));
+      expect(prompts.contextAnalysis.isDefault).toBe(true);
+    });
+
+    test('should fall back to the built-in prompts when the registry is unreachable', async () => {
+      prisma.promptVersion.findMany.mockRejectedValue(new Error('connection refused'));
+
+      const prompts = await registry.getActivePrompts();
+
+      expect(prompts.sentimentAnalysis.isDefault).toBe(true);
+    });
+
+    test('should cache the prompt set until invalidated', async () => {
+      prisma.promptVersion.findMany.mockResolvedValue([]);
+
+      await registry.getActivePrompts();
+      await registry.getActivePrompts();
+      registry.invalidateCache();
+      await registry.getActivePrompts();
+
+      expect(prisma.promptVersion.findMany).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('createVersion', () => {
+    test('should number versions per task and hash their content', async () => {
+      prisma.promptVersion.aggregate.mockResolvedValue({ _max: { version: 3 } });
+      prisma.promptVersion.create.mockImplementation(({ data }) => Promise.resolve({ id: 9, ...data }));
+
+      const result = await registry.createVersion({
+        task: 'conversationFlow',
+        name: 'Flow v4',
+        systemPrompt: 'You analyze sales call structure.',
+        template: 'Describe the phases of: {transcript}'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.version).toEqual(expect.objectContaining({
+        version: 4,
+        hash: registry.hashPrompt('You analyze sales call structure.', 'Describe the phases of: {transcript}'),
+        isActive: false
+      }));
+      expect(prisma.promptVersion.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should deactivate the task\'s other versions when created active', async () => {
+      prisma.promptVersion.aggregate.mockResolvedValue({ _max: { version: null } });
+      prisma.promptVersion.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+
+      const result = await registry.createVersion({
+        task: 'contextAnalysis',
+        name: 'Context v1',
+        systemPrompt: 'You analyze Hebrew sales calls.',
+        template: 'Analyze: {transcript}',
+        isActive: true
+      });
+
+      expect(result.version.version).toBe(1);
+      expect(prisma.promptVersion.updateMany).toHaveBeenCalledWith({
+        where: { task: 'contextAnalysis', isActive: true },
+        data: { isActive: false }
+      });
+    });
+
+    test('should reject a template without the transcript placeholder', async () => {
+      const result = await registry.createVersion({
+        task: 'contextAnalysis',
+        name: 'Broken',
+        systemPrompt: 'You analyze Hebrew sales calls.',
+        template: 'Analyze the call'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.details).toContain('Template must contain the {transcript} placeholder');
+      expect(prisma.promptVersion.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPromptSet', () => {
+    test('should swap the requested version into the active set', async () => {
+      prisma.promptVersion.findMany.mockResolvedValue([]);
+      prisma.promptVersion.findUnique.mockResolvedValue(storedVersion({ isActive: false }));
+
+      const prompts = await registry.getPromptSet([4]);
+
+      expect(prompts.sentimentAnalysis.id).toBe(4);
+      expect(prompts.contextAnalysis.isDefault).toBe(true);
+    });
+
+    test('should reject an unknown version', async () => {
+      prisma.promptVersion.findMany.mockResolvedValue([]);
+      prisma.promptVersion.findUnique.mockResolvedValue(null);
+
+      await expect(registry.getPromptSet([99])).rejects.toThrow('Prompt version not found: 99');
+    });
+  });
+
+  describe('deleteVersion', () => {
+    test('should not delete the active version', async () => {
+      prisma.promptVersion.findUnique.mockResolvedValue(storedVersion());
+
+      const result = await registry.deleteVersion(4);
+
+      expect(result).toEqual({ success: false, error: 'Cannot delete the active prompt version' });
+      expect(prisma.promptVersion.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GPT-4 analysis with stored prompts', () => {
+    beforeEach(() => {
+      promptRegistryService.invalidateCache();
+      jest.spyOn(llmProviderService, 'complete');
+    });
+
+    afterEach(() => {
+      llmProviderService.complete.mockRestore();
+      promptRegistryService.invalidateCache();
+    });
+
+    test('should send the active version and stamp the versions used', async () => {
+      prisma.promptVersion.findMany.mockResolvedValue([storedVersion()]);
+
+      const result = await gpt4AnalysisService.performComprehensiveAnalysis('אני מעוניין בדירה');
+
+      const sentimentCall = llmProviderService.complete.mock.calls.find(([request]) => request.task === 'sentimentAnalysis');
+      expect(sentimentCall[0].messages[0].content).toBe('You analyze Hebrew sentiment. Answer in JSON only.');
+      expect(sentimentCall[0].messages[1].content).toBe('Return the sentiment JSON for: אני מעוניין בדירה');
+
+      expect(result.metadata.prompt_versions.sentimentAnalysis).toEqual({ id: 4, version: 2, hash: 'abc123def456' });
+      expect(result.metadata.prompt_versions.contextAnalysis).toEqual(expect.objectContaining({ id: null, version: 0 }));
+    });
+  });
+});
+
+describe('PromptComparisonService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    promptRegistryService.invalidateCache();
+    prisma.promptVersion.findMany.mockResolvedValue([]);
+    prisma.promptVersion.findUnique.mockImplementation(({ where }) => Promise.resolve(
+      where.id === 4 ? storedVersion({ isActive: false }) : storedVersion({ id: 5, version: 3, hash: 'fedcba654321', isActive: false })
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueueComparison', () => {
+    test('should queue a comparison job', async () => {
+      prisma.job.create.mockImplementation(({ data }) => Promise.resolve({ id: 12, ...data }));
+
+      const result = await promptComparisonService.enqueueComparison({ versionAId: 4, versionBId: 5, salesCallIds: ['1', '2'] });
+
+      expect(result.success).toBe(true);
+      expect(prisma.job.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          type: 'compare_prompts',
+          payload: { versionAId: 4, versionBId: 5, salesCallIds: [1, 2], limit: 20 }
+        })
+      });
+    });
+
+    test('should reject versions of different tasks', async () => {
+      prisma.promptVersion.findUnique.mockImplementation(({ where }) => Promise.resolve(
+        storedVersion({ id: where.id, task: where.id === 4 ? 'sentimentAnalysis' : 'contextAnalysis' })
+      ));
+
+      const result = await promptComparisonService.enqueueComparison({ versionAId: 4, versionBId: 5 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('different tasks');
+      expect(prisma.job.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('compare', () => {
+    test('should score each call with both versions and summarize the differences', async () => {
+      prisma.salesCall.findMany.mockResolvedValue([
+        { id: 1, transcript: 'אני מעוניין בדירה', diarization: null, transcriptSegments: [{ end: 42 }] },
+        { id: 2, transcript: 'זה יקר מדי', diarization: null, transcriptSegments: [] }
+      ]);
+      jest.spyOn(configurationService, 'getScoringConfiguration').mockResolvedValue({ id: null, weights: null, phrases: {} });
+      jest.spyOn(enhancedScoringService, 'analyzeTranscript').mockImplementation(async (transcript, duration, wordCount, options) => {
+        const base = transcript.includes('מעוניין') ? 60 : 40;
+        const boost = options.prompts.sentimentAnalysis.id === 5 ? 10 : 0;
+        return {
+          scores: { urgency: base, budget: base, interest: base + boost, engagement: base, overall: base + boost / 2 },
+          analysis: {},
+          metadata: { gpt4Used: true }
+        };
+      });
+
+      const result = await promptComparisonService.compare({ versionAId: 4, versionBId: 5 });
+
+      expect(enhancedScoringService.analyzeTranscript).toHaveBeenCalledTimes(4);
+      expect(enhancedScoringService.analyzeTranscript.mock.calls[0][1]).toBe(42);
+      expect(result.task).toBe('sentimentAnalysis');
+      expect(result.calls[0]).toEqual(expect.objectContaining({
+        salesCallId: 1,
+        a: expect.objectContaining({ interest: 60, overall: 60 }),
+        b: expect.objectContaining({ interest: 70, overall: 65 }),
+        difference: expect.objectContaining({ interest: 10, overall: 5, urgency: 0 })
+      }));
+      expect(result.summary).toEqual(expect.objectContaining({
+        comparedCalls: 2,
+        averageDifference: expect.objectContaining({ interest: 10, overall: 5 })
+      }));
+      expect(result.summary.averages.a.overall).toBe(50);
+      expect(result.summary.averages.b.overall).toBe(55);
+    });
+
+    test('should compare the categories of the active configuration', async () => {
+      prisma.salesCall.findMany.mockResolvedValue([
+        { id: 1, transcript: 'אני מעוניין בדירה', diarization: null, transcriptSegments: [] }
+      ]);
+      jest.spyOn(configurationService, 'getScoringConfiguration').mockResolvedValue({
+        id: 3,
+        weights: { urgency: 0.5, decision_maker: 0.5 },
+        phrases: {}
+      });
+      jest.spyOn(enhancedScoringService, 'analyzeTranscript').mockImplementation(async (transcript, duration, wordCount, options) => {
+        const boost = options.prompts.sentimentAnalysis.id === 5 ? 10 : 0;
+        return {
+          scores: { urgency: 40, decision_maker: 30 + boost, overall: 35 + boost / 2 },
+          analysis: {},
+          metadata: { gpt4Used: true }
+        };
+      });
+
+      const result = await promptComparisonService.compare({ versionAId: 4, versionBId: 5 });
+
+      expect(result.scoreKeys).toEqual(['urgency', 'decision_maker', 'overall']);
+      expect(result.calls[0].difference).toEqual({ urgency: 0, decision_maker: 10, overall: 5 });
+      expect(result.summary.averageDifference).toEqual({ urgency: 0, decision_maker: 10, overall: 5 });
+    });
+
+    test('should leave calls where GPT-4 did not run out of the summary', async () => {
+      prisma.salesCall.findMany.mockResolvedValue([
+        { id: 1, transcript: 'אני מעוניין בדירה', diarization: null, transcriptSegments: [] }
+      ]);
+      jest.spyOn(configurationService, 'getScoringConfiguration').mockResolvedValue({ id: null, weights: null, phrases: {} });
+      jest.spyOn(enhancedScoringService, 'analyzeTranscript').mockResolvedValue({
+        scores: { urgency: 50, budget: 50, interest: 50, engagement: 50, overall: 50 },
+        analysis: { gpt4Analysis: { error: 'Monthly LLM budget exceeded', fallback: true } },
+        metadata: { gpt4Used: false }
+      });
+
+      const result = await promptComparisonService.compare({ versionAId: 4, versionBId: 5 });
+
+      expect(result.calls[0].errors).toEqual(['a: Monthly LLM budget exceeded', 'b: Monthly LLM budget exceeded']);
+      expect(result.summary.comparedCalls).toBe(0);
+      expect(result.summary.averages.a.overall).toBeNull();
+    });
+  });
+});
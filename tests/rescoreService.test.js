@@ -0,0 +1,235 @@
+/**
+ * Tests for Rescore Service
+ * Tests rescore filters, batched background rescoring with progress and analysis runs
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    $transaction: jest.fn(),
+    salesCall: {
+      count: jest.fn(),
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn()
+    },
+    analysisRun: {
+      create: jest.fn()
+    },
+    transcriptSegment: {
+      findMany: jest.fn()
+    },
+    scoringConfiguration: {
+      findFirst: jest.fn()
+    },
+    job: {
+      create: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+const configurationService = require('../src/services/configurationService');
+const customerPriorityService = require('../src/services/customerPriorityService');
+const jobQueueService = require('../src/services/jobQueueService');
+
+describe('RescoreService', () => {
+  let service;
+  let context;
+
+  const salesCall = (id, overallScore = 40) => ({
+    id,
+    customerId: 1,
+    transcript: 'זה דחוף מאוד, המשכנתא שלי מאושרת ואני מעוניין',
+    diarization: null,
+    urgencyScore: overallScore === null ? null : 30,
+    budgetScore: overallScore === null ? null : 30,
+    interestScore: overallScore === null ? null : 50,
+    engagementScore: overallScore === null ? null : 50,
+    overallScore,
+    analysisNotes: 'old notes',
+    analysisVersion: 'traditional-v1.0',
+    gpt4AnalysisUsed: false,
+    scoringConfigurationId: null,
+    scoreEvidence: [],
+    currentRunId: null,
+    createdAt: new Date('2024-01-01')
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new (require('../src/services/rescoreService').constructor)();
+    context = { setStatus: jest.fn(), setProgress: jest.fn() };
+
+    configurationService.invalidateCache();
+    prisma.scoringConfiguration.findFirst.mockResolvedValue({
+      ...configurationService.getDefaultConfiguration(),
+      id: 3,
+      name: 'Spring 2024',
+      isActive: true
+    });
+    prisma.transcriptSegment.findMany.mockResolvedValue([]);
+    prisma.salesCall.update.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.$transaction.mockImplementation(callback => callback(prisma));
+    prisma.salesCall.findUnique.mockImplementation(({ where }) => Promise.resolve(salesCall(where.id)));
+    prisma.analysisRun.create.mockImplementation(({ data }) => Promise.resolve({ id: 100, ...data }));
+    prisma.job.create.mockImplementation(({ data }) => Promise.resolve({ id: 11, ...data }));
+    jest.spyOn(customerPriorityService, 'rebuildAll').mockResolvedValue({ success: true, customersRanked: 1 });
+  });
+
+  describe('buildWhere', () => {
+    test('should filter by date range, customer and configuration', () => {
+      expect(service.buildWhere({ from: '2024-01-01', to: '2024-02-01', customerId: '5', configurationId: '2' })).toEqual({
+        transcript: { not: null },
+        deletedAt: null,
+        createdAt: { gte: new Date('2024-01-01'), lte: new Date('2024-02-01') },
+        customerId: 5,
+        scoringConfigurationId: 2
+      });
+    });
+
+    test('should select calls scored without a configuration', () => {
+      expect(service.buildWhere({ configurationId: 'none' })).toEqual({
+        transcript: { not: null },
+        deletedAt: null,
+        scoringConfigurationId: null
+      });
+    });
+  });
+
+  describe('enqueueRescore', () => {
+    test('should reject filters that match no calls', async () => {
+      prisma.salesCall.count.mockResolvedValue(0);
+
+      const result = await service.enqueueRescore({ customerId: 9 });
+
+      expect(result.success).toBe(false);
+      expect(prisma.job.create).not.toHaveBeenCalled();
+    });
+
+    test('should queue a rescore job with the filters', async () => {
+      prisma.salesCall.count.mockResolvedValue(12);
+
+      const result = await service.enqueueRescore({ customerId: 9 }, { useEnhancedAnalysis: true });
+
+      expect(result).toEqual(expect.objectContaining({ success: true, total: 12 }));
+      expect(prisma.job.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          type: 'rescore_calls',
+          payload: { filters: { customerId: 9 }, useEnhancedAnalysis: true, total: 12 }
+        })
+      });
+    });
+  });
+
+  describe('runJob', () => {
+    const job = (progress = null) => ({
+      id: 11,
+      payload: { filters: {}, useEnhancedAnalysis: false, total: 3 },
+      progress
+    });
+
+    test('should rescore in batches and report progress', async () => {
+      service.batchSize = 2;
+      prisma.salesCall.count.mockResolvedValue(3);
+      prisma.salesCall.findMany
+        .mockResolvedValueOnce([salesCall(1), salesCall(2)])
+        .mockResolvedValueOnce([salesCall(3)]);
+
+      const result = await service.runJob(job(), context);
+
+      expect(context.setStatus).toHaveBeenCalledWith(jobQueueService.statuses.SCORING);
+      expect(prisma.salesCall.findMany.mock.calls[1][0].where.id).toEqual({ gt: 2 });
+      expect(context.setProgress).toHaveBeenCalledTimes(2);
+      expect(context.setProgress).toHaveBeenLastCalledWith(expect.objectContaining({ total: 3, processed: 3, lastId: 3 }));
+      expect(result).toEqual({
+        configuration: { id: 3, name: 'Spring 2024' },
+        total: 3,
+        processed: 3,
+        succeeded: 3,
+        failed: 0,
+        errors: []
+      });
+      expect(customerPriorityService.rebuildAll).toHaveBeenCalledTimes(1);
+    });
+
+    test('should resume after the last checkpointed call', async () => {
+      prisma.salesCall.count.mockResolvedValue(3);
+      prisma.salesCall.findMany.mockResolvedValueOnce([salesCall(3)]);
+
+      const result = await service.runJob(
+        job({ total: 3, processed: 2, succeeded: 2, failed: 0, lastId: 2, errors: [] }),
+        context
+      );
+
+      expect(prisma.salesCall.findMany.mock.calls[0][0].where.id).toEqual({ gt: 2 });
+      expect(result.processed).toBe(3);
+      expect(prisma.salesCall.update).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep going when a call fails', async () => {
+      prisma.salesCall.count.mockResolvedValue(2);
+      prisma.salesCall.findMany.mockResolvedValueOnce([salesCall(1), salesCall(2)]);
+      prisma.salesCall.update
+        .mockRejectedValueOnce(new Error('Deadlock detected'))
+        .mockImplementation(({ data }) => Promise.resolve(data));
+
+      const result = await service.runJob(job(), context);
+
+      expect(result.succeeded).toBe(1);
+      expect(result.failed).toBe(1);
+      expect(result.errors).toEqual([{ salesCallId: 1, error: 'Deadlock detected' }]);
+    });
+  });
+
+  describe('rescoreCall', () => {
+    const configuration = { ...configurationService.getDefaultConfiguration(), id: 3, name: 'Spring 2024' };
+
+    test('should record the new scores as the current run', async () => {
+      prisma.salesCall.findUnique.mockResolvedValue({ ...salesCall(1), currentRunId: 5 });
+
+      const scores = await service.rescoreCall(salesCall(1), configuration, { jobId: 11 });
+
+      expect(prisma.analysisRun.create).toHaveBeenCalledTimes(1);
+      expect(prisma.analysisRun.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          salesCallId: 1,
+          overallScore: scores.overall,
+          scoringConfigurationId: 3,
+          analysisVersion: 'traditional-v1.0',
+          source: 'rescore',
+          jobId: 11
+        })
+      });
+      expect(prisma.salesCall.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: expect.objectContaining({
+          overallScore: scores.overall,
+          scoringConfigurationId: 3,
+          currentRunId: 100
+        })
+      });
+    });
+
+    test('should keep scores from before runs were recorded as a legacy run', async () => {
+      await service.rescoreCall(salesCall(1), configuration, { jobId: 11 });
+
+      expect(prisma.analysisRun.create).toHaveBeenCalledTimes(2);
+      expect(prisma.analysisRun.create.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        salesCallId: 1,
+        overallScore: 40,
+        analysisNotes: 'old notes',
+        source: 'legacy',
+        createdAt: new Date('2024-01-01')
+      }));
+    });
+
+    test('should not create a legacy run for a call that was never scored', async () => {
+      prisma.salesCall.findUnique.mockResolvedValue(salesCall(1, null));
+
+      await service.rescoreCall(salesCall(1, null), configuration);
+
+      expect(prisma.analysisRun.create).toHaveBeenCalledTimes(1);
+      expect(prisma.salesCall.update).toHaveBeenCalledTimes(1);
+    });
+  });
+});
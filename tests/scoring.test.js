@@ -79,7 +79,7 @@ describe('Scoring Service', () => {
       const text = '  שלום   עולם!  ';
       const normalized = scoringService.normalizeHebrewText(text);
       
-      expect(normalized).toBe('שלום עולם');
+      expect(normalized).toBe('שלום עולם!');
     });
 
     test('should generate analysis notes', () => {
@@ -118,6 +118,374 @@ describe('Scoring Service', () => {
     });
   });
 
+  describe('Scoring Configuration', () => {
+    const configuration = {
+      id: 7,
+      name: 'Budget Focused',
+      weights: {
+        urgency: 0.10,
+        budget: 0.70,
+        interest: 0.10,
+        engagement: 0.10
+      },
+      phrases: {
+        urgency: { high: [], medium: [] },
+        budget: { high: ['מימון בנקאי'], medium: [] },
+        interest: { high: [], medium: [] },
+        engagement: { high: [], medium: [] }
+      }
+    };
+
+    test('should score with the phrases of the provided configuration', () => {
+      const transcript = 'יש לי מימון בנקאי מסודר';
+
+      const defaultResult = scoringService.analyzeTranscript(transcript, 60, 5);
+      const configuredResult = scoringService.analyzeTranscript(transcript, 60, 5, { configuration });
+
+      expect(defaultResult.analysis.keyPhrases.budget).not.toContain('מימון בנקאי');
+      expect(configuredResult.analysis.keyPhrases.budget).toEqual(['מימון בנקאי']);
+      expect(configuredResult.scores.budget).toBe(20);
+    });
+
+    test('should weight the overall score with the provided configuration', () => {
+      const scores = { urgency: 0, budget: 100, interest: 0, engagement: 0 };
+
+      expect(scoringService.calculateOverallScore(scores)).toBe(25);
+      expect(scoringService.calculateOverallScore(scores, configuration.weights)).toBe(70);
+    });
+
+    test('should record which configuration produced the scores', () => {
+      const configuredResult = scoringService.analyzeTranscript('שלום', 60, 1, { configuration });
+      const defaultResult = scoringService.analyzeTranscript('שלום', 60, 1);
+
+      expect(configuredResult.metadata.configurationId).toBe(7);
+      expect(configuredResult.metadata.configurationName).toBe('Budget Focused');
+      expect(defaultResult.metadata.configurationId).toBeNull();
+    });
+  });
+
+  describe('Custom Categories', () => {
+    const configuration = {
+      id: 9,
+      name: 'Decision Makers',
+      weights: { urgency: 0.5, decision_maker: 0.5 },
+      phrases: {
+        urgency: { high: ['דחוף'], medium: [] },
+        decision_maker: { high: ['אשתי תצטרף'], medium: [], low: ['אני צריך להתייעץ'] }
+      },
+      categories: {
+        decision_maker: { label: 'מקבל החלטות', tiers: { high: 30, medium: 15, low: 5 } }
+      }
+    };
+
+    test('should score every configured category and only those', () => {
+      const result = scoringService.analyzeTranscript('זה דחוף, אשתי תצטרף לפגישה', 60, 5, { configuration });
+
+      expect(Object.keys(result.scores).sort()).toEqual(['decision_maker', 'overall', 'urgency']);
+      expect(result.scores.decision_maker).toBe(30);
+      expect(result.scores.urgency).toBe(25);
+      expect(result.scores.overall).toBe(28);
+    });
+
+    test('should use the tiers and labels of the category definition', () => {
+      const result = scoringService.analyzeTranscript('אני צריך להתייעץ עם המשפחה', 60, 5, { configuration });
+
+      expect(result.scores.decision_maker).toBe(5);
+      expect(result.analysis.evidence).toEqual(expect.arrayContaining([
+        expect.objectContaining({ category: 'decision_maker', tier: 'low', points: 5 })
+      ]));
+      expect(result.metadata.categories).toEqual([
+        { key: 'urgency', label: 'urgency', weight: 0.5 },
+        { key: 'decision_maker', label: 'מקבל החלטות', weight: 0.5 }
+      ]);
+    });
+
+    test('should give custom categories without tiers the default points', () => {
+      const result = scoringService.analyzeTranscript('אני רוצה לגור ליד הים', 60, 5, {
+        configuration: {
+          weights: { location_fit: 1 },
+          phrases: { location_fit: { high: ['ליד הים'], medium: [] } }
+        }
+      });
+
+      expect(result.scores.location_fit).toBe(scoringService.defaultTierPoints.high);
+      expect(result.scores.overall).toBe(scoringService.defaultTierPoints.high);
+    });
+  });
+
+  describe('Phrase Entries', () => {
+    const score = (transcript, budgetPhrases) => scoringService.analyzeTranscript(transcript, 60, 5, {
+      configuration: {
+        weights: { budget: 1 },
+        phrases: { budget: { high: budgetPhrases, medium: [] } },
+        categories: { budget: { tiers: { high: 20, medium: 12 }, multiMatchBonus: { high: 0 } } }
+      }
+    });
+
+    test('should score each entry with its own points and skip disabled entries', () => {
+      const result = score('יש לי הון עצמי ותקציב ברור', [
+        { phrase: 'הון עצמי', points: 35 },
+        'תקציב',
+        { phrase: 'יש לי', enabled: false }
+      ]);
+
+      expect(result.scores.budget).toBe(55);
+      expect(result.analysis.evidence.map(item => [item.phrase, item.points])).toEqual([
+        ['הון עצמי', 35],
+        ['תקציב', 20]
+      ]);
+    });
+
+    test('should match wildcard and regex entries', () => {
+      const result = score('והמשכנתאות אושרו, יש הון   עצמי', [
+        { phrase: '*משכנת*', match: 'wildcard', points: 10 },
+        { phrase: 'הון\\s+עצמי', match: 'regex', points: 15 },
+        { phrase: 'משכנ*', match: 'wildcard', points: 50 }
+      ]);
+
+      expect(result.scores.budget).toBe(25);
+      expect(result.analysis.evidence).toEqual(expect.arrayContaining([
+        expect.objectContaining({ phrase: '*משכנת*', offset: 0, points: 10 }),
+        expect.objectContaining({ phrase: 'הון\\s+עצמי', points: 15 })
+      ]));
+    });
+
+    test('should not run patterns refused by the pattern check', () => {
+      const result = score('יש לי הון הון הון הון', [
+        { phrase: '(הון +)+$', match: 'regex', points: 10 },
+        { phrase: 'הון'.repeat(70), match: 'regex', points: 15 }
+      ]);
+
+      expect(result.scores.budget).toBe(0);
+      expect(scoringService.compilePattern('(הון +)+$', 'regex')).toBeNull();
+    });
+
+    test('should not flip entries that are not negation sensitive', () => {
+      const result = score('אין לי בעיה עם התקציב', [{ phrase: 'בעיה', points: 10, negatable: false }]);
+
+      expect(result.scores.budget).toBe(10);
+      expect(result.analysis.negatedPhrases).toEqual([]);
+    });
+  });
+
+  describe('Speaker Turns', () => {
+    const speakerTurns = [
+      { speaker: 'agent', start: 0, end: 5, text: 'זה דחוף מאוד, המבצע נגמר היום' },
+      { speaker: 'customer', start: 5, end: 9, text: 'אני מתעניין בדירה' }
+    ];
+
+    test('should score only the customer\'s utterances when turns are provided', () => {
+      const transcript = speakerTurns.map(turn => turn.text).join(' ');
+
+      const allResult = scoringService.analyzeTranscript(transcript, 9, 10);
+      const customerResult = scoringService.analyzeTranscript(transcript, 9, 10, { speakerTurns });
+
+      expect(allResult.analysis.keyPhrases.urgency).toContain('זה דחוף מאוד');
+      expect(customerResult.analysis.keyPhrases.urgency).toEqual([]);
+      expect(customerResult.metadata.scoredSpeaker).toBe('customer');
+      expect(allResult.metadata.scoredSpeaker).toBe('all');
+    });
+
+    test('should not carry a negation at the end of a turn into the next turn', () => {
+      const turns = [
+        { speaker: 'customer', start: 0, end: 3, text: 'אנחנו עוד לא' },
+        { speaker: 'agent', start: 3, end: 6, text: 'מתי תרצו לעבור?' },
+        { speaker: 'customer', start: 6, end: 9, text: 'דחוף לנו לעבור' }
+      ];
+      const transcript = turns.map(turn => turn.text).join(' ');
+
+      const result = scoringService.analyzeTranscript(transcript, 9, 10, { speakerTurns: turns });
+
+      expect(result.analysis.evidence.find(item => item.phrase === 'דחוף')).toMatchObject({ polarity: 'affirmed' });
+    });
+
+    test('should fall back to the full transcript without customer turns', () => {
+      const agentOnly = [speakerTurns[0]];
+
+      const result = scoringService.analyzeTranscript(agentOnly[0].text, 5, 6, { speakerTurns: agentOnly });
+
+      expect(result.metadata.scoredSpeaker).toBe('all');
+      expect(result.analysis.keyPhrases.urgency).toContain('זה דחוף מאוד');
+    });
+  });
+
+  describe('Score Evidence', () => {
+    const segments = [
+      { start: 0, end: 4, text: 'שלום, זה דחוף מאוד', speaker: 'customer' },
+      { start: 4, end: 9, text: 'יש לי תקציב של מיליון, אבל זה יקר מדי', speaker: 'customer' }
+    ];
+    const transcript = segments.map(segment => segment.text).join(' ');
+
+    test('should record high, medium and objection matches with their points', () => {
+      const result = scoringService.analyzeTranscript(transcript, 9, 15, { segments });
+      const evidence = result.analysis.evidence;
+
+      expect(evidence).toEqual(expect.arrayContaining([
+        expect.objectContaining({ category: 'urgency', phrase: 'זה דחוף מאוד', tier: 'high', points: 25 }),
+        expect.objectContaining({ category: 'budget', phrase: 'יש לי', tier: 'high', points: 20 }),
+        expect.objectContaining({ category: 'budget', phrase: 'תקציב של', tier: 'medium', points: 12 }),
+        expect.objectContaining({ category: 'objection', phrase: 'זה יקר מדי', tier: 'objection', points: 0 })
+      ]));
+    });
+
+    test('should locate each match in the transcript and its segment', () => {
+      const result = scoringService.analyzeTranscript(transcript, 9, 15, { segments });
+
+      const budget = result.analysis.evidence.find(item => item.phrase === 'תקציב של');
+      expect(budget.offset).toBe(transcript.indexOf('תקציב של'));
+      expect(budget.start).toBe(4);
+      expect(budget.end).toBe(9);
+
+      const offsets = result.analysis.evidence.filter(item => item.kind === 'phrase').map(item => item.offset);
+      expect(offsets).toEqual([...offsets].sort((a, b) => a - b));
+    });
+
+    test('should record every occurrence with the time it was said', () => {
+      const calls = [
+        { start: 0, end: 5, text: 'אין לי משכנתא מאושרת עדיין', speaker: 'customer' },
+        { start: 5, end: 60, text: 'נדבר על זה בהמשך', speaker: 'agent' },
+        { start: 60, end: 65, text: 'עכשיו יש לי משכנתא מאושרת', speaker: 'customer' }
+      ];
+      const text = `${calls[0].text}  ${calls[1].text} 123 ${calls[2].text}`;
+
+      const result = scoringService.analyzeTranscript(text, 65, 20, { segments: calls });
+      const mortgage = result.analysis.evidence.filter(item => item.phrase === 'משכנתא מאושרת');
+
+      expect(mortgage).toEqual([
+        expect.objectContaining({ offset: text.indexOf('משכנתא מאושרת'), start: 0, end: 5, polarity: 'negated', counted: false, points: 0 }),
+        expect.objectContaining({ offset: text.lastIndexOf('משכנתא מאושרת'), start: 60, end: 65, polarity: 'affirmed', counted: true, points: 20 })
+      ]);
+      expect(result.analysis.negatedPhrases.find(item => item.phrase === 'משכנתא מאושרת')).toBeUndefined();
+    });
+
+    test('should give offsets in the transcript when scoring customer turns', () => {
+      const turns = [
+        { speaker: 'agent', start: 0, end: 4, text: 'זה דחוף מאוד' },
+        { speaker: 'customer', start: 4, end: 9, text: 'יש לי תקציב של מיליון' }
+      ];
+      const text = turns.map(turn => turn.text).join(' ');
+
+      const result = scoringService.analyzeTranscript(text, 9, 10, { speakerTurns: turns, segments: turns });
+      const budget = result.analysis.evidence.find(item => item.phrase === 'תקציב של');
+
+      expect(budget).toMatchObject({ offset: text.indexOf('תקציב של'), start: 4, end: 9 });
+    });
+
+    test('should add up to each category score with bonuses and caps', () => {
+      const result = scoringService.analyzeTranscript(
+        'זה דחוף מאוד, אני צריך עכשיו, זה דחוף. אין לי תקציב ואין לי משכנתא מאושרת. אני מתעניין, זה מעניין',
+        400,
+        200,
+        { segments }
+      );
+
+      ['urgency', 'budget', 'interest', 'engagement'].forEach(category => {
+        const points = result.analysis.evidence
+          .filter(item => item.category === category)
+          .reduce((sum, item) => sum + item.points, 0);
+        expect(points).toBe(result.scores[category]);
+      });
+      expect(result.analysis.evidence).toEqual(expect.arrayContaining([
+        expect.objectContaining({ category: 'urgency', kind: 'bonus', reason: 'multi_match', tier: 'high' }),
+        expect.objectContaining({ category: 'engagement', kind: 'bonus', reason: 'call_length', points: 45 }),
+        expect.objectContaining({ category: 'budget', kind: 'cap' })
+      ]));
+    });
+
+    test('should leave timestamps empty without segments', () => {
+      const result = scoringService.analyzeTranscript(transcript, 9, 15);
+
+      expect(result.analysis.evidence.length).toBeGreaterThan(0);
+      result.analysis.evidence.forEach(item => {
+        expect(item.start).toBeNull();
+        expect(item.end).toBeNull();
+      });
+    });
+  });
+
+  describe('Hebrew Phrase Matching', () => {
+    test('should not match short phrases inside longer words', () => {
+      const result = scoringService.analyzeTranscript('עדיין לא החלטתי', 30, 3);
+
+      expect(result.analysis.evidence.find(item => item.phrase === 'עד')).toBeUndefined();
+    });
+
+    test('should match phrases with attached prefixes', () => {
+      const result = scoringService.analyzeTranscript('ויש לי גם הון עצמי', 30, 5);
+
+      expect(result.analysis.keyPhrases.budget).toEqual(expect.arrayContaining(['יש לי', 'הון עצמי']));
+    });
+  });
+
+  describe('Negation and Hedging', () => {
+    test('should not reward a negated budget phrase', () => {
+      const affirmed = scoringService.analyzeTranscript('יש לי משכנתא מאושרת', 30, 4);
+      const negated = scoringService.analyzeTranscript('אין לי משכנתא מאושרת', 30, 4);
+
+      expect(affirmed.scores.budget).toBeGreaterThan(50);
+      expect(negated.scores.budget).toBe(0);
+      expect(negated.analysis.keyPhrases.budget).not.toContain('משכנתא מאושרת');
+    });
+
+    test('should not reward a negated urgency phrase', () => {
+      const result = scoringService.analyzeTranscript('זה לא דחוף', 30, 3);
+
+      expect(result.scores.urgency).toBe(0);
+    });
+
+    test('should surface negated matches in the analysis', () => {
+      const result = scoringService.analyzeTranscript('אין לי משכנתא מאושרת', 30, 4);
+
+      expect(result.analysis.negatedPhrases).toEqual(expect.arrayContaining([
+        expect.objectContaining({ category: 'budget', phrase: 'משכנתא מאושרת', polarity: 'negated', cue: 'אין', points: -20 })
+      ]));
+      expect(result.analysis.notes).toContain('זוהו ביטויים בשלילה');
+    });
+
+    test('should discount hedged phrases', () => {
+      const affirmed = scoringService.analyzeTranscript('יש לי משכנתא מאושרת', 30, 4);
+      const hedged = scoringService.analyzeTranscript('אולי יש לי משכנתא מאושרת', 30, 5);
+
+      expect(hedged.scores.budget).toBeGreaterThan(0);
+      expect(hedged.scores.budget).toBeLessThan(affirmed.scores.budget);
+      expect(hedged.analysis.evidence.find(item => item.phrase === 'משכנתא מאושרת')).toMatchObject({
+        polarity: 'hedged',
+        cue: 'אולי',
+        points: 10
+      });
+    });
+
+    test('should ignore negators outside the context window', () => {
+      const result = scoringService.analyzeTranscript('לא הייתי בטוח קודם אבל עכשיו יש לי משכנתא מאושרת', 60, 10);
+
+      expect(result.scores.budget).toBeGreaterThan(50);
+    });
+
+    test('should prefer an affirmed mention over an earlier negated one', () => {
+      const result = scoringService.analyzeTranscript('אין לי משכנתא עדיין. בעצם יש לי משכנתא מאושרת', 60, 9);
+
+      expect(result.analysis.keyPhrases.budget).toContain('משכנתא');
+    });
+
+    test('should not report negated objections', () => {
+      const result = scoringService.analyzeTranscript('המחיר בכלל לא יקר מדי', 30, 5);
+
+      expect(result.analysis.objections).not.toContain('יקר מדי');
+    });
+
+    test('should not carry a negation into the next sentence', () => {
+      const match = scoringService.matchPhrase(scoringService.normalizeHebrewText('לא. דחוף לי מאוד'), 'דחוף');
+
+      expect(match).toMatchObject({ polarity: 'affirmed', cue: null });
+    });
+
+    test('should not read words ending in a negator as negation', () => {
+      const result = scoringService.analyzeTranscript('הבקבוק מלא דחוף מאוד', 30, 4);
+
+      expect(result.analysis.evidence.find(item => item.phrase === 'דחוף')).toMatchObject({ polarity: 'affirmed' });
+    });
+  });
+
   describe('Hebrew Phrases', () => {
     test('should return Hebrew phrases by category', () => {
       const phrases = scoringService.getPhrases();
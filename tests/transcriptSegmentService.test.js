@@ -0,0 +1,114 @@
+/**
+ * Tests for Transcript Segment Service
+ * Tests building, saving and loading timestamped transcript segments
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    $transaction: jest.fn(operations => Promise.all(operations)),
+    transcriptSegment: {
+      deleteMany: jest.fn(),
+      createMany: jest.fn(),
+      findMany: jest.fn()
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+
+describe('TranscriptSegmentService', () => {
+  let transcriptSegmentService;
+
+  const transcription = {
+    text: 'שלום, מה שלומך? אני מתעניין בדירה.',
+    segments: [
+      { start: 0, end: 2.5, text: ' שלום, מה שלומך?', avg_logprob: -0.1 },
+      { start: 2.5, end: 5, text: ' אני מתעניין בדירה.', avg_logprob: -0.4 }
+    ],
+    words: [
+      { word: 'שלום', start: 0, end: 0.6 },
+      { word: 'מה', start: 0.8, end: 1.1 },
+      { word: 'שלומך', start: 1.1, end: 2.2 },
+      { word: 'אני', start: 2.5, end: 2.9 },
+      { word: 'מתעניין', start: 3, end: 3.8 },
+      { word: 'בדירה', start: 3.9, end: 5 }
+    ]
+  };
+
+  const speakerTurns = [
+    { speaker: 'agent', start: 0, end: 2.5, text: 'שלום, מה שלומך?' },
+    { speaker: 'customer', start: 2.5, end: 5, text: 'אני מתעניין בדירה.' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transcriptSegmentService = new (require('../src/services/transcriptSegmentService').constructor)();
+  });
+
+  describe('buildSegments', () => {
+    test('should attach words, speaker and confidence to each segment', () => {
+      const segments = transcriptSegmentService.buildSegments(transcription, speakerTurns);
+
+      expect(segments).toHaveLength(2);
+      expect(segments[0]).toMatchObject({
+        segmentIndex: 0,
+        start: 0,
+        end: 2.5,
+        text: 'שלום, מה שלומך?',
+        speaker: 'agent',
+        confidence: 0.9
+      });
+      expect(segments[0].words.map(word => word.word)).toEqual(['שלום', 'מה', 'שלומך']);
+      expect(segments[1].speaker).toBe('customer');
+      expect(segments[1].words.map(word => word.word)).toEqual(['אני', 'מתעניין', 'בדירה']);
+    });
+
+    test('should leave speaker and confidence empty when unavailable', () => {
+      const segments = transcriptSegmentService.buildSegments({
+        segments: [{ start: 0, end: 2, text: 'שלום' }]
+      });
+
+      expect(segments[0].speaker).toBeNull();
+      expect(segments[0].confidence).toBeNull();
+      expect(segments[0].words).toEqual([]);
+    });
+  });
+
+  describe('saveSegments', () => {
+    test('should replace the stored segments of the sales call', async () => {
+      const count = await transcriptSegmentService.saveSegments('12', transcription, speakerTurns);
+
+      expect(count).toBe(2);
+      expect(prisma.transcriptSegment.deleteMany).toHaveBeenCalledWith({ where: { salesCallId: 12 } });
+      expect(prisma.transcriptSegment.createMany).toHaveBeenCalledWith({
+        data: [
+          expect.objectContaining({ salesCallId: 12, segmentIndex: 0 }),
+          expect.objectContaining({ salesCallId: 12, segmentIndex: 1 })
+        ]
+      });
+    });
+
+    test('should report failures', async () => {
+      prisma.transcriptSegment.createMany.mockRejectedValueOnce(new Error('Database connection failed'));
+
+      await expect(transcriptSegmentService.saveSegments(12, transcription))
+        .rejects.toThrow('Failed to save transcript segments: Database connection failed');
+    });
+  });
+
+  describe('getSegments', () => {
+    test('should return segments with numeric confidence', async () => {
+      prisma.transcriptSegment.findMany.mockResolvedValue([
+        { id: 1, salesCallId: 12, segmentIndex: 0, start: 0, end: 2.5, text: 'שלום', speaker: 'agent', confidence: '0.90', words: null }
+      ]);
+
+      const segments = await transcriptSegmentService.getSegments(12);
+
+      expect(prisma.transcriptSegment.findMany).toHaveBeenCalledWith({
+        where: { salesCallId: 12 },
+        orderBy: { segmentIndex: 'asc' }
+      });
+      expect(segments[0]).toMatchObject({ confidence: 0.9, words: [] });
+    });
+  });
+});
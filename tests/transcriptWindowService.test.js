@@ -0,0 +1,119 @@
+/**
+ * Tests for Transcript Window Service
+ * Tests token estimates, overlapping windows and windowed GPT-4 analysis
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    analysisCache: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      upsert: jest.fn().mockResolvedValue({})
+    }
+  }
+}));
+
+const llmProviderService = require('../src/services/llmProviderService');
+const gpt4AnalysisService = require('../src/services/gpt4AnalysisService');
+
+const buildTranscript = turns => Array.from({ length: turns }, (_, i) => (
+  i % 2 === 0 ? `נציג: שאלה מספר ${i} לגבי הדירה?` : `לקוח: תשובה מספר ${i}, אני מעוניין לשמוע עוד.`
+)).join('\n');
+
+describe('TranscriptWindowService', () => {
+  let transcriptWindowService;
+
+  beforeEach(() => {
+    transcriptWindowService = new (require('../src/services/transcriptWindowService').constructor)();
+  });
+
+  describe('estimateTokens', () => {
+    test('should count Hebrew as more tokens per character than Latin text', () => {
+      expect(transcriptWindowService.estimateTokens('שלום שלום')).toBeGreaterThan(
+        transcriptWindowService.estimateTokens('hello hello')
+      );
+    });
+
+    test('should return 0 for empty text', () => {
+      expect(transcriptWindowService.estimateTokens('')).toBe(0);
+      expect(transcriptWindowService.estimateTokens(null)).toBe(0);
+    });
+  });
+
+  describe('splitIntoWindows', () => {
+    test('should keep a short transcript in a single window', () => {
+      const transcript = buildTranscript(4);
+
+      const windows = transcriptWindowService.splitIntoWindows(transcript, { maxTokens: 1000 });
+
+      expect(windows).toHaveLength(1);
+      expect(windows[0].text).toBe(transcript);
+    });
+
+    test('should split a long transcript into windows within the budget', () => {
+      const windows = transcriptWindowService.splitIntoWindows(buildTranscript(60), { maxTokens: 200, overlapTokens: 40 });
+
+      expect(windows.length).toBeGreaterThan(1);
+      windows.forEach(window => expect(window.tokens).toBeLessThanOrEqual(200));
+    });
+
+    test('should cover every turn and overlap consecutive windows', () => {
+      const transcript = buildTranscript(60);
+
+      const windows = transcriptWindowService.splitIntoWindows(transcript, { maxTokens: 200, overlapTokens: 40 });
+
+      transcript.split('\n').forEach(line => {
+        expect(windows.some(window => window.text.split('\n').includes(line))).toBe(true);
+      });
+      for (let i = 1; i < windows.length; i++) {
+        const previousLines = windows[i - 1].text.split('\n');
+        expect(previousLines).toContain(windows[i].text.split('\n')[0]);
+      }
+    });
+
+    test('should split a run-on transcript without line breaks', () => {
+      const transcript = Array.from({ length: 400 }, () => 'מילה').join(' ');
+
+      const windows = transcriptWindowService.splitIntoWindows(transcript, { maxTokens: 100, overlapTokens: 0 });
+
+      expect(windows.length).toBeGreaterThan(1);
+      windows.forEach(window => expect(window.tokens).toBeLessThanOrEqual(100));
+      expect(windows.map(window => window.text).join(' ').split(' ')).toHaveLength(400);
+    });
+  });
+
+  describe('Windowed GPT-4 analysis', () => {
+    const contextTokens = llmProviderService.contextTokens;
+
+    afterEach(() => {
+      llmProviderService.contextTokens = contextTokens;
+      jest.restoreAllMocks();
+    });
+
+    test('should analyze a long transcript per window and merge the results', async () => {
+      llmProviderService.contextTokens = 3000;
+      jest.spyOn(llmProviderService, 'complete');
+
+      const result = await gpt4AnalysisService.analyzeContext(buildTranscript(400));
+
+      const windows = result.metadata.windows;
+      expect(windows).toBeGreaterThan(1);
+      expect(llmProviderService.complete).toHaveBeenCalledTimes(windows);
+      expect(llmProviderService.complete.mock.calls[1][0].messages[1].content).toContain(`[Part 2 of ${windows} of a longer call]`);
+
+      // Identical buying signals from every window are kept once
+      expect(result.analysis.buying_signals).toHaveLength(2);
+      expect(result.analysis.context_insights.urgency_level).toBe('high');
+    });
+
+    test('should send a transcript that fits in one request', async () => {
+      jest.spyOn(llmProviderService, 'complete');
+
+      const result = await gpt4AnalysisService.analyzeContext(buildTranscript(4));
+
+      expect(result.metadata.windows).toBe(1);
+      expect(llmProviderService.complete).toHaveBeenCalledTimes(1);
+    });
+  });
+});
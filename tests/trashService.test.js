@@ -0,0 +1,188 @@
+/**
+ * Tests for Trash Service
+ * Tests soft deletion, restore rules and the purge of expired items and their files
+ */
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    $transaction: jest.fn(operations => Promise.all(operations)),
+    salesCall: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      deleteMany: jest.fn()
+    },
+    customer: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      update: jest.fn(),
+      deleteMany: jest.fn()
+    }
+  }
+}));
+
+jest.mock('fs-extra', () => ({
+  remove: jest.fn()
+}));
+
+const fs = require('fs-extra');
+const { prisma } = require('../src/database/connection');
+const customerPriorityService = require('../src/services/customerPriorityService');
+const auditService = require('../src/services/auditService');
+
+describe('TrashService', () => {
+  let trashService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    trashService = new (require('../src/services/trashService').constructor)();
+    trashService.retentionDays = 30;
+    jest.spyOn(customerPriorityService, 'refreshCustomer').mockResolvedValue(null);
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    fs.remove.mockResolvedValue();
+  });
+
+  describe('trashCustomer', () => {
+    test('should trash the customer and their live calls with the same timestamp', async () => {
+      prisma.customer.update.mockImplementation(({ data }) => Promise.resolve({ id: 4, ...data }));
+      prisma.salesCall.updateMany.mockResolvedValue({ count: 2 });
+
+      const result = await trashService.trashCustomer('4');
+
+      const { deletedAt } = prisma.customer.update.mock.calls[0][0].data;
+      expect(deletedAt).toBeInstanceOf(Date);
+      expect(prisma.salesCall.updateMany).toHaveBeenCalledWith({
+        where: { customerId: 4, deletedAt: null },
+        data: { deletedAt }
+      });
+      expect(result.trashedCalls).toBe(2);
+      expect(customerPriorityService.refreshCustomer).toHaveBeenCalledWith(4);
+    });
+  });
+
+  describe('listTrash', () => {
+    test('should list calls of live customers with their purge date', async () => {
+      const deletedAt = new Date('2026-10-01T00:00:00Z');
+      prisma.salesCall.findMany.mockResolvedValue([{ id: 7, deletedAt, customer: { id: 2, name: 'דני' } }]);
+
+      const result = await trashService.listTrash({ scope: { deletedAt: { not: null }, uploadedById: 3 } });
+
+      expect(prisma.salesCall.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { deletedAt: { not: null }, uploadedById: 3, customer: { deletedAt: null } }
+      }));
+      expect(prisma.customer.findMany).not.toHaveBeenCalled();
+      expect(result.salesCalls[0].purgeAt).toEqual(new Date('2026-10-31T00:00:00Z'));
+      expect(result.customers).toEqual([]);
+    });
+  });
+
+  describe('restoreSalesCall', () => {
+    test('should refuse calls outside the trash or the user\'s scope', async () => {
+      prisma.salesCall.findFirst.mockResolvedValue(null);
+
+      const result = await trashService.restoreSalesCall(7, { deletedAt: { not: null }, uploadedById: 3 });
+
+      expect(prisma.salesCall.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 7, deletedAt: { not: null }, uploadedById: 3 }
+      }));
+      expect(result).toEqual({ success: false, error: 'Sales call not found in the trash' });
+    });
+
+    test('should require the customer to be restored first', async () => {
+      prisma.salesCall.findFirst.mockResolvedValue({ id: 7, customerId: 2, customer: { deletedAt: new Date() } });
+
+      const result = await trashService.restoreSalesCall(7);
+
+      expect(result.success).toBe(false);
+      expect(prisma.salesCall.update).not.toHaveBeenCalled();
+    });
+
+    test('should restore the call and refresh the customer priority', async () => {
+      prisma.salesCall.findFirst.mockResolvedValue({ id: 7, customerId: 2, customer: { deletedAt: null } });
+      prisma.salesCall.update.mockResolvedValue({ id: 7, customerId: 2, deletedAt: null });
+
+      const result = await trashService.restoreSalesCall(7);
+
+      expect(prisma.salesCall.update).toHaveBeenCalledWith({ where: { id: 7 }, data: { deletedAt: null } });
+      expect(customerPriorityService.refreshCustomer).toHaveBeenCalledWith(2);
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('restoreCustomer', () => {
+    test('should refuse when a live customer now has the phone number', async () => {
+      prisma.customer.findFirst
+        .mockResolvedValueOnce({ id: 4, phone: '0501234567', deletedAt: new Date() })
+        .mockResolvedValueOnce({ id: 9 });
+
+      const result = await trashService.restoreCustomer(4);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Phone number is already registered to another customer',
+        details: { existingCustomerId: 9 }
+      });
+      expect(prisma.customer.update).not.toHaveBeenCalled();
+    });
+
+    test('should restore only the calls trashed together with the customer', async () => {
+      const deletedAt = new Date('2026-10-10T09:00:00Z');
+      prisma.customer.findFirst
+        .mockResolvedValueOnce({ id: 4, phone: '0501234567', deletedAt })
+        .mockResolvedValueOnce(null);
+      prisma.customer.update.mockResolvedValue({ id: 4, deletedAt: null });
+      prisma.salesCall.updateMany.mockResolvedValue({ count: 3 });
+
+      const result = await trashService.restoreCustomer(4);
+
+      expect(prisma.salesCall.updateMany).toHaveBeenCalledWith({
+        where: { customerId: 4, deletedAt },
+        data: { deletedAt: null }
+      });
+      expect(result).toEqual({ success: true, customer: { id: 4, deletedAt: null }, restoredCalls: 3 });
+    });
+  });
+
+  describe('purgeExpired', () => {
+    test('should remove files before deleting expired calls and customers', async () => {
+      const now = new Date('2026-10-31T00:00:00Z');
+      prisma.customer.findMany.mockResolvedValue([{ id: 4 }, { id: 5 }]);
+      prisma.salesCall.findMany.mockResolvedValue([
+        { id: 1, customerId: 4, audioFilePath: 'uploads/a.mp3' },
+        { id: 2, customerId: 5, audioFilePath: 'uploads/b.mp3' },
+        { id: 3, customerId: 6, audioFilePath: 'uploads/c.mp3' }
+      ]);
+      fs.remove
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('EACCES'))
+        .mockResolvedValueOnce();
+
+      const result = await trashService.purgeExpired(now);
+
+      expect(prisma.customer.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { deletedAt: { lte: new Date('2026-10-01T00:00:00Z') } }
+      }));
+      expect(fs.remove).toHaveBeenCalledTimes(3);
+      // The call whose file could not be removed keeps its customer in the trash
+      expect(prisma.salesCall.deleteMany).toHaveBeenCalledWith({ where: { id: { in: [1, 3] } } });
+      expect(prisma.customer.deleteMany).toHaveBeenCalledWith({ where: { id: { in: [4] } } });
+      expect(result).toEqual({ purgedCalls: 2, purgedCustomers: 1, failedFiles: 1 });
+      expect(auditService.record).toHaveBeenCalledWith({}, expect.objectContaining({
+        action: 'trash.purge',
+        after: { retentionDays: 30, salesCallIds: [1, 3], customerIds: [4] }
+      }));
+    });
+
+    test('should do nothing when no item has expired', async () => {
+      prisma.customer.findMany.mockResolvedValue([]);
+      prisma.salesCall.findMany.mockResolvedValue([]);
+
+      const result = await trashService.purgeExpired();
+
+      expect(result).toEqual({ purgedCalls: 0, purgedCustomers: 0, failedFiles: 0 });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for Usage Service
+ * Tests cost calculation, the usage ledger, rollups and the monthly budget
+ */
+
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/database/connection', () => ({
+  prisma: {
+    $queryRaw: jest.fn(),
+    usageRecord: {
+      create: jest.fn(),
+      aggregate: jest.fn()
+    },
+    analysisCache: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      upsert: jest.fn().mockResolvedValue({})
+    }
+  }
+}));
+
+const { prisma } = require('../src/database/connection');
+const gpt4AnalysisService = require('../src/services/gpt4AnalysisService');
+const enhancedScoringService = require('../src/services/enhancedScoringService');
+const usageService = require('../src/services/usageService');
+const llmProviderService = require('../src/services/llmProviderService');
+
+describe('UsageService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new (require('../src/services/usageService').constructor)();
+    prisma.usageRecord.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+  });
+
+  describe('calculateCost', () => {
+    test('should price prompt and completion tokens per 1K', () => {
+      expect(service.calculateCost({ provider: 'openai', model: 'gpt-4', promptTokens: 1000, completionTokens: 500 })).toBe(0.06);
+    });
+
+    test('should price dated snapshots by the model they belong to', () => {
+      expect(service.calculateCost({ provider: 'openai', model: 'gpt-4-0613', promptTokens: 1000, completionTokens: 500 })).toBe(0.06);
+      expect(service.calculateCost({ provider: 'openai', model: 'gpt-4o-2024-08-06', promptTokens: 1000, completionTokens: 1000 })).toBe(0.0125);
+      expect(service.calculateCost({ provider: 'openai', model: 'gpt-4-turbo-2024-04-09', promptTokens: 1000 })).toBe(0.01);
+      expect(service.calculateCost({ provider: 'openai', model: 'gpt-4oo', promptTokens: 1000 })).toBe(0);
+    });
+
+    test('should price transcription per audio minute', () => {
+      expect(service.calculateCost({ provider: 'openai', model: 'whisper-1', audioMinutes: 10 })).toBe(0.06);
+    });
+
+    test('should not charge for mock and local providers', () => {
+      expect(service.calculateCost({ provider: 'mock', model: 'gpt-4', promptTokens: 1000 })).toBe(0);
+      expect(service.calculateCost({ provider: 'local', model: 'gpt-4', promptTokens: 1000 })).toBe(0);
+    });
+
+    test('should apply LLM_PRICING overrides', () => {
+      process.env.LLM_PRICING = JSON.stringify({ 'my-deployment': { prompt: 0.01, completion: 0.02 } });
+      const priced = new (require('../src/services/usageService').constructor)();
+      delete process.env.LLM_PRICING;
+
+      expect(priced.calculateCost({ provider: 'azure', model: 'my-deployment', promptTokens: 2000, completionTokens: 1000 })).toBe(0.04);
+      expect(priced.pricing['gpt-4']).toBeDefined();
+    });
+  });
+
+  describe('record', () => {
+    test('should write a ledger entry with its cost', async () => {
+      const entry = await service.record({
+        salesCallId: 7,
+        operation: 'contextAnalysis',
+        provider: 'openai',
+        model: 'gpt-4',
+        promptTokens: 1000,
+        completionTokens: 500
+      });
+
+      expect(prisma.usageRecord.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ salesCallId: 7, totalTokens: 1500, cost: 0.06 })
+      });
+      expect(entry).toEqual(expect.objectContaining({ operation: 'contextAnalysis', totalTokens: 1500, cost: 0.06 }));
+    });
+
+    test('should return null instead of failing when the ledger is unavailable', async () => {
+      prisma.usageRecord.create.mockRejectedValue(new Error('connection refused'));
+
+      await expect(service.record({ operation: 'transcription', provider: 'openai', model: 'whisper-1' })).resolves.toBeNull();
+    });
+
+    test('should record transcription minutes from the audio duration', async () => {
+      await service.recordTranscription(3, { duration: 90 });
+
+      expect(prisma.usageRecord.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ salesCallId: 3, operation: 'transcription', audioMinutes: 1.5, totalTokens: 0 })
+      });
+    });
+  });
+
+  describe('getSummary', () => {
+    // Raw rows as Postgres returns them: counts and integer sums as BigInt, decimal sums as Decimal
+    const row = (key, requests, salesCalls, totalTokens, audioMinutes, cost) => ({
+      key,
+      requests: BigInt(requests),
+      sales_calls: BigInt(salesCalls),
+      total_tokens: BigInt(totalTokens),
+      audio_minutes: { toString: () => audioMinutes },
+      cost: { toString: () => cost }
+    });
+
+    test('should roll usage up in the database by day, month and operation', async () => {
+      const rollups = {
+        total: [row('total', 3, 2, 2500, '2.5', '0.115')],
+        day: [row('2025-01-30', 2, 1, 1500, '2.5', '0.075'), row('2025-02-01', 1, 1, 1000, '0', '0.04')],
+        month: [row('2025-01', 2, 1, 1500, '2.5', '0.075'), row('2025-02', 1, 1, 1000, '0', '0.04')],
+        operation: [row('contextAnalysis', 2, 2, 2500, '0', '0.1'), row('transcription', 1, 1, 0, '2.5', '0.015')]
+      };
+      prisma.$queryRaw.mockImplementation((strings, groupBy) => Promise.resolve(rollups[groupBy]));
+
+      const summary = await service.getSummary({ from: new Date('2025-01-01'), to: new Date('2025-02-28') });
+
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(4);
+      expect(summary.totals).toEqual({ key: 'total', requests: 3, salesCalls: 2, totalTokens: 2500, audioMinutes: 2.5, cost: 0.115 });
+      expect(summary.daily.map(day => [day.key, day.requests])).toEqual([['2025-01-30', 2], ['2025-02-01', 1]]);
+      expect(summary.monthly.map(month => [month.key, month.cost])).toEqual([['2025-01', 0.075], ['2025-02', 0.04]]);
+      expect(summary.byOperation.find(group => group.key === 'contextAnalysis').totalTokens).toBe(2500);
+    });
+
+    test('should return empty totals for a period without usage', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      const summary = await service.getSummary({ salesCallId: '9' });
+
+      // The sales call filter is bound as a query parameter
+      expect(prisma.$queryRaw.mock.calls[0]).toContain(9);
+      expect(summary.totals).toEqual(service.emptyRollup('total'));
+      expect(summary.daily).toEqual([]);
+    });
+  });
+
+  describe('getBudgetStatus', () => {
+    test('should not limit usage without a budget', async () => {
+      expect(await service.getBudgetStatus()).toEqual(expect.objectContaining({ exceeded: false, monthlyBudget: null }));
+      expect(prisma.usageRecord.aggregate).not.toHaveBeenCalled();
+    });
+
+    test('should report the budget as exceeded once this month\'s spend reaches it', async () => {
+      service.monthlyBudget = 50;
+      prisma.usageRecord.aggregate.mockResolvedValue({ _sum: { cost: '50.25' } });
+
+      expect(await service.getBudgetStatus()).toEqual({ monthlyBudget: 50, spent: 50.25, remaining: 0, exceeded: true });
+    });
+  });
+
+  describe('GPT-4 usage tracking', () => {
+    afterEach(() => {
+      usageService.monthlyBudget = 0;
+    });
+
+    test('should record the tokens of each analysis against the sales call', async () => {
+      await gpt4AnalysisService.performComprehensiveAnalysis('אני מעוניין בדירה', { salesCallId: 5 });
+
+      const operations = prisma.usageRecord.create.mock.calls.map(([{ data }]) => data.operation).sort();
+      expect(operations).toEqual(['contextAnalysis', 'conversationFlow', 'sentimentAnalysis']);
+      prisma.usageRecord.create.mock.calls.forEach(([{ data }]) => {
+        expect(data.salesCallId).toBe(5);
+        expect(data.totalTokens).toBeGreaterThan(0);
+      });
+    });
+
+    test('should price the requested model when the provider answers with a snapshot name', async () => {
+      const complete = jest.spyOn(llmProviderService, 'complete').mockResolvedValue({
+        content: '{}',
+        model: 'gpt-4-0613',
+        provider: 'openai',
+        usage: { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 }
+      });
+
+      await gpt4AnalysisService.analyzeSentiment('אני מעוניין בדירה', { salesCallId: 5, bypassCache: true }).catch(() => {});
+
+      const [{ data }] = prisma.usageRecord.create.mock.calls[0];
+      expect(data.model).toBe(llmProviderService.chatModel);
+      expect(Number(data.cost)).toBeGreaterThan(0);
+      complete.mockRestore();
+    });
+
+    test('should skip GPT-4 analysis once the monthly budget is exceeded', async () => {
+      usageService.monthlyBudget = 10;
+      prisma.usageRecord.aggregate.mockResolvedValue({ _sum: { cost: '12' } });
+      const comprehensive = jest.spyOn(gpt4AnalysisService, 'performComprehensiveAnalysis');
+
+      const result = await enhancedScoringService.analyzeTranscript('אני מעוניין בדירה', 60, 3);
+
+      expect(comprehensive).not.toHaveBeenCalled();
+      expect(result.metadata.gpt4Used).toBe(false);
+      expect(result.analysis.gpt4Analysis.error).toContain('Monthly LLM budget exceeded');
+      comprehensive.mockRestore();
+    });
+  });
+});
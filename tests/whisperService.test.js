@@ -26,6 +26,28 @@ describe('WhisperService - Audio Chunking', () => {
       expect(result.numChunks).toBe(2);
     });
 
+    test('should combine word timestamps from all chunks', () => {
+      const transcriptions = [
+        {
+          text: 'Hello',
+          segments: [{ start: 0, end: 2, text: 'Hello' }],
+          words: [{ word: 'Hello', start: 0, end: 1 }]
+        },
+        {
+          text: 'there',
+          segments: [{ start: 900, end: 902, text: 'there' }],
+          words: [{ word: 'there', start: 900, end: 901 }]
+        }
+      ];
+
+      const result = whisperService.combineTranscriptions(transcriptions, 902);
+
+      expect(result.words).toEqual([
+        { word: 'Hello', start: 0, end: 1 },
+        { word: 'there', start: 900, end: 901 }
+      ]);
+    });
+
     test('should handle empty transcriptions array', () => {
       const result = whisperService.combineTranscriptions([], 10);
       